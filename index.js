@@ -2,16 +2,52 @@
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import { PDFDocument } from 'pdf-lib';
-import pdf from 'pdf-parse-new';
-import fs from 'fs/promises';
+import { PDFDocument } from '@cantoo/pdf-lib';
 import path from 'path';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { DocumentProcessorServiceClient } from '@google-cloud/documentai';
 import ExcelJS from 'exceljs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
+import { parseStatement, parseDocumentTables } from './lib/parsers/index.js';
+import { analyzeStatement } from './lib/analysis/index.js';
+import { createLlmRouter } from './lib/llm/index.js';
+import { createCategorizer, merchantKey, compileUserRegex, BUILTIN_CATEGORIES } from './lib/categorize/index.js';
+import { recomputeAnalysis } from './lib/analysis/aggregate.js';
+import { detectRecurring } from './lib/analysis/recurring.js';
+import { forecastCashFlow, FORECAST_HORIZONS } from './lib/analysis/forecast.js';
+import { analyzeCard } from './lib/analysis/card.js';
+import {
+  createTaxTagger,
+  buildTaxReport,
+  isValidGstin,
+  normalizeGstin,
+  SCOPES,
+  TAX_RULE_MATCH_TYPES
+} from './lib/tax/index.js';
+import { exportStatement, isExportFormat, EXPORT_FORMATS } from './lib/export/index.js';
+import { createBankStatementExcel, createCreditCardExcel, createTaxExcel, createIncomeExcel } from './lib/reports/excel.js';
+import { buildIncomeReport, normalizeInvoices } from './lib/income/index.js';
+import { createPdfReport } from './lib/reports/pdf.js';
+import { createExtractor } from './lib/extract/index.js';
+import { createRedactor } from './lib/redact/index.js';
+import { evaluateAlerts, listAlertRules, normalizeAlertSettings } from './lib/alerts/index.js';
+import {
+  createHintVault,
+  createAttemptLimiter,
+  normalizeHints,
+  describeHints,
+  candidatePasswords,
+  listPasswordRules,
+  decryptPdf,
+  tryPasswords
+} from './lib/unlock/index.js';
+import { createJobStore, createJobQueue, isFinished, toPublicJob } from './lib/jobs/index.js';
+import { mergeStatements, findAccountMismatch } from './lib/analysis/merge.js';
+import { createRepository } from './lib/db/index.js';
+import { createAuthenticator, corsOptions, generateApiKey, hashApiKey } from './lib/auth.js';
+import { createTempStore } from './lib/temp-store/index.js';
+import { downloadPdf, downloadErrorStatus, remotePdfOptionsFromEnv } from './lib/remote-pdf.js';
+import { randomBytes } from 'crypto';
 
 // Load environment variables
 dotenv.config();
@@ -23,25 +59,46 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize services
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Initialize services - LLM_PROVIDERS lists the models tried in order
+const llm = createLlmRouter(process.env);
 
-// Initialize Document AI
-const documentAI = new DocumentProcessorServiceClient({
-  keyFilename: './google-credentials.json'
+// Text extraction - the PDF text layer first, Document AI (PROCESSOR_ID)
+// only for scanned pages and only when configured
+const extractor = createExtractor(process.env);
+
+// Personal identifiers are replaced before statement text reaches a model;
+// REDACTION_MODE is standard, strict or off. A redactor holds one
+// statement's placeholders, so a new one is made per analysis.
+const redactionMode = process.env.REDACTION_MODE || 'standard';
+createRedactor(redactionMode); // fails at startup on an unknown mode
+
+// Persistence (SQLite by default; DB_BACKEND selects another repository)
+const repository = createRepository(process.env.DB_BACKEND || 'sqlite', {
+  url: process.env.DATABASE_URL || path.join(__dirname, 'data', 'solopay.db')
 });
-const processorName = process.env.PROCESSOR_ID || 'projects/833177799389/locations/us/processors/e95cb2739ca3b6f3';
 
-// Middleware - Simple CORS allowing all origins
-app.use(cors());
+// Middleware - CORS limited to CORS_ORIGINS when set
+app.use(cors(corsOptions(process.env.CORS_ORIGINS)));
 app.use(express.json({ limit: '50mb' })); // Increase limit for text data
 
+// Every /api route needs a JWT (Authorization: Bearer) or an API key (X-API-Key)
+app.use('/api', createAuthenticator({
+  secret: process.env.JWT_SECRET,
+  issuer: process.env.JWT_ISSUER,
+  audience: process.env.JWT_AUDIENCE,
+  repository,
+  disabled: process.env.AUTH_DISABLED === 'true'
+}));
+
+// Uploads and URL downloads share one size limit
+const MAX_PDF_BYTES = 10 * 1024 * 1024; // 10MB limit
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_PDF_BYTES,
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype === 'application/pdf') {
@@ -52,9 +109,52 @@ const upload = multer({
   }
 });
 
-// Create temp directory on startup
-const tempDir = path.join(__dirname, 'temp');
-fs.mkdir(tempDir, { recursive: true }).catch(console.error);
+// Invoice lists for income matching: CSV or JSON, small
+const invoiceUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname) || ['text/csv', 'application/json'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invoices must be a CSV or JSON file'), false);
+    }
+  }
+});
+
+// Background PDF processing (in-process store; JOB_BACKEND selects another).
+// JOB_MAX_RETRIES=0 turns retries off.
+const jobMaxRetries = parseInt(process.env.JOB_MAX_RETRIES, 10);
+const jobQueue = createJobQueue({
+  store: createJobStore(process.env.JOB_BACKEND || 'memory'),
+  handler: runPdfJob,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxRetries: Number.isNaN(jobMaxRetries) ? 2 : jobMaxRetries,
+  onSettled: async job => {
+    // Failed jobs keep the file so the client can resubmit the session
+    if (job.status === 'completed') await deleteTemporaryFile(job.payload.sessionId);
+  }
+});
+
+// Uploaded statements between check/unlock and processing: encrypted on
+// disk (or kept in memory with TEMP_STORE=memory) and expired per session
+const tempStore = createTempStore(process.env.TEMP_STORE || 'disk', {
+  dir: path.join(__dirname, 'temp'),
+  ttl: (parseFloat(process.env.TEMP_FILE_TTL_MINUTES) || 30) * 60 * 1000
+});
+
+// Statement unlocking: stored password hints are sealed with
+// PASSWORD_HINTS_KEY (JWT_SECRET when unset), and every user gets
+// UNLOCK_MAX_REQUESTS tries a minute and a lockout after
+// UNLOCK_MAX_FAILURES wrong passwords
+const hintVault = createHintVault(process.env.PASSWORD_HINTS_KEY || process.env.JWT_SECRET);
+const unlockLimiter = createAttemptLimiter({
+  maxRequests: parseInt(process.env.UNLOCK_MAX_REQUESTS, 10) || 10,
+  maxFailures: parseInt(process.env.UNLOCK_MAX_FAILURES, 10) || 5,
+  lockout: (parseFloat(process.env.UNLOCK_LOCKOUT_MINUTES) || 15) * 60 * 1000
+});
 
 // =====================================================
 // NEW ENDPOINT: Analyze extracted text (no PDF processing needed)
@@ -63,64 +163,50 @@ app.post('/api/analyze-text', async (req, res) => {
   console.log('Analyzing text from client - Type:', req.body.documentType);
   
   try {
-    const { text, documentType } = req.body;
+    const { text, documentType, provider } = req.body;
 
     if (!text) {
       return res.status(400).json({ 
         error: 'No text provided for analysis' 
       });
     }
-
-    // Process with Gemini AI directly (no PDF extraction needed)
-    console.log('Processing with Gemini AI...');
-    console.log('Text length received:', text.length);
-    
-    // Add warning for large texts
-    if (text.length > 100000) {
-      console.log('Warning: Large document detected. Only first 100K characters will be analyzed.');
+    if (!isKnownProvider(provider)) {
+      return res.status(400).json(unknownProviderError(provider));
     }
-    
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
 
-    const prompt = documentType === 'bank' 
-      ? getBankStatementPrompt(text)
-      : getCreditCardPrompt(text);
+    // Process with the language model directly (no PDF extraction needed)
+    const model = llm.select(provider);
+    console.log(`Processing with ${model.name}...`);
+    console.log('Text length received:', text.length);
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const analysisText = response.text();
+    // Parse, split long statements into chunks, extract, merge and validate
+    const result = await analyzeStatement(model, {
+      text,
+      documentType,
+      categorizer: await loadCategorizer(req.user.id),
+      redactor: createRedactor(redactionMode)
+    });
+    const ruleAlerts = await computeRuleAlerts(result.analysis, documentType, req.user.id);
 
-    // Parse the JSON response from Gemini
-    let analysis;
-    try {
-      // Extract JSON from the response (Gemini might add extra text)
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('Failed to parse Gemini response:', analysisText.substring(0, 500));
-      // Return a basic structure if parsing fails
-      analysis = {
-        summary: {
-          totalDeposits: 0,
-          totalWithdrawals: 0,
-          netFlow: 0,
-          error: 'Analysis completed but formatting failed'
-        },
-        categories: {},
-        alerts: ['Analysis completed but data formatting failed'],
-        rawResponse: analysisText.substring(0, 1000)
-      };
-    }
+    const stored = await persistAnalysis({ ...result, documentType }, {
+      userId: req.user.id,
+      fileName: req.body.fileName
+    });
 
     res.json({
       status: 'success',
-      analysis: analysis,
+      analysis: result.analysis,
       documentType: documentType,
-      textLength: text.length
+      textLength: text.length,
+      parser: result.parser,
+      validation: result.validation,
+      structure: result.structure,
+      providers: result.providers,
+      chunks: result.chunks,
+      redaction: result.redaction,
+      ruleAlerts,
+      card: documentType === 'bank' ? null : analyzeCard(result.analysis),
+      ...stored
     });
 
   } catch (error) {
@@ -139,37 +225,40 @@ app.post('/api/check-pdf-url', async (req, res) => {
   console.log('Checking PDF from Firebase URL');
   
   try {
-    const { pdfUrl, fileName, fileSize } = req.body;
+    const { pdfUrl, fileName } = req.body;
     
     if (!pdfUrl) {
       return res.status(400).json({ error: 'No PDF URL provided' });
     }
 
-    // Download PDF from Firebase URL
+    // Download PDF from Firebase URL (allowlisted hosts only, size-capped)
     console.log('Downloading from Firebase:', pdfUrl);
-    const response = await fetch(pdfUrl);
-    
-    if (!response.ok) {
-      throw new Error('Failed to download PDF from Firebase');
+    let pdfBuffer;
+    try {
+      pdfBuffer = await downloadPdf(pdfUrl, { ...remotePdfOptionsFromEnv(), maxBytes: MAX_PDF_BYTES });
+    } catch (error) {
+      console.error('PDF download refused or failed:', error.message);
+      return res.status(downloadErrorStatus(error)).json({
+        error: 'Failed to download PDF',
+        code: error.code || 'DOWNLOAD_FAILED',
+        details: error.message
+      });
     }
     
-    const arrayBuffer = await response.arrayBuffer();
-    const pdfBuffer = Buffer.from(arrayBuffer);
-    
     // Try to load the PDF without password
     try {
       const pdfDoc = await PDFDocument.load(pdfBuffer);
       
       // If successful, PDF is not password protected
       const sessionId = generateSessionId();
-      await saveTemporaryFile(sessionId, pdfBuffer);
+      await saveTemporaryFile(sessionId, pdfBuffer, req.user.id);
       
       res.json({
         status: 'success',
         passwordRequired: false,
         message: 'No password required. Click to continue.',
         fileName: fileName,
-        fileSize: fileSize,
+        fileSize: pdfBuffer.length,
         sessionId: sessionId
       });
       
@@ -177,14 +266,14 @@ app.post('/api/check-pdf-url', async (req, res) => {
       if (error.message && error.message.includes('encrypted')) {
         // PDF is password protected
         const sessionId = generateSessionId();
-        await saveTemporaryFile(sessionId, pdfBuffer);
+        await saveTemporaryFile(sessionId, pdfBuffer, req.user.id);
         
         res.json({
           status: 'password_required',
           passwordRequired: true,
           message: 'This PDF is password protected. Please enter the password.',
           fileName: fileName,
-          fileSize: fileSize,
+          fileSize: pdfBuffer.length,
           sessionId: sessionId
         });
       } else {
@@ -219,7 +308,7 @@ app.post('/api/check-pdf', upload.single('pdf'), async (req, res) => {
       
       // If successful, PDF is not password protected
       const sessionId = generateSessionId();
-      await saveTemporaryFile(sessionId, pdfBuffer);
+      await saveTemporaryFile(sessionId, pdfBuffer, req.user.id);
       
       res.json({
         status: 'success',
@@ -234,7 +323,7 @@ app.post('/api/check-pdf', upload.single('pdf'), async (req, res) => {
       if (error.message && error.message.includes('encrypted')) {
         // PDF is password protected
         const sessionId = generateSessionId();
-        await saveTemporaryFile(sessionId, pdfBuffer);
+        await saveTemporaryFile(sessionId, pdfBuffer, req.user.id);
         
         res.json({
           status: 'password_required',
@@ -260,20 +349,35 @@ app.post('/api/check-pdf', upload.single('pdf'), async (req, res) => {
 // =====================================================
 // STEP 2: Unlock password-protected PDF
 // =====================================================
+// Either `password`, or no password to try the formats of every known bank
+// with the user's stored hints (`bank`, a parser ID such as "hdfc-card",
+// puts that bank's formats first). Wrong guesses count towards a lockout.
 app.post('/api/unlock-pdf', async (req, res) => {
   console.log('Unlocking PDF - Session:', req.body.sessionId);
   
   try {
-    const { sessionId, password } = req.body;
+    const { sessionId, password, bank } = req.body;
 
-    if (!sessionId || !password) {
+    if (!sessionId) {
       return res.status(400).json({ 
-        error: 'Session ID and password are required' 
+        error: 'Session ID is required' 
+      });
+    }
+
+    const limit = unlockLimiter.check(req.user.id);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        status: limit.reason,
+        error: limit.reason === 'locked'
+          ? 'Too many incorrect passwords. Unlocking is paused for this account.'
+          : 'Too many unlock requests. Please wait and try again.',
+        retryAfter: limit.retryAfter
       });
     }
 
     // Retrieve temporary file
-    const pdfBuffer = await getTemporaryFile(sessionId);
+    const pdfBuffer = await getTemporaryFile(sessionId, req.user.id);
     
     if (!pdfBuffer) {
       return res.status(404).json({ 
@@ -281,30 +385,58 @@ app.post('/api/unlock-pdf', async (req, res) => {
       });
     }
 
-    // Try to unlock with provided password
-    try {
-      const pdfDoc = await PDFDocument.load(pdfBuffer, { password });
-      
-      // Save unlocked version
-      const unlockedPdfBytes = await pdfDoc.save();
-      await saveTemporaryFile(`${sessionId}_unlocked`, Buffer.from(unlockedPdfBytes));
-
-      res.json({
-        status: 'success',
-        message: 'PDF unlocked successfully! Processing...',
-        sessionId: `${sessionId}_unlocked`
-      });
-
-    } catch (error) {
-      if (error.message && error.message.includes('password')) {
-        res.status(401).json({
-          status: 'invalid_password',
-          error: 'Incorrect password. Please try again.'
+    let unlocked;
+    let rule = null;
+    let tried = 1;
+    if (password) {
+      try {
+        unlocked = await decryptPdf(pdfBuffer, password);
+      } catch (error) {
+        if (error.code !== 'INVALID_PASSWORD') throw error;
+      }
+    } else {
+      const hints = await loadPasswordHints(req.user.id);
+      if (!hints) {
+        return res.status(400).json({
+          error: 'Password is required',
+          details: 'Enter the password, or store password hints through POST /api/unlock/hints to try known bank formats'
         });
-      } else {
-        throw error;
       }
+      const result = await tryPasswords(pdfBuffer, candidatePasswords(hints, { bank }));
+      unlocked = result.buffer;
+      rule = result.candidate?.rule || null;
+      tried = result.tried;
+    }
+
+    if (!unlocked) {
+      const failure = unlockLimiter.fail(req.user.id);
+      if (failure.locked) res.set('Retry-After', String(failure.retryAfter));
+      return res.status(401).json({
+        status: 'invalid_password',
+        error: password
+          ? 'Incorrect password. Please try again.'
+          : 'None of the known password formats opened this PDF. Please enter the password.',
+        ...(password ? {} : { triedFormats: tried }),
+        attemptsLeft: failure.failuresLeft,
+        ...(failure.locked ? { retryAfter: failure.retryAfter } : {})
+      });
     }
+    unlockLimiter.succeed(req.user.id);
+
+    // Save unlocked version under a fresh session ID
+    const unlockedSessionId = generateSessionId();
+    await saveTemporaryFile(unlockedSessionId, unlocked, req.user.id);
+
+    // The locked original is no longer needed
+    await deleteTemporaryFile(sessionId);
+
+    res.json({
+      status: 'success',
+      message: 'PDF unlocked successfully! Processing...',
+      sessionId: unlockedSessionId,
+      method: rule ? 'hints' : 'password',
+      ...(rule ? { rule } : {})
+    });
   } catch (error) {
     console.error('Error unlocking PDF:', error);
     res.status(500).json({
@@ -314,6 +446,67 @@ app.post('/api/unlock-pdf', async (req, res) => {
   }
 });
 
+// Password hints: the inputs banks build statement passwords from. Only the
+// list of stored fields is ever returned, never their values.
+app.get('/api/unlock/hints', async (req, res) => {
+  try {
+    const stored = hintVault ? await repository.getPasswordHints(req.user.id) : null;
+    const hints = stored ? hintVault.open(req.user.id, stored.sealed) : null;
+    res.json({
+      status: 'success',
+      available: Boolean(hintVault),
+      stored: Boolean(hints),
+      fields: describeHints(hints),
+      updatedAt: hints ? stored.updatedAt : null
+    });
+  } catch (error) {
+    console.error('Error loading password hints:', error);
+    res.status(500).json({
+      error: 'Failed to load password hints',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/unlock/hints', async (req, res) => {
+  if (!hintVault) {
+    return res.status(503).json({ error: 'Password hints are not available', details: 'Set PASSWORD_HINTS_KEY (or JWT_SECRET) on the server' });
+  }
+
+  const { hints, errors } = normalizeHints(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid password hints', details: errors.join('; ') });
+  }
+
+  try {
+    const stored = await repository.savePasswordHints(req.user.id, hintVault.seal(req.user.id, hints));
+    res.json({ status: 'success', fields: describeHints(hints), updatedAt: stored.updatedAt });
+  } catch (error) {
+    console.error('Error saving password hints:', error);
+    res.status(500).json({
+      error: 'Failed to save password hints',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/unlock/hints', async (req, res) => {
+  try {
+    const deleted = await repository.deletePasswordHints(req.user.id);
+    res.json({ status: 'success', deleted });
+  } catch (error) {
+    console.error('Error deleting password hints:', error);
+    res.status(500).json({
+      error: 'Failed to delete password hints',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/unlock/rules', (req, res) => {
+  res.json({ status: 'success', rules: listPasswordRules() });
+});
+
 // =====================================================
 // STEP 3: Process PDF and Extract Data
 // =====================================================
@@ -321,9 +514,13 @@ app.post('/api/process-pdf', async (req, res) => {
   console.log('Processing PDF - Session:', req.body.sessionId, 'Type:', req.body.type);
   
   try {
-    const { sessionId, type } = req.body; // type: 'bank' or 'credit'
+    const { sessionId, type, provider } = req.body; // type: 'bank' or 'credit'
+
+    if (!isKnownProvider(provider)) {
+      return res.status(400).json(unknownProviderError(provider));
+    }
 
-    const pdfBuffer = await getTemporaryFile(sessionId);
+    const pdfBuffer = await getTemporaryFile(sessionId, req.user.id);
     
     if (!pdfBuffer) {
       return res.status(404).json({ 
@@ -331,73 +528,26 @@ app.post('/api/process-pdf', async (req, res) => {
       });
     }
 
-    // Use Document AI to extract text with proper structure
-    console.log('Processing with Google Document AI...');
-    
-    const request = {
-      name: processorName,
-      rawDocument: {
-        content: pdfBuffer.toString('base64'),
-        mimeType: 'application/pdf',
-      },
-    };
-
-    const [result] = await documentAI.processDocument(request);
-    const { document } = result;
-    
-    // Extract text from Document AI response
-    const extractedText = document.text;
-    console.log('Document AI extracted text length:', extractedText.length);
-    
-    // Log table data if found
-    if (document.pages && document.pages[0].tables) {
-      console.log('Tables found:', document.pages[0].tables.length);
-    }
-
-    // Clean up temporary file
-    await deleteTemporaryFile(sessionId);
-
-    // Process with Gemini AI
-    console.log('Processing with Gemini AI...');
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-    const prompt = type === 'bank' 
-      ? getBankStatementPrompt(extractedText)
-      : getCreditCardPrompt(extractedText);
-
-    const result2 = await model.generateContent(prompt);
-    const response = await result2.response;
-    const analysisText = response.text();
-
-    // Parse the JSON response from Gemini
-    let analysis;
+    let processed;
     try {
-      // Extract JSON from the response (Gemini might add extra text)
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('Failed to parse Gemini response:', analysisText.substring(0, 500));
-      // Return a basic structure if parsing fails
-      analysis = {
-        summary: { error: 'Analysis completed but formatting failed' },
-        rawResponse: analysisText.substring(0, 1000)
-      };
+      processed = await processStatementPdf(pdfBuffer, type, { provider, userId: req.user.id });
+    } finally {
+      // Clean up temporary file, also when processing failed
+      await deleteTemporaryFile(sessionId);
     }
 
+    const stored = await persistAnalysis(processed, { userId: req.user.id });
+
     res.json({
       status: 'success',
-      analysis: analysis,
-      documentType: type,
-      textLength: extractedText.length
+      ...processed,
+      ...stored
     });
 
   } catch (error) {
     console.error('Error processing PDF:', error);
-    res.status(500).json({
+    // A scanned statement with OCR unavailable is a problem with the input
+    res.status(error.code === 'NO_TEXT_LAYER' ? 422 : 500).json({
       error: 'Failed to process PDF',
       details: error.message
     });
@@ -407,11 +557,28 @@ app.post('/api/process-pdf', async (req, res) => {
 // =====================================================
 // STEP 4: Generate and Download Excel Report (No Email)
 // =====================================================
+// format: 'xlsx' (default), 'pdf' for a shareable summary, or one of the
+// accounting exports (csv, ofx, qif, tally, ledger, hledger, beancount)
 app.post('/api/generate-report', async (req, res) => {
-  console.log('Generating Excel report for download');
+  console.log('Generating report for download - format:', req.body.format || 'xlsx');
   
   try {
-    const { analysis, documentType } = req.body;
+    let { analysis, documentType } = req.body;
+    const { analysisId, format = 'xlsx' } = req.body;
+
+    if (!isExportFormat(format)) {
+      return res.status(400).json(unknownFormatError(format));
+    }
+
+    // A stored analysis can be referenced instead of re-posting the JSON
+    if (analysisId) {
+      const stored = await loadOwnedAnalysis(analysisId, req);
+      if (!stored) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+      analysis = stored.analysis;
+      documentType = stored.documentType;
+    }
 
     if (!analysis) {
       return res.status(400).json({
@@ -419,13 +586,35 @@ app.post('/api/generate-report', async (req, res) => {
       });
     }
 
+    if (format !== 'xlsx' && format !== 'pdf') {
+      return sendExport(res, format, analysis, documentType, req.body, 'statement_analysis');
+    }
+
+    // Recurring payments are confirmed against every stored statement of the same type
+    const historyType = documentType === 'bank' ? 'bank' : 'credit';
+    const history = await loadTransactionHistory(req.user.id, historyType);
+    const recurring = detectRecurring([...history, ...(analysis.transactions || [])], historyType);
+    const ruleAlerts = evaluateAlerts(analysis, historyType, {
+      settings: await loadAlertSettings(req.user.id),
+      history
+    });
+
+    if (format === 'pdf') {
+      const pdfBytes = await createPdfReport({ ...analysis, recurring, ruleAlerts }, documentType);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=statement_summary_${Date.now()}.pdf`);
+      return res.send(Buffer.from(pdfBytes));
+    }
+
     // Create Excel workbook
     const workbook = new ExcelJS.Workbook();
-    
+
     if (documentType === 'bank') {
-      createBankStatementExcel(workbook, analysis);
+      // The forecast looks ahead from the latest stored balance
+      const forecast = forecastCashFlow([...history, ...(analysis.transactions || [])]);
+      createBankStatementExcel(workbook, { ...analysis, recurring, forecast, ruleAlerts });
     } else {
-      createCreditCardExcel(workbook, analysis);
+      createCreditCardExcel(workbook, { ...analysis, recurring, ruleAlerts });
     }
 
     // Generate buffer
@@ -452,33 +641,33 @@ app.post('/api/extract-to-excel', async (req, res) => {
   console.log('Extracting transactions to Excel (no AI analysis)');
   
   try {
-    const { text } = req.body;
+    const { text, documentType, bank, format = 'xlsx' } = req.body;
     
     if (!text) {
       return res.status(400).json({ 
         error: 'No text provided' 
       });
     }
+    if (!isExportFormat(format)) {
+      return res.status(400).json(unknownFormatError(format));
+    }
+    if (format === 'pdf') {
+      return res.status(400).json({
+        error: 'PDF summaries need an analysed statement',
+        details: 'Use /api/generate-report with format "pdf"'
+      });
+    }
 
-    // Basic regex to extract transactions (customize based on your bank format)
-    const transactions = [];
-    const lines = text.split('\n');
-    
-    for (const line of lines) {
-      // Look for date patterns (DD/MM/YYYY or DD-MM-YYYY)
-      const dateMatch = line.match(/(\d{2}[\/\-]\d{2}[\/\-]\d{4})/);
-      if (dateMatch) {
-        // Extract amount (numbers with optional decimal)
-        const amountMatch = line.match(/(\d+(?:,\d+)*(?:\.\d{2})?)/g);
-        if (amountMatch) {
-          transactions.push({
-            date: dateMatch[1],
-            description: line.substring(0, 50).trim(),
-            amount: amountMatch[amountMatch.length - 1],
-            fullLine: line
-          });
-        }
-      }
+    // Bank-specific template picks debit/credit/balance columns apart
+    const parsed = parseStatement(text, { type: documentType, bank });
+    console.log(`Parser ${parsed.parser} found ${parsed.transactions.length} transactions`);
+
+    if (format !== 'xlsx') {
+      // Parser rows carry no category; the accounting formats post by it
+      const type = parsed.type || documentType;
+      const categorizer = await loadCategorizer(req.user.id);
+      res.setHeader('X-Statement-Parser', parsed.parser);
+      return sendExport(res, format, { ...parsed, transactions: categorizer.apply(parsed.transactions, type) }, type, req.body, 'transactions_extract');
     }
 
     // Create Excel workbook
@@ -487,12 +676,14 @@ app.post('/api/extract-to-excel', async (req, res) => {
     
     sheet.columns = [
       { header: 'Date', key: 'date', width: 15 },
-      { header: 'Description', key: 'description', width: 50 },
-      { header: 'Amount', key: 'amount', width: 15 },
-      { header: 'Full Details', key: 'fullLine', width: 100 }
+      { header: 'Narration', key: 'narration', width: 50 },
+      { header: 'Reference', key: 'reference', width: 22 },
+      { header: 'Debit', key: 'debit', width: 15 },
+      { header: 'Credit', key: 'credit', width: 15 },
+      { header: 'Balance', key: 'balance', width: 15 }
     ];
     
-    transactions.forEach(t => sheet.addRow(t));
+    parsed.transactions.forEach(t => sheet.addRow(t));
     
     // Generate buffer
     const buffer = await workbook.xlsx.writeBuffer();
@@ -500,6 +691,7 @@ app.post('/api/extract-to-excel', async (req, res) => {
     // Send Excel file as download
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename=transactions_extract_${Date.now()}.xlsx`);
+    res.setHeader('X-Statement-Parser', parsed.parser);
     res.send(buffer);
 
   } catch (error) {
@@ -512,268 +704,1325 @@ app.post('/api/extract-to-excel', async (req, res) => {
 });
 
 // =====================================================
-// Settings endpoint to save email
+// Merge several statements of one account (e.g. a year of monthly statements)
 // =====================================================
-app.post('/api/settings', async (req, res) => {
-  const { email } = req.body;
-  // In production, save this to database
-  console.log('Email saved:', email);
-  res.json({ status: 'success', message: 'Settings saved' });
+app.post('/api/merge-statements', async (req, res) => {
+  const { analyses = [], analysisIds = [], jobIds = [], sessionIds = [], documentType = 'bank', format, provider } = req.body;
+  console.log('Merging statements - analyses:', analyses.length + analysisIds.length, 'jobs:', jobIds.length, 'sessions:', sessionIds.length);
+
+  try {
+    // Accept bare analyses or whole /api/process-pdf responses
+    const collected = analyses.map(item => item.analysis || item);
+
+    for (const analysisId of analysisIds) {
+      const stored = await loadOwnedAnalysis(analysisId, req);
+      if (!stored) {
+        return res.status(404).json({
+          error: `Analysis ${analysisId} not found`
+        });
+      }
+      collected.push(stored.analysis);
+    }
+
+    for (const jobId of jobIds) {
+      const job = await jobQueue.get(jobId);
+      if (!job || job.owner !== req.user.id || job.status !== 'completed') {
+        return res.status(400).json({
+          error: `Job ${jobId} has not completed`
+        });
+      }
+      collected.push(job.result.analysis);
+    }
+
+    for (const sessionId of sessionIds) {
+      const pdfBuffer = await getTemporaryFile(sessionId, req.user.id);
+      if (!pdfBuffer) {
+        return res.status(404).json({
+          error: `Session ${sessionId} expired or file not found`
+        });
+      }
+      try {
+        collected.push((await processStatementPdf(pdfBuffer, documentType, { provider, userId: req.user.id })).analysis);
+      } finally {
+        await deleteTemporaryFile(sessionId);
+      }
+    }
+
+    if (collected.length < 2) {
+      return res.status(400).json({
+        error: 'At least two statements are required to merge'
+      });
+    }
+
+    const mismatch = findAccountMismatch(collected, documentType);
+    if (mismatch) {
+      return res.status(400).json({
+        error: mismatch.message,
+        accounts: mismatch.accounts
+      });
+    }
+
+    const merged = mergeStatements(collected, documentType);
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      if (documentType === 'bank') {
+        createBankStatementExcel(workbook, merged);
+      } else {
+        createCreditCardExcel(workbook, merged);
+      }
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=merged_statements_${Date.now()}.xlsx`);
+      return res.send(buffer);
+    }
+    if (format === 'pdf') {
+      const pdfBytes = await createPdfReport(merged, documentType);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=merged_statements_${Date.now()}.pdf`);
+      return res.send(Buffer.from(pdfBytes));
+    }
+    if (format && isExportFormat(format)) {
+      return sendExport(res, format, merged, documentType, req.body, 'merged_statements');
+    }
+
+    res.json({
+      status: 'success',
+      analysis: merged,
+      documentType: documentType,
+      statementCount: collected.length
+    });
+
+  } catch (error) {
+    console.error('Error merging statements:', error);
+    res.status(500).json({
+      error: 'Failed to merge statements',
+      details: error.message
+    });
+  }
 });
 
 // =====================================================
-// Helper Functions
+// Authentication: current user and API keys
 // =====================================================
+app.get('/api/auth/me', (req, res) => {
+  res.json({ status: 'success', user: req.user });
+});
 
-function generateSessionId() {
-  return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-async function saveTemporaryFile(sessionId, buffer) {
-  const tempDir = path.join(__dirname, 'temp');
-  await fs.mkdir(tempDir, { recursive: true });
-  const filePath = path.join(tempDir, `${sessionId}.pdf`);
-  await fs.writeFile(filePath, buffer);
-  console.log('File saved temporarily:', sessionId);
-}
-
-async function getTemporaryFile(sessionId) {
+app.get('/api/auth/api-keys', async (req, res) => {
   try {
-    const filePath = path.join(__dirname, 'temp', `${sessionId}.pdf`);
-    return await fs.readFile(filePath);
+    const keys = await repository.listApiKeys(req.user.id);
+    res.json({ status: 'success', keys });
   } catch (error) {
-    console.error('File not found:', sessionId);
-    return null;
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      details: error.message
+    });
   }
-}
+});
 
-async function deleteTemporaryFile(sessionId) {
+app.post('/api/auth/api-keys', async (req, res) => {
   try {
-    const filePath = path.join(__dirname, 'temp', `${sessionId}.pdf`);
-    await fs.unlink(filePath);
-    console.log('Temp file deleted:', sessionId);
+    const key = generateApiKey();
+    const record = await repository.createApiKey({
+      userId: req.user.id,
+      keyHash: hashApiKey(key),
+      label: req.body.label || null
+    });
+
+    // The key itself is shown only once
+    res.status(201).json({ status: 'success', apiKey: key, ...record });
   } catch (error) {
-    console.error('Error deleting temp file:', error);
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      details: error.message
+    });
   }
-}
+});
 
-function getBankStatementPrompt(text) {
-  return `
-    You are a financial analyst. Analyze this bank statement and extract ALL information.
-    
-    IMPORTANT: Return ONLY valid JSON with no additional text or formatting.
-    
-    Extract and analyze:
-    1. All transactions with date, description, debit/credit amounts, and balance
-    2. Categorize each transaction (UPI, NEFT, ATM, Credit Card, etc.)
-    3. Calculate total money in and out
-    4. Find patterns in spending
-    5. Identify all recurring payments
-    
-    Return this exact JSON structure:
-    {
-      "accountInfo": {
-        "bankName": "string",
-        "accountNumber": "string",
-        "period": "string",
-        "openingBalance": number,
-        "closingBalance": number
-      },
-      "summary": {
-        "totalDeposits": number,
-        "totalWithdrawals": number,
-        "netFlow": number,
-        "transactionCount": number,
-        "avgDailySpending": number
-      },
-      "categories": {
-        "upi": { "total": number, "count": number, "percentage": number },
-        "neft": { "total": number, "count": number, "percentage": number },
-        "atm": { "total": number, "count": number, "percentage": number },
-        "creditCard": { "total": number, "count": number, "percentage": number },
-        "others": { "total": number, "count": number, "percentage": number }
-      },
-      "monthlyPatterns": {
-        "highestSpendingMonth": "string",
-        "lowestSpendingMonth": "string",
-        "averageMonthlySpending": number
-      },
-      "recurringPayments": [
-        { "description": "string", "amount": number, "frequency": "string" }
-      ],
-      "topTransactions": [
-        { "date": "string", "description": "string", "amount": number, "type": "string" }
-      ],
-      "alerts": ["string"],
-      "transactions": [
-        { "date": "string", "description": "string", "debit": number, "credit": number, "balance": number, "category": "string" }
-      ]
-    }
-    
-    Bank Statement Text:
-    ${text.substring(0, 100000)} // Increased to handle up to 30-35 pages
-  `;
-}
+app.delete('/api/auth/api-keys/:id', async (req, res) => {
+  try {
+    const deleted = await repository.deleteApiKey(req.params.id, req.user.id);
 
-function getCreditCardPrompt(text) {
-  return `
-    You are a financial analyst. Analyze this credit card statement and extract ALL information.
-    
-    IMPORTANT: Return ONLY valid JSON with no additional text or formatting.
-    
-    Extract and analyze:
-    1. All transactions with date, merchant, and amount
-    2. Identify ALL subscriptions (Netflix, Spotify, ChatGPT, etc.)
-    3. Categorize spending by type
-    4. Find expensive transactions
-    5. Calculate total spending
-    
-    Return this exact JSON structure:
-    {
-      "cardInfo": {
-        "bankName": "string",
-        "cardNumber": "string",
-        "statementPeriod": "string",
-        "creditLimit": number,
-        "availableCredit": number
-      },
-      "summary": {
-        "totalSpent": number,
-        "paymentMade": number,
-        "minimumDue": number,
-        "dueDate": "string",
-        "outstandingBalance": number
-      },
-      "subscriptions": [
-        { 
-          "merchant": "string", 
-          "amount": number, 
-          "category": "string",
-          "frequency": "monthly/annual"
-        }
-      ],
-      "categories": {
-        "dining": { "total": number, "count": number, "percentage": number },
-        "shopping": { "total": number, "count": number, "percentage": number },
-        "travel": { "total": number, "count": number, "percentage": number },
-        "entertainment": { "total": number, "count": number, "percentage": number },
-        "utilities": { "total": number, "count": number, "percentage": number },
-        "others": { "total": number, "count": number, "percentage": number }
-      },
-      "expensiveTransactions": [
-        { "date": "string", "merchant": "string", "amount": number }
-      ],
-      "alerts": ["string"],
-      "transactions": [
-        { "date": "string", "merchant": "string", "amount": number, "category": "string" }
-      ]
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-    
-    Credit Card Statement Text:
-    ${text.substring(0, 100000)} // Increased to handle up to 30-35 pages
-  `;
-}
 
-function createBankStatementExcel(workbook, analysis) {
-  // Worksheet 1: Raw Data
-  const rawSheet = workbook.addWorksheet('All Transactions');
-  rawSheet.columns = [
-    { header: 'Date', key: 'date', width: 15 },
-    { header: 'Description', key: 'description', width: 40 },
-    { header: 'Debit', key: 'debit', width: 15 },
-    { header: 'Credit', key: 'credit', width: 15 },
-    { header: 'Balance', key: 'balance', width: 15 },
-    { header: 'Category', key: 'category', width: 15 }
-  ];
-
-  // Add transactions
-  if (analysis.transactions && Array.isArray(analysis.transactions)) {
-    analysis.transactions.forEach(t => {
-      rawSheet.addRow({
-        date: t.date || '',
-        description: t.description || '',
-        debit: t.debit || 0,
-        credit: t.credit || 0,
-        balance: t.balance || 0,
-        category: t.category || ''
-      });
+    res.json({ status: 'success', message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: error.message
     });
   }
+});
 
-  // Worksheet 2: Summary
-  const summarySheet = workbook.addWorksheet('Summary');
-  summarySheet.columns = [
-    { header: 'Metric', key: 'metric', width: 30 },
-    { header: 'Value', key: 'value', width: 20 }
-  ];
+// =====================================================
+// Settings endpoint to save email
+// =====================================================
+app.post('/api/settings', async (req, res) => {
+  const { email, ...settings } = req.body;
 
-  // Add summary data
-  if (analysis.summary) {
-    summarySheet.addRow({ metric: 'Total Deposits', value: analysis.summary.totalDeposits || 0 });
-    summarySheet.addRow({ metric: 'Total Withdrawals', value: analysis.summary.totalWithdrawals || 0 });
-    summarySheet.addRow({ metric: 'Net Flow', value: analysis.summary.netFlow || 0 });
-    summarySheet.addRow({ metric: 'Transaction Count', value: analysis.summary.transactionCount || 0 });
-    summarySheet.addRow({ metric: 'Average Daily Spending', value: analysis.summary.avgDailySpending || 0 });
-  }
+  try {
+    const owner = email ? await repository.getUserByEmail(email) : null;
+    if (owner && owner.id !== req.user.id) {
+      return res.status(409).json({ error: 'Email is already in use' });
+    }
 
-  // Add category breakdown
-  summarySheet.addRow({ metric: '', value: '' }); // Empty row
-  summarySheet.addRow({ metric: 'Category Breakdown', value: '' });
-  
-  if (analysis.categories) {
-    Object.entries(analysis.categories).forEach(([cat, data]) => {
-      summarySheet.addRow({ 
-        metric: cat.toUpperCase(), 
-        value: `₹${data.total || 0} (${data.count || 0} transactions)` 
-      });
+    const user = await repository.upsertUser({ id: req.user.id, email, settings });
+    console.log('Settings saved for user:', user.id);
+    res.json({ status: 'success', message: 'Settings saved', userId: user.id, settings: user.settings });
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    res.status(500).json({
+      error: 'Failed to save settings',
+      details: error.message
     });
   }
-}
+});
+
+app.get('/api/settings', async (req, res) => {
+  try {
+    const user = await repository.getUser(req.user.id);
 
-function createCreditCardExcel(workbook, analysis) {
-  // Worksheet 1: All Transactions
-  const transSheet = workbook.addWorksheet('Transactions');
-  transSheet.columns = [
-    { header: 'Date', key: 'date', width: 15 },
-    { header: 'Merchant', key: 'merchant', width: 35 },
-    { header: 'Amount', key: 'amount', width: 15 },
-    { header: 'Category', key: 'category', width: 20 }
-  ];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-  if (analysis.transactions && Array.isArray(analysis.transactions)) {
-    analysis.transactions.forEach(t => {
-      transSheet.addRow(t);
+    res.json({ status: 'success', userId: user.id, email: user.email, settings: user.settings });
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    res.status(500).json({
+      error: 'Failed to load settings',
+      details: error.message
     });
   }
+});
 
-  // Worksheet 2: Subscriptions
-  const subSheet = workbook.addWorksheet('Subscriptions');
-  subSheet.columns = [
-    { header: 'Service', key: 'merchant', width: 30 },
-    { header: 'Amount', key: 'amount', width: 15 },
-    { header: 'Frequency', key: 'frequency', width: 15 },
-    { header: 'Category', key: 'category', width: 20 }
-  ];
-
-  if (analysis.subscriptions && Array.isArray(analysis.subscriptions)) {
-    analysis.subscriptions.forEach(s => {
-      subSheet.addRow(s);
+// =====================================================
+// Stored statements and analyses
+// =====================================================
+app.get('/api/statements', async (req, res) => {
+  try {
+    const statements = await repository.listStatements(req.user.id, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    res.json({ status: 'success', statements });
+  } catch (error) {
+    console.error('Error listing statements:', error);
+    res.status(500).json({
+      error: 'Failed to list statements',
+      details: error.message
     });
   }
+});
+
+app.get('/api/statements/:id', async (req, res) => {
+  try {
+    const statement = await loadOwnedStatement(req.params.id, req);
 
-  // Worksheet 3: Summary
-  const summarySheet = workbook.addWorksheet('Summary');
-  summarySheet.columns = [
-    { header: 'Metric', key: 'metric', width: 30 },
-    { header: 'Value', key: 'value', width: 20 }
-  ];
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
 
-  if (analysis.summary) {
-    summarySheet.addRow({ metric: 'Total Spent', value: analysis.summary.totalSpent || 0 });
-    summarySheet.addRow({ metric: 'Payment Made', value: analysis.summary.paymentMade || 0 });
-    summarySheet.addRow({ metric: 'Outstanding Balance', value: analysis.summary.outstandingBalance || 0 });
+    const analyses = await repository.listAnalyses(statement.id);
+    res.json({ status: 'success', statement, analyses });
+  } catch (error) {
+    console.error('Error loading statement:', error);
+    res.status(500).json({
+      error: 'Failed to load statement',
+      details: error.message
+    });
   }
-}
+});
+
+app.get('/api/statements/:id/transactions', async (req, res) => {
+  try {
+    const statement = await loadOwnedStatement(req.params.id, req);
+
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    const transactions = await repository.listTransactions(statement.id);
+    res.json({ status: 'success', statementId: statement.id, transactions });
+  } catch (error) {
+    console.error('Error loading statement transactions:', error);
+    res.status(500).json({
+      error: 'Failed to load statement transactions',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/statements/:id', async (req, res) => {
+  try {
+    const statement = await loadOwnedStatement(req.params.id, req);
+
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    await repository.deleteStatement(statement.id);
+    console.log('Statement deleted:', statement.id);
+    res.json({ status: 'success', message: 'Statement deleted' });
+  } catch (error) {
+    console.error('Error deleting statement:', error);
+    res.status(500).json({
+      error: 'Failed to delete statement',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/analyses/:id', async (req, res) => {
+  try {
+    const stored = await loadOwnedAnalysis(req.params.id, req);
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    res.json({ status: 'success', ...stored });
+  } catch (error) {
+    console.error('Error loading analysis:', error);
+    res.status(500).json({
+      error: 'Failed to load analysis',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Categories: user rules, merchant overrides and recategorization
+// =====================================================
+const RULE_MATCH_TYPES = ['contains', 'regex', 'merchant'];
+
+app.get('/api/categories', async (req, res) => {
+  try {
+    const rules = await repository.listCategoryRules(req.user.id);
+    res.json({
+      status: 'success',
+      mode: process.env.CATEGORIZATION_MODE || 'rules-first',
+      builtin: BUILTIN_CATEGORIES,
+      custom: [...new Set(rules.map(rule => rule.category))].filter(category => !BUILTIN_CATEGORIES.includes(category)),
+      rules
+    });
+  } catch (error) {
+    console.error('Error listing categories:', error);
+    res.status(500).json({
+      error: 'Failed to list categories',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/categories/rules', async (req, res) => {
+  const { pattern, category, matchType = 'contains' } = req.body;
+
+  if (!RULE_MATCH_TYPES.includes(matchType)) {
+    return res.status(400).json({ error: `matchType must be one of ${RULE_MATCH_TYPES.join(', ')}` });
+  }
+  if (typeof pattern !== 'string' || !pattern.trim() || typeof category !== 'string' || !category.trim()) {
+    return res.status(400).json({ error: 'pattern and category are required' });
+  }
+  if (matchType === 'regex') {
+    try {
+      compileUserRegex(pattern.trim());
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid regular expression', details: error.message });
+    }
+  }
+
+  try {
+    const rule = await repository.saveCategoryRule({
+      userId: req.user.id,
+      matchType,
+      pattern: matchType === 'merchant' ? merchantKey(pattern) || pattern.trim().toLowerCase() : pattern.trim(),
+      category: category.trim().slice(0, 60)
+    });
+    res.status(201).json({ status: 'success', rule });
+  } catch (error) {
+    console.error('Error saving category rule:', error);
+    res.status(500).json({
+      error: 'Failed to save category rule',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/categories/rules/:id', async (req, res) => {
+  try {
+    const deleted = await repository.deleteCategoryRule(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+
+    res.json({ status: 'success', message: 'Category rule deleted' });
+  } catch (error) {
+    console.error('Error deleting category rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete category rule',
+      details: error.message
+    });
+  }
+});
+
+// Change categories on a stored analysis. changes: [{ index, category }];
+// remember (default true) saves each change as an override for that
+// merchant; rerun re-applies the current rules to every row first. The
+// result is stored as a new analysis of the same statement.
+app.post('/api/analyses/:id/recategorize', async (req, res) => {
+  const { changes = [], remember = true, rerun = false } = req.body;
+
+  if (!Array.isArray(changes) || (changes.length === 0 && !rerun)) {
+    return res.status(400).json({ error: 'changes (or rerun) is required' });
+  }
+
+  try {
+    const stored = await loadOwnedAnalysis(req.params.id, req);
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const { documentType } = stored;
+    let transactions = Array.isArray(stored.analysis.transactions) ? stored.analysis.transactions : [];
+
+    // Every change is checked before any rule is saved, so a rejected
+    // request leaves the stored rules alone
+    const invalid = changes.find(change => !change || !transactions[change.index] || typeof change.category !== 'string' || !change.category.trim());
+    if (invalid !== undefined) {
+      return res.status(400).json({ error: `Invalid change for transaction ${invalid?.index}` });
+    }
+
+    if (rerun) transactions = (await loadCategorizer(req.user.id)).apply(transactions, documentType);
+    transactions = transactions.map(t => ({ ...t }));
+
+    const rulesSaved = [];
+    for (const change of changes) {
+      const t = transactions[change.index];
+      t.category = change.category.trim().slice(0, 60);
+      t.categorySource = 'user';
+
+      const key = merchantKey(t.description || t.merchant || t.narration);
+      if (remember && key) {
+        rulesSaved.push(await repository.saveCategoryRule({
+          userId: req.user.id,
+          matchType: 'merchant',
+          pattern: key,
+          category: t.category
+        }));
+      }
+    }
+
+    const analysis = recomputeAnalysis({ ...stored.analysis, transactions }, documentType);
+    const saved = await repository.saveStatementAnalysis({
+      userId: req.user.id,
+      statementId: stored.statementId,
+      documentType,
+      analysis,
+      validation: stored.validation,
+      parser: stored.parser,
+      chunks: stored.chunks
+    });
+    console.log(`Recategorized ${changes.length} transaction(s) of analysis ${stored.id}`);
+
+    res.json({
+      status: 'success',
+      ...saved,
+      changed: changes.length,
+      categories: analysis.categories,
+      rulesSaved
+    });
+  } catch (error) {
+    console.error('Error recategorizing:', error);
+    res.status(500).json({
+      error: 'Failed to recategorize transactions',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Subscriptions and recurring payments across statements
+// =====================================================
+// Without transactions or analysisIds the user's whole stored history of
+// documentType ('bank', 'credit' or 'all') is scanned
+app.post('/api/recurring', async (req, res) => {
+  const { transactions, analysisIds = [], documentType = 'credit', asOf } = req.body;
+
+  if (!['bank', 'credit', 'all'].includes(documentType)) {
+    return res.status(400).json({ error: "documentType must be 'bank', 'credit' or 'all'" });
+  }
+
+  try {
+    let history = [];
+
+    if (Array.isArray(transactions)) {
+      history = transactions;
+    } else if (analysisIds.length > 0) {
+      for (const analysisId of analysisIds) {
+        const stored = await loadOwnedAnalysis(analysisId, req);
+        if (!stored) {
+          return res.status(404).json({ error: `Analysis ${analysisId} not found` });
+        }
+        history.push(...(stored.analysis.transactions || []).map(t => ({ ...t, documentType: stored.documentType })));
+      }
+    } else {
+      history = await loadTransactionHistory(req.user.id, documentType);
+    }
+
+    const result = detectRecurring(history, documentType === 'all' ? 'credit' : documentType, { asOf });
+    console.log(`Recurring payments: ${result.summary.detected} found in ${history.length} transactions`);
+
+    res.json({ status: 'success', transactionsScanned: history.length, ...result });
+  } catch (error) {
+    console.error('Error detecting recurring payments:', error);
+    res.status(500).json({
+      error: 'Failed to detect recurring payments',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Cash-flow forecast and runway from bank history
+// =====================================================
+// Projects the daily balance `days` (30, 60 or 90) ahead. Without
+// transactions or analysisIds the user's stored bank statements are used;
+// balance overrides the latest running balance as the starting point.
+app.post('/api/forecast', async (req, res) => {
+  const { transactions, analysisIds = [], balance, asOf, days = 90, threshold = 0 } = req.body;
+
+  if (!FORECAST_HORIZONS.includes(Number(days))) {
+    return res.status(400).json({ error: `days must be one of ${FORECAST_HORIZONS.join(', ')}` });
+  }
+  if (!Number.isFinite(Number(threshold))) {
+    return res.status(400).json({ error: 'threshold must be a number' });
+  }
+
+  try {
+    let history = [];
+
+    if (Array.isArray(transactions)) {
+      history = transactions;
+    } else if (analysisIds.length > 0) {
+      for (const analysisId of analysisIds) {
+        const stored = await loadOwnedAnalysis(analysisId, req);
+        if (!stored) {
+          return res.status(404).json({ error: `Analysis ${analysisId} not found` });
+        }
+        if (stored.documentType !== 'bank') {
+          return res.status(400).json({ error: `Analysis ${analysisId} is not a bank statement` });
+        }
+        history.push(...(stored.analysis.transactions || []).map(t => ({ ...t, documentType: 'bank' })));
+      }
+    } else {
+      history = await loadTransactionHistory(req.user.id, 'bank');
+    }
+
+    const forecast = forecastCashFlow(history, { balance, asOf, days: Number(days), threshold: Number(threshold) });
+    if (forecast.status !== 'success') {
+      return res.status(422).json({ error: 'Not enough data to forecast', details: forecast.warnings.join('; ') });
+    }
+    console.log(`Forecast: ${days} days from ${forecast.asOf}, ${forecast.recurring.length} recurring items`);
+
+    res.json({ transactionsScanned: history.length, ...forecast });
+  } catch (error) {
+    console.error('Error building forecast:', error);
+    res.status(500).json({
+      error: 'Failed to build forecast',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Client income: payers and invoice matching
+// =====================================================
+// Credits of the user's stored bank statements (or analysisIds, or posted
+// transactions) grouped by payer. Invoices come as an uploaded CSV/JSON
+// file (field "invoices") or in the JSON body as a list or CSV text.
+// format: 'xlsx' downloads the workbook.
+app.post('/api/income', invoiceUpload.single('invoices'), async (req, res) => {
+  const { transactions, asOf, format } = req.body;
+  // Multipart forms send lists as comma-separated text
+  const analysisIds = typeof req.body.analysisIds === 'string'
+    ? req.body.analysisIds.split(',').map(id => id.trim()).filter(Boolean)
+    : req.body.analysisIds || [];
+  const windowDays = req.body.windowDays === undefined ? 60 : Number(req.body.windowDays);
+
+  if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > 365) {
+    return res.status(400).json({ error: 'windowDays must be a whole number of days up to 365' });
+  }
+
+  let invoices = [];
+  let invoiceErrors = [];
+  const invoiceInput = req.file ? req.file.buffer.toString('utf8') : req.body.invoices;
+  if (invoiceInput) {
+    try {
+      ({ invoices, errors: invoiceErrors } = normalizeInvoices(invoiceInput));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invoices could not be read', details: error.message });
+    }
+    if (invoices.length === 0) {
+      return res.status(400).json({ error: 'No usable invoices', details: invoiceErrors });
+    }
+  }
+
+  try {
+    let history = [];
+
+    if (Array.isArray(transactions)) {
+      history = transactions;
+    } else if (analysisIds.length > 0) {
+      for (const analysisId of analysisIds) {
+        const stored = await loadOwnedAnalysis(analysisId, req);
+        if (!stored) {
+          return res.status(404).json({ error: `Analysis ${analysisId} not found` });
+        }
+        history.push(...(stored.analysis.transactions || []).map(t => ({ ...t, documentType: stored.documentType })));
+      }
+    } else {
+      history = await loadTransactionHistory(req.user.id, 'bank');
+    }
+
+    const report = buildIncomeReport(history, { invoices, windowDays, asOf });
+    console.log(`Income: ${report.totals.payers} payers, ${invoices.length} invoices`);
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      createIncomeExcel(workbook, report);
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=income_report_${Date.now()}.xlsx`);
+      return res.send(buffer);
+    }
+
+    res.json({ status: 'success', transactionsScanned: history.length, ...report, invoiceErrors });
+  } catch (error) {
+    console.error('Error building income report:', error);
+    res.status(500).json({
+      error: 'Failed to build income report',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Rule-based alerts: thresholds per user and alerts for one statement
+// =====================================================
+app.get('/api/alerts/rules', async (req, res) => {
+  try {
+    res.json({ status: 'success', rules: listAlertRules(await loadAlertSettings(req.user.id)) });
+  } catch (error) {
+    console.error('Error loading alert rules:', error);
+    res.status(500).json({
+      error: 'Failed to load alert rules',
+      details: error.message
+    });
+  }
+});
+
+// Body: { "<ruleId>": { enabled, severity, thresholds: { ... } } }. Rules
+// not named keep their settings; an empty object resets a rule to defaults.
+app.post('/api/alerts/rules', async (req, res) => {
+  const { settings, errors } = normalizeAlertSettings(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid alert settings', details: errors.join('; ') });
+  }
+
+  try {
+    const current = await loadAlertSettings(req.user.id);
+    const alertRules = { ...current, ...settings };
+    for (const [ruleId, entry] of Object.entries(settings)) {
+      if (Object.keys(entry).length === 0) delete alertRules[ruleId];
+    }
+
+    await repository.upsertUser({ id: req.user.id, settings: { alertRules } });
+    console.log(`Alert settings saved for user ${req.user.id}: ${Object.keys(settings).join(', ')}`);
+    res.json({ status: 'success', rules: listAlertRules(alertRules) });
+  } catch (error) {
+    console.error('Error saving alert settings:', error);
+    res.status(500).json({
+      error: 'Failed to save alert settings',
+      details: error.message
+    });
+  }
+});
+
+// Alerts for a stored analysis (analysisId) or a posted one. `settings`
+// tries thresholds out without saving them.
+app.post('/api/alerts', async (req, res) => {
+  let { analysis, documentType } = req.body;
+  const { analysisId, settings: preview } = req.body;
+
+  try {
+    if (analysisId) {
+      const stored = await loadOwnedAnalysis(analysisId, req);
+      if (!stored) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+      analysis = stored.analysis;
+      documentType = stored.documentType;
+    }
+
+    if (!analysis) {
+      return res.status(400).json({ error: 'analysis or analysisId is required' });
+    }
+
+    let settings = await loadAlertSettings(req.user.id);
+    if (preview !== undefined) {
+      const checked = normalizeAlertSettings(preview);
+      if (checked.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert settings', details: checked.errors.join('; ') });
+      }
+      settings = { ...settings, ...checked.settings };
+    }
+
+    const historyType = documentType === 'bank' ? 'bank' : 'credit';
+    const history = await loadTransactionHistory(req.user.id, historyType);
+    const result = evaluateAlerts(analysis, historyType, { settings, history });
+    console.log(`Rule alerts: ${result.summary.total} for ${(analysis.transactions || []).length} transactions`);
+
+    res.json({ status: 'success', documentType: historyType, ...result });
+  } catch (error) {
+    console.error('Error evaluating alerts:', error);
+    res.status(500).json({
+      error: 'Failed to evaluate alerts',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Tax: business/personal tags, GST vendors and the tax workbook
+// =====================================================
+app.get('/api/tax/rules', async (req, res) => {
+  try {
+    const rules = await repository.listTaxRules(req.user.id);
+    res.json({ status: 'success', rules });
+  } catch (error) {
+    console.error('Error listing tax rules:', error);
+    res.status(500).json({
+      error: 'Failed to list tax rules',
+      details: error.message
+    });
+  }
+});
+
+// matchType 'category' tags a whole category ("Software" is business);
+// 'merchant', 'contains' and 'regex' match the narration
+app.post('/api/tax/rules', async (req, res) => {
+  const { matchType = 'contains', pattern, scope, taxHead } = req.body;
+
+  if (!TAX_RULE_MATCH_TYPES.includes(matchType)) {
+    return res.status(400).json({ error: `matchType must be one of ${TAX_RULE_MATCH_TYPES.join(', ')}` });
+  }
+  if (!SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of ${SCOPES.join(', ')}` });
+  }
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return res.status(400).json({ error: 'pattern is required' });
+  }
+  if (matchType === 'regex') {
+    try {
+      compileUserRegex(pattern.trim());
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid regular expression', details: error.message });
+    }
+  }
+
+  try {
+    const rule = await repository.saveTaxRule({
+      userId: req.user.id,
+      matchType,
+      pattern: matchType === 'merchant' ? merchantKey(pattern) || pattern.trim().toLowerCase() : pattern.trim(),
+      scope,
+      taxHead: typeof taxHead === 'string' && taxHead.trim() ? taxHead.trim().slice(0, 60) : null
+    });
+    res.status(201).json({ status: 'success', rule });
+  } catch (error) {
+    console.error('Error saving tax rule:', error);
+    res.status(500).json({
+      error: 'Failed to save tax rule',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/tax/rules/:id', async (req, res) => {
+  try {
+    const deleted = await repository.deleteTaxRule(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    res.json({ status: 'success', message: 'Tax rule deleted' });
+  } catch (error) {
+    console.error('Error deleting tax rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete tax rule',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/vendors', async (req, res) => {
+  try {
+    const vendors = await repository.listVendors(req.user.id);
+    res.json({ status: 'success', vendors });
+  } catch (error) {
+    console.error('Error listing vendors:', error);
+    res.status(500).json({
+      error: 'Failed to list vendors',
+      details: error.message
+    });
+  }
+});
+
+// Vendors that issue GST invoices. pattern defaults to the vendor name.
+app.post('/api/vendors', async (req, res) => {
+  const { name, matchType = 'contains', gstin, gstRate = 18, scope = 'business', taxHead } = req.body;
+  const pattern = req.body.pattern || name;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Vendor name is required' });
+  }
+  if (!['contains', 'merchant', 'regex'].includes(matchType)) {
+    return res.status(400).json({ error: 'matchType must be one of contains, merchant, regex' });
+  }
+  if (matchType === 'regex') {
+    try {
+      compileUserRegex(String(pattern).trim());
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid regular expression', details: error.message });
+    }
+  }
+  if (gstin && !isValidGstin(gstin)) {
+    return res.status(400).json({ error: 'Invalid GSTIN', details: `${gstin} fails the GSTIN format or check digit` });
+  }
+  if (!Number.isFinite(Number(gstRate)) || Number(gstRate) < 0 || Number(gstRate) > 28) {
+    return res.status(400).json({ error: 'gstRate must be a percentage between 0 and 28' });
+  }
+  if (scope !== null && !SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of ${SCOPES.join(', ')} or null` });
+  }
+
+  try {
+    const vendor = await repository.saveVendor({
+      userId: req.user.id,
+      name: name.trim().slice(0, 120),
+      matchType,
+      pattern: matchType === 'merchant' ? merchantKey(pattern) || pattern.trim().toLowerCase() : String(pattern).trim(),
+      gstin: gstin ? normalizeGstin(gstin) : null,
+      gstRate: Number(gstRate),
+      scope,
+      taxHead: typeof taxHead === 'string' && taxHead.trim() ? taxHead.trim().slice(0, 60) : null
+    });
+    res.status(201).json({ status: 'success', vendor });
+  } catch (error) {
+    console.error('Error saving vendor:', error);
+    res.status(500).json({
+      error: 'Failed to save vendor',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/vendors/:id', async (req, res) => {
+  try {
+    const deleted = await repository.deleteVendor(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    res.json({ status: 'success', message: 'Vendor deleted' });
+  } catch (error) {
+    console.error('Error deleting vendor:', error);
+    res.status(500).json({
+      error: 'Failed to delete vendor',
+      details: error.message
+    });
+  }
+});
+
+// Tag rows of a stored analysis. changes: [{ index, scope, taxHead }];
+// remember (default true) turns each tag into a rule for that merchant.
+app.post('/api/analyses/:id/tags', async (req, res) => {
+  const { changes = [], remember = true } = req.body;
+
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return res.status(400).json({ error: 'changes is required' });
+  }
+
+  try {
+    const stored = await loadOwnedAnalysis(req.params.id, req);
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const transactions = (stored.analysis.transactions || []).map(t => ({ ...t }));
+    const rulesSaved = [];
+
+    // Checked up front so a rejected request saves no tax rules
+    const invalid = changes.find(change => !change || !transactions[change.index] || !SCOPES.includes(change.scope));
+    if (invalid !== undefined) {
+      return res.status(400).json({ error: `Invalid tag for transaction ${invalid?.index}` });
+    }
+
+    for (const change of changes) {
+      const t = transactions[change.index];
+      t.scope = change.scope;
+      if (typeof change.taxHead === 'string' && change.taxHead.trim()) t.taxHead = change.taxHead.trim().slice(0, 60);
+
+      const key = merchantKey(t.description || t.merchant || t.narration);
+      if (remember && key) {
+        rulesSaved.push(await repository.saveTaxRule({
+          userId: req.user.id,
+          matchType: 'merchant',
+          pattern: key,
+          scope: t.scope,
+          taxHead: t.taxHead || null
+        }));
+      }
+    }
+
+    const saved = await repository.saveStatementAnalysis({
+      userId: req.user.id,
+      statementId: stored.statementId,
+      documentType: stored.documentType,
+      analysis: { ...stored.analysis, transactions },
+      validation: stored.validation,
+      parser: stored.parser,
+      chunks: stored.chunks
+    });
+
+    res.json({ status: 'success', ...saved, changed: changes.length, rulesSaved });
+  } catch (error) {
+    console.error('Error tagging transactions:', error);
+    res.status(500).json({
+      error: 'Failed to tag transactions',
+      details: error.message
+    });
+  }
+});
+
+// Tax report for one financial year (fy: "2024-25") over every stored
+// statement, or over analysisIds. format: 'xlsx' downloads the workbook.
+app.post('/api/tax/report', async (req, res) => {
+  const { fy, analysisIds = [], taxRate = 30, scheme = 'actual', format } = req.body;
+
+  if (!['actual', '44ADA'].includes(scheme)) {
+    return res.status(400).json({ error: "scheme must be 'actual' or '44ADA'" });
+  }
+  if (!Number.isFinite(Number(taxRate)) || Number(taxRate) < 0 || Number(taxRate) > 50) {
+    return res.status(400).json({ error: 'taxRate must be a percentage between 0 and 50' });
+  }
+
+  try {
+    let history = [];
+    if (analysisIds.length > 0) {
+      for (const analysisId of analysisIds) {
+        const stored = await loadOwnedAnalysis(analysisId, req);
+        if (!stored) {
+          return res.status(404).json({ error: `Analysis ${analysisId} not found` });
+        }
+        history.push(...(stored.analysis.transactions || []).map(t => ({ ...t, documentType: stored.documentType })));
+      }
+    } else {
+      history = await loadTransactionHistory(req.user.id, 'all');
+    }
+
+    const tagger = await loadTaxTagger(req.user.id);
+    const report = buildTaxReport(history, { tagger, fy, taxRate: Number(taxRate), scheme });
+    console.log(`Tax report ${report.financialYear}: ${report.transactions.length} transactions`);
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      createTaxExcel(workbook, report);
+      const buffer = await workbook.xlsx.writeBuffer();
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=tax_report_${report.financialYear}.xlsx`);
+      return res.send(buffer);
+    }
+
+    res.json({ status: 'success', ...report });
+  } catch (error) {
+    console.error('Error building tax report:', error);
+    res.status(500).json({
+      error: 'Failed to build tax report',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Background jobs: submit a session, poll or stream progress
+// =====================================================
+app.post('/api/jobs', async (req, res) => {
+  const { sessionId, type, password, provider } = req.body; // type: 'bank' or 'credit'
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session ID is required' });
+  }
+  if (!isKnownProvider(provider)) {
+    return res.status(400).json(unknownProviderError(provider));
+  }
+  if (password) {
+    const limit = unlockLimiter.check(req.user.id);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({ status: limit.reason, error: 'Too many unlock attempts', retryAfter: limit.retryAfter });
+    }
+  }
+
+  try {
+    // The password stays out of the stored job record
+    const job = await jobQueue.submit({ sessionId, type, provider, userId: req.user.id }, {
+      owner: req.user.id,
+      secret: password ? { password } : null
+    });
+    console.log('Job queued:', job.id, 'Session:', sessionId);
+
+    res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (error) {
+    console.error('Error queuing job:', error);
+    res.status(500).json({
+      error: 'Failed to queue job',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+
+    if (!job || job.owner !== req.user.id) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(toPublicJob(job));
+  } catch (error) {
+    console.error('Error loading job:', error);
+    res.status(500).json({
+      error: 'Failed to load job',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/jobs/:id/events', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+
+    if (!job || job.owner !== req.user.id) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const send = current => {
+      res.write(`event: ${current.status}\ndata: ${JSON.stringify(toPublicJob(current))}\n\n`);
+    };
+
+    send(job);
+    if (isFinished(job)) {
+      return res.end();
+    }
+
+    const unsubscribe = jobQueue.subscribe(job.id, updated => {
+      send(updated);
+      if (isFinished(updated)) {
+        unsubscribe();
+        res.end();
+      }
+    });
+
+    req.on('close', unsubscribe);
+  } catch (error) {
+    console.error('Error streaming job events:', error);
+    // Once the stream has started a JSON error can no longer be sent
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Failed to stream job events',
+      details: error.message
+    });
+  }
+});
+
+// =====================================================
+// Helper Functions
+// =====================================================
+
+// Text extraction followed by the analysis pipeline. `provider` puts one LLM
+// provider first in the fallback chain; `userId` brings in that user's
+// category rules; `report(stage, progress, detail)` lets background jobs
+// publish progress, the synchronous routes ignore it.
+async function processStatementPdf(pdfBuffer, type, { provider, userId, report = () => {} } = {}) {
+  await report('ocr', 20);
+
+  const extracted = await extractor.extract(pdfBuffer);
+  const extractedText = extracted.text;
+  console.log(`Extracted ${extractedText.length} characters with ${extracted.extractor}`);
+  extracted.warnings.forEach(warning => console.warn('Extraction:', warning));
+
+  // Table rows stand in for the text parser only when every page was OCRed;
+  // on mixed files the text layer pages have no table structure
+  const tables = extracted.extractor === 'documentai' ? parseDocumentTables(extracted.document, { type }) : null;
+  if (tables) {
+    console.log(`Document AI tables: ${tables.transactions.length} rows from ${tables.tables.transactionTables} of ${tables.tables.tables} tables`);
+  }
+
+  // Process with the language model (falls back through LLM_PROVIDERS)
+  const model = llm.select(provider);
+
+  const analyzed = await analyzeStatement(model, {
+    text: extractedText,
+    documentType: type,
+    categorizer: await loadCategorizer(userId),
+    redactor: createRedactor(redactionMode),
+    pages: extracted.pages,
+    tables,
+    onProgress: (stage, detail) => {
+      // Extraction spans 30-85%, spread evenly over the chunks
+      const progress = stage === 'extracting'
+        ? 30 + Math.round((55 * (detail.chunk - 1)) / detail.totalChunks)
+        : 90;
+      return report(stage, progress, detail);
+    }
+  });
+
+  return {
+    analysis: analyzed.analysis,
+    documentType: type,
+    textLength: extractedText.length,
+    extractor: extracted.extractor,
+    extraction: {
+      pages: extracted.pageReport,
+      warnings: extracted.warnings
+    },
+    parser: analyzed.parser,
+    validation: analyzed.validation,
+    structure: analyzed.structure,
+    providers: analyzed.providers,
+    chunks: analyzed.chunks,
+    redaction: analyzed.redaction,
+    ruleAlerts: await computeRuleAlerts(analyzed.analysis, type, userId),
+    // EMIs, fees and interest, utilization, minimum-due cost, reward points
+    card: type === 'bank' ? null : analyzeCard(analyzed.analysis)
+  };
+}
+
+async function runPdfJob({ sessionId, type, password, provider, userId }, report) {
+  await report('downloading', 5);
+  let pdfBuffer = await getTemporaryFile(sessionId, userId);
+
+  if (!pdfBuffer) {
+    throw new Error('Session expired or file not found');
+  }
+
+  if (password) {
+    await report('decrypting', 10);
+    try {
+      pdfBuffer = await decryptPdf(pdfBuffer, password);
+    } catch (error) {
+      // Wrong passwords sent through jobs count towards the unlock lockout too
+      if (error.code === 'INVALID_PASSWORD') unlockLimiter.fail(userId);
+      throw error;
+    }
+    unlockLimiter.succeed(userId);
+  }
+
+  const processed = await processStatementPdf(pdfBuffer, type, { provider, userId, report });
+  const stored = await persistAnalysis(processed, { userId });
+  return { ...processed, ...stored };
+}
+
+// Storing is best-effort: a database problem must not lose the analysis
+async function persistAnalysis(result, { userId = null, fileName = null } = {}) {
+  try {
+    return await repository.saveStatementAnalysis({
+      userId,
+      fileName,
+      documentType: result.documentType,
+      analysis: result.analysis,
+      validation: result.validation,
+      parser: result.parser,
+      chunks: result.chunks
+    });
+  } catch (error) {
+    console.error('Failed to store analysis:', error);
+    return { statementId: null, analysisId: null };
+  }
+}
+
+async function loadOwnedStatement(statementId, req) {
+  const statement = await repository.getStatement(statementId);
+  if (!statement || statement.userId !== req.user.id) return null;
+  return statement;
+}
+
+async function loadOwnedAnalysis(analysisId, req) {
+  const stored = await repository.getAnalysis(analysisId);
+  if (!stored) return null;
+
+  const statement = await loadOwnedStatement(stored.statementId, req);
+  if (!statement) return null;
+
+  return { ...stored, documentType: statement.documentType };
+}
+
+// Transactions of every stored statement of the user, each tagged with its
+// statement type so bank and card rows can be scanned together
+async function loadTransactionHistory(userId, documentType = 'all') {
+  const statements = await repository.listStatements(userId, { limit: 500 });
+  const history = [];
+
+  for (const statement of statements) {
+    if (documentType !== 'all' && statement.documentType !== documentType) continue;
+    const transactions = await repository.listTransactions(statement.id);
+    history.push(...transactions.map(t => ({ ...t, documentType: statement.documentType })));
+  }
+
+  return history;
+}
+
+// The user's alert rule overrides, kept in their settings
+async function loadAlertSettings(userId) {
+  const user = userId ? await repository.getUser(userId) : null;
+  return user?.settings?.alertRules || {};
+}
+
+// Rule alerts for a fresh analysis, judged against the statements stored
+// before it. Best-effort like storing: a failure must not lose the analysis.
+async function computeRuleAlerts(analysis, documentType, userId) {
+  const type = documentType === 'bank' ? 'bank' : 'credit';
+  try {
+    const history = userId ? await loadTransactionHistory(userId, type) : [];
+    return evaluateAlerts(analysis, type, { settings: await loadAlertSettings(userId), history });
+  } catch (error) {
+    console.error('Failed to evaluate alerts:', error);
+    return null;
+  }
+}
+
+// Built-in rules plus the user's own rules and remembered overrides
+async function loadCategorizer(userId) {
+  const userRules = userId ? await repository.listCategoryRules(userId) : [];
+  return createCategorizer({ userRules, mode: process.env.CATEGORIZATION_MODE || 'rules-first' });
+}
+
+// The user's business/personal rules and GST vendors
+async function loadTaxTagger(userId) {
+  return createTaxTagger({
+    rules: await repository.listTaxRules(userId),
+    vendors: await repository.listVendors(userId)
+  });
+}
+
+// Stored password hints, or null when none are stored or they no longer
+// open (the sealing key changed)
+async function loadPasswordHints(userId) {
+  if (!hintVault) return null;
+  const stored = await repository.getPasswordHints(userId);
+  return stored ? hintVault.open(userId, stored.sealed) : null;
+}
+
+// Accounting exports (everything but xlsx) as a file download
+function sendExport(res, format, source, documentType, options, filePrefix) {
+  const exported = exportStatement(format, source, documentType, {
+    ledgerName: options.ledgerName,
+    company: options.company,
+    accountName: options.accountName
+  });
+  console.log(`Exported ${exported.count} transactions as ${format}`);
+
+  res.setHeader('Content-Type', exported.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${filePrefix}_${Date.now()}.${exported.extension}`);
+  res.send(exported.body);
+}
+
+function unknownFormatError(format) {
+  return {
+    error: 'Unknown export format',
+    details: `"${format}" is not supported (supported: ${EXPORT_FORMATS.join(', ')})`
+  };
+}
+
+// Requests may name an enabled provider; nothing means the configured order
+function isKnownProvider(provider) {
+  return provider === undefined || provider === null || provider === '' || llm.has(provider);
+}
+
+function unknownProviderError(provider) {
+  return {
+    error: 'Unknown LLM provider',
+    details: `"${provider}" is not enabled (enabled: ${llm.providers.join(', ')})`
+  };
+}
+
+// 144 random bits: session IDs are bearer references to a user's statement
+function generateSessionId() {
+  return `session_${randomBytes(18).toString('base64url')}`;
+}
+
+// Anything else could point outside the temp directory
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^session_[A-Za-z0-9_-]{16,64}$/.test(sessionId);
+}
+
+// The owner is stored with the file so only that user can use the session
+async function saveTemporaryFile(sessionId, buffer, ownerId) {
+  await tempStore.save(sessionId, buffer, { owner: ownerId });
+  console.log('File saved temporarily:', sessionId);
+}
+
+// Returns null for unknown or expired sessions and for sessions owned by someone else
+async function getTemporaryFile(sessionId, ownerId) {
+  if (!isValidSessionId(sessionId)) return null;
+
+  try {
+    const buffer = await tempStore.get(sessionId, ownerId);
+    if (!buffer) console.error('File not found:', sessionId);
+    return buffer;
+  } catch (error) {
+    console.error('Error reading temp file:', error);
+    return null;
+  }
+}
+
+async function deleteTemporaryFile(sessionId) {
+  if (!isValidSessionId(sessionId)) return;
+
+  try {
+    if (await tempStore.delete(sessionId)) console.log('Temp file deleted:', sessionId);
+  } catch (error) {
+    console.error('Error deleting temp file:', error);
+  }
+}
 
 // Health check endpoint with all routes listed
 app.get('/', (req, res) => {
@@ -783,38 +2032,56 @@ app.get('/', (req, res) => {
       'POST /api/check-pdf',
       'POST /api/check-pdf-url',
       'POST /api/unlock-pdf',
+      'GET /api/unlock/hints',
+      'POST /api/unlock/hints',
+      'DELETE /api/unlock/hints',
+      'GET /api/unlock/rules',
       'POST /api/process-pdf',
       'POST /api/analyze-text',  // NEW ENDPOINT
-      'POST /api/generate-report'
+      'POST /api/generate-report',
+      'POST /api/merge-statements',
+      'GET /api/auth/me',
+      'GET /api/auth/api-keys',
+      'POST /api/auth/api-keys',
+      'DELETE /api/auth/api-keys/:id',
+      'GET /api/statements',
+      'GET /api/statements/:id',
+      'GET /api/statements/:id/transactions',
+      'DELETE /api/statements/:id',
+      'GET /api/analyses/:id',
+      'POST /api/analyses/:id/recategorize',
+      'GET /api/categories',
+      'POST /api/recurring',
+      'POST /api/forecast',
+      'POST /api/income',
+      'GET /api/alerts/rules',
+      'POST /api/alerts/rules',
+      'POST /api/alerts',
+      'GET /api/tax/rules',
+      'POST /api/tax/rules',
+      'DELETE /api/tax/rules/:id',
+      'GET /api/vendors',
+      'POST /api/vendors',
+      'DELETE /api/vendors/:id',
+      'POST /api/analyses/:id/tags',
+      'POST /api/tax/report',
+      'POST /api/categories/rules',
+      'DELETE /api/categories/rules/:id',
+      'POST /api/jobs',
+      'GET /api/jobs/:id',
+      'GET /api/jobs/:id/events'
     ],
     version: '3.0',
-    features: ['Client-side PDF processing support', 'Text analysis endpoint', 'Firebase URL support', 'Direct Excel download']
+    features: ['Client-side PDF processing support', 'Text analysis endpoint', 'Firebase URL support', 'Direct Excel download'],
+    llmProviders: llm.providers,
+    extraction: {
+      mode: extractor.mode,
+      documentAi: extractor.documentAi
+    },
+    redaction: redactionMode
   });
 });
 
-// Clean up temp files periodically (every hour)
-setInterval(async () => {
-  try {
-    const tempDir = path.join(__dirname, 'temp');
-    const files = await fs.readdir(tempDir).catch(() => []);
-    const now = Date.now();
-    
-    for (const file of files) {
-      const filePath = path.join(tempDir, file);
-      const stats = await fs.stat(filePath);
-      const age = now - stats.mtimeMs;
-      
-      // Delete files older than 1 hour
-      if (age > 3600000) {
-        await fs.unlink(filePath);
-        console.log(`Cleaned up old temp file: ${file}`);
-      }
-    }
-  } catch (error) {
-    console.error('Cleanup error:', error);
-  }
-}, 3600000); // Run every hour
-
 // Start server
 app.listen(PORT, () => {
   console.log(`
@@ -824,6 +2091,7 @@ app.listen(PORT, () => {
 ║  Port: ${PORT}                            ║
 ║  Status: Ready                         ║
 ║  PDF Support: ✅                       ║
+║  Document AI: ${extractor.documentAi ? '✅' : '➖ Text layer only'}                        ║
 ║  Password PDFs: ✅                     ║
 ║  Gemini AI: ${process.env.GEMINI_API_KEY ? '✅' : '❌ Missing API Key'}                        ║
 ║  Excel Export: ✅                      ║
@@ -0,0 +1,145 @@
+// lib/alerts/index.js - Deterministic alerts over a statement's transactions
+//
+// Unlike the model's free-text `alerts`, these come from fixed rules with
+// user-set thresholds, and each points at the rows that triggered it by
+// their index in analysis.transactions.
+import { parseDate } from '../parsers/index.js';
+import { merchantKey } from '../categorize/index.js';
+import { round2, toNumber, isCardCredit } from '../analysis/aggregate.js';
+import { ALERT_RULES, SEVERITIES } from './rules.js';
+
+export { ALERT_RULES, SEVERITIES };
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function narrationOf(t) {
+  return String(t.description || t.merchant || t.narration || '');
+}
+
+function keyOf(t) {
+  return t.merchantName ? t.merchantName.toLowerCase() : merchantKey(narrationOf(t));
+}
+
+// Rows reduced to what the rules read; card payments and bank credits are
+// incoming, everything else outgoing
+function toRows(transactions, documentType) {
+  return (Array.isArray(transactions) ? transactions : []).map((t, index) => {
+    const type = t.documentType || documentType;
+    const outgoing = type === 'bank' ? toNumber(t.debit) > 0 : !isCardCredit(t);
+    const amount = type === 'bank'
+      ? (toNumber(t.debit) || toNumber(t.credit))
+      : Math.abs(toNumber(t.amount));
+    return {
+      index,
+      date: parseDate(t.date),
+      description: narrationOf(t),
+      amount: round2(amount),
+      outgoing,
+      category: t.category || null,
+      currency: t.currency ? String(t.currency).toUpperCase() : null,
+      key: keyOf(t)
+    };
+  });
+}
+
+// Rules with the user's overrides applied:
+// { [ruleId]: { enabled, severity, ...thresholds } }
+export function listAlertRules(overrides = {}) {
+  return ALERT_RULES.map(rule => {
+    const custom = overrides[rule.id] || {};
+    return {
+      id: rule.id,
+      description: rule.description,
+      documentTypes: rule.documentTypes || ['bank', 'credit'],
+      enabled: custom.enabled ?? true,
+      severity: custom.severity || rule.severity,
+      thresholds: { ...rule.defaults, ...(custom.thresholds || {}) },
+      defaults: { enabled: true, severity: rule.severity, thresholds: rule.defaults }
+    };
+  });
+}
+
+// Validate user overrides; returns { settings, errors }. Unknown rules,
+// unknown thresholds and negative numbers are errors.
+export function normalizeAlertSettings(input) {
+  const settings = {};
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings, errors: ['Alert settings must be an object keyed by rule ID'] };
+  }
+
+  for (const [ruleId, value] of Object.entries(input)) {
+    const rule = ALERT_RULES.find(entry => entry.id === ruleId);
+    if (!rule) {
+      errors.push(`Unknown alert rule "${ruleId}"`);
+      continue;
+    }
+    if (!value || typeof value !== 'object') {
+      errors.push(`${ruleId}: settings must be an object`);
+      continue;
+    }
+
+    const entry = {};
+    if (value.enabled !== undefined) {
+      if (typeof value.enabled !== 'boolean') errors.push(`${ruleId}: enabled must be true or false`);
+      else entry.enabled = value.enabled;
+    }
+    if (value.severity !== undefined) {
+      if (!SEVERITIES.includes(value.severity)) errors.push(`${ruleId}: severity must be one of ${SEVERITIES.join(', ')}`);
+      else entry.severity = value.severity;
+    }
+    for (const [name, threshold] of Object.entries(value.thresholds || {})) {
+      if (!(name in rule.defaults)) {
+        errors.push(`${ruleId}: unknown threshold "${name}" (available: ${Object.keys(rule.defaults).join(', ') || 'none'})`);
+      } else if (!Number.isFinite(Number(threshold)) || Number(threshold) < 0) {
+        errors.push(`${ruleId}: ${name} must be a number of at least 0`);
+      } else {
+        entry.thresholds = { ...(entry.thresholds || {}), [name]: Number(threshold) };
+      }
+    }
+    settings[ruleId] = entry;
+  }
+
+  return { settings, errors };
+}
+
+// Run every enabled rule on one analysis. history: earlier rows of the same
+// document type (see loadTransactionHistory) for baselines and known
+// merchants. Returns { items, summary }; each item is { id, ruleId,
+// severity, message, amount, transactions: [{ index, date, description, amount }] }.
+export function evaluateAlerts(analysis, documentType, { settings = {}, history = [] } = {}) {
+  const rows = toRows(analysis?.transactions, documentType);
+  const context = {
+    documentType,
+    dueDate: parseDate(analysis?.summary?.dueDate || analysis?.cardInfo?.dueDate),
+    history: toRows(history, documentType)
+      .filter(row => row.outgoing && row.date)
+      .map(({ date, amount, category, key }) => ({ date, amount, category, key }))
+  };
+
+  const items = [];
+  for (const rule of listAlertRules(settings)) {
+    if (!rule.enabled || !rule.documentTypes.includes(documentType)) continue;
+    const definition = ALERT_RULES.find(entry => entry.id === rule.id);
+    const findings = definition.evaluate(rows, context, rule.thresholds);
+    findings.forEach(({ rows: triggered, severity, ...finding }, n) => {
+      items.push({
+        id: `${rule.id}-${n + 1}`,
+        ruleId: rule.id,
+        // A rule may raise or lower one finding; a user's severity wins
+        severity: settings[rule.id]?.severity || severity || rule.severity,
+        ...finding,
+        transactions: triggered.map(({ index, date, description, amount }) => ({ index, date, description, amount }))
+      });
+    });
+  }
+
+  items.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+    (a.transactions[0]?.index ?? 0) - (b.transactions[0]?.index ?? 0));
+
+  const count = key => items.reduce((counts, item) => ({ ...counts, [item[key]]: (counts[item[key]] || 0) + 1 }), {});
+  return {
+    items,
+    summary: { total: items.length, bySeverity: count('severity'), byRule: count('ruleId') }
+  };
+}
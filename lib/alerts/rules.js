@@ -0,0 +1,232 @@
+// lib/alerts/rules.js - Built-in alert rules over extracted transactions
+//
+// Each rule reads the statement's rows (with their index in
+// analysis.transactions) and returns findings; lib/alerts/index.js adds the
+// rule ID, severity and transaction references. `defaults` are the
+// thresholds a user can override per rule.
+import { round2 } from '../analysis/aggregate.js';
+
+export const SEVERITIES = ['low', 'medium', 'high'];
+
+const DAY = 86400000;
+
+const CURRENCY_CODES = /\b(?:USD|EUR|GBP|AED|SGD|AUD|CAD|JPY|CHF|HKD|THB|MYR|SAR|QAR|CNY|NZD|LKR|NPR)\b/i;
+const FOREIGN_WORDS = /\bFOREIGN\b|\bINTL\b|\bINTERNATIONAL\b|\bCROSS[\s-]*BORDER\b|\bDCC\b|\bFX\b|\bFOREX\b/i;
+const PENALTY = /\bPENALTY\b|\bPENAL\b|\bLATE\s*(?:PAYMENT\s*)?FEE\b|\bOVER\s*LIMIT\b|\bOVERLIMIT\b|\bMIN(?:IMUM)?\.?\s*BAL|\bNON[\s-]*MAINT|\bBOUNCE|\b(?:CHQ|CHEQUE|ECS|NACH|ACH|EMI)\s*(?:RTN|RETURN)|\bRETURN\s*CHG|\bINSUFFICIENT\b/i;
+const GST_ON_CHARGES = /\b(?:I|C|S)?GST\b|\bSERVICE\s*TAX\b/i;
+const FEES = /\bFEES?\b|\bCHARGES?\b|\bCHGS?\b|\bMARKUP\b|\bMARK[\s-]*UP\b|\bAMC\b|\bSMS\s*ALERT|\bANNUAL\s*FEE\b|\bJOINING\s*FEE\b|\bSURCHARGE\b|\bCONVENIENCE\b/i;
+const LATE_INTEREST = /\bFIN(?:ANCE)?\.?\s*CHARGES?\b|\bINTEREST\b|\bINT\.?\s*(?:CHG|CHARGED|DEBIT|DR)\b|\bLATE\s*PAYMENT\b|\bOVERDUE\s*INT/i;
+const EMI = /\bEMI\b|\bSMART\s*EMI\b|\bFLEXI\s*PAY\b|\bEASY\s*EMI\b|\bLOAN\s*ON\s*CARD\b|\bINSTA\s*(?:JUMBO\s*)?LOAN\b|\bINSTAL+MENT\b/i;
+
+// EMI interest belongs to the plan, and "IGST ON FINANCE CHARGES" is GST
+// for fees-and-charges, as in classifyCharges (lib/analysis/card.js)
+function isLateInterest(description) {
+  return LATE_INTEREST.test(description) && !EMI.test(description) && !GST_ON_CHARGES.test(description);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatAmount(amount) {
+  return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// rows: { index, date, description, amount, outgoing, category, currency, key }
+// context: { documentType, dueDate, history } where history holds earlier
+// outgoing rows { date, amount, category, key } from stored statements
+export const ALERT_RULES = [
+  {
+    id: 'duplicate-charge',
+    description: 'The same amount charged by the same merchant more than once within a few days',
+    severity: 'high',
+    defaults: { windowDays: 2, minAmount: 100 },
+    evaluate(rows, context, { windowDays, minAmount }) {
+      const findings = [];
+      const groups = new Map();
+      for (const row of rows) {
+        if (!row.outgoing || !row.date || !row.key || row.amount < minAmount) continue;
+        const id = `${row.key}|${row.amount}`;
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(row);
+      }
+
+      for (const group of groups.values()) {
+        group.sort((a, b) => a.date.localeCompare(b.date));
+        let cluster = [group[0]];
+        const flush = () => {
+          if (cluster.length > 1) {
+            findings.push({
+              message: `${cluster[0].description}: ${formatAmount(cluster[0].amount)} charged ${cluster.length} times between ${cluster[0].date} and ${cluster[cluster.length - 1].date}`,
+              amount: round2(cluster[0].amount * (cluster.length - 1)),
+              rows: cluster
+            });
+          }
+        };
+        for (const row of group.slice(1)) {
+          if (daysBetween(cluster[cluster.length - 1].date, row.date) <= windowDays) {
+            cluster.push(row);
+          } else {
+            flush();
+            cluster = [row];
+          }
+        }
+        flush();
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'large-amount',
+    description: 'An outgoing amount several times the usual amount for its category',
+    severity: 'medium',
+    defaults: { multiplier: 3, minAmount: 5000, minSamples: 5 },
+    evaluate(rows, context, { multiplier, minAmount, minSamples }) {
+      // Baselines come from history and this statement together, so a first
+      // statement still has one
+      const samples = [...context.history, ...rows.filter(row => row.outgoing)];
+      const byCategory = new Map();
+      for (const sample of samples) {
+        const category = sample.category || 'Others';
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(sample.amount);
+      }
+      const overall = samples.length >= minSamples ? median(samples.map(sample => sample.amount)) : null;
+
+      return rows.filter(row => row.outgoing).flatMap(row => {
+        const amounts = byCategory.get(row.category || 'Others') || [];
+        const baseline = amounts.length >= minSamples ? median(amounts) : overall;
+        if (!baseline || row.amount < minAmount || row.amount < baseline * multiplier) return [];
+        return [{
+          message: `${row.description}: ${formatAmount(row.amount)} is ${round2(row.amount / baseline)}x the usual ${formatAmount(round2(baseline))} for ${row.category || 'this category'}`,
+          amount: row.amount,
+          baseline: round2(baseline),
+          rows: [row]
+        }];
+      });
+    }
+  },
+  {
+    id: 'foreign-transaction',
+    description: 'Card transactions in a foreign currency or with an international merchant',
+    severity: 'medium',
+    documentTypes: ['credit'],
+    defaults: {},
+    evaluate(rows) {
+      return rows
+        .filter(row => row.outgoing && (CURRENCY_CODES.test(row.description) || FOREIGN_WORDS.test(row.description) || (row.currency && row.currency !== 'INR')))
+        .map(row => ({
+          message: `${row.description}: ${formatAmount(row.amount)} international transaction (forex markup and GST usually apply)`,
+          amount: row.amount,
+          rows: [row]
+        }));
+    }
+  },
+  {
+    id: 'fees-and-charges',
+    description: 'Bank and card fees, penalties and GST on charges',
+    severity: 'low',
+    defaults: { minAmount: 0 },
+    evaluate(rows, context, { minAmount }) {
+      return rows
+        .filter(row => row.outgoing && row.amount >= minAmount && !isLateInterest(row.description))
+        .flatMap(row => {
+          let kind = null;
+          if (PENALTY.test(row.description)) kind = 'penalty';
+          else if (GST_ON_CHARGES.test(row.description) && !/\bPAYMENT\b/i.test(row.description)) kind = 'gst';
+          else if (FEES.test(row.description)) kind = 'fee';
+          if (!kind) return [];
+          return [{
+            message: `${row.description}: ${formatAmount(row.amount)} ${kind === 'penalty' ? 'penalty' : kind === 'gst' ? 'GST on charges' : 'fee'}`,
+            amount: row.amount,
+            kind,
+            // Penalties are avoidable, so they rank above routine fees
+            severity: kind === 'penalty' ? 'medium' : undefined,
+            rows: [row]
+          }];
+        });
+    }
+  },
+  {
+    id: 'late-payment-interest',
+    description: 'Interest, finance charges or late payment charges',
+    severity: 'high',
+    defaults: {},
+    evaluate(rows, context) {
+      return rows
+        .filter(row => row.outgoing && isLateInterest(row.description))
+        // A bank debit called "interest" is usually a loan instalment; only
+        // penal or overdue interest is flagged there
+        .filter(row => context.documentType !== 'bank' || /\bPENAL|\bOVERDUE|\bLATE\b/i.test(row.description))
+        .map(row => ({
+          message: `${row.description}: ${formatAmount(row.amount)} interest or late payment charge; pay the full balance by the due date to avoid it`,
+          amount: row.amount,
+          rows: [row]
+        }));
+    }
+  },
+  {
+    id: 'after-due-date',
+    description: 'Card payments or charges dated after the payment due date',
+    severity: 'medium',
+    documentTypes: ['credit'],
+    defaults: { graceDays: 0 },
+    evaluate(rows, context, { graceDays }) {
+      const dueDate = context.dueDate;
+      if (!dueDate) return [];
+      return rows
+        .filter(row => row.date && daysBetween(dueDate, row.date) > graceDays)
+        .map(row => ({
+          message: row.outgoing
+            ? `${row.description}: charged on ${row.date}, after the ${dueDate} due date`
+            : `${row.description}: payment of ${formatAmount(row.amount)} on ${row.date} came after the ${dueDate} due date`,
+          amount: row.amount,
+          // A late payment costs interest; a charge after the due date
+          // usually belongs to the next cycle
+          severity: row.outgoing ? 'low' : 'high',
+          rows: [row]
+        }));
+    }
+  },
+  {
+    id: 'new-merchant',
+    description: 'Merchants never seen in earlier statements, charged a large amount or several times in a row',
+    severity: 'low',
+    defaults: { minAmount: 2000, burstCount: 3, burstDays: 7 },
+    evaluate(rows, context, { minAmount, burstCount, burstDays }) {
+      // Without earlier statements every merchant is new
+      if (context.history.length === 0) return [];
+      const first = rows.reduce((min, row) => (row.date && (!min || row.date < min) ? row.date : min), null);
+      const known = new Set(context.history.filter(row => !first || row.date < first).map(row => row.key));
+      const byMerchant = new Map();
+      for (const row of rows) {
+        if (!row.outgoing || !row.key || known.has(row.key)) continue;
+        if (!byMerchant.has(row.key)) byMerchant.set(row.key, []);
+        byMerchant.get(row.key).push(row);
+      }
+
+      const findings = [];
+      for (const charges of byMerchant.values()) {
+        const total = round2(charges.reduce((sum, row) => sum + row.amount, 0));
+        const span = charges.length > 1 ? daysBetween(charges[0].date, charges[charges.length - 1].date) : 0;
+        const burst = charges.length >= burstCount && span <= burstDays;
+        if (!burst && !charges.some(row => row.amount >= minAmount)) continue;
+        findings.push({
+          message: burst
+            ? `${charges[0].description}: new merchant charged ${charges.length} times in ${span + 1} day(s), ${formatAmount(total)} in total`
+            : `${charges[0].description}: new merchant, ${formatAmount(total)} this statement`,
+          amount: total,
+          severity: burst ? 'medium' : undefined,
+          rows: charges
+        });
+      }
+      return findings;
+    }
+  }
+];
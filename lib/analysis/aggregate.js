@@ -0,0 +1,194 @@
+// lib/analysis/aggregate.js - Recompute analysis totals from a transaction list
+import { parseAmount, parseDate } from '../parsers/index.js';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const PAYMENT_PATTERN = /\b(?:PAYMENT\s+RECEIVED|THANK\s+YOU|REFUND|REVERSAL|CASHBACK)\b/i;
+
+export function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function toNumber(value) {
+  return parseAmount(value) ?? 0;
+}
+
+// "Credit Card" -> creditCard, "UPI" -> upi, missing -> others
+export function toCategoryKey(category) {
+  const words = String(category || '').trim().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length === 0) return 'others';
+  return words[0] + words.slice(1).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+// Bank rows carry debit/credit, card rows a single amount (negative for payments)
+export function transactionAmount(t, documentType) {
+  if (documentType === 'bank') return toNumber(t.debit) || toNumber(t.credit);
+  return Math.abs(toNumber(t.amount));
+}
+
+export function isCardCredit(t) {
+  const amount = toNumber(t.amount);
+  return amount < 0 || PAYMENT_PATTERN.test(t.merchant || t.description || '');
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function transactionKey(t) {
+  return [
+    parseDate(t.date) || normalizeText(t.date),
+    normalizeText(t.description || t.merchant || t.narration),
+    toNumber(t.debit),
+    toNumber(t.credit),
+    toNumber(t.amount),
+    t.balance === undefined || t.balance === null ? '' : toNumber(t.balance)
+  ].join('|');
+}
+
+// Drop the leading rows of `incoming` that repeat the trailing rows of
+// `existing` - the overlap between neighbouring chunks. Identical rows
+// elsewhere are genuine repeats (two equal payments on one day) and stay.
+export function appendWithoutOverlap(existing, incoming, maxOverlap = 50) {
+  const limit = Math.min(existing.length, incoming.length, maxOverlap);
+  const existingKeys = existing.slice(-limit).map(transactionKey);
+  const incomingKeys = incoming.slice(0, limit).map(transactionKey);
+
+  for (let size = limit; size > 0; size--) {
+    const tail = existingKeys.slice(existingKeys.length - size);
+    if (tail.every((key, i) => key === incomingKeys[i])) {
+      return { transactions: [...existing, ...incoming.slice(size)], duplicates: size };
+    }
+  }
+
+  return { transactions: [...existing, ...incoming], duplicates: 0 };
+}
+
+export function computeBankSummary(transactions) {
+  let totalDeposits = 0;
+  let totalWithdrawals = 0;
+
+  for (const t of transactions) {
+    totalDeposits += toNumber(t.credit);
+    totalWithdrawals += toNumber(t.debit);
+  }
+
+  return {
+    totalDeposits: round2(totalDeposits),
+    totalWithdrawals: round2(totalWithdrawals),
+    netFlow: round2(totalDeposits - totalWithdrawals),
+    transactionCount: transactions.length
+  };
+}
+
+export function computeCardSummary(transactions) {
+  let totalSpent = 0;
+  let paymentMade = 0;
+
+  for (const t of transactions) {
+    const amount = Math.abs(toNumber(t.amount));
+    if (isCardCredit(t)) paymentMade += amount;
+    else totalSpent += amount;
+  }
+
+  return {
+    totalSpent: round2(totalSpent),
+    paymentMade: round2(paymentMade),
+    transactionCount: transactions.length
+  };
+}
+
+function transactionDays(transactions) {
+  const times = transactions
+    .map(t => parseDate(t.date))
+    .filter(Boolean)
+    .map(date => Date.parse(date));
+  if (times.length === 0) return 0;
+  return Math.round((Math.max(...times) - Math.min(...times)) / 86400000) + 1;
+}
+
+export function computeCategories(transactions, documentType) {
+  const categories = {};
+  let grandTotal = 0;
+
+  for (const t of transactions) {
+    if (documentType !== 'bank' && isCardCredit(t)) continue;
+    const key = toCategoryKey(t.category);
+    const amount = transactionAmount(t, documentType);
+    categories[key] = categories[key] || { total: 0, count: 0, percentage: 0 };
+    categories[key].total += amount;
+    categories[key].count++;
+    grandTotal += amount;
+  }
+
+  for (const data of Object.values(categories)) {
+    data.total = round2(data.total);
+    data.percentage = grandTotal > 0 ? round2((data.total / grandTotal) * 100) : 0;
+  }
+
+  return categories;
+}
+
+export function computeMonthlyPatterns(transactions) {
+  const months = new Map();
+
+  for (const t of transactions) {
+    const date = parseDate(t.date);
+    if (!date) continue;
+    const key = date.slice(0, 7);
+    months.set(key, (months.get(key) || 0) + toNumber(t.debit));
+  }
+
+  if (months.size === 0) return null;
+
+  const entries = [...months.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  const label = key => `${MONTH_NAMES[parseInt(key.slice(5), 10) - 1]} ${key.slice(0, 4)}`;
+  const highest = entries.reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+  const lowest = entries.reduce((min, entry) => (entry[1] < min[1] ? entry : min));
+  const total = entries.reduce((sum, entry) => sum + entry[1], 0);
+
+  return {
+    highestSpendingMonth: label(highest[0]),
+    lowestSpendingMonth: label(lowest[0]),
+    averageMonthlySpending: round2(total / entries.length)
+  };
+}
+
+export function computeTopTransactions(transactions, documentType, limit = 10) {
+  return transactions
+    .filter(t => documentType === 'bank' || !isCardCredit(t))
+    .map(t => ({ t, amount: transactionAmount(t, documentType) }))
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, limit)
+    .map(({ t, amount }) => (documentType === 'bank'
+      ? { date: t.date, description: t.description, amount, type: toNumber(t.debit) ? 'debit' : 'credit' }
+      : { date: t.date, merchant: t.merchant, amount }));
+}
+
+// Rebuild every derived field of an analysis from its transactions, keeping
+// statement-printed values (due date, minimum due, balances) untouched
+export function recomputeAnalysis(analysis, documentType) {
+  const transactions = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+  const result = { ...analysis, categories: computeCategories(transactions, documentType) };
+
+  if (documentType === 'bank') {
+    const summary = computeBankSummary(transactions);
+    const days = transactionDays(transactions);
+    result.summary = {
+      ...(analysis.summary || {}),
+      ...summary,
+      avgDailySpending: days > 0 ? round2(summary.totalWithdrawals / days) : 0
+    };
+    result.monthlyPatterns = computeMonthlyPatterns(transactions) || analysis.monthlyPatterns;
+    result.topTransactions = computeTopTransactions(transactions, documentType);
+  } else {
+    const { totalSpent, paymentMade } = computeCardSummary(transactions);
+    result.summary = { ...(analysis.summary || {}), totalSpent, paymentMade };
+    result.expensiveTransactions = computeTopTransactions(transactions, documentType);
+  }
+
+  return result;
+}
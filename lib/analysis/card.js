@@ -0,0 +1,388 @@
+// lib/analysis/card.js - Credit card specifics: EMIs, fees and interest, utilization, minimum-due cost and reward points
+//
+// Everything here is worked out from the extracted rows and the printed
+// summary, so a stored analysis gives the same answer every time. Values the
+// model read off the statement (EMI tables, the reward points box) fill in
+// what the rows cannot show.
+import { parseDate } from '../parsers/index.js';
+import { round2, toNumber, isCardCredit } from './aggregate.js';
+
+// Indian issuers charge 3-3.75% a month on revolved balances; used when the
+// statement does not print its rate
+export const DEFAULT_MONTHLY_RATE = 3.75;
+export const GST_RATE = 0.18;
+
+// Minimum due on most Indian cards: 5% of the balance, at least ₹200
+const MINIMUM_DUE_PERCENT = 5;
+const MINIMUM_DUE_FLOOR = 200;
+const MAX_PAYOFF_MONTHS = 600;
+
+const EMI = /\bEMI\b|\bSMART\s*EMI\b|\bFLEXI\s*PAY\b|\bEASY\s*EMI\b|\bLOAN\s*ON\s*CARD\b|\bINSTA\s*(?:JUMBO\s*)?LOAN\b|\bINSTAL+MENT\b/i;
+const EMI_CONVERSION = /\bCONVERTED\s*TO\s*EMI\b|\bEMI\s*CONVERSION\b|\bEMI\s*(?:BOOKED|BOOKING)\b|\bTXN\s*CONVERTED\b/i;
+const EMI_INSTALMENT = /\b(\d{1,2})\s*(?:\/|OF)\s*(\d{1,2})\b/i;
+const EMI_INTEREST = /\bINTEREST\b|\bINT\b/i;
+const EMI_PRINCIPAL = /\bPRINCIPAL\b|\bPRIN\b/i;
+
+// Checked in order: "IGST ON FINANCE CHARGES" is GST, not a finance charge
+const CHARGE_KINDS = [
+  { kind: 'gst', pattern: /\b[ICS]?GST\b|\bSERVICE\s*TAX\b/i },
+  { kind: 'lateFee', pattern: /\bLATE\s*(?:PAYMENT\s*)?(?:FEE|CHARGES?|CHG)\b|\bLPF\b|\bOVER\s*LIMIT\b|\bOVERLIMIT\b/i },
+  { kind: 'financeCharge', pattern: /\bFIN(?:ANCE)?\.?\s*CHARGES?\b|\bINTEREST\b|\bINT\.?\s*(?:CHG|CHARGED|DEBIT|DR)\b|\bRETAIL\s*INT/i },
+  { kind: 'forexMarkup', pattern: /\bMARK[\s-]*UP\b|\bCROSS\s*CURRENCY\b|\bFOREX\b|\bDCC\b|\bFOREIGN\s*(?:CURRENCY\s*)?(?:TXN\s*)?FEE\b/i },
+  { kind: 'annualFee', pattern: /\b(?:ANNUAL|JOINING|RENEWAL|MEMBERSHIP)\s*(?:MEMBERSHIP\s*)?FEES?\b/i },
+  { kind: 'otherFee', pattern: /\bFEES?\b|\bCHARGES?\b|\bCHGS?\b|\bSURCHARGE\b|\bCASH\s*(?:ADVANCE|WITHDRAWAL)\b/i }
+];
+const REVERSAL = /\bREVERS|\bREFUND\b|\bWAIVE|\bWAIVER\b|\bCANCEL/i;
+
+function descriptionOf(t) {
+  return String(t.merchant || t.description || '');
+}
+
+function emiKey(description) {
+  return description
+    .toLowerCase()
+    .replace(EMI_INSTALMENT, ' ')
+    .replace(/\b(?:emi|smart|flexi|pay|easy|principal|prin|interest|int|amt|amount|inst|instal+ment|no|of|on|for|loan|card|txn)\b/g, ' ')
+    .replace(/\d+/g, ' ')
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+// EMI plans from instalment rows ("EMI 3/12 CROMA PRINCIPAL") merged with
+// the EMI table the model read off the statement
+export function detectEmis(transactions, statementEmis = []) {
+  const plans = new Map();
+  const conversions = [];
+
+  transactions.forEach((t, index) => {
+    const description = descriptionOf(t);
+    if (!EMI.test(description) && !EMI_CONVERSION.test(description)) return;
+    const amount = round2(Math.abs(toNumber(t.amount)));
+    const date = parseDate(t.date);
+
+    // Converting a purchase credits it back and books the plan
+    if (EMI_CONVERSION.test(description) || isCardCredit(t)) {
+      conversions.push({ index, date, description, amount });
+      return;
+    }
+
+    const key = emiKey(description) || 'emi';
+    if (!plans.has(key)) {
+      plans.set(key, { key, description, rows: [], principal: 0, interest: 0, paidInstalments: null, totalInstalments: null });
+    }
+    const plan = plans.get(key);
+    plan.rows.push({ index, date, description, amount });
+    if (EMI_INTEREST.test(description) && !EMI_PRINCIPAL.test(description)) plan.interest += amount;
+    else plan.principal += amount;
+
+    const instalment = description.match(EMI_INSTALMENT);
+    if (instalment && Number(instalment[1]) <= Number(instalment[2])) {
+      plan.paidInstalments = Math.max(plan.paidInstalments || 0, Number(instalment[1]));
+      plan.totalInstalments = Number(instalment[2]);
+    }
+  });
+
+  const emis = [...plans.values()].map(plan => {
+    const instalmentAmount = round2(plan.principal + plan.interest);
+    const remainingInstalments = plan.totalInstalments !== null ? plan.totalInstalments - plan.paidInstalments : null;
+    return {
+      description: plan.description,
+      instalmentAmount,
+      principal: round2(plan.principal),
+      interest: round2(plan.interest),
+      paidInstalments: plan.paidInstalments,
+      totalInstalments: plan.totalInstalments,
+      remainingInstalments,
+      remainingAmount: remainingInstalments !== null ? round2(instalmentAmount * remainingInstalments) : null,
+      outstandingPrincipal: null,
+      interestRate: null,
+      source: 'transactions',
+      transactions: plan.rows.map(row => row.index),
+      key: plan.key
+    };
+  });
+
+  // Printed EMI tables carry the outstanding principal and rate the rows do not
+  for (const printed of Array.isArray(statementEmis) ? statementEmis : []) {
+    const key = emiKey(String(printed.description || ''));
+    const total = toNumber(printed.totalInstalments) || null;
+    const paid = printed.paidInstalments !== null && printed.paidInstalments !== undefined
+      ? toNumber(printed.paidInstalments)
+      : (total && printed.remainingInstalments !== null && printed.remainingInstalments !== undefined ? total - toNumber(printed.remainingInstalments) : null);
+    const match = emis.find(emi => key && emi.key && (emi.key.startsWith(key) || key.startsWith(emi.key)));
+    const target = match || {
+      description: String(printed.description || 'EMI'),
+      instalmentAmount: 0,
+      principal: null,
+      interest: null,
+      paidInstalments: null,
+      totalInstalments: null,
+      remainingInstalments: null,
+      remainingAmount: null,
+      outstandingPrincipal: null,
+      interestRate: null,
+      source: 'statement',
+      transactions: [],
+      key
+    };
+    if (!match) {
+      emis.push(target);
+    } else {
+      // The printed plan name reads better than an instalment narration
+      target.description = String(printed.description || target.description);
+      target.source = 'transactions+statement';
+    }
+
+    // The printed instalment includes interest rows the statement may not itemize
+    if (toNumber(printed.instalmentAmount) > 0) target.instalmentAmount = round2(toNumber(printed.instalmentAmount));
+    target.totalInstalments = target.totalInstalments ?? total;
+    target.paidInstalments = target.paidInstalments ?? paid;
+    if (target.totalInstalments !== null && target.paidInstalments !== null) {
+      target.remainingInstalments = Math.max(target.totalInstalments - target.paidInstalments, 0);
+      target.remainingAmount = round2(target.instalmentAmount * target.remainingInstalments);
+    }
+    if (printed.outstandingPrincipal !== null && printed.outstandingPrincipal !== undefined) {
+      target.outstandingPrincipal = round2(toNumber(printed.outstandingPrincipal));
+    }
+    if (printed.interestRate !== null && printed.interestRate !== undefined) target.interestRate = toNumber(printed.interestRate);
+  }
+
+  return {
+    plans: emis.map(({ key, ...emi }) => emi),
+    conversions,
+    monthlyInstalments: round2(emis.reduce((sum, emi) => sum + emi.instalmentAmount, 0)),
+    remainingAmount: round2(emis.reduce((sum, emi) => sum + (emi.remainingAmount || 0), 0))
+  };
+}
+
+// Finance charges, GST, late fees and other fees kept apart, with
+// reversals and waivers netted off
+export function classifyCharges(transactions) {
+  const totals = { financeCharges: 0, gst: 0, lateFees: 0, forexMarkup: 0, annualFees: 0, otherFees: 0, reversals: 0 };
+  const field = { financeCharge: 'financeCharges', gst: 'gst', lateFee: 'lateFees', forexMarkup: 'forexMarkup', annualFee: 'annualFees', otherFee: 'otherFees' };
+  const items = [];
+
+  transactions.forEach((t, index) => {
+    const description = descriptionOf(t);
+    // EMI interest belongs to the plan, not to revolving interest
+    if (EMI.test(description)) return;
+    const match = CHARGE_KINDS.find(entry => entry.pattern.test(description));
+    if (!match) return;
+    const amount = round2(Math.abs(toNumber(t.amount)));
+    const reversed = isCardCredit(t);
+    if (reversed && !REVERSAL.test(description)) return;
+
+    if (reversed) totals.reversals += amount;
+    else totals[field[match.kind]] += amount;
+    items.push({ index, date: parseDate(t.date), description, amount, kind: reversed ? 'reversal' : match.kind });
+  });
+
+  const charged = totals.financeCharges + totals.gst + totals.lateFees + totals.forexMarkup + totals.annualFees + totals.otherFees;
+  return {
+    ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round2(value)])),
+    total: round2(charged - totals.reversals),
+    items
+  };
+}
+
+function monthlyRateOf(analysis, monthlyRate) {
+  const printed = toNumber(analysis.cardInfo?.monthlyInterestRate);
+  if (monthlyRate !== undefined && monthlyRate !== null) return { rate: toNumber(monthlyRate), source: 'request' };
+  if (printed > 0) return { rate: printed, source: 'statement' };
+  return { rate: DEFAULT_MONTHLY_RATE, source: 'default' };
+}
+
+// Share of the limit in use. Below 30% is what lenders like to see.
+export function computeUtilization(analysis) {
+  const info = analysis.cardInfo || {};
+  const limit = toNumber(info.creditLimit);
+  if (limit <= 0) return null;
+
+  const outstanding = analysis.summary?.outstandingBalance;
+  const used = outstanding !== null && outstanding !== undefined
+    ? toNumber(outstanding)
+    : (info.availableCredit !== null && info.availableCredit !== undefined ? limit - toNumber(info.availableCredit) : null);
+  if (used === null) return null;
+
+  const ratio = used / limit;
+  return {
+    creditLimit: round2(limit),
+    availableCredit: info.availableCredit !== null && info.availableCredit !== undefined ? round2(toNumber(info.availableCredit)) : null,
+    used: round2(used),
+    ratio: Math.round(ratio * 10000) / 10000,
+    band: ratio <= 0.3 ? 'healthy' : ratio <= 0.5 ? 'moderate' : ratio <= 0.9 ? 'high' : 'maxed',
+    payToReach30: round2(Math.max(used - limit * 0.3, 0))
+  };
+}
+
+// What paying only the minimum costs: interest (plus GST on it) charged
+// next cycle, and the months and interest to clear the balance if only
+// the minimum is ever paid and nothing new is spent
+export function estimateMinimumDueCost(analysis, { monthlyRate } = {}) {
+  const outstanding = toNumber(analysis.summary?.outstandingBalance);
+  if (outstanding <= 0) return null;
+
+  const { rate, source } = monthlyRateOf(analysis, monthlyRate);
+  const r = rate / 100;
+  const printedMinimum = toNumber(analysis.summary?.minimumDue);
+  const minimumDue = printedMinimum > 0
+    ? Math.min(printedMinimum, outstanding)
+    : Math.min(outstanding, Math.max(outstanding * MINIMUM_DUE_PERCENT / 100, MINIMUM_DUE_FLOOR));
+
+  const carried = outstanding - minimumDue;
+  const nextInterest = carried * r;
+
+  let balance = outstanding;
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let months = 0;
+  let payment = minimumDue;
+  while (balance > 0.005 && months < MAX_PAYOFF_MONTHS) {
+    payment = Math.min(balance, payment);
+    balance -= payment;
+    totalPaid += payment;
+    months++;
+    if (balance <= 0.005) break;
+    const charged = balance * r * (1 + GST_RATE);
+    totalInterest += charged;
+    balance += charged;
+    payment = Math.max(balance * MINIMUM_DUE_PERCENT / 100, MINIMUM_DUE_FLOOR);
+  }
+
+  return {
+    outstandingBalance: round2(outstanding),
+    minimumDue: round2(minimumDue),
+    monthlyRate: rate,
+    annualRate: round2(rate * 12),
+    rateSource: source,
+    nextCycle: {
+      carriedBalance: round2(carried),
+      interest: round2(nextInterest),
+      gst: round2(nextInterest * GST_RATE),
+      total: round2(nextInterest * (1 + GST_RATE))
+    },
+    minimumOnly: {
+      months,
+      paidOff: balance <= 0.005,
+      totalInterest: round2(totalInterest),
+      totalPaid: round2(totalPaid)
+    },
+    assumptions: [
+      `${rate}% a month on the carried balance, plus ${GST_RATE * 100}% GST on the interest`,
+      `Later minimums at ${MINIMUM_DUE_PERCENT}% of the balance, at least ₹${MINIMUM_DUE_FLOOR}`,
+      'No new spending; issuers also charge interest from each purchase date once a balance is carried, so the real cost is usually higher'
+    ]
+  };
+}
+
+// ===== Reward points =====
+
+const POINT_FIELDS = [
+  { field: 'opening', pattern: /\bOPENING\b|\bPREVIOUS\s*BALANCE\b|\bBROUGHT\s*FORWARD\b|\bB\/F\b/i },
+  { field: 'earned', pattern: /\bEARNED\b|\bACCRUED\b|\bADDED\b|\bCREDITED\b/i },
+  { field: 'bonus', pattern: /\bBONUS\b/i },
+  { field: 'redeemed', pattern: /\bREDEEMED\b|\bREDEMPTION\b|\bUSED\b/i },
+  { field: 'expired', pattern: /\bEXPIRED\b|\bLAPSED\b|\bFORFEITED\b/i },
+  { field: 'expiringSoon', pattern: /\bEXPIRING\b|\bDUE\s*TO\s*EXPIRE\b|\bWILL\s*EXPIRE\b/i },
+  { field: 'closing', pattern: /\bCLOSING\b|\bAVAILABLE\b|\bTOTAL\s*POINTS\b|(?<!OPENING\s)(?<!PREVIOUS\s)\bBALANCE\b/i }
+];
+const POINTS_SECTION = /\bREWARDS?\s*(?:POINTS?\s*)?(?:SUMMARY|ACCOUNT|DETAILS)?\b|\bPOINTS\s*SUMMARY\b/i;
+const NUMBER = /-?\d[\d,]*(?:\.\d+)?/g;
+
+function numbersIn(line) {
+  return (line.match(NUMBER) || []).map(value => toNumber(value.replace(/,/g, '')));
+}
+
+// Label positions in a header line, left to right. The closing pattern
+// skips "Opening Balance", so each label is found once.
+function labelsIn(line) {
+  return POINT_FIELDS
+    .map(({ field, pattern }) => ({ field, at: line.search(pattern) }))
+    .filter(entry => entry.at !== -1)
+    .sort((a, b) => a.at - b.at);
+}
+
+// The points box in either layout: "Points Earned 350" per line, or a row
+// of labels followed by a row of values
+export function parseRewardPoints(text) {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim());
+  const start = lines.findIndex(line => POINTS_SECTION.test(line) && /POINT|REWARD/i.test(line));
+  if (start === -1) return null;
+
+  const points = {};
+  const window = lines.slice(start, start + 12);
+  for (let i = 0; i < window.length; i++) {
+    const line = window[i];
+    const labels = labelsIn(line);
+    const values = numbersIn(line.replace(/\b\d{1,2}[-/ ](?:\d{1,2}|[A-Z]{3})[-/ ]\d{2,4}\b/gi, ' '));
+
+    if (labels.length >= 2 && values.length === 0) {
+      const next = window.slice(i + 1).find(candidate => candidate !== '');
+      const row = next ? numbersIn(next) : [];
+      if (row.length === labels.length) {
+        labels.forEach((label, n) => { points[label.field] ??= row[n]; });
+        i++;
+      }
+    } else if (labels.length === 1 && values.length >= 1) {
+      points[labels[0].field] ??= values[values.length - 1];
+    }
+  }
+
+  const expiry = window.join(' ').match(/EXPIR\w*\s*(?:ON|BY)?\s*:?\s*(\d{1,2}[-/ ](?:\d{1,2}|[A-Z]{3,9})[-/ ]\d{2,4})/i);
+  if (expiry) points.expiryDate = parseDate(expiry[1]) || expiry[1];
+
+  return Object.keys(points).length > 0 ? points : null;
+}
+
+// The parsed box, with gaps filled from the model's rewardPoints
+export function readRewardPoints(text, extracted) {
+  const parsed = parseRewardPoints(text) || {};
+  const model = extracted && typeof extracted === 'object' ? extracted : {};
+  const fields = ['opening', 'earned', 'bonus', 'redeemed', 'expired', 'closing', 'expiringSoon', 'expiryDate'];
+  const points = {};
+  for (const field of fields) {
+    const value = parsed[field] ?? model[field];
+    points[field] = value === undefined || value === '' ? null : value;
+  }
+  if (fields.every(field => points[field] === null)) return null;
+  points.source = Object.keys(parsed).length > 0 ? 'statement-text' : 'model';
+  return points;
+}
+
+function summarizeRewardPoints(points) {
+  if (!points) return null;
+  const value = field => (points[field] === null || points[field] === undefined ? null : toNumber(points[field]));
+  const moves = ['opening', 'earned', 'bonus', 'redeemed', 'expired'].map(value);
+  const [opening, earned, bonus, redeemed, expired] = moves;
+  const closing = value('closing');
+  const expected = opening !== null && earned !== null
+    ? opening + earned + (bonus || 0) - (redeemed || 0) - (expired || 0)
+    : null;
+
+  return {
+    opening,
+    earned,
+    bonus,
+    redeemed,
+    expired,
+    closing: closing ?? (expected !== null ? round2(expected) : null),
+    expiringSoon: value('expiringSoon'),
+    expiryDate: points.expiryDate ?? null,
+    // The box adds up; a mismatch usually means a misread number
+    balanced: expected !== null && closing !== null ? Math.abs(expected - closing) < 1 : null,
+    source: points.source || null
+  };
+}
+
+// Everything above for one card analysis. monthlyRate (percent a month)
+// overrides the statement's printed rate.
+export function analyzeCard(analysis, { monthlyRate } = {}) {
+  const transactions = Array.isArray(analysis?.transactions) ? analysis.transactions : [];
+  return {
+    emis: detectEmis(transactions, analysis?.emis),
+    charges: classifyCharges(transactions),
+    utilization: computeUtilization(analysis || {}),
+    minimumDue: estimateMinimumDueCost(analysis || {}, { monthlyRate }),
+    rewardPoints: summarizeRewardPoints(analysis?.rewardPoints)
+  };
+}
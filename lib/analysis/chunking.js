@@ -0,0 +1,108 @@
+// lib/analysis/chunking.js - Page-aware splitting of long statements
+import { DATE_PATTERN } from '../parsers/common.js';
+
+// Read lazily: modules load before dotenv runs in index.js
+function defaultMaxChars() {
+  return parseInt(process.env.CHUNK_MAX_CHARS, 10) || 40000;
+}
+const OVERLAP_LINES = 6;
+
+// Client-side extractors separate pages with form feeds or "Page N of M" lines
+const PAGE_MARKER = '[ \\t]*(?:-+[ \\t]*)?Page[ \\t]+\\d+(?:[ \\t]+of[ \\t]+\\d+)?[ \\t]*(?:-+)?[ \\t]*';
+const PAGE_BREAK = new RegExp(`\\f|\\n(?=${PAGE_MARKER}\\n)`, 'i');
+const MARKER_ONLY = new RegExp(`^${PAGE_MARKER}$`, 'i');
+
+export function splitPages(text) {
+  return text.split(PAGE_BREAK).filter(page => page.trim().length > 0 && !MARKER_ONLY.test(page.trim()));
+}
+
+// Document AI keeps one text string for the whole file; each page points
+// into it through its layout text anchor
+export function pagesFromDocument(document) {
+  if (!document.pages || document.pages.length === 0) return splitPages(document.text || '');
+
+  return document.pages.map(page => {
+    const segments = page.layout?.textAnchor?.textSegments || [];
+    return segments
+      .map(segment => document.text.slice(Number(segment.startIndex || 0), Number(segment.endIndex)))
+      .join('');
+  });
+}
+
+// Split an oversized page where a new transaction starts (a line beginning
+// with a date), falling back to any line break
+function splitPage(page, maxChars) {
+  const lines = page.split('\n');
+  const pieces = [];
+  let current = [];
+  let length = 0;
+
+  for (const line of lines) {
+    const startsTransaction = DATE_PATTERN.test(line.trim());
+    if (length + line.length + 1 > maxChars && current.length > 0 && (startsTransaction || length > maxChars)) {
+      pieces.push(current.join('\n'));
+      current = [];
+      length = 0;
+    }
+    current.push(line);
+    length += line.length + 1;
+  }
+
+  if (current.length > 0) pieces.push(current.join('\n'));
+  return pieces;
+}
+
+// Pack whole pages into chunks of at most maxChars. Each chunk after the
+// first repeats the last few lines of the previous one so a transaction
+// wrapped across a page break is seen whole; merging removes the repeats.
+export function chunkPages(pages, { maxChars = defaultMaxChars(), overlapLines = OVERLAP_LINES } = {}) {
+  const pieces = pages.flatMap((page, pageIndex) =>
+    (page.length > maxChars ? splitPage(page, maxChars) : [page]).map(text => ({ text, page: pageIndex + 1 }))
+  );
+
+  const chunks = [];
+  let current = null;
+
+  for (const piece of pieces) {
+    if (current && current.text.length + piece.text.length + 1 <= maxChars) {
+      current.text += `\n${piece.text}`;
+      current.lastPage = piece.page;
+      continue;
+    }
+
+    const overlap = current ? current.text.split('\n').slice(-overlapLines).join('\n') : '';
+    current = {
+      text: overlap ? `${overlap}\n${piece.text}` : piece.text,
+      firstPage: piece.page,
+      lastPage: piece.page
+    };
+    chunks.push(current);
+  }
+
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
+
+export function chunkText(text, options) {
+  return chunkPages(splitPages(text), options);
+}
+
+// Parsed rows need no overlap: they are already whole transactions
+export function chunkRows(rows, { maxChars = defaultMaxChars() } = {}) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const row of rows) {
+    const rowLength = JSON.stringify(row).length;
+    if (length + rowLength > maxChars && current.length > 0) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(row);
+    length += rowLength;
+  }
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
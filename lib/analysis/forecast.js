@@ -0,0 +1,324 @@
+// lib/analysis/forecast.js - Daily balance projection and runway from bank history
+import { parseDate } from '../parsers/index.js';
+import { merchantKey } from '../categorize/index.js';
+import { round2, toNumber, transactionKey } from './aggregate.js';
+import { detectRecurring } from './recurring.js';
+
+const DAY = 86400000;
+const DAYS_PER_MONTH = 30.44;
+
+export const FORECAST_HORIZONS = [30, 60, 90];
+
+// Seasonal factors outside this range come from one odd month, not a season
+const MIN_SEASONAL_FACTOR = 0.5;
+const MAX_SEASONAL_FACTOR = 2;
+const MIN_HISTORY_DAYS = 28;
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function rowKey(t) {
+  const description = String(t.description || t.narration || '');
+  return t.merchantName ? t.merchantName.toLowerCase() : merchantKey(description);
+}
+
+// Bank rows with a parsed date, oldest first; rows repeated by overlapping
+// statements count once. Order within a day is kept so the last row of
+// the latest day carries the closing balance.
+function prepareRows(transactions) {
+  const seen = new Set();
+  return (Array.isArray(transactions) ? transactions : [])
+    .filter(t => !t.documentType || t.documentType === 'bank')
+    .map((t, index) => ({ t, index, date: parseDate(t.date) }))
+    .filter(({ t, date }) => {
+      if (!date) return false;
+      const key = transactionKey(t);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index)
+    .map(({ t, date }) => ({
+      date,
+      key: rowKey(t),
+      merchantName: t.merchantName || null,
+      description: String(t.description || t.narration || ''),
+      inflow: round2(toNumber(t.credit)),
+      outflow: round2(toNumber(t.debit)),
+      balance: t.balance === null || t.balance === undefined || t.balance === '' ? null : toNumber(t.balance)
+    }))
+    .filter(row => row.inflow > 0 || row.outflow > 0 || row.balance !== null);
+}
+
+// Recurring streams in both directions. detectRecurring reads debits, so
+// credits are handed to it as debits to find salaries and retainers.
+function recurringStreams(rows, asOf) {
+  const asCharge = amount => row => ({ date: row.date, description: row.description, merchantName: row.merchantName, debit: row[amount] });
+  const outgoing = rows.filter(row => row.outflow > 0).map(asCharge('outflow'));
+  const incoming = rows.filter(row => row.inflow > 0).map(asCharge('inflow'));
+
+  const streams = [];
+  for (const [direction, list] of [['outflow', outgoing], ['inflow', incoming]]) {
+    for (const s of detectRecurring(list, 'bank', { asOf }).subscriptions) {
+      streams.push({ ...s, direction });
+    }
+  }
+  return streams;
+}
+
+// Charges of a recurring stream are projected separately, so they are left
+// out of the day-to-day rates. So is a credit from a payer seen only once
+// (a lump NEFT, a refund): spread over a short history it would read as
+// daily income. One-off debits stay in; spreading them errs low.
+function splitIrregular(rows, streams) {
+  const recurring = new Set(streams.flatMap(s => s.charges.map(c => `${s.direction}|${s.key}|${c.date}|${c.amount}`)));
+  const credits = new Map();
+  for (const row of rows) {
+    if (row.inflow > 0) credits.set(row.key, (credits.get(row.key) || 0) + 1);
+  }
+  return rows.map(row => ({
+    ...row,
+    oneOffIn: credits.get(row.key) === 1 ? row.inflow : 0,
+    irregularIn: recurring.has(`inflow|${row.key}|${row.date}|${row.inflow}`) || credits.get(row.key) === 1 ? 0 : row.inflow,
+    irregularOut: recurring.has(`outflow|${row.key}|${row.date}|${row.outflow}`) ? 0 : row.outflow
+  }));
+}
+
+// Daily irregular spending per calendar month of history, against the
+// overall daily rate. A month seen in an earlier year scales the forecast
+// for that month; months never seen keep a factor of 1.
+function seasonalFactors(rows, first, last) {
+  const totalDays = daysBetween(first, last) + 1;
+  const overall = rows.reduce((sum, row) => sum + row.irregularOut, 0) / totalDays;
+  const byMonth = new Map();
+
+  for (const row of rows) {
+    const month = row.date.slice(0, 7);
+    byMonth.set(month, (byMonth.get(month) || 0) + row.irregularOut);
+  }
+
+  const rates = {};
+  for (const [month, total] of byMonth) {
+    const monthStart = `${month}-01`;
+    const nextMonth = new Date(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 1)).toISOString().slice(0, 10);
+    const from = monthStart < first ? first : monthStart;
+    const to = addDays(nextMonth, -1) > last ? last : addDays(nextMonth, -1);
+    const covered = daysBetween(from, to) + 1;
+    // A few days at the edge of the history say nothing about the month
+    if (covered < 20) continue;
+    const calendarMonth = month.slice(5, 7);
+    (rates[calendarMonth] = rates[calendarMonth] || []).push(total / covered);
+  }
+
+  const factors = {};
+  for (const [calendarMonth, values] of Object.entries(rates)) {
+    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+    factors[calendarMonth] = overall > 0 ? round2(clamp(average / overall, MIN_SEASONAL_FACTOR, MAX_SEASONAL_FACTOR)) : 1;
+  }
+  return factors;
+}
+
+// Every projected occurrence of a recurring stream within the horizon
+function scheduleStream(stream, asOf, end) {
+  const occurrences = [];
+  let date = stream.nextExpected;
+  // A charge that was due before asOf but has not shown up yet is still expected
+  while (date <= asOf) date = addDays(date, stream.periodDays);
+  for (; date <= end; date = addDays(date, stream.periodDays)) {
+    occurrences.push(date);
+  }
+  return occurrences;
+}
+
+// Runs of days below the threshold, with the lowest point of each. `days`
+// starts with the opening day, so a balance already below it counts.
+function lowBalancePeriods(days, field, threshold) {
+  const periods = [];
+  let current = null;
+
+  for (const day of days) {
+    if (day[field] < threshold) {
+      if (!current) {
+        current = { from: day.date, to: day.date, lowestBalance: day[field], lowestDate: day.date };
+        periods.push(current);
+      }
+      current.to = day.date;
+      if (day[field] < current.lowestBalance) {
+        current.lowestBalance = day[field];
+        current.lowestDate = day.date;
+      }
+    } else {
+      current = null;
+    }
+  }
+
+  return periods;
+}
+
+function monthlyTotals(rows, first, last) {
+  const months = Math.max((daysBetween(first, last) + 1) / DAYS_PER_MONTH, 1);
+  const inflow = rows.reduce((sum, row) => sum + row.inflow, 0);
+  const outflow = rows.reduce((sum, row) => sum + row.outflow, 0);
+  return { inflow: round2(inflow / months), outflow: round2(outflow / months), months: round2(months) };
+}
+
+// Project the daily balance `days` ahead from bank transactions (one
+// statement or the stored history). Recurring inflows and outflows fall on
+// their expected dates; everything else is spread as a daily average,
+// scaled by the calendar month's seasonal factor. The conservative line
+// leaves out irregular inflows: the balance if no new client pays.
+//
+// options: balance (starting balance; default the latest running balance),
+// asOf (default the latest transaction date), days (default 90),
+// threshold (balances below it are reported; default 0)
+export function forecastCashFlow(transactions, { balance, asOf, days = 90, threshold = 0 } = {}) {
+  const rows = prepareRows(transactions);
+  const warnings = [];
+
+  if (rows.length === 0) {
+    return { status: 'insufficient_data', warnings: ['No dated bank transactions to forecast from'] };
+  }
+
+  const first = rows[0].date;
+  const last = rows[rows.length - 1].date;
+  const start = parseDate(asOf) || last;
+  const end = addDays(start, days);
+  const historyDays = daysBetween(first, last) + 1;
+  // Too short to tell recurring payments from one-offs
+  const confidence = historyDays < MIN_HISTORY_DAYS ? 'low' : 'normal';
+  if (confidence === 'low') {
+    warnings.push(`Only ${historyDays} days of history; recurring payments and averages may be incomplete`);
+  }
+
+  let startingBalance = balance === undefined || balance === null || balance === '' ? null : toNumber(balance);
+  if (startingBalance === null) {
+    const withBalance = rows.filter(row => row.balance !== null && row.date <= start);
+    startingBalance = withBalance.length ? withBalance[withBalance.length - 1].balance : null;
+  }
+  if (startingBalance === null) {
+    return { status: 'insufficient_data', warnings: [...warnings, 'No running balance in the transactions; pass a starting balance'] };
+  }
+
+  const streams = recurringStreams(rows, start).filter(s => s.status === 'active');
+  const split = splitIrregular(rows, streams);
+  const dailyIn = split.reduce((sum, row) => sum + row.irregularIn, 0) / historyDays;
+  const dailyOut = split.reduce((sum, row) => sum + row.irregularOut, 0) / historyDays;
+  const oneOffInflow = round2(split.reduce((sum, row) => sum + row.oneOffIn, 0));
+  const factors = seasonalFactors(split, first, last);
+
+  const scheduled = new Map();
+  const recurring = streams.map(stream => {
+    const dates = scheduleStream(stream, start, end);
+    for (const date of dates) {
+      if (!scheduled.has(date)) scheduled.set(date, []);
+      scheduled.get(date).push({ description: stream.merchant, direction: stream.direction, amount: stream.lastAmount });
+    }
+    return {
+      description: stream.merchant,
+      direction: stream.direction,
+      frequency: stream.frequency,
+      amount: stream.lastAmount,
+      nextDate: dates[0] || null,
+      occurrences: dates.length,
+      confidence: stream.confidence
+    };
+  });
+
+  const daily = [];
+  let expected = startingBalance;
+  let conservative = startingBalance;
+  for (let offset = 1; offset <= days; offset++) {
+    const date = addDays(start, offset);
+    const items = scheduled.get(date) || [];
+    const scheduledIn = round2(items.filter(i => i.direction === 'inflow').reduce((sum, i) => sum + i.amount, 0));
+    const scheduledOut = round2(items.filter(i => i.direction === 'outflow').reduce((sum, i) => sum + i.amount, 0));
+    const factor = factors[date.slice(5, 7)] ?? 1;
+    const otherIn = round2(dailyIn);
+    const otherOut = round2(dailyOut * factor);
+
+    expected = round2(expected + scheduledIn - scheduledOut + otherIn - otherOut);
+    conservative = round2(conservative + scheduledIn - scheduledOut - otherOut);
+    daily.push({
+      date,
+      scheduledIn,
+      scheduledOut,
+      otherIn,
+      otherOut,
+      balance: expected,
+      conservativeBalance: conservative,
+      items: items.map(i => i.description)
+    });
+  }
+
+  // The opening balance is day 0 of every horizon and low-balance run
+  const opening = { date: start, balance: round2(startingBalance), conservativeBalance: round2(startingBalance) };
+  const horizons = FORECAST_HORIZONS.filter(h => h <= days).map(h => {
+    const window = daily.slice(0, h);
+    const lowest = window.reduce((min, day) => (day.balance < min.balance ? day : min), opening);
+    return {
+      days: h,
+      endDate: window[window.length - 1].date,
+      balance: window[window.length - 1].balance,
+      conservativeBalance: window[window.length - 1].conservativeBalance,
+      inflow: round2(window.reduce((sum, day) => sum + day.scheduledIn + day.otherIn, 0)),
+      outflow: round2(window.reduce((sum, day) => sum + day.scheduledOut + day.otherOut, 0)),
+      lowestBalance: lowest.balance,
+      lowestDate: lowest.date
+    };
+  });
+
+  // Burn from the whole history, recurring and irregular alike
+  const monthly = monthlyTotals(rows, first, last);
+  const netBurn = round2(monthly.outflow - monthly.inflow);
+  const runway = {
+    monthlyInflow: monthly.inflow,
+    monthlyOutflow: monthly.outflow,
+    monthlyNetBurn: netBurn,
+    // null: income covers spending, the balance is not running down
+    months: netBurn > 0 ? round2(Math.max(startingBalance, 0) / netBurn) : null,
+    monthsWithoutIncome: monthly.outflow > 0 ? round2(Math.max(startingBalance, 0) / monthly.outflow) : null,
+    basedOnMonths: monthly.months
+  };
+  runway.runsOutOn = runway.months === null ? null : addDays(start, Math.floor(runway.months * DAYS_PER_MONTH));
+
+  const lowBalance = {
+    threshold,
+    expected: lowBalancePeriods([opening, ...daily], 'balance', threshold),
+    conservative: lowBalancePeriods([opening, ...daily], 'conservativeBalance', threshold)
+  };
+  lowBalance.firstDate = lowBalance.expected[0]?.from || null;
+  if (lowBalance.firstDate) {
+    warnings.push(`Balance projected below ${threshold} from ${lowBalance.firstDate}`);
+  } else if (lowBalance.conservative.length > 0) {
+    warnings.push(`Without new irregular income the balance falls below ${threshold} on ${lowBalance.conservative[0].from}`);
+  }
+
+  return {
+    status: 'success',
+    confidence,
+    asOf: start,
+    startingBalance: round2(startingBalance),
+    history: { from: first, to: last, days: historyDays, transactions: rows.length },
+    assumptions: {
+      dailyIrregularInflow: round2(dailyIn),
+      dailyIrregularOutflow: round2(dailyOut),
+      oneOffInflowExcluded: oneOffInflow,
+      seasonalFactors: factors
+    },
+    recurring,
+    horizons,
+    runway,
+    lowBalance,
+    daily,
+    warnings
+  };
+}
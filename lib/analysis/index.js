@@ -0,0 +1,311 @@
+// lib/analysis/index.js - Statement analysis pipeline (parse, chunk, LLM, merge, validate)
+import { parseStatement } from '../parsers/index.js';
+import { reconcileBankAnalysis, applyComputedSummary } from '../reconcile.js';
+import { getBankStatementPrompt, getCreditCardPrompt, getRepairPrompt } from './prompts.js';
+import { checkAnalysis } from './structured.js';
+import { chunkPages, chunkText, chunkRows } from './chunking.js';
+import { appendWithoutOverlap, recomputeAnalysis } from './aggregate.js';
+import { maskAnalysis } from '../redact/index.js';
+import { readRewardPoints } from './card.js';
+
+const HEADER_CHARS = 3000;
+
+// Read lazily: modules load before dotenv runs in index.js
+function repairRetries() {
+  const retries = parseInt(process.env.ANALYSIS_REPAIR_RETRIES, 10);
+  return Number.isNaN(retries) ? 2 : retries;
+}
+
+export function summarizeParse(parsed) {
+  return {
+    id: parsed.parser,
+    bankName: parsed.bankName,
+    transactionCount: parsed.transactions.length,
+    ...(parsed.tables ? { tables: parsed.tables } : {})
+  };
+}
+
+// Rows read from Document AI tables keep the column alignment that flat
+// text loses, so they are preferred unless the text parser found more.
+// The text parser still names the bank from the statement header.
+function chooseParse(text, documentType, tables) {
+  const parsed = parseStatement(text, { type: documentType });
+  if (!tables || tables.transactions.length === 0 || tables.transactions.length < parsed.transactions.length) {
+    return parsed;
+  }
+  return { ...tables, bankName: parsed.bankName };
+}
+
+// Only bank statements carry a running balance to reconcile against
+export function validateAnalysis(analysis, documentType) {
+  if (documentType !== 'bank' || analysis.summary?.error) {
+    return { analysis, validation: null };
+  }
+
+  const validation = reconcileBankAnalysis(analysis);
+  if (validation.discrepancies.length > 0) {
+    console.log(`Validation found ${validation.discrepancies.length} discrepancies (confidence ${validation.confidence})`);
+  }
+
+  return { analysis: applyComputedSummary(analysis, validation), validation };
+}
+
+// Parsed table rows are split by size; raw text is split at page and
+// transaction boundaries
+function buildChunkInputs(text, pages, parsed) {
+  if (parsed.transactions.length > 0) {
+    const header = text.substring(0, HEADER_CHARS);
+    return chunkRows(parsed.transactions).map(rows => ({ header, rows }));
+  }
+
+  const chunks = pages ? chunkPages(pages) : chunkText(text);
+  return chunks.map(chunk => ({ text: chunk.text, firstPage: chunk.firstPage, lastPage: chunk.lastPage }));
+}
+
+// Responses that do not match the schema are sent back with the problems
+// listed, up to ANALYSIS_REPAIR_RETRIES times. The last parsed answer is
+// kept even if still invalid; `analysis` is null only when none parsed.
+async function extractChunk(llm, input, documentType) {
+  const prompt = documentType === 'bank'
+    ? getBankStatementPrompt(input)
+    : getCreditCardPrompt(input);
+
+  let request = prompt;
+  let best = null;
+
+  for (let attempt = 0; ; attempt++) {
+    const { text: analysisText, provider } = await llm.generate(request);
+    const checked = checkAnalysis(analysisText, documentType);
+    if (checked.analysis || !best) {
+      best = { ...checked, provider, repairAttempts: attempt, rawResponse: analysisText.substring(0, 1000) };
+    } else {
+      best.repairAttempts = attempt;
+    }
+
+    if (checked.valid || attempt >= repairRetries()) return best;
+
+    console.error(`${provider} response failed validation (${checked.errors.length} problems), asking for a repair`);
+    request = getRepairPrompt(prompt, analysisText, checked.errors);
+  }
+}
+
+function firstValue(values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function mergeFields(objects, lastWins = []) {
+  const keys = new Set(objects.flatMap(object => Object.keys(object || {})));
+  const merged = {};
+
+  for (const key of keys) {
+    const values = objects.map(object => object?.[key]);
+    merged[key] = lastWins.includes(key) ? firstValue([...values].reverse()) : firstValue(values);
+    if (merged[key] === undefined) merged[key] = null;
+  }
+
+  return merged;
+}
+
+function uniqueBy(items, keyFn) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyFn(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function listKey(item) {
+  if (typeof item === 'string') return item.trim().toLowerCase();
+  return `${String(item.description || item.merchant || '').trim().toLowerCase()}|${item.amount}`;
+}
+
+// Combine per-chunk analyses into one: account fields come from the first
+// chunk that has them (closing balance from the last), transactions are
+// concatenated with chunk overlaps removed, and every total is recomputed
+export function mergeChunkAnalyses(analyses, documentType) {
+  if (analyses.length === 1) return { analysis: analyses[0], duplicatesRemoved: 0 };
+
+  let transactions = [];
+  let duplicatesRemoved = 0;
+
+  for (const analysis of analyses) {
+    const rows = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+    const appended = appendWithoutOverlap(transactions, rows);
+    transactions = appended.transactions;
+    duplicatesRemoved += appended.duplicates;
+  }
+
+  const collect = field => analyses.flatMap(analysis => (Array.isArray(analysis[field]) ? analysis[field] : []));
+  const merged = {
+    summary: mergeFields(analyses.map(analysis => analysis.summary)),
+    alerts: uniqueBy(collect('alerts'), listKey),
+    transactions
+  };
+
+  if (documentType === 'bank') {
+    merged.accountInfo = mergeFields(analyses.map(analysis => analysis.accountInfo), ['closingBalance']);
+    merged.recurringPayments = uniqueBy(collect('recurringPayments'), listKey);
+  } else {
+    merged.cardInfo = mergeFields(analyses.map(analysis => analysis.cardInfo));
+    merged.subscriptions = uniqueBy(collect('subscriptions'), listKey);
+    merged.emis = uniqueBy(collect('emis'), listKey);
+    // Only the chunk showing the points box has values
+    merged.rewardPoints = mergeFields(analyses.map(analysis => analysis.rewardPoints).filter(Boolean));
+  }
+
+  return { analysis: recomputeAnalysis(merged, documentType), duplicatesRemoved };
+}
+
+// Same shape as a successful analysis so clients need only one code path
+function formattingFailedAnalysis(documentType, rawResponse) {
+  const base = documentType === 'bank'
+    ? {
+      accountInfo: { bankName: null, accountNumber: null, period: null, openingBalance: null, closingBalance: null },
+      summary: { totalDeposits: 0, totalWithdrawals: 0, netFlow: 0, transactionCount: 0 },
+      recurringPayments: []
+    }
+    : {
+      cardInfo: { bankName: null, cardNumber: null, statementPeriod: null, creditLimit: null, availableCredit: null },
+      summary: { totalSpent: 0, paymentMade: 0, outstandingBalance: 0 },
+      subscriptions: []
+    };
+
+  return {
+    ...base,
+    summary: { ...base.summary, error: 'Analysis completed but formatting failed' },
+    categories: {},
+    alerts: ['Analysis completed but data formatting failed'],
+    transactions: [],
+    rawResponse
+  };
+}
+
+// Schema problems of every chunk in one list each, tagged with the chunk
+function addStructure(structure, chunk, result) {
+  structure.valid = structure.valid && result.valid;
+  structure.repairAttempts += result.repairAttempts;
+  structure.missing.push(...result.missing.map(path => ({ chunk, path })));
+  structure.coerced.push(...result.coerced.map(entry => ({ chunk, ...entry })));
+  structure.errors.push(...result.errors.map(({ path, message }) => ({ chunk, path, message })));
+}
+
+// Chunks share one header; it is redacted once so the audit counts each
+// identifier where it appears, not once per chunk
+function redactInputs(redactor, inputs) {
+  const headers = new Map();
+  return inputs.map(input => {
+    if (input.rows) {
+      if (!headers.has(input.header)) headers.set(input.header, redactor.redact(input.header));
+      return { ...input, header: headers.get(input.header), rows: redactor.redactRows(input.rows) };
+    }
+    return { ...input, text: redactor.redact(input.text) };
+  });
+}
+
+function describeChunk(input, index, total) {
+  const pages = input.firstPage
+    ? ` (page${input.firstPage === input.lastPage ? ` ${input.firstPage}` : `s ${input.firstPage}-${input.lastPage}`})`
+    : '';
+  return `Part ${index + 1} of ${total}${pages}`;
+}
+
+// Run the whole pipeline for one statement. `llm` is a provider chain from
+// lib/llm. `pages` (text per page) is optional; without it page breaks
+// are detected in the text. `tables` is parseDocumentTables output for an
+// OCRed statement. `categorizer` (lib/categorize) re-labels the
+// rows before totals are computed. `redactor` (lib/redact) replaces
+// personal identifiers in everything sent to the model and masks them in
+// the result. `onProgress` is called with (stage, detail) as chunks are
+// extracted.
+export async function analyzeStatement(llm, { text, documentType, pages, tables, categorizer, redactor, onProgress = () => {} }) {
+  const parsed = chooseParse(text, documentType, tables);
+  console.log(`Parser ${parsed.parser} found ${parsed.transactions.length} transactions`);
+
+  let inputs = buildChunkInputs(text, pages, parsed);
+  if (redactor) {
+    redactor.scan(text);
+    inputs = redactInputs(redactor, inputs);
+    const audit = redactor.audit();
+    console.log(`Redacted ${audit.total} identifiers (${redactor.mode})`);
+  }
+  const analyses = [];
+  const failed = [];
+  const providers = new Set();
+  const structure = { valid: true, repairAttempts: 0, missing: [], coerced: [], errors: [] };
+  let lastRawResponse = null;
+  let firstError = null;
+
+  for (const [index, input] of inputs.entries()) {
+    const label = describeChunk(input, index, inputs.length);
+    console.log(`Processing ${label} with ${llm.name}...`);
+    await onProgress('extracting', { chunk: index + 1, totalChunks: inputs.length });
+
+    try {
+      const result = await extractChunk(llm, { ...input, chunk: index, totalChunks: inputs.length }, documentType);
+      providers.add(result.provider);
+      addStructure(structure, index, result);
+      if (result.analysis) {
+        analyses.push(result.analysis);
+      } else {
+        lastRawResponse = result.rawResponse;
+        failed.push({ chunk: index, label, error: 'Response was not valid JSON' });
+      }
+    } catch (error) {
+      console.error(`${label} failed:`, error.message);
+      structure.valid = false;
+      firstError = firstError || error;
+      failed.push({ chunk: index, label, error: error.message });
+    }
+  }
+
+  // Nothing usable came back: surface API errors, otherwise the formatting stub
+  if (analyses.length === 0) {
+    if (firstError) throw firstError;
+    return {
+      analysis: formattingFailedAnalysis(documentType, redactor ? redactor.restore(lastRawResponse) : lastRawResponse),
+      parser: summarizeParse(parsed),
+      validation: null,
+      structure,
+      providers: [...providers],
+      chunks: { total: inputs.length, processed: 0, failed, duplicatesRemoved: 0 },
+      redaction: redactor ? redactor.audit() : null
+    };
+  }
+
+  const merge = mergeChunkAnalyses(analyses, documentType);
+  const { duplicatesRemoved } = merge;
+  // Identifiers come back masked (XXXX6789) even when the model copied
+  // them from an unredacted statement
+  const extracted = maskAnalysis(redactor ? redactor.restore(merge.analysis) : merge.analysis);
+  const merged = categorizer
+    ? recomputeAnalysis({ ...extracted, transactions: categorizer.apply(extracted.transactions, documentType) }, documentType)
+    : extracted;
+  // The points box is read from the text itself; the model only fills gaps
+  if (documentType !== 'bank') merged.rewardPoints = readRewardPoints(text, merged.rewardPoints);
+  if (failed.length > 0) {
+    merged.alerts = [
+      ...(Array.isArray(merged.alerts) ? merged.alerts : []),
+      ...failed.map(f => `${f.label} of the statement could not be analyzed: ${f.error}`)
+    ];
+  }
+
+  await onProgress('validating', null);
+  const validated = validateAnalysis(merged, documentType);
+
+  return {
+    analysis: validated.analysis,
+    parser: summarizeParse(parsed),
+    validation: validated.validation,
+    structure,
+    providers: [...providers],
+    chunks: {
+      total: inputs.length,
+      processed: analyses.length,
+      failed,
+      duplicatesRemoved
+    },
+    redaction: redactor ? redactor.audit() : null
+  };
+}
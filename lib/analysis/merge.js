@@ -0,0 +1,335 @@
+// lib/analysis/merge.js - Combine several statements of one account into a timeline
+import { parseDate } from '../parsers/index.js';
+import { DATE_PATTERN } from '../parsers/common.js';
+import {
+  round2,
+  toNumber,
+  toCategoryKey,
+  transactionAmount,
+  transactionKey,
+  recomputeAnalysis
+} from './aggregate.js';
+
+const TOLERANCE = 0.01;
+const DAY = 86400000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function infoOf(analysis, documentType) {
+  return (documentType === 'bank' ? analysis.accountInfo : analysis.cardInfo) || {};
+}
+
+function lastDigits(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : null;
+}
+
+// Statements for different accounts must not be merged. Masked numbers
+// (XXXX1234) are compared on their last four digits.
+export function findAccountMismatch(analyses, documentType = 'bank') {
+  const numbers = analyses
+    .map((analysis, index) => ({ index, digits: lastDigits(infoOf(analysis, documentType)[documentType === 'bank' ? 'accountNumber' : 'cardNumber']) }))
+    .filter(entry => entry.digits);
+
+  const distinct = [...new Set(numbers.map(entry => entry.digits))];
+  if (distinct.length <= 1) return null;
+
+  return {
+    message: `Statements belong to different accounts (ending ${distinct.join(', ')})`,
+    accounts: numbers
+  };
+}
+
+function datesIn(text) {
+  const dates = [];
+  let rest = String(text || '');
+
+  while (rest.length > 0) {
+    const match = rest.match(DATE_PATTERN);
+    if (match) {
+      const date = parseDate(match[0]);
+      if (date) dates.push(date);
+      rest = rest.slice(match[0].length);
+    } else {
+      rest = rest.slice(1);
+    }
+  }
+
+  return dates;
+}
+
+function monthBounds(year, monthIndex) {
+  const start = new Date(Date.UTC(year, monthIndex, 1));
+  const end = new Date(Date.UTC(year, monthIndex + 1, 0));
+  return { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+}
+
+// "01/04/2024 to 30/04/2024", "2024-04-01 to 2024-04-30" or "April 2024";
+// falls back to the range of transaction dates
+export function parsePeriod(period, transactions = []) {
+  const dates = datesIn(period);
+  if (dates.length >= 2) return { start: dates[0], end: dates[dates.length - 1] };
+
+  const monthMatch = String(period || '').match(/([a-z]{3,})[a-z]*[\s,-]+(\d{4})/i);
+  if (monthMatch && MONTHS.includes(monthMatch[1].slice(0, 3).toLowerCase())) {
+    return monthBounds(parseInt(monthMatch[2], 10), MONTHS.indexOf(monthMatch[1].slice(0, 3).toLowerCase()));
+  }
+
+  const transactionDates = transactions.map(t => parseDate(t.date)).filter(Boolean).sort();
+  if (transactionDates.length === 0) return { start: null, end: null };
+  return { start: transactionDates[0], end: transactionDates[transactionDates.length - 1] };
+}
+
+// Rows of the later statement that fall inside the earlier statement's
+// period and match one of its rows are the same transaction printed twice.
+// Counting keys keeps genuine same-day repeats.
+function dropOverlap(previousRows, rows, previousEnd) {
+  if (!previousEnd) return { rows, removed: 0 };
+
+  const counts = new Map();
+  for (const t of previousRows) {
+    const key = transactionKey(t);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  let removed = 0;
+  const kept = rows.filter(t => {
+    const date = parseDate(t.date);
+    if (!date || date > previousEnd) return true;
+    const key = transactionKey(t);
+    if (!counts.get(key)) return true;
+    counts.set(key, counts.get(key) - 1);
+    removed++;
+    return false;
+  });
+
+  return { rows: kept, removed };
+}
+
+function checkContinuity(previous, next, documentType) {
+  const issues = [];
+  const prevInfo = infoOf(previous.analysis, documentType);
+  const nextInfo = infoOf(next.analysis, documentType);
+
+  if (documentType === 'bank') {
+    const closing = parseNullable(prevInfo.closingBalance);
+    const opening = parseNullable(nextInfo.openingBalance);
+    if (closing !== null && opening !== null && Math.abs(round2(opening - closing)) > TOLERANCE) {
+      issues.push({
+        type: 'balance_gap',
+        from: previous.period,
+        to: next.period,
+        closingBalance: closing,
+        openingBalance: opening,
+        difference: round2(opening - closing),
+        message: `Closing balance ${closing} (${previous.period.end}) does not match next opening balance ${opening} (${next.period.start})`
+      });
+    }
+  }
+
+  if (previous.period.end && next.period.start) {
+    const gapDays = Math.round((Date.parse(next.period.start) - Date.parse(previous.period.end)) / DAY) - 1;
+    if (gapDays > 0) {
+      issues.push({
+        type: 'period_gap',
+        from: previous.period.end,
+        to: next.period.start,
+        days: gapDays,
+        message: `No statement covers the ${gapDays} day(s) between ${previous.period.end} and ${next.period.start}`
+      });
+    } else if (gapDays < -1) {
+      issues.push({
+        type: 'period_overlap',
+        from: next.period.start,
+        to: previous.period.end,
+        days: -gapDays - 1,
+        message: `Statements overlap between ${next.period.start} and ${previous.period.end}`
+      });
+    }
+  }
+
+  return issues;
+}
+
+function parseNullable(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return toNumber(value);
+}
+
+export function buildMonthlyTimeline(transactions, documentType) {
+  const months = new Map();
+
+  for (const t of transactions) {
+    const date = parseDate(t.date);
+    if (!date) continue;
+    const key = date.slice(0, 7);
+    const month = months.get(key) || { month: key, inflow: 0, outflow: 0, transactionCount: 0, closingBalance: null };
+
+    if (documentType === 'bank') {
+      month.inflow += toNumber(t.credit);
+      month.outflow += toNumber(t.debit);
+      if (t.balance !== undefined && t.balance !== null) month.closingBalance = toNumber(t.balance);
+    } else {
+      const amount = toNumber(t.amount);
+      if (amount < 0) month.inflow += -amount;
+      else month.outflow += amount;
+    }
+
+    month.transactionCount++;
+    months.set(key, month);
+  }
+
+  return [...months.values()]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(month => ({
+      ...month,
+      inflow: round2(month.inflow),
+      outflow: round2(month.outflow),
+      net: round2(month.inflow - month.outflow)
+    }));
+}
+
+// Per-category totals for every month plus the change from the month before
+export function buildCategoryTrends(transactions, documentType) {
+  const table = new Map();
+  const monthSet = new Set();
+
+  for (const t of transactions) {
+    const date = parseDate(t.date);
+    if (!date) continue;
+    if (documentType === 'bank' && !toNumber(t.debit)) continue;
+
+    const month = date.slice(0, 7);
+    const category = toCategoryKey(t.category);
+    monthSet.add(month);
+
+    if (!table.has(category)) table.set(category, new Map());
+    const row = table.get(category);
+    row.set(month, (row.get(month) || 0) + transactionAmount(t, documentType));
+  }
+
+  const months = [...monthSet].sort();
+  const categories = {};
+
+  for (const [category, row] of table) {
+    let previous = null;
+    categories[category] = months.map(month => {
+      const total = round2(row.get(month) || 0);
+      const change = previous === null ? null : round2(total - previous);
+      const changePercent = previous ? round2(((total - previous) / previous) * 100) : null;
+      previous = total;
+      return { month, total, change, changePercent };
+    });
+  }
+
+  return { months, categories };
+}
+
+// Points boxes of consecutive statements: opening from the first, closing
+// from the last, movements summed
+function mergeRewardPoints(boxes) {
+  const present = boxes.filter(Boolean);
+  if (present.length === 0) return null;
+  const sum = field => (present.some(box => box[field] !== null && box[field] !== undefined)
+    ? present.reduce((total, box) => total + (Number(box[field]) || 0), 0)
+    : null);
+  const last = present[present.length - 1];
+  return {
+    opening: present[0].opening ?? null,
+    earned: sum('earned'),
+    bonus: sum('bonus'),
+    redeemed: sum('redeemed'),
+    expired: sum('expired'),
+    closing: last.closing ?? null,
+    expiringSoon: last.expiringSoon ?? null,
+    expiryDate: last.expiryDate ?? null,
+    source: last.source ?? null
+  };
+}
+
+// Merge analyses (any order) of one account into a single analysis with the
+// same shape as a one-statement analysis, plus timeline and continuity data
+export function mergeStatements(analyses, documentType = 'bank') {
+  const statements = analyses
+    .map((analysis, index) => ({
+      index,
+      analysis,
+      period: parsePeriod(
+        infoOf(analysis, documentType)[documentType === 'bank' ? 'period' : 'statementPeriod'],
+        Array.isArray(analysis.transactions) ? analysis.transactions : []
+      )
+    }))
+    .sort((a, b) => String(a.period.start || '').localeCompare(String(b.period.start || '')));
+
+  const continuity = [];
+  const transactions = [];
+  let duplicatesRemoved = 0;
+  let previous = null;
+
+  for (const statement of statements) {
+    let rows = Array.isArray(statement.analysis.transactions) ? statement.analysis.transactions : [];
+
+    if (previous) {
+      continuity.push(...checkContinuity(previous, statement, documentType));
+      const deduped = dropOverlap(previous.analysis.transactions || [], rows, previous.period.end);
+      rows = deduped.rows;
+      duplicatesRemoved += deduped.removed;
+    }
+
+    transactions.push(...rows);
+    previous = statement;
+  }
+
+  const first = statements[0];
+  const last = statements[statements.length - 1];
+  const firstInfo = infoOf(first.analysis, documentType);
+  const lastInfo = infoOf(last.analysis, documentType);
+  const period = `${first.period.start || 'unknown'} to ${last.period.end || 'unknown'}`;
+
+  const collect = field => statements.flatMap(s => (Array.isArray(s.analysis[field]) ? s.analysis[field] : []));
+  const collectUnique = field => [
+    ...new Map(collect(field).map(item => [
+      `${String(item.description || item.merchant || '').toLowerCase()}|${item.amount}`,
+      item
+    ])).values()
+  ];
+  const merged = {
+    summary: {},
+    alerts: [...new Set([...collect('alerts'), ...continuity.map(issue => issue.message)])],
+    transactions
+  };
+
+  if (documentType === 'bank') {
+    merged.accountInfo = {
+      ...firstInfo,
+      period,
+      openingBalance: firstInfo.openingBalance ?? null,
+      closingBalance: lastInfo.closingBalance ?? null
+    };
+    merged.recurringPayments = collectUnique('recurringPayments');
+  } else {
+    merged.cardInfo = { ...lastInfo, statementPeriod: period };
+    merged.subscriptions = collectUnique('subscriptions');
+    // EMI plans as of the latest statement; points moved over the whole span
+    merged.emis = Array.isArray(last.analysis.emis) ? last.analysis.emis : [];
+    merged.rewardPoints = mergeRewardPoints(statements.map(s => s.analysis.rewardPoints));
+  }
+
+  return {
+    ...recomputeAnalysis(merged, documentType),
+    statements: statements.map(s => ({
+      period: s.period,
+      openingBalance: infoOf(s.analysis, documentType).openingBalance ?? null,
+      closingBalance: infoOf(s.analysis, documentType).closingBalance ?? null,
+      transactionCount: Array.isArray(s.analysis.transactions) ? s.analysis.transactions.length : 0
+    })),
+    continuity: {
+      status: continuity.length === 0 ? 'continuous' : 'gaps_found',
+      issues: continuity,
+      duplicatesRemoved
+    },
+    monthlyTimeline: buildMonthlyTimeline(transactions, documentType),
+    categoryTrends: buildCategoryTrends(transactions, documentType)
+  };
+}
+
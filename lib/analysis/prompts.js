@@ -0,0 +1,192 @@
+// lib/analysis/prompts.js - LLM prompts for bank and credit card statements
+
+// Hand the model the parsed rows instead of making it re-read the table
+function formatRows(rows) {
+  return rows
+    .map(t => [t.date, t.narration, t.reference || '', t.debit, t.credit, t.balance ?? ''].join(' | '))
+    .join('\n');
+}
+
+// input: { text } for raw statement text, or { header, rows } for parsed
+// table rows; chunk/totalChunks mark one part of a longer statement
+function getStatementInput(input, label) {
+  const part = input.totalChunks > 1
+    ? `This is part ${input.chunk + 1} of ${input.totalChunks} of the statement. Extract every transaction in this part only; leave account fields you cannot see as null.\n\n    `
+    : '';
+  const redacted = /\[[A-Z_]+_\d+\]/.test(input.text || `${input.header}\n${formatRows(input.rows || [])}`)
+    ? `Personal details are replaced with placeholders such as [ACCOUNT_1] or [NAME_1]. Copy a placeholder exactly where its value belongs (for example as the account number or inside a description); never guess the hidden value.\n\n    `
+    : '';
+
+  if (!input.rows || input.rows.length === 0) {
+    return `${part}${redacted}${label} Text:
+    ${input.text}`;
+  }
+
+  return `${part}${redacted}${label} Header:
+    ${input.header}
+
+    Transactions already extracted from the statement table, one per line as
+    date | narration | reference | debit | credit | balance.
+    Use these rows as the transaction list; do not re-read amounts from the header:
+    ${formatRows(input.rows)}`;
+}
+
+export function getBankStatementPrompt(input) {
+  return `
+    You are a financial analyst. Analyze this bank statement and extract ALL information.
+    
+    IMPORTANT: Return ONLY valid JSON with no additional text or formatting.
+    
+    Extract and analyze:
+    1. All transactions with date, description, debit/credit amounts, and balance
+    2. Categorize each transaction (UPI, NEFT, ATM, Credit Card, etc.)
+    3. Calculate total money in and out
+    4. Find patterns in spending
+    5. Identify all recurring payments
+    
+    Return this exact JSON structure:
+    {
+      "accountInfo": {
+        "bankName": "string",
+        "accountNumber": "string",
+        "period": "string",
+        "openingBalance": number,
+        "closingBalance": number
+      },
+      "summary": {
+        "totalDeposits": number,
+        "totalWithdrawals": number,
+        "netFlow": number,
+        "transactionCount": number,
+        "avgDailySpending": number
+      },
+      "categories": {
+        "upi": { "total": number, "count": number, "percentage": number },
+        "neft": { "total": number, "count": number, "percentage": number },
+        "atm": { "total": number, "count": number, "percentage": number },
+        "creditCard": { "total": number, "count": number, "percentage": number },
+        "others": { "total": number, "count": number, "percentage": number }
+      },
+      "monthlyPatterns": {
+        "highestSpendingMonth": "string",
+        "lowestSpendingMonth": "string",
+        "averageMonthlySpending": number
+      },
+      "recurringPayments": [
+        { "description": "string", "amount": number, "frequency": "string" }
+      ],
+      "topTransactions": [
+        { "date": "string", "description": "string", "amount": number, "type": "string" }
+      ],
+      "alerts": ["string"],
+      "transactions": [
+        { "date": "string", "description": "string", "debit": number, "credit": number, "balance": number, "category": "string" }
+      ]
+    }
+    
+    ${getStatementInput(input, 'Bank Statement')}
+  `;
+}
+
+export function getCreditCardPrompt(input) {
+  return `
+    You are a financial analyst. Analyze this credit card statement and extract ALL information.
+    
+    IMPORTANT: Return ONLY valid JSON with no additional text or formatting.
+    
+    Extract and analyze:
+    1. All transactions with date, merchant, and amount
+    2. Identify ALL subscriptions (Netflix, Spotify, ChatGPT, etc.)
+    3. Categorize spending by type
+    4. Find expensive transactions
+    5. Calculate total spending
+    6. Copy the EMI / instalment plan table and the reward points summary if the statement has them
+    
+    Return this exact JSON structure:
+    {
+      "cardInfo": {
+        "bankName": "string",
+        "cardNumber": "string",
+        "statementPeriod": "string",
+        "creditLimit": number,
+        "availableCredit": number,
+        "monthlyInterestRate": number
+      },
+      "summary": {
+        "totalSpent": number,
+        "paymentMade": number,
+        "minimumDue": number,
+        "dueDate": "string",
+        "outstandingBalance": number
+      },
+      "subscriptions": [
+        { 
+          "merchant": "string", 
+          "amount": number, 
+          "category": "string",
+          "frequency": "monthly/annual"
+        }
+      ],
+      "categories": {
+        "dining": { "total": number, "count": number, "percentage": number },
+        "shopping": { "total": number, "count": number, "percentage": number },
+        "travel": { "total": number, "count": number, "percentage": number },
+        "entertainment": { "total": number, "count": number, "percentage": number },
+        "utilities": { "total": number, "count": number, "percentage": number },
+        "others": { "total": number, "count": number, "percentage": number }
+      },
+      "expensiveTransactions": [
+        { "date": "string", "merchant": "string", "amount": number }
+      ],
+      "emis": [
+        {
+          "description": "string",
+          "instalmentAmount": number,
+          "paidInstalments": number,
+          "totalInstalments": number,
+          "remainingInstalments": number,
+          "outstandingPrincipal": number,
+          "interestRate": number
+        }
+      ],
+      "rewardPoints": {
+        "opening": number,
+        "earned": number,
+        "bonus": number,
+        "redeemed": number,
+        "expired": number,
+        "closing": number,
+        "expiringSoon": number,
+        "expiryDate": "string"
+      },
+      "alerts": ["string"],
+      "transactions": [
+        { "date": "string", "merchant": "string", "amount": number, "category": "string" }
+      ]
+    }
+    
+    monthlyInterestRate is the finance charge rate per month in percent as
+    printed on the statement. Use an empty emis list and null rewardPoints
+    when the statement has none.
+
+    ${getStatementInput(input, 'Credit Card Statement')}
+  `;
+}
+
+// Sent when a response did not parse or did not match the schema: the
+// original request, the rejected answer and the problems found in it
+export function getRepairPrompt(prompt, previousResponse, errors) {
+  const problems = errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+
+  return `${prompt}
+
+    Your previous response did not match the required JSON structure:
+    ${previousResponse}
+
+    Problems found:
+    ${problems}
+
+    Return the complete corrected JSON only. Use numbers (no currency symbols
+    or thousands separators) for amounts and null for values you cannot find.
+  `;
+}
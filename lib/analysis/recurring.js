@@ -0,0 +1,271 @@
+// lib/analysis/recurring.js - Detect subscriptions and recurring payments from transaction history
+import { parseDate } from '../parsers/index.js';
+import { merchantKey } from '../categorize/index.js';
+import { round2, toNumber, isCardCredit } from './aggregate.js';
+
+const DAY = 86400000;
+
+// Charges this far apart (in days) make up each frequency
+const FREQUENCIES = [
+  { frequency: 'weekly', days: 7, min: 6, max: 8, perYear: 52 },
+  { frequency: 'monthly', days: 30, min: 26, max: 35, perYear: 12 },
+  { frequency: 'quarterly', days: 91, min: 84, max: 98, perYear: 4 },
+  { frequency: 'annual', days: 365, min: 350, max: 380, perYear: 1 }
+];
+
+const PRICE_CHANGE = 0.02;      // 2% up from the usual amount is a price increase
+const AMOUNT_TOLERANCE = 0.25;  // amounts within 25% of the median count as one subscription
+const TRIAL_RATIO = 0.2;        // a first charge under 20% of the usual amount is a trial
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+}
+
+// Bank and card rows reduced to outgoing { date, description, amount }
+// charges, so one history can mix both statement types
+function toCharges(transactions, documentType) {
+  const charges = [];
+
+  for (const t of Array.isArray(transactions) ? transactions : []) {
+    const date = parseDate(t.date);
+    if (!date) continue;
+
+    const rowType = t.documentType || documentType;
+    const amount = rowType === 'bank' ? toNumber(t.debit) : (isCardCredit(t) ? 0 : Math.abs(toNumber(t.amount)));
+    if (amount <= 0) continue;
+
+    const description = String(t.description || t.merchant || t.narration || '');
+    charges.push({
+      date,
+      description,
+      amount: round2(amount),
+      category: t.category || null,
+      merchant: t.merchantName || null,
+      key: t.merchantName ? t.merchantName.toLowerCase() : merchantKey(description)
+    });
+  }
+
+  // The same charge printed on two overlapping statements counts once
+  const seen = new Set();
+  return charges
+    .filter(charge => {
+      const id = `${charge.date}|${charge.key}|${charge.amount}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function classifyPeriod(intervals) {
+  if (intervals.length === 0) return null;
+  const typical = median(intervals);
+  const match = FREQUENCIES.find(entry => typical >= entry.min && typical <= entry.max);
+  if (!match) return null;
+
+  // A skipped charge shows up as a double (or triple) interval
+  const regular = intervals.filter(days => {
+    const multiple = Math.round(days / match.days);
+    return multiple >= 1 && Math.abs(days - multiple * match.days) <= (match.max - match.min);
+  });
+  return regular.length / intervals.length >= 0.6 ? { ...match, regularity: regular.length / intervals.length } : null;
+}
+
+// Split a merchant's charges into streams of similar amounts: two plans
+// with one merchant (or a price change) should not blur into one average
+function splitByAmount(charges) {
+  const streams = [];
+  for (const charge of charges) {
+    const stream = streams.find(s => Math.abs(charge.amount - s.reference) <= s.reference * AMOUNT_TOLERANCE);
+    if (stream) {
+      stream.charges.push(charge);
+      stream.reference = charge.amount;
+    } else {
+      streams.push({ reference: charge.amount, charges: [charge] });
+    }
+  }
+  return streams.map(stream => stream.charges);
+}
+
+function describeStream(charges, asOf) {
+  // A tiny first charge followed by regular ones is a trial converting to paid
+  let trial = null;
+  if (charges.length >= 3) {
+    const usual = median(charges.slice(1).map(c => c.amount));
+    if (charges[0].amount <= usual * TRIAL_RATIO) trial = charges[0];
+  }
+  const paid = trial ? charges.slice(1) : charges;
+
+  const intervals = paid.slice(1).map((charge, i) => daysBetween(paid[i].date, charge.date));
+  const period = classifyPeriod(intervals);
+  if (!period) return null;
+
+  const amounts = paid.map(c => c.amount);
+  const mean = amounts.reduce((sum, a) => sum + a, 0) / amounts.length;
+  const variance = Math.sqrt(amounts.reduce((sum, a) => sum + (a - mean) ** 2, 0) / amounts.length) / mean;
+  const last = paid[paid.length - 1];
+  const nextExpected = addDays(last.date, period.days);
+  const grace = Math.max(5, Math.round((period.max - period.min) / 2));
+  const flags = [];
+
+  const earlier = median(amounts.slice(0, -1));
+  if (amounts.length >= 2 && last.amount > earlier * (1 + PRICE_CHANGE)) {
+    flags.push({
+      type: 'price_increase',
+      from: round2(earlier),
+      to: last.amount,
+      date: last.date,
+      message: `Price went up from ${round2(earlier)} to ${last.amount} on ${last.date}`
+    });
+  }
+
+  intervals.forEach((days, i) => {
+    const missing = Math.round(days / period.days) - 1;
+    if (missing > 0) {
+      flags.push({
+        type: 'missed_charge',
+        after: paid[i].date,
+        count: missing,
+        message: `${missing} expected charge(s) missing after ${paid[i].date}`
+      });
+    }
+  });
+
+  let status = 'active';
+  if (asOf && daysBetween(nextExpected, asOf) > grace) {
+    status = 'lapsed';
+    flags.push({
+      type: 'missed_charge',
+      after: last.date,
+      expected: nextExpected,
+      message: `No charge since ${last.date}; one was expected around ${nextExpected} (cancelled?)`
+    });
+  }
+
+  if (trial) {
+    flags.push({
+      type: 'trial_converted',
+      trialDate: trial.date,
+      trialAmount: trial.amount,
+      firstPaidDate: paid[0].date,
+      message: `Trial of ${trial.amount} on ${trial.date} converted to ${paid[0].amount} on ${paid[0].date}`
+    });
+  }
+
+  const confidence = Math.min(1, (0.4 + 0.1 * paid.length) * period.regularity * (variance < 0.1 ? 1 : 0.8));
+
+  return {
+    frequency: period.frequency,
+    periodDays: period.days,
+    occurrences: paid.length,
+    firstCharge: paid[0].date,
+    lastCharge: last.date,
+    nextExpected,
+    averageAmount: round2(mean),
+    lastAmount: last.amount,
+    minAmount: Math.min(...amounts),
+    maxAmount: Math.max(...amounts),
+    amountVariance: round2(variance),
+    annualCost: round2(last.amount * period.perYear),
+    confidence: round2(confidence),
+    status,
+    flags,
+    charges: charges.map(c => ({ date: c.date, amount: c.amount }))
+  };
+}
+
+// Two active subscriptions to one service (merchant dictionary name or the
+// same leading word), or one stream charged twice within a few days
+function findDuplicates(subscriptions) {
+  const active = subscriptions.filter(s => s.status === 'active');
+  const serviceOf = s => (s.merchant || s.key).toLowerCase().split(/[\s@.]/)[0];
+
+  for (const subscription of active) {
+    const others = active.filter(other => other !== subscription && serviceOf(other) === serviceOf(subscription));
+    if (others.length > 0) {
+      subscription.flags.push({
+        type: 'duplicate_subscription',
+        with: others.map(other => other.key),
+        message: `${subscription.merchant} is paid through ${others.length + 1} separate recurring charges`
+      });
+    }
+
+    const tolerance = Math.max(3, Math.round(subscription.periodDays / 6));
+    subscription.charges.forEach((charge, i) => {
+      const previous = subscription.charges[i - 1];
+      if (previous && daysBetween(previous.date, charge.date) <= tolerance) {
+        subscription.flags.push({
+          type: 'duplicate_charge',
+          date: charge.date,
+          amount: charge.amount,
+          message: `Charged twice within ${daysBetween(previous.date, charge.date)} day(s) on ${previous.date} and ${charge.date}`
+        });
+      }
+    });
+  }
+}
+
+// transactions: bank or card rows (rows may carry their own documentType
+// when histories are mixed). asOf defaults to the latest date seen and is
+// used to spot subscriptions that stopped.
+export function detectRecurring(transactions, documentType = 'credit', { asOf } = {}) {
+  const charges = toCharges(transactions, documentType);
+  const latest = asOf || charges.reduce((max, c) => (c.date > max ? c.date : max), '');
+  const groups = new Map();
+
+  for (const charge of charges) {
+    if (!charge.key) continue;
+    if (!groups.has(charge.key)) groups.set(charge.key, []);
+    groups.get(charge.key).push(charge);
+  }
+
+  const subscriptions = [];
+  for (const [key, group] of groups) {
+    if (group.length < 2) continue;
+
+    for (const stream of splitByAmount(group)) {
+      // A merchant's first, tiny charge ends up in a stream of its own;
+      // give it to the paid stream so the conversion is reported
+      const trial = group[0];
+      const withTrial = !stream.includes(trial) && trial.date < stream[0].date &&
+        trial.amount <= median(stream.map(c => c.amount)) * TRIAL_RATIO
+        ? [trial, ...stream]
+        : stream;
+      const described = describeStream(withTrial, latest || null);
+      if (!described) continue;
+
+      subscriptions.push({
+        key,
+        merchant: group[0].merchant || group[0].description,
+        category: group[group.length - 1].category,
+        ...described
+      });
+    }
+  }
+
+  findDuplicates(subscriptions);
+  subscriptions.sort((a, b) => b.annualCost - a.annualCost);
+
+  const active = subscriptions.filter(s => s.status === 'active');
+  return {
+    asOf: latest || null,
+    subscriptions,
+    alerts: subscriptions.flatMap(s => s.flags.map(flag => `${s.merchant}: ${flag.message}`)),
+    summary: {
+      detected: subscriptions.length,
+      active: active.length,
+      monthlyCost: round2(active.reduce((sum, s) => sum + s.annualCost / 12, 0)),
+      annualCost: round2(active.reduce((sum, s) => sum + s.annualCost, 0))
+    }
+  };
+}
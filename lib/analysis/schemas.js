@@ -0,0 +1,183 @@
+// lib/analysis/schemas.js - JSON Schemas for the analysis shapes the prompts ask for
+//
+// Account and card fields are nullable because a chunk of a long statement
+// may not show them. A transaction's debit or credit may be null (the side
+// it is not on), but the key itself must be present.
+
+const number = { type: 'number' };
+const nullableNumber = { type: ['number', 'null'] };
+const nullableString = { type: ['string', 'null'] };
+
+const categoryTotals = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: { total: number, count: number, percentage: nullableNumber }
+  }
+};
+
+const alerts = { type: 'array', items: { type: 'string' } };
+
+export const bankAnalysisSchema = {
+  $id: 'bank-analysis',
+  type: 'object',
+  required: ['accountInfo', 'summary', 'transactions'],
+  properties: {
+    accountInfo: {
+      type: 'object',
+      required: ['accountNumber', 'period', 'openingBalance', 'closingBalance'],
+      properties: {
+        bankName: nullableString,
+        accountNumber: nullableString,
+        period: nullableString,
+        openingBalance: nullableNumber,
+        closingBalance: nullableNumber
+      }
+    },
+    summary: {
+      type: 'object',
+      required: ['totalDeposits', 'totalWithdrawals'],
+      properties: {
+        totalDeposits: number,
+        totalWithdrawals: number,
+        netFlow: number,
+        transactionCount: number,
+        avgDailySpending: nullableNumber
+      }
+    },
+    categories: categoryTotals,
+    monthlyPatterns: {
+      type: 'object',
+      properties: {
+        highestSpendingMonth: nullableString,
+        lowestSpendingMonth: nullableString,
+        averageMonthlySpending: nullableNumber
+      }
+    },
+    recurringPayments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description', 'amount'],
+        properties: { description: { type: 'string' }, amount: number, frequency: nullableString }
+      }
+    },
+    topTransactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { date: nullableString, description: nullableString, amount: number, type: nullableString }
+      }
+    },
+    alerts,
+    transactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'description', 'debit', 'credit'],
+        properties: {
+          date: { type: 'string' },
+          description: { type: 'string' },
+          debit: nullableNumber,
+          credit: nullableNumber,
+          balance: nullableNumber,
+          category: nullableString
+        }
+      }
+    }
+  }
+};
+
+export const cardAnalysisSchema = {
+  $id: 'card-analysis',
+  type: 'object',
+  required: ['cardInfo', 'summary', 'transactions'],
+  properties: {
+    cardInfo: {
+      type: 'object',
+      required: ['cardNumber', 'statementPeriod'],
+      properties: {
+        bankName: nullableString,
+        cardNumber: nullableString,
+        statementPeriod: nullableString,
+        creditLimit: nullableNumber,
+        availableCredit: nullableNumber,
+        monthlyInterestRate: nullableNumber
+      }
+    },
+    summary: {
+      type: 'object',
+      required: ['totalSpent', 'outstandingBalance'],
+      properties: {
+        totalSpent: number,
+        paymentMade: nullableNumber,
+        minimumDue: nullableNumber,
+        dueDate: nullableString,
+        outstandingBalance: nullableNumber
+      }
+    },
+    subscriptions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['merchant', 'amount'],
+        properties: { merchant: { type: 'string' }, amount: number, category: nullableString, frequency: nullableString }
+      }
+    },
+    categories: categoryTotals,
+    expensiveTransactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { date: nullableString, merchant: nullableString, amount: number }
+      }
+    },
+    emis: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          description: { type: 'string' },
+          instalmentAmount: nullableNumber,
+          paidInstalments: nullableNumber,
+          totalInstalments: nullableNumber,
+          remainingInstalments: nullableNumber,
+          outstandingPrincipal: nullableNumber,
+          interestRate: nullableNumber
+        }
+      }
+    },
+    rewardPoints: {
+      type: ['object', 'null'],
+      properties: {
+        opening: nullableNumber,
+        earned: nullableNumber,
+        bonus: nullableNumber,
+        redeemed: nullableNumber,
+        expired: nullableNumber,
+        closing: nullableNumber,
+        expiringSoon: nullableNumber,
+        expiryDate: nullableString
+      }
+    },
+    alerts,
+    transactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'merchant', 'amount'],
+        properties: {
+          date: { type: 'string' },
+          merchant: { type: 'string' },
+          amount: number,
+          category: nullableString
+        }
+      }
+    }
+  }
+};
+
+export function analysisSchema(documentType) {
+  return documentType === 'bank' ? bankAnalysisSchema : cardAnalysisSchema;
+}
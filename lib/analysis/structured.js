@@ -0,0 +1,122 @@
+// lib/analysis/structured.js - Parse, coerce and validate model output against the schemas
+import Ajv from 'ajv';
+import { parseAmount } from '../parsers/index.js';
+import { analysisSchema } from './schemas.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+
+function validatorFor(documentType) {
+  const schema = analysisSchema(documentType);
+  if (!validators.has(schema.$id)) validators.set(schema.$id, ajv.compile(schema));
+  return validators.get(schema.$id);
+}
+
+// Models wrap JSON in code fences or prose. Take the first balanced
+// {...} block instead of everything between the first { and the last }.
+export function extractJson(text) {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = source.indexOf('{');
+  if (start === -1) throw new Error('No JSON found in response');
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return JSON.parse(source.slice(start, i + 1));
+    }
+  }
+
+  throw new Error('JSON in response is incomplete');
+}
+
+function allowsType(schema, type) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.includes(type);
+}
+
+// Bring values to the schema's types where the intent is unambiguous:
+// "₹1,234.50" -> 1234.5, 1234 -> "1234" for string fields, "" -> null for
+// nullable fields. Every change is recorded in `coerced`.
+function coerce(value, schema, path, coerced) {
+  if (!schema || value === undefined) return value;
+
+  const record = to => {
+    coerced.push({ path: path || '/', from: value, to });
+    return to;
+  };
+
+  if (value === '' && allowsType(schema, 'null') && !allowsType(schema, 'string')) return record(null);
+
+  if (allowsType(schema, 'number') && typeof value === 'string') {
+    const amount = parseAmount(value);
+    return amount === null ? value : record(amount);
+  }
+
+  if (allowsType(schema, 'string') && typeof value === 'number') return record(String(value));
+
+  if (allowsType(schema, 'array') && Array.isArray(value)) {
+    return value.map((item, index) => coerce(item, schema.items, `${path}/${index}`, coerced));
+  }
+
+  if (allowsType(schema, 'object') && value && typeof value === 'object' && !Array.isArray(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      result[key] = coerce(item, itemSchema, `${path}/${key}`, coerced);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+function describeErrors(errors = []) {
+  return errors.map(error => {
+    if (error.keyword === 'required') {
+      const path = `${error.instancePath}/${error.params.missingProperty}`;
+      return { path, message: 'is required', missing: true };
+    }
+    return { path: error.instancePath || '/', message: error.message, missing: false };
+  });
+}
+
+// Returns { analysis, valid, errors, missing, coerced }. `analysis` is the
+// coerced object (also when invalid) or null when no JSON could be read.
+export function checkAnalysis(text, documentType) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return {
+      analysis: null,
+      valid: false,
+      errors: [{ path: '/', message: `Response is not valid JSON: ${error.message}`, missing: false }],
+      missing: [],
+      coerced: []
+    };
+  }
+
+  const coerced = [];
+  const analysis = coerce(parsed, analysisSchema(documentType), '', coerced);
+  const validate = validatorFor(documentType);
+  const valid = validate(analysis);
+  const errors = valid ? [] : describeErrors(validate.errors);
+
+  return {
+    analysis,
+    valid,
+    errors,
+    missing: errors.filter(error => error.missing).map(error => error.path),
+    coerced
+  };
+}
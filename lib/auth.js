@@ -0,0 +1,97 @@
+// lib/auth.js - Local token authentication (JWT or API key, no identity provider)
+import jwt from 'jsonwebtoken';
+import { createHash, randomBytes } from 'crypto';
+
+const API_KEY_PREFIX = 'sp_';
+
+export function generateApiKey() {
+  return `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+}
+
+// Only the hash is stored, so a leaked database does not leak usable keys
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function unauthorized(res, message) {
+  return res.status(401).json({ error: 'Unauthorized', details: message });
+}
+
+// Express middleware that sets req.user = { id, email, via } or answers 401.
+// JWTs are HS256-signed with `secret` by whatever service logs users in;
+// API keys are created through /api/auth/api-keys and looked up by hash.
+export function createAuthenticator({ secret, issuer, audience, repository, disabled = false }) {
+  if (disabled) {
+    console.warn('⚠️  AUTH_DISABLED is set: every request runs as the local development user');
+  } else if (!secret) {
+    console.warn('⚠️  JWT_SECRET is not set: only API keys will be accepted');
+  }
+
+  async function ensureUser(id, email) {
+    const existing = await repository.getUser(id);
+    if (existing) return existing;
+    // The email is unique; a new subject whose email already belongs to
+    // another user is stored without it instead of being linked to that user
+    const owner = email ? await repository.getUserByEmail(email) : null;
+    return repository.upsertUser({ id, email: owner ? null : email });
+  }
+
+  return async function authenticate(req, res, next) {
+    try {
+      if (disabled) {
+        req.user = { id: 'local-dev', email: null, via: 'disabled' };
+        await ensureUser(req.user.id, null);
+        return next();
+      }
+
+      const apiKey = req.get('X-API-Key') || (bearerToken(req)?.startsWith(API_KEY_PREFIX) ? bearerToken(req) : null);
+      if (apiKey) {
+        const key = await repository.findApiKey(hashApiKey(apiKey));
+        if (!key) return unauthorized(res, 'Invalid API key');
+        const user = await repository.getUser(key.userId);
+        req.user = { id: key.userId, email: user?.email || null, via: 'api_key' };
+        return next();
+      }
+
+      const token = bearerToken(req);
+      if (!token) return unauthorized(res, 'Missing bearer token or API key');
+      if (!secret) return unauthorized(res, 'Token authentication is not configured');
+
+      let claims;
+      try {
+        claims = jwt.verify(token, secret, {
+          algorithms: ['HS256'],
+          ...(issuer ? { issuer } : {}),
+          ...(audience ? { audience } : {})
+        });
+      } catch (error) {
+        return unauthorized(res, error.message);
+      }
+
+      if (!claims.sub) return unauthorized(res, 'Token has no subject');
+
+      const user = await ensureUser(String(claims.sub), claims.email || null);
+      req.user = { id: user.id, email: user.email, via: 'jwt' };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// CORS_ORIGINS="https://app.example.com,https://admin.example.com"; unset or
+// "*" keeps the previous allow-all behaviour
+export function corsOptions(originsSetting) {
+  const origins = (originsSetting || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  if (origins.length === 0 || origins.includes('*')) return { origin: true };
+
+  return {
+    origin: (origin, callback) => callback(null, !origin || origins.includes(origin))
+  };
+}
@@ -0,0 +1,166 @@
+// lib/categorize/index.js - Local transaction categorization
+//
+// Precedence for each row: the user's overrides for that merchant, the
+// user's own rules, the merchant dictionary, the built-in keyword rules, the
+// model's category (unless mode is "rules-only"), the payment channel, and
+// finally "Others".
+import { MERCHANTS } from './merchants.js';
+import { CHANNELS, DEFAULT_RULES } from './rules.js';
+import { toNumber, isCardCredit } from '../analysis/aggregate.js';
+
+export const CATEGORIZATION_MODES = ['rules-first', 'rules-only', 'llm'];
+
+export const BUILTIN_CATEGORIES = [...new Set([
+  ...MERCHANTS.map(([, , category]) => category),
+  ...DEFAULT_RULES.map(rule => rule.category),
+  ...CHANNELS.map(entry => entry.channel),
+  'Others'
+])].sort();
+
+function normalize(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+// Short keywords must match a whole word ("ola" but not "olam"); longer ones
+// may start a word ("amazon" in "amazonpay")
+const MERCHANT_INDEX = [...MERCHANTS]
+  .sort((a, b) => b[0].length - a[0].length)
+  .map(([keyword, name, category]) => ({
+    name,
+    category,
+    pattern: new RegExp(`\\s${keyword.replace(/[^a-z0-9]+/g, '\\s')}${keyword.length >= 5 ? '' : '\\s'}`)
+  }));
+
+function narrationOf(t) {
+  return String(t.description || t.merchant || t.narration || '');
+}
+
+// Stable key for "this merchant" across statements: the UPI handle when
+// there is one, otherwise the narration without numbers and references
+export function merchantKey(narration) {
+  const vpa = String(narration || '').match(/[a-z0-9._]+@[a-z]{2,}/i);
+  if (vpa) return vpa[0].toLowerCase();
+
+  return normalize(narration)
+    .replace(/\b(?:upi|neft|imps|rtgs|pos|ecom|txn|ref|no|cr|dr|to|from|by|ach|nach)\b/g, ' ')
+    .replace(/\b\w*\d\w*\b/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .slice(0, 4)
+    .join(' ');
+}
+
+// User regexes run over every row of every later analysis on the shared
+// event loop, so they are kept short and a repeated group that itself
+// repeats or alternates ("(a+)+", "(a|aa)*") is refused: those can
+// backtrack for seconds on a single narration
+export const MAX_USER_PATTERN_LENGTH = 100;
+
+function hasNestedQuantifier(pattern) {
+  // Escapes and character classes cannot nest, so they stand in as one atom
+  let rest = pattern.replace(/\\./g, 'x').replace(/\[[^\]]*\]/g, 'x');
+  const innermost = /\(([^()]*)\)([+*]|\{\d+,?\d*\})?/;
+  let match;
+  while ((match = rest.match(innermost))) {
+    const [group, body, quantifier] = match;
+    const repeats = /[+*|]|\{\d/.test(body);
+    if (quantifier && repeats) return true;
+    rest = rest.replace(group, repeats || quantifier ? 'x+' : 'x');
+  }
+  return false;
+}
+
+// Throws with a message fit for a 400 response
+export function compileUserRegex(pattern) {
+  const source = String(pattern);
+  if (source.length > MAX_USER_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_USER_PATTERN_LENGTH} characters`);
+  }
+  if (hasNestedQuantifier(source)) {
+    throw new Error('Nested quantifiers such as (a+)+ are not allowed');
+  }
+  return new RegExp(source, 'i');
+}
+
+function direction(t, documentType) {
+  if (documentType === 'bank') return toNumber(t.credit) > 0 ? 'credit' : 'debit';
+  return isCardCredit(t) ? 'credit' : 'debit';
+}
+
+function compileUserRule(rule) {
+  if (rule.matchType === 'regex') {
+    try {
+      const regex = compileUserRegex(rule.pattern);
+      return { ...rule, test: narration => regex.test(narration) };
+    } catch (error) {
+      console.error('Ignoring invalid category rule:', rule.id, error.message);
+      return null;
+    }
+  }
+  if (rule.matchType === 'merchant') {
+    return { ...rule, test: (narration, key) => key === rule.pattern };
+  }
+  const needle = normalize(rule.pattern).trim();
+  return { ...rule, test: narration => needle.length > 0 && normalize(narration).includes(` ${needle}`) };
+}
+
+// userRules: [{ id, matchType: 'merchant' | 'contains' | 'regex', pattern, category }]
+// as stored by the repository. 'merchant' rules are overrides keyed by merchantKey.
+export function createCategorizer({ userRules = [], mode = 'rules-first' } = {}) {
+  if (!CATEGORIZATION_MODES.includes(mode)) {
+    throw new Error(`Unknown categorization mode "${mode}" (available: ${CATEGORIZATION_MODES.join(', ')})`);
+  }
+
+  const compiled = userRules.map(compileUserRule).filter(Boolean);
+  const overrides = compiled.filter(rule => rule.matchType === 'merchant');
+  const customRules = compiled.filter(rule => rule.matchType !== 'merchant');
+
+  // Returns { category, source, ruleId, merchant, channel }
+  function categorize(t, documentType = 'bank') {
+    const narration = narrationOf(t);
+    const key = merchantKey(narration);
+    const normalized = normalize(narration);
+    const channel = CHANNELS.find(entry => entry.pattern.test(narration))?.channel || null;
+    const merchant = MERCHANT_INDEX.find(entry => entry.pattern.test(normalized)) || null;
+    const base = { merchant: merchant?.name || null, channel };
+
+    if (mode === 'llm') {
+      return { ...base, category: t.category || 'Others', source: t.category ? 'llm' : 'default', ruleId: null };
+    }
+
+    const override = overrides.find(rule => rule.test(narration, key));
+    if (override) return { ...base, category: override.category, source: 'override', ruleId: override.id };
+
+    const custom = customRules.find(rule => rule.test(narration, key));
+    if (custom) return { ...base, category: custom.category, source: 'user_rule', ruleId: custom.id };
+
+    const flow = direction(t, documentType);
+    const keywordRule = DEFAULT_RULES.find(rule => (!rule.direction || rule.direction === flow) && rule.pattern.test(narration));
+    // Salary, refunds, card payments and the like describe the row better
+    // than a merchant name appearing in it
+    if (keywordRule && (!merchant || keywordRule.direction === 'credit' || keywordRule.id === 'card-payment')) {
+      return { ...base, category: keywordRule.category, source: 'rule', ruleId: keywordRule.id };
+    }
+    if (merchant) return { ...base, category: merchant.category, source: 'merchant', ruleId: null };
+
+    if (mode === 'rules-first' && t.category) return { ...base, category: t.category, source: 'llm', ruleId: null };
+    if (channel) return { ...base, category: channel, source: 'channel', ruleId: null };
+    return { ...base, category: 'Others', source: 'default', ruleId: null };
+  }
+
+  // New rows with category, categorySource and (when known) merchantName and channel
+  function apply(transactions, documentType = 'bank') {
+    return (Array.isArray(transactions) ? transactions : []).map(t => {
+      const result = categorize(t, documentType);
+      return {
+        ...t,
+        category: result.category,
+        categorySource: result.source,
+        ...(result.merchant ? { merchantName: result.merchant } : {}),
+        ...(result.channel ? { channel: result.channel } : {})
+      };
+    });
+  }
+
+  return { mode, categorize, apply };
+}
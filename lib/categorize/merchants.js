@@ -0,0 +1,106 @@
+// lib/categorize/merchants.js - Merchant dictionary (Indian merchants and billers)
+//
+// [keyword, display name, category]. Keywords match whole words in the
+// narration after lower-casing, so "swiggy" also matches "UPI-SWIGGY-...".
+export const MERCHANTS = [
+  ['swiggy', 'Swiggy', 'Dining'],
+  ['zomato', 'Zomato', 'Dining'],
+  ['dominos', "Domino's", 'Dining'],
+  ['mcdonalds', "McDonald's", 'Dining'],
+  ['starbucks', 'Starbucks', 'Dining'],
+  ['kfc', 'KFC', 'Dining'],
+  ['eazydiner', 'EazyDiner', 'Dining'],
+
+  ['bigbasket', 'BigBasket', 'Groceries'],
+  ['blinkit', 'Blinkit', 'Groceries'],
+  ['grofers', 'Blinkit', 'Groceries'],
+  ['zepto', 'Zepto', 'Groceries'],
+  ['dmart', 'DMart', 'Groceries'],
+  ['jiomart', 'JioMart', 'Groceries'],
+  ['instamart', 'Swiggy Instamart', 'Groceries'],
+
+  ['amazon', 'Amazon', 'Shopping'],
+  ['amzn', 'Amazon', 'Shopping'],
+  ['flipkart', 'Flipkart', 'Shopping'],
+  ['myntra', 'Myntra', 'Shopping'],
+  ['ajio', 'AJIO', 'Shopping'],
+  ['nykaa', 'Nykaa', 'Shopping'],
+  ['meesho', 'Meesho', 'Shopping'],
+  ['croma', 'Croma', 'Shopping'],
+  ['decathlon', 'Decathlon', 'Shopping'],
+
+  ['uber', 'Uber', 'Travel'],
+  ['ola', 'Ola', 'Travel'],
+  ['olacabs', 'Ola', 'Travel'],
+  ['rapido', 'Rapido', 'Travel'],
+  ['irctc', 'IRCTC', 'Travel'],
+  ['makemytrip', 'MakeMyTrip', 'Travel'],
+  ['goibibo', 'Goibibo', 'Travel'],
+  ['cleartrip', 'Cleartrip', 'Travel'],
+  ['indigo', 'IndiGo', 'Travel'],
+  ['airindia', 'Air India', 'Travel'],
+  ['redbus', 'redBus', 'Travel'],
+  ['fastag', 'FASTag', 'Travel'],
+
+  ['hpcl', 'HPCL', 'Fuel'],
+  ['bpcl', 'BPCL', 'Fuel'],
+  ['iocl', 'Indian Oil', 'Fuel'],
+  ['indianoil', 'Indian Oil', 'Fuel'],
+  ['shell', 'Shell', 'Fuel'],
+
+  ['netflix', 'Netflix', 'Entertainment'],
+  ['spotify', 'Spotify', 'Entertainment'],
+  ['hotstar', 'Disney+ Hotstar', 'Entertainment'],
+  ['primevideo', 'Prime Video', 'Entertainment'],
+  ['youtube', 'YouTube', 'Entertainment'],
+  ['bookmyshow', 'BookMyShow', 'Entertainment'],
+  ['sonyliv', 'SonyLIV', 'Entertainment'],
+
+  ['openai', 'OpenAI', 'Software'],
+  ['chatgpt', 'ChatGPT', 'Software'],
+  ['github', 'GitHub', 'Software'],
+  // Google Pay rows are UPI transfers to people, not Google software
+  ['google pay', 'Google Pay', 'Transfers'],
+  ['googlepay', 'Google Pay', 'Transfers'],
+  ['gpay', 'Google Pay', 'Transfers'],
+  ['google', 'Google', 'Software'],
+  ['microsoft', 'Microsoft', 'Software'],
+  ['adobe', 'Adobe', 'Software'],
+  ['notion', 'Notion', 'Software'],
+  ['canva', 'Canva', 'Software'],
+  ['aws', 'AWS', 'Software'],
+  ['zoom', 'Zoom', 'Software'],
+  ['slack', 'Slack', 'Software'],
+
+  ['airtel', 'Airtel', 'Utilities'],
+  ['jio', 'Jio', 'Utilities'],
+  ['vodafone', 'Vi', 'Utilities'],
+  ['bsnl', 'BSNL', 'Utilities'],
+  ['tatapower', 'Tata Power', 'Utilities'],
+  ['bescom', 'BESCOM', 'Utilities'],
+  ['msedcl', 'MSEDCL', 'Utilities'],
+  ['adani electricity', 'Adani Electricity', 'Utilities'],
+  ['act fibernet', 'ACT Fibernet', 'Utilities'],
+  ['mahanagar gas', 'Mahanagar Gas', 'Utilities'],
+
+  ['apollo', 'Apollo', 'Health'],
+  ['pharmeasy', 'PharmEasy', 'Health'],
+  ['netmeds', 'Netmeds', 'Health'],
+  ['practo', 'Practo', 'Health'],
+  ['1mg', 'Tata 1mg', 'Health'],
+
+  ['lic', 'LIC', 'Insurance'],
+  ['policybazaar', 'Policybazaar', 'Insurance'],
+  ['hdfc ergo', 'HDFC ERGO', 'Insurance'],
+  ['icici lombard', 'ICICI Lombard', 'Insurance'],
+
+  ['zerodha', 'Zerodha', 'Investments'],
+  ['groww', 'Groww', 'Investments'],
+  ['upstox', 'Upstox', 'Investments'],
+  ['kuvera', 'Kuvera', 'Investments'],
+  ['indmoney', 'INDmoney', 'Investments'],
+
+  ['udemy', 'Udemy', 'Education'],
+  ['coursera', 'Coursera', 'Education'],
+  ['byjus', "BYJU'S", 'Education']
+];
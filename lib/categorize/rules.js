@@ -0,0 +1,32 @@
+// lib/categorize/rules.js - Built-in narration rules
+//
+// Channels say how money moved (UPI, NEFT, ...); keyword rules say what it
+// was for. A row that matches no rule and no merchant falls back to its
+// channel, which keeps the category set the prompts have always used.
+
+export const CHANNELS = [
+  { channel: 'UPI', pattern: /\bUPI\b|[a-z0-9._]+@[a-z]{2,}/i },
+  { channel: 'NEFT', pattern: /\bNEFT\b/i },
+  { channel: 'IMPS', pattern: /\bIMPS\b|\bMMT\b/i },
+  { channel: 'RTGS', pattern: /\bRTGS\b/i },
+  { channel: 'ATM', pattern: /\bATM\b|\bATW\b|\bNWD\b|CASH\s*WDL|CASH\s*WITHDRAWAL/i },
+  { channel: 'Cheque', pattern: /\bCHQ\b|\bCHEQUE\b|\bCLG\b/i },
+  { channel: 'Card', pattern: /\bPOS\b|\bECOM\b|\bDEBIT\s*CARD\b/i },
+  { channel: 'ACH', pattern: /\bACH\b|\bNACH\b|\bECS\b/i }
+];
+
+// Checked in order; the first match wins. `direction` limits a rule to
+// money in ('credit') or out ('debit').
+export const DEFAULT_RULES = [
+  { id: 'salary', category: 'Salary', direction: 'credit', pattern: /\bSALARY\b|\bSAL\b|\bPAYROLL\b/i },
+  { id: 'interest', category: 'Interest', direction: 'credit', pattern: /\bINT(?:EREST)?\.?\s*(?:PD|PAID|CREDIT|CR)\b|\bINTEREST\b/i },
+  { id: 'refund', category: 'Refunds', direction: 'credit', pattern: /\bREFUND\b|\bREVERSAL\b|\bCASHBACK\b/i },
+  { id: 'card-payment', category: 'Credit Card', pattern: /CREDIT\s*CARD|\bCC\s*(?:PAYMENT|BILL)|\bCARD\s*PAYMENT\b|BILLDESK.*CARD|PAYMENT\s+RECEIVED|THANK\s+YOU/i },
+  { id: 'loan-emi', category: 'Loan EMI', pattern: /\bEMI\b|\bLOAN\b/i },
+  { id: 'bank-charges', category: 'Bank Charges', direction: 'debit', pattern: /\bCHARGES?\b|\bCHGS?\b|\bFEE\b|\bGST\b.*\bCHG|\bSMS\s*ALERT|\bAMC\b|\bPENALTY\b/i },
+  { id: 'tax', category: 'Tax', direction: 'debit', pattern: /\bGSTIN?\s*PAYMENT|\bTDS\b|\bADVANCE\s*TAX\b|\bINCOME\s*TAX\b|\bCBDT\b|\bGSTN\b/i },
+  { id: 'rent', category: 'Rent', direction: 'debit', pattern: /\bRENT\b/i },
+  { id: 'cash', category: 'ATM', direction: 'debit', pattern: /\bATM\b|\bATW\b|\bNWD\b|CASH\s*WDL|CASH\s*WITHDRAWAL/i },
+  { id: 'fuel', category: 'Fuel', pattern: /\bPETROL\b|\bFUEL\b|\bFILLING\s*STATION\b/i },
+  { id: 'self-transfer', category: 'Transfers', pattern: /\bSELF\b|\bOWN\s*A\/?C\b|\bSWEEP\b|\bFD\b/i }
+];
@@ -0,0 +1,26 @@
+// lib/db/index.js - Persistence entry point
+//
+// Every backend returns a repository with the same async methods:
+//   getUser(id), getUserByEmail(email), upsertUser({ id, email, settings })
+//   createApiKey({ userId, keyHash, label }), findApiKey(keyHash), listApiKeys(userId), deleteApiKey(id, userId)
+//   listCategoryRules(userId), saveCategoryRule({ userId, matchType, pattern, category }), deleteCategoryRule(id, userId)
+//   listTaxRules(userId), saveTaxRule({ userId, matchType, pattern, scope, taxHead }), deleteTaxRule(id, userId)
+//   listVendors(userId), saveVendor({ userId, name, matchType, pattern, gstin, gstRate, scope, taxHead }), deleteVendor(id, userId)
+//   getPasswordHints(userId), savePasswordHints(userId, sealed), deletePasswordHints(userId)
+//   saveStatementAnalysis({ userId, documentType, analysis, validation, parser, chunks, fileName, statementId })
+//   listStatements(userId, { limit, offset }), getStatement(id), deleteStatement(id)
+//   listTransactions(statementId), getAnalysis(id), listAnalyses(statementId), close()
+// so a Postgres backend only needs to implement this list.
+import { createSqliteRepository } from './sqlite.js';
+
+const backends = {
+  sqlite: options => createSqliteRepository({ filename: options.url || options.filename })
+};
+
+export function createRepository(backend = 'sqlite', options = {}) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Unknown database backend "${backend}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,521 @@
+// lib/db/sqlite.js - SQLite repository (default persistence backend)
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Ordered schema changes; applied once each and recorded in schema_migrations
+const MIGRATIONS = [
+  `CREATE TABLE users (
+     id TEXT PRIMARY KEY,
+     email TEXT UNIQUE,
+     settings TEXT NOT NULL DEFAULT '{}',
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   CREATE TABLE statements (
+     id TEXT PRIMARY KEY,
+     user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+     document_type TEXT NOT NULL,
+     bank_name TEXT,
+     account_number TEXT,
+     period TEXT,
+     file_name TEXT,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX statements_user ON statements(user_id, created_at);
+   CREATE TABLE analyses (
+     id TEXT PRIMARY KEY,
+     statement_id TEXT NOT NULL REFERENCES statements(id) ON DELETE CASCADE,
+     analysis TEXT NOT NULL,
+     validation TEXT,
+     parser TEXT,
+     chunks TEXT,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX analyses_statement ON analyses(statement_id, created_at);
+   CREATE TABLE transactions (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     statement_id TEXT NOT NULL REFERENCES statements(id) ON DELETE CASCADE,
+     position INTEGER NOT NULL,
+     date TEXT,
+     description TEXT,
+     debit REAL,
+     credit REAL,
+     amount REAL,
+     balance REAL,
+     category TEXT,
+     data TEXT NOT NULL
+   );
+   CREATE INDEX transactions_statement ON transactions(statement_id, position);`,
+  `CREATE TABLE api_keys (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     key_hash TEXT NOT NULL UNIQUE,
+     label TEXT,
+     created_at TEXT NOT NULL,
+     last_used_at TEXT
+   );`,
+  `CREATE TABLE category_rules (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     match_type TEXT NOT NULL,
+     pattern TEXT NOT NULL,
+     category TEXT NOT NULL,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL,
+     UNIQUE (user_id, match_type, pattern)
+   );`,
+  `CREATE TABLE tax_rules (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     match_type TEXT NOT NULL,
+     pattern TEXT NOT NULL,
+     scope TEXT NOT NULL,
+     tax_head TEXT,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL,
+     UNIQUE (user_id, match_type, pattern)
+   );
+   CREATE TABLE vendors (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     name TEXT NOT NULL,
+     match_type TEXT NOT NULL,
+     pattern TEXT NOT NULL,
+     gstin TEXT,
+     gst_rate REAL,
+     scope TEXT,
+     tax_head TEXT,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL,
+     UNIQUE (user_id, match_type, pattern)
+   );`,
+  `CREATE TABLE password_hints (
+     user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+     sealed BLOB NOT NULL,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );`
+];
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJson(value) {
+  return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+function toNumberOrNull(value) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^\d.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function mapUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    settings: fromJson(row.settings) || {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapStatement(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    documentType: row.document_type,
+    bankName: row.bank_name,
+    accountNumber: row.account_number,
+    period: row.period,
+    fileName: row.file_name,
+    createdAt: row.created_at,
+    latestAnalysisId: row.latest_analysis_id ?? undefined,
+    transactionCount: row.transaction_count ?? undefined
+  };
+}
+
+function mapAnalysis(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    statementId: row.statement_id,
+    analysis: fromJson(row.analysis),
+    validation: fromJson(row.validation),
+    parser: fromJson(row.parser),
+    chunks: fromJson(row.chunks),
+    createdAt: row.created_at
+  };
+}
+
+function mapCategoryRule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    matchType: row.match_type,
+    pattern: row.pattern,
+    category: row.category,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapTaxRule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    matchType: row.match_type,
+    pattern: row.pattern,
+    scope: row.scope,
+    taxHead: row.tax_head,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapVendor(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    matchType: row.match_type,
+    pattern: row.pattern,
+    gstin: row.gstin,
+    gstRate: row.gst_rate,
+    scope: row.scope,
+    taxHead: row.tax_head,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function migrate(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+
+  MIGRATIONS.slice(applied).forEach((sql, offset) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)')
+        .run(applied + offset + 1, new Date().toISOString());
+    })();
+  });
+}
+
+export function createSqliteRepository({ filename = './data/solopay.db' } = {}) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const insertStatement = db.prepare(`
+    INSERT INTO statements (id, user_id, document_type, bank_name, account_number, period, file_name, created_at)
+    VALUES (@id, @userId, @documentType, @bankName, @accountNumber, @period, @fileName, @createdAt)`);
+  const insertAnalysis = db.prepare(`
+    INSERT INTO analyses (id, statement_id, analysis, validation, parser, chunks, created_at)
+    VALUES (@id, @statementId, @analysis, @validation, @parser, @chunks, @createdAt)`);
+  const insertTransaction = db.prepare(`
+    INSERT INTO transactions (statement_id, position, date, description, debit, credit, amount, balance, category, data)
+    VALUES (@statementId, @position, @date, @description, @debit, @credit, @amount, @balance, @category, @data)`);
+
+  // Users
+
+  async function getUser(id) {
+    return mapUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  async function getUserByEmail(email) {
+    return mapUser(db.prepare('SELECT * FROM users WHERE email = ?').get(email));
+  }
+
+  async function upsertUser({ id, email = null, settings = {} }) {
+    const now = new Date().toISOString();
+    const existing = id
+      ? db.prepare('SELECT * FROM users WHERE id = ?').get(id)
+      : email ? db.prepare('SELECT * FROM users WHERE email = ?').get(email) : null;
+
+    if (existing) {
+      const merged = { ...(fromJson(existing.settings) || {}), ...settings };
+      db.prepare('UPDATE users SET email = COALESCE(?, email), settings = ?, updated_at = ? WHERE id = ?')
+        .run(email, JSON.stringify(merged), now, existing.id);
+      return getUser(existing.id);
+    }
+
+    const userId = id || randomUUID();
+    db.prepare('INSERT INTO users (id, email, settings, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+      .run(userId, email, JSON.stringify(settings), now, now);
+    return getUser(userId);
+  }
+
+  // API keys (only the SHA-256 hash is stored)
+
+  async function createApiKey({ userId, keyHash, label = null }) {
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    db.prepare('INSERT INTO api_keys (id, user_id, key_hash, label, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(id, userId, keyHash, label, now);
+    return { id, userId, label, createdAt: now, lastUsedAt: null };
+  }
+
+  async function findApiKey(keyHash) {
+    const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash);
+    if (!row) return null;
+    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    return { id: row.id, userId: row.user_id, label: row.label };
+  }
+
+  async function listApiKeys(userId) {
+    return db.prepare('SELECT id, label, created_at, last_used_at FROM api_keys WHERE user_id = ? ORDER BY created_at DESC')
+      .all(userId)
+      .map(row => ({ id: row.id, label: row.label, createdAt: row.created_at, lastUsedAt: row.last_used_at }));
+  }
+
+  async function deleteApiKey(id, userId) {
+    return db.prepare('DELETE FROM api_keys WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  }
+
+  // Category rules and merchant overrides (one per user, type and pattern)
+
+  async function listCategoryRules(userId) {
+    return db.prepare('SELECT * FROM category_rules WHERE user_id = ? ORDER BY created_at')
+      .all(userId)
+      .map(mapCategoryRule);
+  }
+
+  async function saveCategoryRule({ userId, matchType, pattern, category }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO category_rules (id, user_id, match_type, pattern, category, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, match_type, pattern) DO UPDATE SET category = excluded.category, updated_at = excluded.updated_at`)
+      .run(randomUUID(), userId, matchType, pattern, category, now, now);
+    return mapCategoryRule(db.prepare('SELECT * FROM category_rules WHERE user_id = ? AND match_type = ? AND pattern = ?')
+      .get(userId, matchType, pattern));
+  }
+
+  async function deleteCategoryRule(id, userId) {
+    return db.prepare('DELETE FROM category_rules WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  }
+
+  // Business/personal tagging rules and GST vendors
+
+  async function listTaxRules(userId) {
+    return db.prepare('SELECT * FROM tax_rules WHERE user_id = ? ORDER BY created_at')
+      .all(userId)
+      .map(mapTaxRule);
+  }
+
+  async function saveTaxRule({ userId, matchType, pattern, scope, taxHead = null }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO tax_rules (id, user_id, match_type, pattern, scope, tax_head, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, match_type, pattern)
+      DO UPDATE SET scope = excluded.scope, tax_head = excluded.tax_head, updated_at = excluded.updated_at`)
+      .run(randomUUID(), userId, matchType, pattern, scope, taxHead, now, now);
+    return mapTaxRule(db.prepare('SELECT * FROM tax_rules WHERE user_id = ? AND match_type = ? AND pattern = ?')
+      .get(userId, matchType, pattern));
+  }
+
+  async function deleteTaxRule(id, userId) {
+    return db.prepare('DELETE FROM tax_rules WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  }
+
+  async function listVendors(userId) {
+    return db.prepare('SELECT * FROM vendors WHERE user_id = ? ORDER BY name')
+      .all(userId)
+      .map(mapVendor);
+  }
+
+  async function saveVendor({ userId, name, matchType, pattern, gstin = null, gstRate = null, scope = null, taxHead = null }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO vendors (id, user_id, name, match_type, pattern, gstin, gst_rate, scope, tax_head, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, match_type, pattern)
+      DO UPDATE SET name = excluded.name, gstin = excluded.gstin, gst_rate = excluded.gst_rate,
+        scope = excluded.scope, tax_head = excluded.tax_head, updated_at = excluded.updated_at`)
+      .run(randomUUID(), userId, name, matchType, pattern, gstin, gstRate, scope, taxHead, now, now);
+    return mapVendor(db.prepare('SELECT * FROM vendors WHERE user_id = ? AND match_type = ? AND pattern = ?')
+      .get(userId, matchType, pattern));
+  }
+
+  async function deleteVendor(id, userId) {
+    return db.prepare('DELETE FROM vendors WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  }
+
+  // Statement password hints, sealed by the caller before they get here
+
+  async function getPasswordHints(userId) {
+    const row = db.prepare('SELECT * FROM password_hints WHERE user_id = ?').get(userId);
+    return row ? { sealed: row.sealed, createdAt: row.created_at, updatedAt: row.updated_at } : null;
+  }
+
+  async function savePasswordHints(userId, sealed) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO password_hints (user_id, sealed, created_at, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET sealed = excluded.sealed, updated_at = excluded.updated_at`)
+      .run(userId, sealed, now, now);
+    return getPasswordHints(userId);
+  }
+
+  async function deletePasswordHints(userId) {
+    return db.prepare('DELETE FROM password_hints WHERE user_id = ?').run(userId).changes > 0;
+  }
+
+  // Statements, their transactions and analyses
+
+  const saveStatementAnalysisTx = db.transaction(input => {
+    const now = new Date().toISOString();
+    const { analysis } = input;
+    const info = (input.documentType === 'bank' ? analysis.accountInfo : analysis.cardInfo) || {};
+    const accountNumber = info.accountNumber || info.cardNumber || null;
+    const period = info.period || info.statementPeriod || null;
+    // Uploading or reprocessing the same statement replaces it, so its rows
+    // are not counted twice in history
+    const existing = input.statementId || !accountNumber || !period
+      ? null
+      : db.prepare(`
+          SELECT id FROM statements
+          WHERE user_id IS ? AND document_type = ? AND account_number = ? AND period = ?
+          ORDER BY created_at LIMIT 1`).get(input.userId || null, input.documentType, accountNumber, period);
+    const replacing = input.statementId || existing?.id || null;
+    const statementId = replacing || randomUUID();
+
+    if (!replacing) {
+      insertStatement.run({
+        id: statementId,
+        userId: input.userId || null,
+        documentType: input.documentType,
+        bankName: info.bankName || null,
+        accountNumber,
+        period,
+        fileName: input.fileName || null,
+        createdAt: now
+      });
+    } else {
+      db.prepare('DELETE FROM transactions WHERE statement_id = ?').run(statementId);
+    }
+
+    const transactions = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+    transactions.forEach((t, position) => {
+      insertTransaction.run({
+        statementId,
+        position,
+        date: t.date || null,
+        description: t.description || t.merchant || t.narration || null,
+        debit: toNumberOrNull(t.debit),
+        credit: toNumberOrNull(t.credit),
+        amount: toNumberOrNull(t.amount),
+        balance: toNumberOrNull(t.balance),
+        category: t.category || null,
+        data: JSON.stringify(t)
+      });
+    });
+
+    const analysisId = randomUUID();
+    insertAnalysis.run({
+      id: analysisId,
+      statementId,
+      analysis: JSON.stringify(analysis),
+      validation: toJson(input.validation),
+      parser: toJson(input.parser),
+      chunks: toJson(input.chunks),
+      createdAt: now
+    });
+
+    return { statementId, analysisId };
+  });
+
+  // Store one analysis run; pass statementId to add a re-analysis to an
+  // existing statement (its transactions are replaced). Without one, a
+  // stored statement of the same user, type, account and period is reused.
+  async function saveStatementAnalysis(input) {
+    return saveStatementAnalysisTx(input);
+  }
+
+  async function listStatements(userId, { limit = 50, offset = 0 } = {}) {
+    const rows = db.prepare(`
+      SELECT s.*,
+        (SELECT a.id FROM analyses a WHERE a.statement_id = s.id ORDER BY a.created_at DESC LIMIT 1) AS latest_analysis_id,
+        (SELECT COUNT(*) FROM transactions t WHERE t.statement_id = s.id) AS transaction_count
+      FROM statements s
+      WHERE s.user_id IS ?
+      ORDER BY s.created_at DESC
+      LIMIT ? OFFSET ?`).all(userId || null, limit, offset);
+    return rows.map(mapStatement);
+  }
+
+  async function getStatement(id) {
+    return mapStatement(db.prepare(`
+      SELECT s.*,
+        (SELECT a.id FROM analyses a WHERE a.statement_id = s.id ORDER BY a.created_at DESC LIMIT 1) AS latest_analysis_id,
+        (SELECT COUNT(*) FROM transactions t WHERE t.statement_id = s.id) AS transaction_count
+      FROM statements s WHERE s.id = ?`).get(id));
+  }
+
+  async function deleteStatement(id) {
+    return db.prepare('DELETE FROM statements WHERE id = ?').run(id).changes > 0;
+  }
+
+  async function listTransactions(statementId) {
+    return db.prepare('SELECT data FROM transactions WHERE statement_id = ? ORDER BY position')
+      .all(statementId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async function getAnalysis(id) {
+    return mapAnalysis(db.prepare('SELECT * FROM analyses WHERE id = ?').get(id));
+  }
+
+  async function listAnalyses(statementId) {
+    return db.prepare('SELECT id, statement_id, created_at FROM analyses WHERE statement_id = ? ORDER BY created_at DESC')
+      .all(statementId)
+      .map(row => ({ id: row.id, statementId: row.statement_id, createdAt: row.created_at }));
+  }
+
+  async function close() {
+    db.close();
+  }
+
+  return {
+    backend: 'sqlite',
+    getUser,
+    getUserByEmail,
+    upsertUser,
+    createApiKey,
+    findApiKey,
+    listApiKeys,
+    deleteApiKey,
+    listCategoryRules,
+    saveCategoryRule,
+    deleteCategoryRule,
+    listTaxRules,
+    saveTaxRule,
+    deleteTaxRule,
+    listVendors,
+    saveVendor,
+    deleteVendor,
+    getPasswordHints,
+    savePasswordHints,
+    deletePasswordHints,
+    saveStatementAnalysis,
+    listStatements,
+    getStatement,
+    deleteStatement,
+    listTransactions,
+    getAnalysis,
+    listAnalyses,
+    close
+  };
+}
@@ -0,0 +1,105 @@
+// lib/export/common.js - Normalize bank and card rows into signed entries for exporters
+import { parseDate } from '../parsers/index.js';
+import { round2, toNumber, isCardCredit } from '../analysis/aggregate.js';
+import { CHANNELS } from '../categorize/rules.js';
+import { maskIdentifier } from '../redact/index.js';
+
+// Entry amounts are seen from the statement's account: money in (bank
+// credits, card payments and refunds) is positive, money out (bank debits,
+// card charges) is negative. A card is a liability, so charges lower it.
+export function toEntries(transactions, documentType) {
+  const entries = [];
+
+  for (const t of Array.isArray(transactions) ? transactions : []) {
+    const date = parseDate(t.date);
+    if (!date) continue;
+
+    let outflow;
+    let inflow;
+    if (t.debit !== undefined || t.credit !== undefined) {
+      // Bank rows, and card rows straight from the text parsers
+      outflow = Math.abs(toNumber(t.debit));
+      inflow = Math.abs(toNumber(t.credit));
+    } else {
+      const amount = Math.abs(toNumber(t.amount));
+      outflow = isCardCredit(t) ? 0 : amount;
+      inflow = isCardCredit(t) ? amount : 0;
+    }
+    if (!outflow && !inflow) continue;
+
+    entries.push({
+      date,
+      description: String(t.description || t.merchant || t.narration || '').replace(/\s+/g, ' ').trim(),
+      reference: t.reference || null,
+      outflow: round2(outflow),
+      inflow: round2(inflow),
+      amount: round2(inflow - outflow),
+      balance: documentType === 'bank' && t.balance !== null && t.balance !== undefined ? toNumber(t.balance) : null,
+      category: t.category || null
+    });
+  }
+
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Account details from an analysis (accountInfo / cardInfo) or parser output
+export function accountOf(source = {}, documentType) {
+  const info = (documentType === 'bank' ? source.accountInfo : source.cardInfo) || source.accountInfo || {};
+  const number = String(info.accountNumber || info.cardNumber || '').replace(/\s/g, '');
+  const outstanding = source.summary?.outstandingBalance ?? null;
+
+  return {
+    bankName: info.bankName || source.bankName || null,
+    // Exports leave the user's machine: the full number never goes in them
+    number: number ? maskIdentifier(number) : null,
+    // Last four digits are enough to tell accounts apart in exports
+    suffix: number ? number.replace(/[^0-9A-Za-z]/g, '').slice(-4) : null,
+    closingBalance: documentType === 'bank'
+      ? info.closingBalance ?? null
+      : outstanding === null ? null : -Math.abs(toNumber(outstanding)),
+    currency: 'INR'
+  };
+}
+
+// Categories that move money between the user's own accounts rather than
+// earning or spending it
+const TRANSFER_CATEGORIES = {
+  ATM: 'Cash',
+  Transfers: 'Transfers',
+  Investments: 'Investments'
+};
+
+// Money in under any other category (a refund from a shop) reduces that expense
+const INCOME_CATEGORIES = ['Salary', 'Interest', 'Refunds'];
+
+// The other side of an entry, as a list of account name segments. Payment
+// channels (UPI, NEFT, ...) say how money moved, not what it was for.
+export function counterAccount(entry, documentType) {
+  if (TRANSFER_CATEGORIES[entry.category]) return ['Assets', TRANSFER_CATEGORIES[entry.category]];
+  if (entry.category === 'Credit Card') {
+    return documentType === 'bank' ? ['Liabilities', 'Credit Card'] : ['Assets', 'Bank'];
+  }
+
+  const isChannel = CHANNELS.some(({ channel }) => channel === entry.category);
+  const category = entry.category && entry.category !== 'Others' && !isChannel ? entry.category : null;
+  // Money arriving on a card without a category is a bill payment
+  if (documentType !== 'bank' && entry.amount > 0 && !category) return ['Assets', 'Bank'];
+
+  if (entry.amount > 0 && (!category || INCOME_CATEGORIES.includes(category))) {
+    return ['Income', category || 'Uncategorized'];
+  }
+  return ['Expenses', category || 'Uncategorized'];
+}
+
+export function formatAmount(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
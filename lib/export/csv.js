@@ -0,0 +1,33 @@
+// lib/export/csv.js - RFC 4180 CSV with debit/credit columns and a signed amount
+import { formatAmount } from './common.js';
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function renderCsv(entries, { documentType }) {
+  const header = documentType === 'bank'
+    ? ['Date', 'Description', 'Reference', 'Debit', 'Credit', 'Amount', 'Balance', 'Category']
+    : ['Date', 'Description', 'Reference', 'Charge', 'Payment', 'Amount', 'Balance', 'Category'];
+
+  // Amounts are written as-is; only text columns can smuggle a formula
+  const rows = entries.map(entry => [
+    entry.date,
+    cell(entry.description),
+    cell(entry.reference),
+    entry.outflow ? formatAmount(entry.outflow) : '',
+    entry.inflow ? formatAmount(entry.inflow) : '',
+    formatAmount(entry.amount),
+    entry.balance === null ? '' : formatAmount(entry.balance),
+    cell(entry.category)
+  ].join(','));
+
+  // The byte order mark makes Excel read the file as UTF-8
+  return '\ufeff' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,57 @@
+// lib/export/index.js - Statement exporters for accounting and personal-finance tools
+import { toEntries, accountOf } from './common.js';
+import { renderCsv } from './csv.js';
+import { renderOfx } from './ofx.js';
+import { renderQif } from './qif.js';
+import { renderTally } from './tally.js';
+import { renderLedger } from './ledger.js';
+
+const exporters = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: renderCsv },
+  ofx: { extension: 'ofx', contentType: 'application/x-ofx', render: renderOfx },
+  qif: { extension: 'qif', contentType: 'application/qif', render: renderQif },
+  tally: { extension: 'xml', contentType: 'application/xml; charset=utf-8', render: renderTally },
+  ledger: {
+    extension: 'ledger',
+    contentType: 'text/plain; charset=utf-8',
+    render: (entries, options) => renderLedger(entries, { ...options, dialect: 'ledger' })
+  },
+  hledger: {
+    extension: 'journal',
+    contentType: 'text/plain; charset=utf-8',
+    render: (entries, options) => renderLedger(entries, { ...options, dialect: 'hledger' })
+  },
+  beancount: {
+    extension: 'beancount',
+    contentType: 'text/plain; charset=utf-8',
+    render: (entries, options) => renderLedger(entries, { ...options, dialect: 'beancount' })
+  }
+};
+
+// 'xlsx' and 'pdf' are built by lib/reports
+export const EXPORT_FORMATS = ['xlsx', 'pdf', ...Object.keys(exporters)];
+
+export function isExportFormat(format) {
+  return format === undefined || format === null || EXPORT_FORMATS.includes(format);
+}
+
+// source: an analysis (accountInfo/cardInfo, summary, transactions) or
+// parser output (accountInfo, bankName, transactions). options: ledgerName
+// and company for Tally, accountName for the ledger dialects.
+export function exportStatement(format, source, documentType, options = {}) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const type = documentType === 'bank' ? 'bank' : 'credit';
+  const entries = toEntries(source.transactions, type);
+  const account = accountOf(source, type);
+
+  return {
+    body: exporter.render(entries, { ...options, documentType: type, account }),
+    contentType: exporter.contentType,
+    extension: exporter.extension,
+    count: entries.length
+  };
+}
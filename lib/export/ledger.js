@@ -0,0 +1,68 @@
+// lib/export/ledger.js - Plain-text double-entry journals for ledger, hledger and beancount
+import { counterAccount, formatAmount } from './common.js';
+
+// "Food & Dining" -> "FoodDining": valid in all three tools (beancount
+// components must start with a capital letter or digit and have no spaces)
+function segment(name) {
+  const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const joined = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  return joined || 'Uncategorized';
+}
+
+function accountName(segments) {
+  return segments.map(segment).join(':');
+}
+
+function statementAccount(account, documentType, accountOverride) {
+  if (accountOverride) return accountName(String(accountOverride).split(':'));
+  const name = [account.bankName, account.suffix].filter(Boolean).join(' ') || 'Main';
+  return documentType === 'bank'
+    ? accountName(['Assets', 'Bank', name])
+    : accountName(['Liabilities', 'CreditCard', name]);
+}
+
+// Transaction dates per dialect; ledger's classic style uses slashes
+export const LEDGER_DIALECTS = {
+  ledger: date => date.replace(/-/g, '/'),
+  hledger: date => date,
+  beancount: date => date
+};
+
+function quote(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export function renderLedger(entries, { documentType, account, dialect = 'ledger', accountName: override }) {
+  const dateOf = LEDGER_DIALECTS[dialect];
+  const own = statementAccount(account, documentType, override);
+  const currency = account.currency;
+  const lines = [`; ${documentType === 'bank' ? 'Bank' : 'Credit card'} statement ${account.number || ''}`.trimEnd(), ''];
+
+  const postings = entries.map(entry => ({ entry, counter: accountName(counterAccount(entry, documentType)) }));
+
+  // beancount refuses postings to accounts that were never opened
+  if (dialect === 'beancount' && entries.length > 0) {
+    const opened = [own, ...new Set(postings.map(p => p.counter))].filter((name, i, all) => all.indexOf(name) === i);
+    opened.forEach(name => lines.push(`${entries[0].date} open ${name} ${currency}`));
+    lines.push('');
+  }
+
+  for (const { entry, counter } of postings) {
+    const amount = `${formatAmount(entry.amount)} ${currency}`;
+    const opposite = `${formatAmount(-entry.amount)} ${currency}`;
+
+    if (dialect === 'beancount') {
+      lines.push(`${entry.date} * ${quote(entry.description)}`);
+      if (entry.reference) lines.push(`  reference: ${quote(entry.reference)}`);
+    } else {
+      const code = entry.reference ? ` (${entry.reference.replace(/[()]/g, '')})` : '';
+      lines.push(`${dateOf(entry.date)} *${code} ${entry.description.replace(/;/g, ',')}`);
+    }
+
+    lines.push(`  ${own}  ${amount}`);
+    lines.push(`  ${counter}  ${opposite}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
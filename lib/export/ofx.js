@@ -0,0 +1,97 @@
+// lib/export/ofx.js - OFX 1.0.2 (SGML) bank and credit card statements
+import crypto from 'crypto';
+import { formatAmount } from './common.js';
+
+const TRANSACTION_TYPES = {
+  ATM: 'ATM',
+  Interest: 'INT',
+  'Bank Charges': 'SRVCHG'
+};
+
+// OFX 1.x SGML only knows these three entities
+function escapeSgml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function ofxDate(date) {
+  return date.replace(/-/g, '');
+}
+
+// Apps de-duplicate re-imports by FITID, so the ID is derived from the row
+// itself (plus a counter for identical rows) rather than its position
+function fitIds(entries) {
+  const seen = new Map();
+  return entries.map(entry => {
+    const base = `${entry.date}|${entry.amount}|${entry.description}|${entry.reference || ''}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return crypto.createHash('sha1').update(`${base}|${count}`).digest('hex').slice(0, 24);
+  });
+}
+
+function transactionType(entry, documentType) {
+  if (documentType === 'bank' && TRANSACTION_TYPES[entry.category]) return TRANSACTION_TYPES[entry.category];
+  if (documentType !== 'bank' && entry.amount > 0) return 'PAYMENT';
+  return entry.amount > 0 ? 'CREDIT' : 'DEBIT';
+}
+
+export function renderOfx(entries, { documentType, account, now = new Date() }) {
+  const ids = fitIds(entries);
+  const serverDate = now.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const start = entries.length ? ofxDate(entries[0].date) : serverDate.slice(0, 8);
+  const end = entries.length ? ofxDate(entries[entries.length - 1].date) : serverDate.slice(0, 8);
+  const lastBalance = [...entries].reverse().find(entry => entry.balance !== null)?.balance;
+  const balance = account.closingBalance ?? lastBalance ?? 0;
+  const accountId = escapeSgml(account.number || 'UNKNOWN');
+
+  const transactions = entries.map((entry, i) => [
+    '<STMTTRN>',
+    `<TRNTYPE>${transactionType(entry, documentType)}`,
+    `<DTPOSTED>${ofxDate(entry.date)}`,
+    `<TRNAMT>${formatAmount(entry.amount)}`,
+    `<FITID>${ids[i]}`,
+    // NAME is limited to 32 characters; the full narration goes in MEMO
+    `<NAME>${escapeSgml(entry.description.slice(0, 32))}`,
+    `<MEMO>${escapeSgml([entry.description, entry.reference].filter(Boolean).join(' ').slice(0, 255))}`,
+    '</STMTTRN>'
+  ].join('\n'));
+
+  const statement = documentType === 'bank'
+    ? [
+      '<BANKMSGSRSV1>', '<STMTTRNRS>', '<TRNUID>1', '<STATUS>', '<CODE>0', '<SEVERITY>INFO', '</STATUS>',
+      '<STMTRS>', `<CURDEF>${account.currency}`,
+      '<BANKACCTFROM>', `<BANKID>${escapeSgml(account.bankName || 'UNKNOWN')}`, `<ACCTID>${accountId}`, '<ACCTTYPE>CHECKING', '</BANKACCTFROM>'
+    ]
+    : [
+      '<CREDITCARDMSGSRSV1>', '<CCSTMTTRNRS>', '<TRNUID>1', '<STATUS>', '<CODE>0', '<SEVERITY>INFO', '</STATUS>',
+      '<CCSTMTRS>', `<CURDEF>${account.currency}`,
+      '<CCACCTFROM>', `<ACCTID>${accountId}`, '</CCACCTFROM>'
+    ];
+  const closing = documentType === 'bank'
+    ? ['</STMTRS>', '</STMTTRNRS>', '</BANKMSGSRSV1>']
+    : ['</CCSTMTRS>', '</CCSTMTTRNRS>', '</CREDITCARDMSGSRSV1>'];
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>', '<SONRS>', '<STATUS>', '<CODE>0', '<SEVERITY>INFO', '</STATUS>',
+    `<DTSERVER>${serverDate}`, '<LANGUAGE>ENG', '</SONRS>', '</SIGNONMSGSRSV1>',
+    ...statement,
+    '<BANKTRANLIST>', `<DTSTART>${start}`, `<DTEND>${end}`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>', `<BALAMT>${formatAmount(balance)}`, `<DTASOF>${end}`, '</LEDGERBAL>',
+    ...closing,
+    '</OFX>',
+    ''
+  ].join('\n');
+}
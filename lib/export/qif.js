@@ -0,0 +1,30 @@
+// lib/export/qif.js - Quicken Interchange Format for personal-finance apps
+import { formatAmount } from './common.js';
+
+// QIF dates are MM/DD/YYYY; most importers also accept this four-digit year
+function qifDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+// Field values are single lines starting with a one-letter code
+function field(code, value) {
+  return `${code}${String(value).replace(/[\r\n]+/g, ' ')}`;
+}
+
+export function renderQif(entries, { documentType }) {
+  const lines = [documentType === 'bank' ? '!Type:Bank' : '!Type:CCard'];
+
+  for (const entry of entries) {
+    lines.push(field('D', qifDate(entry.date)));
+    lines.push(field('T', formatAmount(entry.amount)));
+    lines.push(field('P', entry.description));
+    if (entry.reference) {
+      lines.push(field(/^\d{1,10}$/.test(entry.reference) ? 'N' : 'M', entry.reference));
+    }
+    if (entry.category) lines.push(field('L', entry.category));
+    lines.push('^');
+  }
+
+  return lines.join('\n') + '\n';
+}
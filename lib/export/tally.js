@@ -0,0 +1,86 @@
+// lib/export/tally.js - Tally ERP 9 / TallyPrime voucher import XML
+import { counterAccount, formatAmount, escapeXml } from './common.js';
+
+function tallyDate(date) {
+  return date.replace(/-/g, '');
+}
+
+// Statement ledger as it is usually named in Tally, e.g. "HDFC Bank A/c 1234"
+function statementLedger(account, documentType, ledgerName) {
+  if (ledgerName) return ledgerName;
+  const suffix = account.suffix ? ` ${account.suffix}` : '';
+  return documentType === 'bank'
+    ? `${account.bankName || 'Bank'} A/c${suffix}`
+    : `${account.bankName ? `${account.bankName} ` : ''}Credit Card${suffix}`;
+}
+
+// Uncategorized rows go to Suspense for the accountant to reclassify
+function counterLedger(entry, documentType) {
+  const [group, name] = counterAccount(entry, documentType);
+  if (name === 'Uncategorized') return 'Suspense A/c';
+  if (group === 'Assets' && name === 'Bank') return 'Suspense A/c';
+  return name;
+}
+
+// Tally stores debits as negative amounts flagged ISDEEMEDPOSITIVE=Yes
+function ledgerEntry(ledger, amount, isDebit) {
+  return [
+    '<ALLLEDGERENTRIES.LIST>',
+    `<LEDGERNAME>${escapeXml(ledger)}</LEDGERNAME>`,
+    `<ISDEEMEDPOSITIVE>${isDebit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+    `<AMOUNT>${isDebit ? '-' : ''}${formatAmount(amount)}</AMOUNT>`,
+    '</ALLLEDGERENTRIES.LIST>'
+  ].join('\n');
+}
+
+export function renderTally(entries, { documentType, account, ledgerName, company }) {
+  const ledger = statementLedger(account, documentType, ledgerName);
+
+  const vouchers = entries.map(entry => {
+    const counter = counterLedger(entry, documentType);
+    const amount = Math.abs(entry.amount);
+    const incoming = entry.amount > 0;
+    // Moving money between bank and cash (or own accounts) is a contra entry
+    const type = documentType === 'bank' && ['Cash', 'Transfers'].includes(counter)
+      ? 'Contra'
+      : incoming ? 'Receipt' : 'Payment';
+    const narration = [entry.description, entry.reference && `Ref ${entry.reference}`].filter(Boolean).join(' ');
+
+    return [
+      '<TALLYMESSAGE xmlns:UDF="TallyUDF">',
+      `<VOUCHER VCHTYPE="${type}" ACTION="Create">`,
+      `<DATE>${tallyDate(entry.date)}</DATE>`,
+      `<VOUCHERTYPENAME>${type}</VOUCHERTYPENAME>`,
+      `<PARTYLEDGERNAME>${escapeXml(counter)}</PARTYLEDGERNAME>`,
+      `<NARRATION>${escapeXml(narration)}</NARRATION>`,
+      // Money in debits the statement ledger; money out credits it
+      ledgerEntry(counter, amount, !incoming),
+      ledgerEntry(ledger, amount, incoming),
+      '</VOUCHER>',
+      '</TALLYMESSAGE>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '<HEADER>',
+    '<TALLYREQUEST>Import Data</TALLYREQUEST>',
+    '</HEADER>',
+    '<BODY>',
+    '<IMPORTDATA>',
+    '<REQUESTDESC>',
+    '<REPORTNAME>Vouchers</REPORTNAME>',
+    company
+      ? `<STATICVARIABLES>\n<SVCURRENTCOMPANY>${escapeXml(company)}</SVCURRENTCOMPANY>\n</STATICVARIABLES>`
+      : null,
+    '</REQUESTDESC>',
+    '<REQUESTDATA>',
+    ...vouchers,
+    '</REQUESTDATA>',
+    '</IMPORTDATA>',
+    '</BODY>',
+    '</ENVELOPE>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
@@ -0,0 +1,73 @@
+// lib/extract/documentai.js - Google Document AI OCR for pages without a text layer
+import fs from 'fs';
+import { DocumentProcessorServiceClient } from '@google-cloud/documentai';
+import { PDFDocument } from '@cantoo/pdf-lib';
+import { pagesFromDocument } from '../analysis/chunking.js';
+
+const DEFAULT_KEY_FILE = './google-credentials.json';
+// Without a deadline a call with unusable credentials hangs indefinitely
+const DEFAULT_TIMEOUT = 120 * 1000;
+
+// Document AI is used when PROCESSOR_ID names a processor
+// (projects/<project>/locations/<location>/processors/<id>) and the service
+// account key exists: GOOGLE_APPLICATION_CREDENTIALS, else
+// ./google-credentials.json. The key file is checked up front because the
+// client library reports a missing one as an unhandled rejection.
+export function documentAiConfig(env = process.env) {
+  const processorName = (env.PROCESSOR_ID || '').trim();
+  const keyFilename = env.GOOGLE_APPLICATION_CREDENTIALS || DEFAULT_KEY_FILE;
+  if (!processorName || !fs.existsSync(keyFilename)) return null;
+  return {
+    processorName,
+    keyFilename,
+    timeout: parseInt(env.DOCUMENT_AI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT
+  };
+}
+
+// Copy the given 1-based pages into a new PDF so only they are sent for OCR
+async function selectPages(pdfBuffer, pageNumbers) {
+  const source = await PDFDocument.load(pdfBuffer);
+  const subset = await PDFDocument.create();
+  const copied = await subset.copyPages(source, pageNumbers.map(page => page - 1));
+  copied.forEach(page => subset.addPage(page));
+  return Buffer.from(await subset.save());
+}
+
+export function createDocumentAiExtractor({ processorName, keyFilename, timeout = DEFAULT_TIMEOUT }) {
+  let client = null;
+
+  // The client is created on first use so a server without Document AI
+  // configured never touches Google credentials
+  function getClient() {
+    if (!client) {
+      client = new DocumentProcessorServiceClient({ keyFilename });
+    }
+    return client;
+  }
+
+  // pageNumbers: 1-based pages to OCR, or null for the whole file. Resolves to
+  // { document, pages: [{ page, text }] } with page numbers of the original file.
+  async function extractPages(pdfBuffer, pageNumbers = null) {
+    const content = pageNumbers ? await selectPages(pdfBuffer, pageNumbers) : pdfBuffer;
+
+    const [result] = await getClient().processDocument({
+      name: processorName,
+      rawDocument: {
+        content: content.toString('base64'),
+        mimeType: 'application/pdf'
+      }
+    }, { timeout });
+    const { document } = result;
+
+    const texts = pagesFromDocument(document);
+    const numbers = pageNumbers || texts.map((_, i) => i + 1);
+    console.log(`Document AI extracted ${document.text.length} characters from ${numbers.length} page(s)`);
+
+    return {
+      document,
+      pages: numbers.map((page, i) => ({ page, text: texts[i] || '' }))
+    };
+  }
+
+  return { name: 'documentai', processorName, extractPages };
+}
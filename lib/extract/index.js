@@ -0,0 +1,115 @@
+// lib/extract/index.js - Statement text extraction: text layer first, OCR for scanned pages
+//
+// extract(pdfBuffer) resolves to
+//   { text, pages: [text per page], extractor: 'local' | 'documentai' | 'mixed',
+//     pageReport: [{ page, extractor, chars, usable, reason }], warnings, document }
+// where `document` is the raw Document AI response when OCR ran, else null.
+import { extractLocalPages } from './local.js';
+import { createDocumentAiExtractor, documentAiConfig } from './documentai.js';
+
+// EXTRACTION_MODE: "auto" reads the text layer and OCRs only the pages
+// without one, "local" never calls Document AI, "documentai" always does
+export const EXTRACTION_MODES = ['auto', 'local', 'documentai'];
+
+// Below this many visible characters a page is treated as scanned; real
+// statement pages carry at least a header and a few rows
+const MIN_PAGE_CHARS = 40;
+// Fonts without a Unicode map come out as control or private-use characters
+const MIN_READABLE_SHARE = 0.8;
+
+export function assessPage(text) {
+  const visible = String(text || '').replace(/\s/g, '');
+  const chars = visible.length;
+  if (chars === 0) return { chars, usable: false, reason: 'empty' };
+  if (chars < MIN_PAGE_CHARS) return { chars, usable: false, reason: 'sparse' };
+
+  const readable = (visible.match(/[\p{L}\p{N}\p{P}\p{S}]/gu) || []).filter(char => char !== '\uFFFD').length;
+  if (readable / chars < MIN_READABLE_SHARE) return { chars, usable: false, reason: 'garbled' };
+
+  return { chars, usable: true, reason: null };
+}
+
+function noTextError(pages) {
+  const error = new Error(
+    `No usable text layer on page(s) ${pages.join(', ')} and Document AI is not configured ` +
+    '(set PROCESSOR_ID and Google credentials to OCR scanned statements)'
+  );
+  error.code = 'NO_TEXT_LAYER';
+  return error;
+}
+
+function buildResult(pages, warnings, document) {
+  const used = new Set(pages.map(page => page.extractor));
+  return {
+    text: pages.map(page => page.text).join('\n\n'),
+    pages: pages.map(page => page.text),
+    extractor: used.size > 1 ? 'mixed' : [...used][0] || 'local',
+    pageReport: pages.map(({ page, extractor, chars, usable, reason }) => ({ page, extractor, chars, usable, reason })),
+    warnings,
+    document
+  };
+}
+
+export function createExtractor(env = process.env) {
+  const mode = env.EXTRACTION_MODE || 'auto';
+  if (!EXTRACTION_MODES.includes(mode)) {
+    throw new Error(`Unknown extraction mode "${mode}" (available: ${EXTRACTION_MODES.join(', ')})`);
+  }
+
+  const config = mode === 'local' ? null : documentAiConfig(env);
+  if (mode === 'documentai' && !config) {
+    throw new Error('EXTRACTION_MODE=documentai needs PROCESSOR_ID and Google credentials');
+  }
+  const documentAi = config ? createDocumentAiExtractor(config) : null;
+
+  async function fromDocumentAi(pdfBuffer, warnings = []) {
+    const { document, pages } = await documentAi.extractPages(pdfBuffer);
+    return buildResult(pages.map(page => ({ ...page, ...assessPage(page.text), extractor: 'documentai' })), warnings, document);
+  }
+
+  async function extract(pdfBuffer) {
+    if (mode === 'documentai') return fromDocumentAi(pdfBuffer);
+
+    let local;
+    try {
+      local = await extractLocalPages(pdfBuffer);
+    } catch (error) {
+      // A file pdf.js cannot parse may still OCR fine
+      if (!documentAi) throw error;
+      console.warn('Text layer extraction failed, using Document AI:', error.message);
+      return fromDocumentAi(pdfBuffer, [`Text layer extraction failed: ${error.message}`]);
+    }
+
+    const pages = local.map(page => ({ ...page, ...assessPage(page.text), extractor: 'local' }));
+    const scanned = pages.filter(page => !page.usable).map(page => page.page);
+    const warnings = [];
+    let document = null;
+
+    if (scanned.length > 0 && !documentAi) {
+      if (scanned.length === pages.length) throw noTextError(scanned);
+      warnings.push(`Page(s) ${scanned.join(', ')} have no usable text layer and were not OCRed`);
+    } else if (scanned.length > 0) {
+      console.log('Sending scanned page(s) to Document AI:', scanned.join(', '));
+      try {
+        const ocr = await documentAi.extractPages(pdfBuffer, scanned.length === pages.length ? null : scanned);
+        document = ocr.document;
+        for (const { page, text } of ocr.pages) {
+          Object.assign(pages[page - 1], { text, ...assessPage(text), extractor: 'documentai' });
+        }
+      } catch (error) {
+        // Degrade to whatever the text layer had rather than failing the upload
+        console.error('Document AI failed, keeping the text layer:', error.message);
+        if (scanned.length === pages.length) throw error;
+        warnings.push(`Document AI failed for page(s) ${scanned.join(', ')}: ${error.message}`);
+      }
+    }
+
+    return buildResult(pages, warnings, document);
+  }
+
+  return {
+    mode,
+    documentAi: Boolean(documentAi),
+    extract
+  };
+}
@@ -0,0 +1,79 @@
+// lib/extract/local.js - Text-layer extraction with layout-preserving line reconstruction
+import pdf from 'pdf-parse-new';
+
+// Items whose baselines differ by less than this share of the font height
+// sit on the same printed line (superscripts, slightly offset columns)
+const SAME_LINE = 0.5;
+// Gaps wider than this many characters separate columns; they are kept as
+// at least two spaces so "Date  Narration  Amount" stays splittable
+const COLUMN_GAP = 1.5;
+
+function toItem(item) {
+  const [, , , scaleY, x, y] = item.transform;
+  const height = item.height || Math.abs(scaleY) || 10;
+  const length = item.str.length;
+  return {
+    str: item.str,
+    x,
+    y,
+    height,
+    width: item.width,
+    charWidth: length && item.width ? item.width / length : height * 0.5
+  };
+}
+
+// pdf.js hands out text items in drawing order, which for generated
+// statements is often column by column. Rebuild rows from the positions:
+// group by baseline, order left to right and turn horizontal gaps into spaces.
+export function reconstructLines(items) {
+  const positioned = items
+    .filter(item => typeof item.str === 'string' && item.str.trim() && Array.isArray(item.transform))
+    .map(toItem)
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of positioned) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(line.height, item.height) * SAME_LINE) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, height: item.height, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const cells = line.items.sort((a, b) => a.x - b.x);
+    let text = cells[0].str;
+    for (let i = 1; i < cells.length; i++) {
+      const previous = cells[i - 1];
+      const gap = cells[i].x - (previous.x + previous.width);
+      const chars = gap / previous.charWidth;
+      if (chars >= COLUMN_GAP) {
+        text += ' '.repeat(Math.max(2, Math.round(chars)));
+      } else if (chars > 0.2 && !text.endsWith(' ') && !cells[i].str.startsWith(' ')) {
+        text += ' ';
+      }
+      text += cells[i].str;
+    }
+    return text.replace(/\s+$/, '');
+  }).join('\n');
+}
+
+// One entry per page: { page, text }. Throws when the file has no readable
+// structure at all (the caller can still try OCR).
+export async function extractLocalPages(pdfBuffer) {
+  const rendered = new Map();
+
+  const result = await pdf(pdfBuffer, {
+    verbosityLevel: 0,
+    pagerender: async pageData => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const text = reconstructLines(content.items);
+      rendered.set(pageData.pageNumber, text);
+      return text;
+    }
+  });
+
+  // pdf-parse swallows per-page errors; those pages come back empty
+  return Array.from({ length: result.numpages }, (_, i) => ({ page: i + 1, text: rendered.get(i + 1) || '' }));
+}
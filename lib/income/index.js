@@ -0,0 +1,33 @@
+// lib/income/index.js - Client income: who paid, how much and how often, and which invoices are settled
+import { groupPayers } from './payers.js';
+import { matchInvoices } from './invoices.js';
+
+export { extractPayer, groupPayers, normalizePayerName, payerKey, PAYMENT_CHANNELS } from './payers.js';
+export { normalizeInvoices, matchInvoices, parseCsv, TDS_RATES } from './invoices.js';
+
+// Credits that are not client payments, as in the tax report
+const NOT_INCOME = ['Refunds', 'Transfers', 'Interest', 'Credit Card', 'Investments'];
+
+// history: bank rows (see loadTransactionHistory); invoices: output of
+// normalizeInvoices. Without invoices only the payer breakdown is built.
+export function buildIncomeReport(history, { invoices = [], windowDays, asOf } = {}) {
+  const grouped = groupPayers(history, { excludeCategories: NOT_INCOME });
+  const dates = grouped.credits.map(credit => credit.date);
+
+  const report = {
+    period: dates.length ? { from: dates[0], to: dates[dates.length - 1] } : null,
+    totals: grouped.totals,
+    concentration: grouped.concentration,
+    payers: grouped.payers,
+    invoices: null,
+    unmatchedCredits: null
+  };
+
+  if (invoices.length > 0) {
+    const matched = matchInvoices(invoices, grouped.credits, { windowDays, asOf });
+    report.invoices = { asOf: matched.asOf, summary: matched.summary, items: matched.items };
+    report.unmatchedCredits = matched.unmatchedCredits;
+  }
+
+  return report;
+}
@@ -0,0 +1,284 @@
+// lib/income/invoices.js - Outstanding invoices from CSV or JSON, matched to client payments
+//
+// Indian clients deduct TDS before paying a freelancer (1% or 2% under
+// section 194C, 2% or 10% under 194J), sometimes on the invoice total and
+// sometimes on the value before GST, so a ₹1,18,000 invoice may be settled
+// by a credit of ₹1,06,200 or ₹1,08,000. Credits are matched to invoices by
+// amount with those deductions allowed, within a window around the due date.
+import { parseDate, parseAmount } from '../parsers/index.js';
+import { round2 } from '../analysis/aggregate.js';
+import { payerKey, normalizePayerName } from './payers.js';
+
+export const TDS_RATES = [1, 2, 10];
+const GST_RATE = 18;
+const DAY = 86400000;
+
+// Column names accepted for each field, compared without case or punctuation
+const FIELDS = {
+  invoiceNumber: ['invoicenumber', 'invoiceno', 'invoice', 'number', 'no', 'id', 'invoiceid'],
+  client: ['client', 'clientname', 'customer', 'customername', 'payer', 'billto', 'name'],
+  amount: ['amount', 'total', 'invoiceamount', 'totalamount', 'grossamount', 'value'],
+  date: ['date', 'invoicedate', 'issued', 'issuedate', 'issuedon'],
+  dueDate: ['duedate', 'due', 'dueon', 'paymentdue'],
+  tdsRate: ['tds', 'tdsrate', 'tdspercent'],
+  gstIncluded: ['gstincluded', 'includesgst', 'gst']
+};
+
+function fieldKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim()));
+  if (nonEmpty.length === 0) return [];
+  const [header, ...body] = nonEmpty;
+  return body.map(cells => Object.fromEntries(header.map((name, i) => [name.trim(), (cells[i] ?? '').trim()])));
+}
+
+function pick(record, field) {
+  const wanted = FIELDS[field];
+  const entry = Object.entries(record).find(([name]) => wanted.includes(fieldKey(name)));
+  return entry ? entry[1] : undefined;
+}
+
+// Invoices from a JSON array, { invoices: [...] }, or CSV text. Returns
+// { invoices, errors }; a bad row is reported and skipped, not fatal.
+export function normalizeInvoices(input, { defaultTermsDays = 30 } = {}) {
+  let records = input;
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    records = trimmed.startsWith('[') || trimmed.startsWith('{') ? JSON.parse(trimmed) : parseCsv(trimmed);
+  }
+  if (records && !Array.isArray(records) && Array.isArray(records.invoices)) records = records.invoices;
+  if (!Array.isArray(records)) {
+    return { invoices: [], errors: ['Invoices must be a list (JSON array or CSV rows)'] };
+  }
+
+  const invoices = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const label = `Invoice ${index + 1}`;
+    if (!record || typeof record !== 'object') {
+      errors.push(`${label}: not an object`);
+      return;
+    }
+
+    const amount = parseAmount(pick(record, 'amount'));
+    const date = parseDate(pick(record, 'date'));
+    const client = String(pick(record, 'client') ?? '').trim();
+    if (!amount || amount <= 0) {
+      errors.push(`${label}: amount is missing or not a positive number`);
+      return;
+    }
+    if (!date) {
+      errors.push(`${label}: invoice date is missing or not a date`);
+      return;
+    }
+
+    const due = pick(record, 'dueDate');
+    const dueDate = parseDate(due) || new Date(Date.parse(date) + defaultTermsDays * DAY).toISOString().slice(0, 10);
+    if (due && !parseDate(due)) errors.push(`${label}: due date "${due}" not understood, using ${defaultTermsDays} days from the invoice date`);
+
+    const tds = pick(record, 'tdsRate');
+    const tdsRate = tds === undefined || tds === '' ? null : parseFloat(String(tds).replace('%', ''));
+    const gst = String(pick(record, 'gstIncluded') ?? '').toLowerCase();
+
+    invoices.push({
+      invoiceNumber: String(pick(record, 'invoiceNumber') ?? `#${index + 1}`).trim(),
+      client: client ? normalizePayerName(client) : null,
+      clientKey: client ? payerKey(client) : null,
+      amount: round2(amount),
+      date,
+      dueDate,
+      tdsRate: Number.isFinite(tdsRate) ? tdsRate : null,
+      gstIncluded: ['no', 'false', '0', 'n'].includes(gst) ? false : true
+    });
+  });
+
+  return { invoices, errors };
+}
+
+// What the client may have actually transferred for an invoice:
+// the full amount, or the amount less TDS on the total or on the pre-GST value
+function expectedReceipts(invoice) {
+  const rates = invoice.tdsRate !== null ? [invoice.tdsRate] : TDS_RATES;
+  const receipts = [{ amount: invoice.amount, tdsRate: 0, tds: 0 }];
+  for (const rate of rates) {
+    if (rate <= 0) continue;
+    const bases = invoice.gstIncluded ? [invoice.amount, invoice.amount / (1 + GST_RATE / 100)] : [invoice.amount];
+    for (const base of bases) {
+      const tds = round2((base * rate) / 100);
+      receipts.push({ amount: round2(invoice.amount - tds), tdsRate: rate, tds });
+    }
+  }
+  return receipts;
+}
+
+function tolerance(amount) {
+  return Math.max(1, amount * 0.001);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+}
+
+// Token overlap between the invoice's client and the credit's payer
+function nameScore(invoice, credit) {
+  if (!invoice.clientKey || !credit.key) return 0;
+  if (invoice.clientKey === credit.key) return 1;
+  if (credit.key.startsWith(invoice.clientKey) || invoice.clientKey.startsWith(credit.key)) return 0.8;
+  const clientWords = new Set(invoice.clientKey.split(' ').filter(word => word.length >= 3));
+  const payerWords = credit.key.split(' ').filter(word => word.length >= 3);
+  if (clientWords.size === 0 || payerWords.length === 0) return 0;
+  const shared = payerWords.filter(word => clientWords.has(word)).length;
+  return shared / Math.max(clientWords.size, payerWords.length);
+}
+
+function referenceScore(invoice, credit) {
+  const number = invoice.invoiceNumber.toUpperCase().replace(/^#/, '');
+  const digits = number.replace(/\D/g, '').replace(/^0+/, '');
+  return (credit.invoiceReferences || []).some(reference =>
+    reference === number || (digits && reference.replace(/\D/g, '').replace(/^0+/, '') === digits)
+  ) ? 1 : 0;
+}
+
+// Credits (from groupPayers) matched to invoices. One credit settles one
+// invoice in full (exact or less TDS); a client's smaller credits inside
+// the window are then applied to its remaining invoices as part payments.
+// windowDays: how long after the due date a payment still counts; asOf:
+// the day overdue is measured from (default the latest credit).
+export function matchInvoices(invoices, credits, { windowDays = 60, earlyDays = 7, asOf } = {}) {
+  const today = parseDate(asOf) || credits.reduce((max, credit) => (credit.date > max ? credit.date : max), '') || new Date().toISOString().slice(0, 10);
+  const state = invoices.map(invoice => ({ invoice, payments: [], received: 0, tds: 0 }));
+  const used = new Set();
+
+  const inWindow = (invoice, credit) =>
+    credit.date >= new Date(Date.parse(invoice.date) - earlyDays * DAY).toISOString().slice(0, 10) &&
+    daysBetween(invoice.dueDate, credit.date) <= windowDays;
+
+  // Full settlements, best candidates first: a named client or quoted
+  // invoice number outranks a bare amount match
+  const candidates = [];
+  state.forEach((entry, i) => {
+    const receipts = expectedReceipts(entry.invoice);
+    credits.forEach((credit, j) => {
+      if (!inWindow(entry.invoice, credit)) return;
+      const receipt = receipts.find(r => Math.abs(credit.amount - r.amount) <= tolerance(r.amount));
+      if (!receipt) return;
+      const names = nameScore(entry.invoice, credit);
+      // Without a matching name, only the exact amount counts
+      if (names === 0 && entry.invoice.clientKey && receipt.tdsRate > 0 && !referenceScore(entry.invoice, credit)) return;
+      const score = names * 2 + referenceScore(entry.invoice, credit) * 3 + (receipt.tdsRate === 0 ? 0.5 : 0) -
+        Math.abs(daysBetween(entry.invoice.dueDate, credit.date)) / 365;
+      candidates.push({ i, j, receipt, score });
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { i, j, receipt } of candidates) {
+    if (used.has(j) || state[i].payments.length > 0) continue;
+    used.add(j);
+    const credit = credits[j];
+    state[i].payments.push({ date: credit.date, amount: credit.amount, description: credit.description, match: receipt.tdsRate ? 'tds' : 'exact', tdsRate: receipt.tdsRate || null });
+    state[i].received = credit.amount;
+    state[i].tds = receipt.tds;
+  }
+
+  // Part payments: the client's remaining credits, oldest invoice first
+  const open = state.filter(entry => entry.payments.length === 0 && entry.invoice.clientKey)
+    .sort((a, b) => a.invoice.date.localeCompare(b.invoice.date));
+  for (const entry of open) {
+    credits.forEach((credit, j) => {
+      if (used.has(j) || !inWindow(entry.invoice, credit) || nameScore(entry.invoice, credit) < 0.5) return;
+      if (entry.received + credit.amount > entry.invoice.amount + tolerance(entry.invoice.amount)) return;
+      used.add(j);
+      entry.payments.push({ date: credit.date, amount: credit.amount, description: credit.description, match: 'partial', tdsRate: null });
+      entry.received = round2(entry.received + credit.amount);
+    });
+  }
+
+  const items = state.map(({ invoice: { clientKey, ...invoice }, payments, received, tds }) => {
+    const outstanding = round2(Math.max(invoice.amount - received - tds, 0));
+    // Part payments that add up to the invoice less a usual TDS rate settle it
+    const settledLessTds = payments.length > 1 &&
+      expectedReceipts(invoice).some(r => Math.abs(received - r.amount) <= tolerance(r.amount));
+    // A tiny invoice is within tolerance of zero; it still needs a payment
+    const paid = payments.length > 0 && (outstanding <= tolerance(invoice.amount) || settledLessTds);
+    const overdueDays = daysBetween(invoice.dueDate, today);
+
+    let status = 'paid';
+    if (!paid) status = received > 0 ? 'partially_paid' : (overdueDays > 0 ? 'overdue' : 'outstanding');
+
+    return {
+      ...invoice,
+      status,
+      received: round2(received),
+      tdsDeducted: settledLessTds ? round2(invoice.amount - received) : tds,
+      outstanding: paid ? 0 : outstanding,
+      overdue: !paid && overdueDays > 0,
+      daysOverdue: !paid && overdueDays > 0 ? overdueDays : 0,
+      paidOn: paid ? payments[payments.length - 1].date : null,
+      daysToPay: paid ? daysBetween(invoice.date, payments[payments.length - 1].date) : null,
+      payments
+    };
+  });
+
+  const count = status => items.filter(item => item.status === status).length;
+  return {
+    asOf: today,
+    items,
+    unmatchedCredits: credits.filter((credit, j) => !used.has(j))
+      .map(({ date, amount, name, channel, description }) => ({ date, amount, payer: name, channel, description })),
+    summary: {
+      invoices: items.length,
+      paid: count('paid'),
+      partiallyPaid: count('partially_paid'),
+      overdue: items.filter(item => item.overdue).length,
+      outstanding: count('outstanding'),
+      amountInvoiced: round2(items.reduce((sum, item) => sum + item.amount, 0)),
+      amountReceived: round2(items.reduce((sum, item) => sum + item.received, 0)),
+      tdsDeducted: round2(items.reduce((sum, item) => sum + item.tdsDeducted, 0)),
+      amountOutstanding: round2(items.reduce((sum, item) => sum + item.outstanding, 0)),
+      amountOverdue: round2(items.filter(item => item.overdue).reduce((sum, item) => sum + item.outstanding, 0))
+    }
+  };
+}
@@ -0,0 +1,189 @@
+// lib/income/payers.js - Who paid: payer names from NEFT, RTGS, IMPS and UPI credit narrations
+//
+// Banks join the fields of a transfer with "-", "/" or "*":
+//   NEFT CR-CITI0100000-ACME TECHNOLOGIES PVT LTD-INV 42-CITIN24123456
+//   IMPS-412345678901-ACME CORP-HDFC-XXXXXX1234-INVOICE
+//   UPI-RAHUL SHARMA-rahul@okhdfc-HDFC0001234-412345678901-PAYMENT
+//   BY TRANSFER-UPI/CR/412345678901/RAHUL SH/HDFC/rahul@okhdfc/Payment
+// The payer is the first field that is not a channel word, IFSC, reference
+// number, bank name, masked account or UPI handle.
+import { parseDate } from '../parsers/index.js';
+import { round2, toNumber, transactionKey } from '../analysis/aggregate.js';
+
+export const PAYMENT_CHANNELS = ['NEFT', 'RTGS', 'IMPS', 'UPI'];
+
+const CHANNEL_PATTERN = /\b(NEFT|RTGS|IMPS|UPI)\b/i;
+const IFSC = /^[A-Z]{4}0[A-Z0-9]{6}$/i;
+const NOISE_WORDS = new Set([
+  'neft', 'rtgs', 'imps', 'upi', 'cr', 'dr', 'by', 'to', 'from', 'transfer', 'by transfer', 'trf', 'inb', 'mob', 'mb',
+  'ib', 'net', 'p2a', 'p2p', 'p2m', 'inward', 'outward', 'credit', 'received', 'payment', 'pay', 'paid', 'sent',
+  'na', 'ref', 'remarks', 'rrn', 'utr', 'invoice', 'inv', 'fees', 'fee', 'salary', 'sal'
+]);
+const BANK_WORDS = /^(?:hdfc|icici|sbi|sbin|axis|kotak|kkbk|yes|yesb|idfc|idfb|indusind|indb|pnb|punb|bob|barb|canara|cnrb|union|ubin|federal|fdrl|rbl|ratn|au|ausf|citi|hsbc|sc|scbl|dbs|paytm|pytm|jio|airtel|fino|equitas|ujjivan)(?:\s+bank(?:\s+ltd)?)?$/i;
+const COMPANY_SUFFIX = /\b(?:private\s+limited|pvt\.?\s*ltd\.?|pvt|limited|ltd\.?|llp|inc\.?|corp(?:oration)?|co\.?|opc|india)\s*$/i;
+const SALUTATION = /^(?:m\/s\.?|mr\.?|mrs\.?|ms\.?|dr\.?|shri|smt)\s+/i;
+
+// Invoice numbers quoted in the narration ("INV 42", "INV-2024-042", "INVOICE NO 17")
+const INVOICE_REFERENCE = /\b(?:INV(?:OICE)?)(?:\s*(?:NO|#)\.?)?[\s#:.-]*([A-Z0-9]{1,12}(?:[/-]\d{1,8}){0,2})\b/gi;
+
+function narrationOf(t) {
+  return String(t.description || t.narration || t.merchant || '');
+}
+
+function isNoise(field) {
+  const value = field.trim();
+  if (!value || value.toLowerCase().split(/\s+/).every(word => NOISE_WORDS.has(word))) return true;
+  if (IFSC.test(value) || BANK_WORDS.test(value)) return true;
+  if (value.includes('@')) return true;
+  if ((value.match(/\d/g) || []).length >= 4) return true;
+  if (/^[X*]+\d*$/i.test(value) || /^INV(?:OICE)?\b/i.test(value)) return true;
+  return value.replace(/[^A-Za-z]/g, '').length < 3;
+}
+
+export function invoiceReferences(narration) {
+  return [...String(narration || '').matchAll(INVOICE_REFERENCE)]
+    .map(match => match[1].toUpperCase())
+    .filter(reference => /\d/.test(reference));
+}
+
+// "M/S ACME TECHNOLOGIES PVT LTD" -> "Acme Technologies"
+export function normalizePayerName(name) {
+  let value = String(name || '').replace(SALUTATION, '').replace(/[^A-Za-z0-9&.' ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  for (let previous = null; previous !== value;) {
+    previous = value;
+    value = value.replace(COMPANY_SUFFIX, '').trim();
+  }
+  return value
+    .toLowerCase()
+    .replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+export function payerKey(name) {
+  return normalizePayerName(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// { channel, name, vpa, invoiceReferences } for a transfer narration,
+// or null when the credit did not come through a payment channel
+export function extractPayer(narration) {
+  const text = String(narration || '');
+  const channel = text.match(CHANNEL_PATTERN);
+  if (!channel) return null;
+
+  // "M/S" would be cut in two by the "/" separator
+  const fields = text.replace(/\bM\/S\.?\s*/gi, '').split(/\s*[-/*|:]\s*/);
+  const name = fields.find(field => !isNoise(field)) || null;
+  const vpa = (text.match(/[a-z0-9._]+@[a-z]{2,}/i) || [null])[0];
+
+  return {
+    channel: channel[1].toUpperCase(),
+    name: name ? normalizePayerName(name) : (vpa ? vpa.toLowerCase() : null),
+    vpa: vpa ? vpa.toLowerCase() : null,
+    invoiceReferences: invoiceReferences(text)
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function frequencyOf(days) {
+  if (days === null) return 'once';
+  if (days <= 10) return 'weekly';
+  if (days <= 20) return 'fortnightly';
+  if (days <= 45) return 'monthly';
+  if (days <= 110) return 'quarterly';
+  return 'irregular';
+}
+
+// Banks cut long names ("RAHUL SH"); a key that starts another payer's key
+// is the same payer
+function mergeTruncated(groups) {
+  const keys = [...groups.keys()].sort((a, b) => b.length - a.length);
+  for (const key of keys) {
+    if (key.length < 6) continue;
+    const longer = keys.find(other => other !== key && other.length > key.length && other.startsWith(key) && groups.has(other));
+    if (longer && groups.has(key)) {
+      groups.get(longer).credits.push(...groups.get(key).credits);
+      groups.delete(key);
+    }
+  }
+}
+
+// Credits of bank rows grouped by payer. Rows in `excludeCategories`
+// (refunds, interest, own transfers) and credits that did not come through
+// a payment channel are totalled as other credits.
+export function groupPayers(transactions, { excludeCategories = [] } = {}) {
+  const groups = new Map();
+  const credits = [];
+  let otherCredits = 0;
+  // Overlapping or re-uploaded statements repeat rows
+  const seen = new Set();
+
+  for (const t of Array.isArray(transactions) ? transactions : []) {
+    if (t.documentType && t.documentType !== 'bank') continue;
+    const rowKey = transactionKey(t);
+    if (seen.has(rowKey)) continue;
+    seen.add(rowKey);
+    const amount = round2(toNumber(t.credit));
+    const date = parseDate(t.date);
+    if (amount <= 0 || !date) continue;
+
+    const payer = excludeCategories.includes(t.category) ? null : extractPayer(narrationOf(t));
+    if (!payer || !payer.name) {
+      otherCredits += amount;
+      continue;
+    }
+
+    const credit = { date, amount, description: narrationOf(t), ...payer, key: payerKey(payer.name) || payer.vpa };
+    credits.push(credit);
+    if (!groups.has(credit.key)) groups.set(credit.key, { credits: [] });
+    groups.get(credit.key).credits.push(credit);
+  }
+
+  mergeTruncated(groups);
+
+  const total = credits.reduce((sum, credit) => sum + credit.amount, 0);
+  const payers = [...groups.entries()].map(([key, group]) => {
+    const sorted = [...group.credits].sort((a, b) => a.date.localeCompare(b.date));
+    for (const credit of sorted) credit.key = key;
+    const amount = sorted.reduce((sum, credit) => sum + credit.amount, 0);
+    const intervals = sorted.slice(1).map((credit, i) => Math.round((Date.parse(credit.date) - Date.parse(sorted[i].date)) / 86400000));
+    const typical = median(intervals);
+    // The longest spelling is usually the untruncated one
+    const name = sorted.map(credit => credit.name).sort((a, b) => b.length - a.length)[0];
+
+    return {
+      key,
+      name,
+      channels: [...new Set(sorted.map(credit => credit.channel))],
+      vpas: [...new Set(sorted.map(credit => credit.vpa).filter(Boolean))],
+      payments: sorted.length,
+      total: round2(amount),
+      average: round2(amount / sorted.length),
+      share: total ? round2(amount / total) : 0,
+      firstPayment: sorted[0].date,
+      lastPayment: sorted[sorted.length - 1].date,
+      typicalIntervalDays: typical,
+      frequency: frequencyOf(typical),
+      months: new Set(sorted.map(credit => credit.date.slice(0, 7))).size
+    };
+  }).sort((a, b) => b.total - a.total);
+
+  return {
+    payers,
+    credits: credits.sort((a, b) => a.date.localeCompare(b.date)),
+    totals: {
+      clientIncome: round2(total),
+      otherCredits: round2(otherCredits),
+      payers: payers.length,
+      payments: credits.length
+    },
+    concentration: {
+      topPayerShare: payers[0]?.share ?? 0,
+      topThreeShare: round2(payers.slice(0, 3).reduce((sum, payer) => sum + payer.share, 0))
+    }
+  };
+}
@@ -0,0 +1,17 @@
+// lib/jobs/index.js - Job subsystem entry point
+import { createMemoryJobStore } from './memory-store.js';
+
+const backends = {
+  memory: createMemoryJobStore
+};
+
+// JOB_BACKEND picks the store; only the in-process one ships today
+export function createJobStore(backend = 'memory', options = {}) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Unknown job backend "${backend}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory(options);
+}
+
+export { createJobQueue, isTransientError, isFinished, toPublicJob } from './queue.js';
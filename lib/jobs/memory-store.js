@@ -0,0 +1,48 @@
+// lib/jobs/memory-store.js - In-process job store (single instance deployments)
+import { EventEmitter } from 'events';
+
+const DEFAULT_TTL = 60 * 60 * 1000; // keep finished jobs for an hour
+
+// Every store backend exposes the same async methods (create, get, update,
+// subscribe, prune) so a Redis-backed store can replace this one
+export function createMemoryJobStore({ ttl = DEFAULT_TTL } = {}) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const snapshot = job => structuredClone(job);
+
+  async function create(job) {
+    jobs.set(job.id, job);
+    return snapshot(job);
+  }
+
+  async function get(id) {
+    const job = jobs.get(id);
+    return job ? snapshot(job) : null;
+  }
+
+  async function update(id, patch) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    events.emit(id, snapshot(job));
+    return snapshot(job);
+  }
+
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  async function prune(now = Date.now()) {
+    for (const [id, job] of jobs) {
+      const finished = job.status === 'completed' || job.status === 'failed';
+      if (finished && now - Date.parse(job.updatedAt) > ttl) jobs.delete(id);
+    }
+  }
+
+  setInterval(() => prune().catch(console.error), Math.min(ttl, DEFAULT_TTL)).unref();
+
+  return { create, get, update, subscribe, prune };
+}
@@ -0,0 +1,129 @@
+// lib/jobs/queue.js - Bounded-concurrency job runner with retries
+import { randomUUID } from 'crypto';
+
+// Network hiccups, rate limits and gRPC UNAVAILABLE/DEADLINE_EXCEEDED from
+// Document AI are worth another attempt; bad input is not
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+const TRANSIENT_GRPC = new Set([4, 8, 14]);
+const TRANSIENT_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+export function isTransientError(error) {
+  if (!error) return false;
+  if (TRANSIENT_CODES.has(error.code) || TRANSIENT_GRPC.has(error.code)) return true;
+  if (TRANSIENT_STATUS.has(error.status) || TRANSIENT_STATUS.has(error.statusCode)) return true;
+  return /\b(?:429|503|timed? ?out|rate limit|overloaded|unavailable)\b/i.test(error.message || '');
+}
+
+export function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+// What the API returns: internals like the payload stay on the server
+export function toPublicJob(job) {
+  const { payload, owner, ...rest } = job;
+  return rest;
+}
+
+export function createJobQueue({
+  store,
+  handler,
+  concurrency = 2,
+  maxRetries = 2,
+  retryDelay = 1000,
+  onSettled
+}) {
+  const pending = [];
+  // Values the handler needs but the job record must not hold (a PDF
+  // password); kept in this process only until the job settles
+  const secrets = new Map();
+  let running = 0;
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      const id = pending.shift();
+      running++;
+      run(id)
+        .catch(error => console.error('Job runner error:', error))
+        .finally(() => {
+          running--;
+          drain();
+        });
+    }
+  }
+
+  async function record(id, stage, patch = {}) {
+    const job = await store.get(id);
+    const history = [...(job?.history || []), { stage, at: new Date().toISOString() }];
+    return store.update(id, { ...patch, stage, history });
+  }
+
+  async function run(id) {
+    const job = await store.get(id);
+    if (!job) return;
+
+    const attempt = job.attempts + 1;
+    await store.update(id, { status: 'running', attempts: attempt, error: null });
+
+    // Handlers call report(stage, progress, detail) as they move along;
+    // only a change of stage is added to the history
+    let currentStage = null;
+    const report = (stage, progress, detail = null) => {
+      if (stage === currentStage) return store.update(id, { progress, detail });
+      currentStage = stage;
+      return record(id, stage, { progress, detail });
+    };
+
+    try {
+      const result = await handler({ ...job.payload, ...secrets.get(id) }, report);
+      await record(id, 'done', { status: 'completed', progress: 100, detail: null, result });
+    } catch (error) {
+      if (attempt <= maxRetries && isTransientError(error)) {
+        const delay = retryDelay * 2 ** (attempt - 1);
+        console.log(`Job ${id} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+        await store.update(id, { status: 'retrying', error: error.message });
+        setTimeout(() => {
+          pending.push(id);
+          drain();
+        }, delay).unref();
+        return;
+      }
+
+      console.error(`Job ${id} failed:`, error.message);
+      await record(id, 'failed', { status: 'failed', error: error.message });
+    }
+
+    secrets.delete(id);
+    if (onSettled) await onSettled(await store.get(id));
+  }
+
+  async function submit(payload, { owner = null, secret = null } = {}) {
+    const now = new Date().toISOString();
+    const job = await store.create({
+      id: randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      detail: null,
+      attempts: 0,
+      error: null,
+      result: null,
+      history: [{ stage: 'queued', at: now }],
+      payload,
+      owner,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (secret) secrets.set(job.id, secret);
+    pending.push(job.id);
+    drain();
+    return job;
+  }
+
+  return {
+    submit,
+    get: id => store.get(id),
+    subscribe: (id, listener) => store.subscribe(id, listener),
+    stats: () => ({ running, queued: pending.length, concurrency })
+  };
+}
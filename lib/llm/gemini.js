@@ -0,0 +1,16 @@
+// lib/llm/gemini.js - Google Gemini provider
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export function createGeminiProvider({ apiKey, model = 'gemini-2.0-flash' }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  async function generate(prompt) {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not set');
+    const result = await generativeModel.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  return { name: 'gemini', model, generate };
+}
@@ -0,0 +1,79 @@
+// lib/llm/index.js - Language model providers behind one interface
+//
+// A provider is { name, model, generate(prompt) -> Promise<string> }. The
+// router puts providers in a fallback chain whose generate resolves to
+// { text, provider, model } from the first provider that answers.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider, withRecorder } from './mock.js';
+
+const backends = {
+  gemini: env => createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || 'gemini-2.0-flash'
+  }),
+  openai: env => createOpenAiProvider({
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseURL: env.OPENAI_BASE_URL || undefined
+  }),
+  local: env => createOpenAiProvider({
+    name: 'local',
+    apiKey: env.LOCAL_LLM_API_KEY,
+    model: env.LOCAL_LLM_MODEL || 'llama3.1',
+    baseURL: env.LOCAL_LLM_URL || 'http://localhost:11434/v1'
+  }),
+  mock: env => createMockProvider({ file: env.MOCK_LLM_FILE || './llm-recordings.json' })
+};
+
+export function createProvider(name, env = process.env) {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory(env);
+}
+
+function createChain(providers) {
+  async function generate(prompt) {
+    let lastError;
+
+    for (const provider of providers) {
+      try {
+        const text = await provider.generate(prompt);
+        return { text, provider: provider.name, model: provider.model };
+      } catch (error) {
+        console.error(`LLM provider ${provider.name} failed:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  return { name: providers.map(provider => provider.name).join(' > '), generate };
+}
+
+// LLM_PROVIDERS="gemini,openai,local" sets the order tried; a request may
+// name one of them to go first. LLM_RECORD_FILE records every answer for
+// later replay through the mock provider.
+export function createLlmRouter(env = process.env) {
+  const order = (env.LLM_PROVIDERS || 'gemini').split(',').map(name => name.trim()).filter(Boolean);
+  const providers = new Map(order.map(name => [name, createProvider(name, env)]));
+
+  function has(name) {
+    return providers.has(name);
+  }
+
+  function select(requested) {
+    if (requested && !has(requested)) {
+      throw new Error(`LLM provider "${requested}" is not enabled (enabled: ${order.join(', ')})`);
+    }
+
+    const names = requested ? [requested, ...order.filter(name => name !== requested)] : order;
+    const chain = createChain(names.map(name => providers.get(name)));
+    return env.LLM_RECORD_FILE ? withRecorder(chain, env.LLM_RECORD_FILE) : chain;
+  }
+
+  return { providers: order, has, select };
+}
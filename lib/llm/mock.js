@@ -0,0 +1,50 @@
+// lib/llm/mock.js - Replays recorded model responses (offline runs and tests)
+import { createHash } from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+
+// Prompts are matched by hash so recordings stay small and stable
+export function promptKey(prompt) {
+  return createHash('sha256').update(prompt).digest('hex').slice(0, 32);
+}
+
+// Recording file: { "responses": { "<promptKey>": "<model text>" }, "default": "<text>" }.
+// "default" answers prompts that were never recorded; without it they fail.
+export function createMockProvider({ file, recordings }) {
+  const data = recordings || JSON.parse(fs.readFileSync(file, 'utf8'));
+  const responses = data.responses || {};
+
+  async function generate(prompt) {
+    const key = promptKey(prompt);
+    if (key in responses) return responses[key];
+    if (typeof data.default === 'string') return data.default;
+    throw new Error(`No recorded response for prompt ${key}`);
+  }
+
+  return { name: 'mock', model: 'replay', generate };
+}
+
+// Wraps a provider and writes every answer to `file` in the format the mock
+// provider replays. Writes are serialized so concurrent jobs do not clash.
+export function withRecorder(provider, file) {
+  let recordings = { responses: {} };
+  try {
+    recordings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    recordings.responses = recordings.responses || {};
+  } catch (error) {
+    // Start a new recording file
+  }
+  let writing = Promise.resolve();
+
+  async function generate(prompt) {
+    const result = await provider.generate(prompt);
+    recordings.responses[promptKey(prompt)] = result.text;
+    writing = writing
+      .then(() => fsp.writeFile(file, JSON.stringify(recordings, null, 2)))
+      .catch(error => console.error('Failed to record model response:', error.message));
+    await writing;
+    return result;
+  }
+
+  return { ...provider, generate };
+}
@@ -0,0 +1,29 @@
+// lib/llm/openai.js - OpenAI and OpenAI-compatible (Ollama, vLLM, LM Studio) providers
+import OpenAI from 'openai';
+
+// `baseURL` points the same client at a local server; those usually accept
+// any API key, so a placeholder is sent when none is configured
+export function createOpenAiProvider({ name = 'openai', apiKey, model = 'gpt-4o-mini', baseURL, timeout = 120000 }) {
+  const client = new OpenAI({
+    apiKey: apiKey || (baseURL ? 'local' : undefined) || 'missing',
+    baseURL,
+    timeout,
+    maxRetries: 1
+  });
+
+  async function generate(prompt) {
+    if (!apiKey && !baseURL) throw new Error('OPENAI_API_KEY is not set');
+
+    const completion = await client.chat.completions.create({
+      model,
+      temperature: 0,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const text = completion.choices?.[0]?.message?.content;
+    if (!text) throw new Error(`${name} returned an empty response`);
+    return text;
+  }
+
+  return { name, model, generate };
+}
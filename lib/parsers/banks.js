@@ -0,0 +1,57 @@
+// lib/parsers/banks.js - Savings/current account statement templates
+import { createStatementParser } from './template.js';
+
+export const hdfcBank = createStatementParser({
+  id: 'hdfc',
+  name: 'HDFC Bank',
+  detect: [/HDFC\s*BANK/i, /HDFC0\d{6}/, /Chq\.?\s*\/\s*Ref\.?\s*No/i, /Withdrawal\s+Amt/i],
+  // Date | Narration | Chq./Ref.No. | Value Dt | Withdrawal | Deposit | Closing Balance
+  referencePosition: 'end'
+});
+
+export const iciciBank = createStatementParser({
+  id: 'icici',
+  name: 'ICICI Bank',
+  detect: [/ICICI\s*BANK/i, /ICIC0\d{6}/, /Transaction\s+Remarks/i],
+  // S No. | Value Date | Transaction Date | Cheque Number | Remarks | Withdrawal | Deposit | Balance
+  leadingSerial: true,
+  dateIndex: 1,
+  referencePosition: 'start',
+  referencePattern: /^\d{6,}$/
+});
+
+export const sbiBank = createStatementParser({
+  id: 'sbi',
+  name: 'State Bank of India',
+  detect: [/STATE\s+BANK\s+OF\s+INDIA/i, /SBIN0\d{6}/, /Ref\s*No\.?\s*\/\s*Cheque/i],
+  // Txn Date | Value Date | Description | Ref No./Cheque No. | Debit | Credit | Balance
+  referencePosition: 'end',
+  skip: [/^Txn\s+Date\b/i]
+});
+
+export const axisBank = createStatementParser({
+  id: 'axis',
+  name: 'Axis Bank',
+  detect: [/AXIS\s*BANK/i, /UTIB0\d{6}/, /Init\.?\s*Br/i],
+  // Tran Date | Chq No | Particulars | Debit | Credit | Balance | Init. Br
+  referencePosition: 'start',
+  referencePattern: /^\d{6,}$/,
+  trailingTokens: 1
+});
+
+export const kotakBank = createStatementParser({
+  id: 'kotak',
+  name: 'Kotak Mahindra Bank',
+  detect: [/KOTAK\s+MAHINDRA/i, /KKBK0\d{6}/, /Withdrawal\s*\(Dr\)/i],
+  // Date | Narration | Chq/Ref No | Withdrawal (Dr) | Deposit (Cr) | Balance, amounts suffixed (Dr)/(Cr)
+  referencePosition: 'end',
+  referencePattern: /^(?=(?:[A-Z-]*\d){6})[A-Z0-9-]{8,}$/i
+});
+
+export const genericBank = createStatementParser({
+  id: 'generic-bank',
+  name: null,
+  detect: []
+});
+
+export default [hdfcBank, iciciBank, sbiBank, axisBank, kotakBank];
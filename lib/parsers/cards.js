@@ -0,0 +1,60 @@
+// lib/parsers/cards.js - Credit card statement templates
+import { createStatementParser } from './template.js';
+
+// Card rows are "date [time] merchant amount [Cr]"; reference numbers are rare
+// and merchant names often end in digits, so references are only taken when
+// the issuer prints a dedicated column
+const NO_REFERENCE = /$^/;
+
+export const hdfcCard = createStatementParser({
+  id: 'hdfc-card',
+  name: 'HDFC Bank Credit Card',
+  type: 'credit',
+  detect: [/HDFC\s*BANK/i, /Reward\s+Points/i],
+  referencePattern: NO_REFERENCE
+});
+
+export const iciciCard = createStatementParser({
+  id: 'icici-card',
+  name: 'ICICI Bank Credit Card',
+  type: 'credit',
+  detect: [/ICICI\s*BANK/i, /SerNo\.?/i],
+  // Date | SerNo. | Transaction Details | Reward Points | Intl. Amount | Amount
+  referencePosition: 'start',
+  referencePattern: /^\d{8,}$/
+});
+
+export const sbiCard = createStatementParser({
+  id: 'sbi-card',
+  name: 'SBI Card',
+  type: 'credit',
+  detect: [/SBI\s*Card/i, /sbicard\.com/i],
+  // Amounts carry a trailing C (credit) or D (debit)
+  referencePattern: NO_REFERENCE
+});
+
+export const axisCard = createStatementParser({
+  id: 'axis-card',
+  name: 'Axis Bank Credit Card',
+  type: 'credit',
+  detect: [/AXIS\s*BANK/i, /Merchant\s+Category/i],
+  referencePattern: NO_REFERENCE
+});
+
+export const kotakCard = createStatementParser({
+  id: 'kotak-card',
+  name: 'Kotak Mahindra Bank Credit Card',
+  type: 'credit',
+  detect: [/KOTAK\s+MAHINDRA/i, /Kotak\s+\w*\s*Credit\s+Card/i],
+  referencePattern: NO_REFERENCE
+});
+
+export const genericCard = createStatementParser({
+  id: 'generic-card',
+  name: null,
+  type: 'credit',
+  detect: [],
+  referencePattern: NO_REFERENCE
+});
+
+export default [hdfcCard, iciciCard, sbiCard, axisCard, kotakCard];
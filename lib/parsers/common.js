@@ -0,0 +1,142 @@
+// lib/parsers/common.js - Shared helpers for deterministic statement parsing
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAMES = 'jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec';
+
+// Dates as Indian banks print them: 12/01/2024, 12-01-24, 12.01.2024,
+// 12 Jan 2024, 12-Jan-24, 12Jan2024, Jan 12, 2024 and ISO 2024-01-12
+const DATE_SOURCE = [
+  '\\d{4}-\\d{2}-\\d{2}',
+  '\\d{1,2}[\\/\\-.]\\d{1,2}[\\/\\-.](?:\\d{4}|\\d{2})',
+  `\\d{1,2}[\\s\\-\\/]?(?:${MONTH_NAMES})[a-z]*[\\s\\-\\/,]*(?:\\d{4}|\\d{2})`,
+  `(?:${MONTH_NAMES})[a-z]*\\.?\\s+\\d{1,2},?\\s+\\d{4}`
+].join('|');
+
+export const DATE_PATTERN = new RegExp(`^(?:${DATE_SOURCE})(?![\\d])`, 'i');
+const TRAILING_DATE_PATTERN = new RegExp(`(?:^|\\s)(${DATE_SOURCE})$`, 'i');
+
+// Amounts always carry paise in statements, which keeps reference numbers
+// and dates from being read as money. Optional Cr/Dr (or C/D) marker follows.
+const AMOUNT_SOURCE = '-?(?:₹|INR|Rs\\.?)?\\s?(?:\\d{1,3}(?:,\\d{2,3})+|\\d+)\\.\\d{2}';
+const TRAILING_AMOUNT_PATTERN = new RegExp(
+  `(?:^|\\s)(${AMOUNT_SOURCE})\\s?(\\((?:Cr|Dr)\\)|Cr|Dr|C|D)?\\.?$`, 'i'
+);
+
+const CARD_MARKERS = /minimum\s+(?:amount\s+)?due|total\s+(?:amount\s+)?due|payment\s+due\s+date/i;
+
+const CREDIT_HINTS = /\b(?:BY|CR|CREDIT|DEPOSIT|REFUND|REVERSAL|REVERSED|INTEREST\s+(?:PAID|CREDIT)|SALARY|CASHBACK|RECEIVED)\b|\/CR\//i;
+const DEBIT_HINTS = /\b(?:TO|DR|DEBIT|WITHDRAWAL|ATM|POS|CHARGES?|FEE)\b|\/DR\//i;
+
+function expandYear(year) {
+  const y = parseInt(year, 10);
+  if (year.length === 4) return y;
+  return y >= 70 ? 1900 + y : 2000 + y;
+}
+
+// Dates that do not exist ("31/02/2024") are rejected by a round trip
+// through Date.UTC, which would roll them into the next month
+function toIsoDate(year, month, day) {
+  if (!month || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  if (new Date(Date.UTC(Number(year), month - 1, day)).getUTCDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Normalize any supported date string to YYYY-MM-DD (null when unrecognized)
+export function parseDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return toIsoDate(m[1], parseInt(m[2], 10), parseInt(m[3], 10));
+
+  m = str.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4}|\d{2})$/);
+  if (m) return toIsoDate(expandYear(m[3]), parseInt(m[2], 10), parseInt(m[1], 10));
+
+  m = str.match(/^(\d{1,2})[\s\-\/]?([a-z]{3,})[\s\-\/,]*(\d{4}|\d{2})$/i);
+  if (m) {
+    const month = MONTHS[m[2].toLowerCase().slice(0, 4)] || MONTHS[m[2].toLowerCase().slice(0, 3)];
+    return toIsoDate(expandYear(m[3]), month, parseInt(m[1], 10));
+  }
+
+  m = str.match(/^([a-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (m) {
+    const month = MONTHS[m[1].toLowerCase().slice(0, 4)] || MONTHS[m[1].toLowerCase().slice(0, 3)];
+    return toIsoDate(parseInt(m[3], 10), month, parseInt(m[2], 10));
+  }
+
+  return null;
+}
+
+// Parse "₹1,23,456.78", "1,234.00 Cr", "(500.00)" into a signed number
+export function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let str = String(value).trim();
+  const negative = /^-|^\(.*\)$|Dr\)?$/i.test(str);
+  str = str.replace(/₹|INR|Rs\.?|\(|\)|Cr|Dr|,|\s|-/gi, '');
+  if (!/^\d+(?:\.\d+)?$/.test(str)) return null;
+
+  const amount = Math.round(parseFloat(str) * 100) / 100;
+  return negative ? -amount : amount;
+}
+
+export function isCardStatement(text) {
+  return CARD_MARKERS.test(text);
+}
+
+// Pull every trailing amount (with its Cr/Dr marker) off the end of a line
+export function splitTrailingAmounts(line) {
+  const amounts = [];
+  let rest = line.trim();
+  let match;
+
+  while ((match = rest.match(TRAILING_AMOUNT_PATTERN))) {
+    const marker = match[2] ? match[2].replace(/[()]/g, '').toUpperCase() : null;
+    amounts.unshift({
+      value: Math.abs(parseAmount(match[1])),
+      marker: marker ? marker[0] : null
+    });
+    rest = rest.slice(0, match.index).trim();
+  }
+
+  return { rest, amounts };
+}
+
+export function splitTrailingDate(text) {
+  const match = text.match(TRAILING_DATE_PATTERN);
+  if (!match) return { rest: text, date: null };
+  return { rest: text.slice(0, match.index).trim(), date: parseDate(match[1]) };
+}
+
+export function guessDirection(narration) {
+  if (CREDIT_HINTS.test(narration) && !DEBIT_HINTS.test(narration)) return 'credit';
+  if (DEBIT_HINTS.test(narration) && !CREDIT_HINTS.test(narration)) return 'debit';
+  return null;
+}
+
+function findLabeledAmount(text, label) {
+  const match = text.match(new RegExp(`${label}[^\\d\\n]{0,40}(${AMOUNT_SOURCE})\\s?(Cr|Dr)?`, 'i'));
+  if (!match) return null;
+  const amount = parseAmount(match[1]);
+  return match[2] && /dr/i.test(match[2]) ? -Math.abs(amount) : amount;
+}
+
+// Account-level fields that most statement headers share
+export function extractAccountInfo(text) {
+  const accountMatch = text.match(/(?:A\/?c(?:count)?|Card)\s*(?:No|Number)\.?\s*:?\s*([X*\d][X*\d\s-]{5,22}\d)/i);
+  const periodMatch = text.match(
+    new RegExp(`(?:from|period)\\s*:?\\s*(${DATE_SOURCE})\\s*(?:to|-)\\s*:?\\s*(${DATE_SOURCE})`, 'i')
+  );
+
+  return {
+    accountNumber: accountMatch ? accountMatch[1].replace(/\s|-/g, '') : null,
+    period: periodMatch ? `${parseDate(periodMatch[1])} to ${parseDate(periodMatch[2])}` : null,
+    openingBalance: findLabeledAmount(text, 'Opening\\s+Balance'),
+    closingBalance: findLabeledAmount(text, 'Closing\\s+Balance')
+  };
+}
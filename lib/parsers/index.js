@@ -0,0 +1,52 @@
+// lib/parsers/index.js - Statement parser registry
+import bankTemplates, { genericBank } from './banks.js';
+import cardTemplates, { genericCard } from './cards.js';
+import { isCardStatement } from './common.js';
+
+const registry = [...bankTemplates, ...cardTemplates];
+
+// Add (or replace, by id) a template built with createStatementParser
+export function registerParser(template) {
+  const index = registry.findIndex(existing => existing.id === template.id);
+  if (index >= 0) {
+    registry[index] = template;
+  } else {
+    registry.push(template);
+  }
+}
+
+export function listParsers() {
+  return registry.map(({ id, name, type }) => ({ id, name, type }));
+}
+
+// Pick the best-scoring template; falls back to the generic bank or card
+// parser when no bank-specific header is recognised
+export function detectParser(text, { type, bank } = {}) {
+  if (bank) {
+    const forced = registry.find(template => template.id === bank);
+    if (forced) return forced;
+  }
+
+  const cardLike = type ? type !== 'bank' : isCardStatement(text.slice(0, 4000));
+  let best = null;
+  let bestScore = 0;
+
+  for (const template of registry) {
+    if ((template.type === 'credit') !== cardLike) continue;
+    const score = template.score(text);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+
+  return best || (cardLike ? genericCard : genericBank);
+}
+
+export function parseStatement(text, options = {}) {
+  return detectParser(text, options).parse(text);
+}
+
+export { createStatementParser } from './template.js';
+export { parseDocumentTables } from './tables.js';
+export { parseDate, parseAmount } from './common.js';
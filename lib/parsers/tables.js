@@ -0,0 +1,187 @@
+// lib/parsers/tables.js - Transaction rows from Document AI table structure
+import { DATE_PATTERN, parseDate, splitTrailingAmounts, extractAccountInfo } from './common.js';
+import { resolveBankAmounts, resolveCardAmounts } from './template.js';
+
+// Header cell patterns, tried in order so "Value Date" is not taken for the
+// transaction date and "Withdrawal Amt." not for a generic amount column
+const COLUMN_PATTERNS = [
+  ['valueDate', /\bvalue\s*(?:date|dt)\b/i],
+  ['date', /\b(?:date|dt)\b/i],
+  ['reference', /\b(?:ref|reference|chq|cheque|check|utr)\b/i],
+  ['balance', /\b(?:balance|bal)\b/i],
+  ['type', /^(?:dr\s*\/\s*cr|cr\s*\/\s*dr|type)\.?$/i],
+  ['debit', /\b(?:debit|debits|withdrawals?|dr|paid\s*out)\b/i],
+  ['credit', /\b(?:credit|credits|deposits?|cr|paid\s*in)\b/i],
+  ['amount', /\b(?:amount|amt)\b/i],
+  ['description', /\b(?:narration|particulars|description|details|remarks|merchant|transactions?)\b/i]
+];
+
+// Document AI keeps one text string for the whole file; cells point into it
+function anchorText(document, layout) {
+  const segments = layout?.textAnchor?.textSegments || [];
+  return segments
+    .map(segment => document.text.slice(Number(segment.startIndex || 0), Number(segment.endIndex)))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Cells spanning several columns are spread out so indexes line up
+function rowCells(document, row) {
+  const cells = [];
+  for (const cell of row.cells || []) {
+    cells.push(anchorText(document, cell.layout));
+    for (let i = 1; i < (cell.colSpan || 1); i++) cells.push('');
+  }
+  return cells;
+}
+
+// Column index per field, or null when the cells are not a transaction
+// table header (a date column and at least one amount column are needed)
+function mapColumns(cells) {
+  const columns = {};
+  cells.forEach((text, index) => {
+    const match = COLUMN_PATTERNS.find(([field, pattern]) => columns[field] === undefined && pattern.test(text));
+    if (match) columns[match[0]] = index;
+  });
+
+  const hasAmount = ['debit', 'credit', 'amount'].some(field => columns[field] !== undefined);
+  return columns.date !== undefined && hasAmount ? columns : null;
+}
+
+// Two-row headers ("Amount" over "Debit | Credit") read as one
+function combineHeaderRows(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  return Array.from({ length: width }, (_, i) => rows.map(row => row[i] || '').filter(Boolean).join(' '));
+}
+
+function firstAmount(text) {
+  if (!text) return null;
+  const { amounts } = splitTrailingAmounts(text);
+  return amounts.length ? amounts[amounts.length - 1] : null;
+}
+
+function readRow(cells, columns, documentType, previousBalance) {
+  const cell = field => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+  const dateMatch = cell('date').match(DATE_PATTERN);
+  const valueDateMatch = cell('valueDate').match(DATE_PATTERN);
+  const narration = cell('description');
+
+  const balanceAmount = firstAmount(cell('balance'));
+  const balance = balanceAmount ? (balanceAmount.marker === 'D' ? -balanceAmount.value : balanceAmount.value) : null;
+
+  let debit = 0;
+  let credit = 0;
+  if (columns.debit !== undefined || columns.credit !== undefined) {
+    debit = firstAmount(cell('debit'))?.value || 0;
+    credit = firstAmount(cell('credit'))?.value || 0;
+  } else {
+    const amount = firstAmount(cell('amount'));
+    if (amount) {
+      // A separate Dr/Cr column stands in for the marker after the amount
+      const type = cell('type').trim().toUpperCase();
+      const marker = amount.marker || (type.startsWith('C') ? 'C' : type.startsWith('D') ? 'D' : null);
+      const amounts = [{ value: amount.value, marker }, ...(balanceAmount ? [balanceAmount] : [])];
+      const resolved = documentType === 'bank'
+        ? resolveBankAmounts({ narration, amounts }, previousBalance)
+        : resolveCardAmounts({ narration, amounts: amounts.slice(0, 1) });
+      debit = resolved.debit;
+      credit = resolved.credit;
+    }
+  }
+
+  return {
+    date: dateMatch ? parseDate(dateMatch[0]) : null,
+    valueDate: valueDateMatch ? parseDate(valueDateMatch[0]) : null,
+    narration,
+    reference: cell('reference') || null,
+    debit,
+    credit,
+    balance
+  };
+}
+
+// Walk every table of every page in order. A table whose header maps to
+// transaction columns starts (or repeats) the transaction table; a table
+// without a recognisable header but with the same column count continues
+// the previous one, as Document AI splits tables at page breaks. Header
+// rows repeated inside the body are dropped, and rows without a date are
+// wrapped narration lines of the row above.
+export function parseDocumentTables(document, { type = 'bank' } = {}) {
+  const documentType = type === 'bank' ? 'bank' : 'credit';
+  const accountInfo = extractAccountInfo(document?.text || '');
+  const transactions = [];
+  const stats = { tables: 0, transactionTables: 0, stitched: 0, headerRowsDropped: 0, skippedRows: 0 };
+  let columns = null;
+  let width = 0;
+  let current = null;
+  let previousBalance = accountInfo.openingBalance;
+
+  for (const page of document?.pages || []) {
+    for (const table of page.tables || []) {
+      stats.tables++;
+      const headerRows = (table.headerRows || []).map(row => rowCells(document, row));
+      const bodyRows = (table.bodyRows || []).map(row => rowCells(document, row));
+
+      let headerCount = headerRows.length;
+      let tableColumns = headerCount ? mapColumns(combineHeaderRows(headerRows)) : null;
+      // Headers detected as an ordinary first row
+      if (!tableColumns && bodyRows.length && mapColumns(bodyRows[0])) {
+        tableColumns = mapColumns(bodyRows.shift());
+        headerCount++;
+      }
+
+      const tableWidth = Math.max(0, ...headerRows.map(row => row.length), ...bodyRows.map(row => row.length));
+      if (tableColumns) {
+        if (columns && tableWidth === width) {
+          stats.stitched++;
+          stats.headerRowsDropped += headerCount;
+        }
+        columns = tableColumns;
+        width = tableWidth;
+      } else if (columns && tableWidth === width) {
+        stats.stitched++;
+      } else {
+        // Summary boxes, reward tables and the like
+        continue;
+      }
+      stats.transactionTables++;
+
+      for (const cells of bodyRows) {
+        if (cells.every(value => !value)) continue;
+
+        const row = readRow(cells, columns, documentType, previousBalance);
+        if (!row.date) {
+          if (mapColumns(cells)) {
+            stats.headerRowsDropped++;
+          } else if (current && row.narration && !row.debit && !row.credit) {
+            current.narration = `${current.narration} ${row.narration}`.trim();
+          } else {
+            stats.skippedRows++;
+          }
+          continue;
+        }
+
+        if (!row.debit && !row.credit) {
+          // Opening balance lines and the like carry no movement
+          stats.skippedRows++;
+          if (row.balance !== null) previousBalance = row.balance;
+          continue;
+        }
+
+        transactions.push(row);
+        current = row;
+        if (row.balance !== null) previousBalance = row.balance;
+      }
+    }
+  }
+
+  return {
+    parser: 'documentai-tables',
+    bankName: null,
+    type: documentType,
+    accountInfo,
+    transactions,
+    tables: stats
+  };
+}
@@ -0,0 +1,205 @@
+// lib/parsers/template.js - Builds line-based parsers from per-bank templates
+import {
+  DATE_PATTERN,
+  parseDate,
+  splitTrailingAmounts,
+  splitTrailingDate,
+  guessDirection,
+  extractAccountInfo
+} from './common.js';
+
+// Only the top of the document is used for detection so that narrations
+// mentioning other banks (NEFT-ICIC..., HDFC CC PAYMENT) don't skew the score
+const HEADER_LENGTH = 4000;
+
+const COMMON_SKIP = [
+  /^page\s*(?:no)?\s*\.?\s*:?\s*\d+(?:\s*of\s*\d+)?$/i,
+  /^(?:opening|closing)\s+balance/i,
+  /^(?:statement\s+summary|end\s+of\s+statement|\*+\s*end)/i,
+  /^(?:date|txn\s*date|tran\s*date|transaction\s*date|s\.?\s*no)\b.*\b(?:narration|particulars|description|remarks|details)\b/i
+];
+
+const DEFAULT_REFERENCE = /^(?=(?:[A-Z]*\d){6})[A-Z0-9]{8,}$/i;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function extractReference(narration, position, pattern) {
+  const tokens = narration.split(/\s+/).filter(token => token && token !== '-');
+  if (tokens.length < 2) return { narration: tokens.join(' '), reference: null };
+
+  const index = position === 'start' ? 0 : tokens.length - 1;
+  if (!pattern.test(tokens[index])) return { narration: tokens.join(' '), reference: null };
+
+  const reference = tokens.splice(index, 1)[0];
+  return { narration: tokens.join(' '), reference };
+}
+
+// Decide which of the trailing amounts are debit, credit and balance.
+// With text extraction, empty columns disappear, so a two-amount line is
+// "amount, balance" and the direction comes from the balance movement.
+export function resolveBankAmounts(row, previousBalance) {
+  const amounts = row.amounts;
+  const result = { debit: 0, credit: 0, balance: null };
+  if (amounts.length === 0) return result;
+
+  if (amounts.length >= 3) {
+    const [debit, credit, balance] = amounts.slice(-3);
+    result.debit = debit.value;
+    result.credit = credit.value;
+    result.balance = balance.marker === 'D' ? -balance.value : balance.value;
+    return result;
+  }
+
+  const amount = amounts[0];
+  let direction = amount.marker === 'C' ? 'credit' : amount.marker === 'D' ? 'debit' : null;
+
+  if (amounts.length === 2) {
+    const balance = amounts[1];
+    result.balance = balance.marker === 'D' ? -balance.value : balance.value;
+
+    if (!direction && previousBalance !== null) {
+      if (Math.abs(round2(previousBalance - amount.value) - result.balance) < 0.01) direction = 'debit';
+      else if (Math.abs(round2(previousBalance + amount.value) - result.balance) < 0.01) direction = 'credit';
+    }
+  }
+
+  direction = direction || guessDirection(row.narration) || 'debit';
+  result[direction] = amount.value;
+  return result;
+}
+
+export function resolveCardAmounts(row) {
+  const amount = row.amounts[row.amounts.length - 1];
+  if (!amount) return { debit: 0, credit: 0, balance: null };
+
+  const isCredit = amount.marker === 'C' ||
+    (!amount.marker && /\b(?:PAYMENT\s+RECEIVED|THANK\s+YOU|REFUND|REVERSAL|CASHBACK)\b/i.test(row.narration));
+
+  return {
+    debit: isCredit ? 0 : amount.value,
+    credit: isCredit ? amount.value : 0,
+    balance: null
+  };
+}
+
+export function createStatementParser(config) {
+  const {
+    id,
+    name,
+    type = 'bank',
+    detect = [],
+    skip = [],
+    dateIndex = 0,
+    referencePosition = 'end',
+    referencePattern = DEFAULT_REFERENCE,
+    leadingSerial = false,
+    trailingTokens = 0
+  } = config;
+
+  const skipPatterns = [...COMMON_SKIP, ...skip];
+
+  function score(text) {
+    const header = text.slice(0, HEADER_LENGTH);
+    return detect.reduce((total, pattern) => total + (pattern.test(header) ? 1 : 0), 0);
+  }
+
+  function startRow(line) {
+    let rest = line;
+    if (leadingSerial) rest = rest.replace(/^\d{1,4}\s+(?=\d)/, '');
+
+    const dates = [];
+    let match;
+    while (dates.length < 2 && (match = rest.match(DATE_PATTERN))) {
+      dates.push(parseDate(match[0]));
+      rest = rest.slice(match[0].length).trim();
+    }
+    if (dates.length === 0 || !dates[0]) return null;
+
+    // Card statements often print a transaction time right after the date
+    rest = rest.replace(/^\d{1,2}:\d{2}(?::\d{2})?\s*/, '');
+
+    if (trailingTokens > 0) {
+      const tokens = rest.split(/\s+/);
+      rest = tokens.slice(0, Math.max(tokens.length - trailingTokens, 0)).join(' ');
+    }
+
+    const split = splitTrailingAmounts(rest);
+    const trailingDate = splitTrailingDate(split.rest);
+
+    return {
+      date: dates[dateIndex] || dates[0],
+      valueDate: dates.length > 1 ? dates[dateIndex === 0 ? 1 : 0] : trailingDate.date,
+      narration: trailingDate.rest,
+      amounts: split.amounts
+    };
+  }
+
+  function parse(text) {
+    const rows = [];
+    let current = null;
+    let skippedLines = 0;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s+/g, ' ').trim();
+      if (!line) continue;
+
+      if (skipPatterns.some(pattern => pattern.test(line))) {
+        current = null;
+        continue;
+      }
+
+      const row = startRow(line);
+      if (row) {
+        rows.push(row);
+        current = row;
+        continue;
+      }
+
+      // Continuation of a wrapped narration, possibly carrying the amounts
+      if (current) {
+        const split = current.amounts.length === 0 ? splitTrailingAmounts(line) : { rest: line, amounts: [] };
+        if (split.rest) current.narration = `${current.narration} ${split.rest}`.trim();
+        if (split.amounts.length) current.amounts = split.amounts;
+      } else {
+        skippedLines++;
+      }
+    }
+
+    const accountInfo = extractAccountInfo(text);
+    let previousBalance = accountInfo.openingBalance;
+
+    const transactions = rows
+      .filter(row => row.amounts.length > 0)
+      .map(row => {
+        const { narration, reference } = extractReference(row.narration, referencePosition, referencePattern);
+        const amounts = type === 'credit'
+          ? resolveCardAmounts({ ...row, narration })
+          : resolveBankAmounts({ ...row, narration }, previousBalance);
+
+        if (amounts.balance !== null) previousBalance = amounts.balance;
+
+        return {
+          date: row.date,
+          valueDate: row.valueDate || null,
+          narration,
+          reference,
+          debit: amounts.debit,
+          credit: amounts.credit,
+          balance: amounts.balance
+        };
+      });
+
+    return {
+      parser: id,
+      bankName: name,
+      type,
+      accountInfo,
+      transactions,
+      skippedLines
+    };
+  }
+
+  return { id, name, type, score, parse };
+}
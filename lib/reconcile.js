@@ -0,0 +1,160 @@
+// lib/reconcile.js - Balance reconciliation for extracted bank transactions
+import { parseAmount, parseDate } from './parsers/index.js';
+import { computeBankSummary } from './analysis/aggregate.js';
+
+const TOLERANCE = 0.01;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const amount = parseAmount(value);
+  return amount === null ? null : amount;
+}
+
+function differs(a, b) {
+  return Math.abs(round2(a - b)) > TOLERANCE;
+}
+
+// Statements are printed oldest-first by most banks but newest-first by a few;
+// the chain has to be walked in chronological order
+function inChronologicalOrder(transactions) {
+  const dated = transactions.map(t => parseDate(t.date)).filter(Boolean);
+  if (dated.length < 2) return { rows: transactions, reversed: false };
+
+  const first = dated[0];
+  const last = dated[dated.length - 1];
+  if (last >= first) return { rows: transactions, reversed: false };
+
+  return { rows: [...transactions].reverse(), reversed: true };
+}
+
+// Walk the running balance row by row. After a break the chain is re-anchored
+// on the reported balance so a single bad row is flagged only once.
+function checkBalanceChain(rows, openingBalance, reversed) {
+  const breaks = [];
+  let previous = openingBalance;
+  let checked = 0;
+
+  rows.forEach((t, position) => {
+    const balance = toNumber(t.balance);
+    const debit = toNumber(t.debit) || 0;
+    const credit = toNumber(t.credit) || 0;
+    const index = reversed ? rows.length - 1 - position : position;
+
+    if (balance === null) {
+      if (previous !== null) previous = round2(previous + credit - debit);
+      return;
+    }
+
+    if (previous !== null) {
+      checked++;
+      const expected = round2(previous + credit - debit);
+
+      if (differs(expected, balance)) {
+        const swapped = !differs(round2(previous - credit + debit), balance);
+        breaks.push({
+          index,
+          date: t.date || null,
+          description: t.description || t.narration || null,
+          previousBalance: previous,
+          expectedBalance: expected,
+          reportedBalance: balance,
+          difference: round2(balance - expected),
+          likelyCause: swapped ? 'debit_credit_swapped' : 'missing_or_wrong_amount'
+        });
+      }
+    }
+
+    previous = balance;
+  });
+
+  return { breaks, checked, finalBalance: previous };
+}
+
+export function reconcileBankAnalysis(analysis) {
+  const transactions = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+  const accountInfo = analysis.accountInfo || {};
+  const reportedSummary = analysis.summary || {};
+  const discrepancies = [];
+
+  if (transactions.length === 0) {
+    return {
+      status: 'insufficient_data',
+      confidence: 0,
+      breaks: [],
+      discrepancies: [{ type: 'no_transactions', message: 'No transactions were extracted to validate' }]
+    };
+  }
+
+  const openingBalance = toNumber(accountInfo.openingBalance);
+  const closingBalance = toNumber(accountInfo.closingBalance);
+  const { rows, reversed } = inChronologicalOrder(transactions);
+  const chain = checkBalanceChain(rows, openingBalance, reversed);
+
+  chain.breaks.forEach(b => {
+    discrepancies.push({
+      type: 'balance_chain_break',
+      index: b.index,
+      message: `Row ${b.index + 1} (${b.date || 'no date'}) shows balance ${b.reportedBalance}, expected ${b.expectedBalance}`
+    });
+  });
+
+  const computed = computeBankSummary(transactions);
+  let expectedClosingBalance = null;
+
+  if (openingBalance !== null) {
+    expectedClosingBalance = round2(openingBalance + computed.netFlow);
+    if (closingBalance !== null && differs(expectedClosingBalance, closingBalance)) {
+      discrepancies.push({
+        type: 'closing_balance_mismatch',
+        message: `Opening ${openingBalance} + credits ${computed.totalDeposits} - debits ${computed.totalWithdrawals} = ${expectedClosingBalance}, statement says ${closingBalance}`,
+        difference: round2(closingBalance - expectedClosingBalance)
+      });
+    }
+  }
+
+  const summaryMismatches = [];
+  for (const field of Object.keys(computed)) {
+    const reported = toNumber(reportedSummary[field]);
+    if (reported !== null && differs(reported, computed[field])) {
+      summaryMismatches.push({ field, reported, computed: computed[field] });
+      discrepancies.push({
+        type: 'summary_mismatch',
+        field,
+        message: `summary.${field} was ${reported}, transactions add up to ${computed[field]}`
+      });
+    }
+  }
+
+  const breakRatio = chain.checked > 0 ? chain.breaks.length / chain.checked : 0;
+  const closingPenalty = discrepancies.some(d => d.type === 'closing_balance_mismatch') ? 0.3 : 0;
+  const uncheckedPenalty = chain.checked === 0 ? 0.3 : 0;
+  const confidence = Math.max(0, 1 - 0.5 * breakRatio - closingPenalty - uncheckedPenalty - 0.05 * summaryMismatches.length);
+
+  return {
+    status: discrepancies.length === 0 ? 'balanced' : 'discrepancies',
+    confidence: round2(confidence),
+    openingBalance,
+    closingBalance,
+    expectedClosingBalance,
+    rowsChecked: chain.checked,
+    breaks: chain.breaks,
+    summary: {
+      reported: Object.fromEntries(Object.keys(computed).map(field => [field, toNumber(reportedSummary[field])])),
+      computed,
+      mismatches: summaryMismatches
+    },
+    discrepancies
+  };
+}
+
+// Replace model-reported totals with ones recomputed from the rows
+export function applyComputedSummary(analysis, report) {
+  if (!report.summary) return analysis;
+  return {
+    ...analysis,
+    summary: { ...(analysis.summary || {}), ...report.summary.computed }
+  };
+}
@@ -0,0 +1,163 @@
+// lib/redact/detectors.js - Personal identifiers found in Indian bank and card statements
+//
+// Labelled detectors read values next to a label in the statement header
+// ("A/c No", "Customer ID", "Name"); pattern detectors find identifiers by
+// shape anywhere. `strict` widens the patterns at the cost of also hiding
+// some reference numbers and merchant UPI IDs.
+
+const HEADER_CHARS = 4000;
+const HEADER_LINES = 60;
+
+// Amounts (123456.00, 1,23,456.00) must never be read as identifiers
+const NOT_AMOUNT = '(?![\\d,]*\\.\\d{2}\\b)';
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const LABELLED = [
+  {
+    type: 'ACCOUNT',
+    pattern: /(?:A\/?c(?:count)?\.?\s*(?:No|Number|#)\.?|Account\s+(?:No|Number)\.?)\s*[:.-]?\s*([0-9Xx*][0-9Xx* \t-]{4,22}\d)/gi,
+    accept: value => (value.match(/\d/g) || []).length >= 4
+  },
+  {
+    type: 'CUSTOMER_ID',
+    pattern: /(?:Customer\s*(?:ID|No\.?|Number)|Cust(?:omer)?\.?\s*ID|CRN|CIF\s*(?:No\.?|ID)?)\s*[:.-]?\s*([A-Z0-9]{5,16})\b/gi,
+    accept: value => /\d/.test(value)
+  },
+  {
+    type: 'NAME',
+    // Holder labels only; a bare "Name" must start the line so "Branch
+    // Name", "Nominee Name" and "Merchant Name" are left alone
+    pattern: /(?:\b(?:Customer|Account\s*Holder|A\/c\s*Holder|(?:Primary\s*)?Card\s*Holder)(?:'?s)?\s*Name|^[ \t]*Name)\s*[:.-]\s*((?:MR|MRS|MS|MISS|DR|SHRI|SMT|M\/S)?\.?\s*[A-Za-z][A-Za-z.']*(?:[ \t]+[A-Za-z][A-Za-z.']*){0,4})/gim,
+    accept: value => value.replace(/[^A-Za-z]/g, '').length >= 4
+  },
+  {
+    type: 'NAME',
+    pattern: /^[ \t]*((?:MR|MRS|MS|MISS|DR|SHRI|SMT)\.?[ \t]+[A-Z][A-Za-z.']*(?:[ \t]+[A-Z][A-Za-z.']*){0,4})[ \t]*$/gm,
+    accept: value => value.replace(/[^A-Za-z]/g, '').length >= 6
+  }
+];
+
+// Names are stored without the salutation so every spelling of the
+// holder's name ("MR RAHUL SHARMA", "Rahul Sharma") maps to one placeholder
+export function cleanName(value) {
+  return value.replace(/^(?:MR|MRS|MS|MISS|DR|SHRI|SMT|M\/S)\.?\s+/i, '').replace(/\s+/g, ' ').trim();
+}
+
+export function findLabelled(text) {
+  const header = text.slice(0, HEADER_CHARS);
+  const found = [];
+
+  for (const { type, pattern, accept } of LABELLED) {
+    for (const match of header.matchAll(pattern)) {
+      const value = match[1].trim().replace(/[\s-]+$/, '');
+      if (!accept(value)) continue;
+      found.push({ type, value: type === 'NAME' ? cleanName(value) : value });
+    }
+  }
+
+  return found;
+}
+
+// Address blocks in the header: the lines after an "Address" label down to
+// the one with the PIN code, and any other header line that carries a PIN
+// code next to a place name
+export function findAddressLines(text) {
+  const lines = text.slice(0, HEADER_CHARS).split('\n').slice(0, HEADER_LINES);
+  const found = [];
+  let inBlock = 0;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      inBlock = 0;
+      continue;
+    }
+
+    const labelled = trimmed.match(/^(?:Communication\s+|Registered\s+|Mailing\s+)?Address\s*[:.-]?\s*(.*)$/i);
+    const hasPin = /(?:^|[\s,-])[1-9]\d{2}\s?\d{3}(?:$|[\s,.])/.test(trimmed) && /[A-Za-z]{3}/.test(trimmed) && !/\d\.\d{2}\b/.test(trimmed);
+
+    if (labelled) {
+      if (labelled[1]) found.push(labelled[1]);
+      inBlock = hasPin ? 0 : 4;
+    } else if (inBlock > 0) {
+      found.push(trimmed);
+      inBlock = hasPin ? 0 : inBlock - 1;
+    } else if (hasPin) {
+      found.push(trimmed);
+    }
+  }
+
+  return found.filter(value => value.replace(/[^A-Za-z0-9]/g, '').length >= 6);
+}
+
+// Pattern detectors as { type, pattern, accept? }, applied in order.
+// Earlier detectors win, so emails are taken before UPI IDs and grouped
+// Aadhaar numbers before phone numbers.
+export function patternDetectors({ strict = false, nameTokens = [] } = {}) {
+  const detectors = [
+    {
+      type: 'EMAIL',
+      pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+    },
+    {
+      type: 'UPI',
+      pattern: /\b([A-Za-z0-9._]{2,64})@([A-Za-z]{2,32})\b(?!\.)/g,
+      // Merchant handles (swiggy@icici) help categorization; personal ones
+      // are phone or account numbers, or carry the holder's name. Narrations
+      // join fields with "-", so it is not part of the handle.
+      accept: match => strict ||
+        (match[1].match(/\d/g) || []).length >= 6 ||
+        nameTokens.some(token => match[1].toLowerCase().includes(token))
+    },
+    {
+      type: 'CARD',
+      pattern: /\b(?:\d{4}[ -]?){2,3}\d{1,7}\b/g,
+      accept: match => {
+        const digits = match[0].replace(/\D/g, '');
+        return digits.length >= 13 && digits.length <= 19 && luhnValid(digits);
+      }
+    },
+    {
+      // Cards the bank already masked still show the issuer prefix
+      type: 'CARD',
+      pattern: /\b(?:\d{4,6}|[Xx*]{4})[ -]?(?:[Xx*]{2,4}[ -]?){1,3}[Xx*]{0,4}\d{4}\b/g
+    },
+    {
+      type: 'PAN',
+      pattern: strict ? /\b[A-Za-z]{5}\d{4}[A-Za-z]\b/g : /\b[A-Z]{5}\d{4}[A-Z]\b/g
+    },
+    {
+      type: 'AADHAAR',
+      pattern: strict
+        ? new RegExp(`(?<![\\d.,])[2-9]\\d{3}[ -]?\\d{4}[ -]?\\d{4}(?!\\d)${NOT_AMOUNT}`, 'g')
+        : /\b[2-9]\d{3}[ -]\d{4}[ -]\d{4}\b/g
+    },
+    {
+      type: 'PHONE',
+      pattern: new RegExp(`(?:\\+91[ -]?|(?<![\\d.,])0)?(?<![\\d.,])[6-9]\\d{4}[ -]?\\d{5}(?!\\d)${NOT_AMOUNT}`, 'g')
+    }
+  ];
+
+  if (strict) {
+    detectors.push({
+      // Any long digit run: account numbers without a label, and also
+      // cheque, UTR and UPI reference numbers
+      type: 'ACCOUNT',
+      pattern: new RegExp(`(?<![\\d.,])\\d{9,18}(?!\\d)${NOT_AMOUNT}`, 'g')
+    });
+  }
+
+  return detectors;
+}
@@ -0,0 +1,199 @@
+// lib/redact/index.js - Reversible redaction of personal identifiers before LLM calls
+//
+// A redactor is made per statement. redact(text) swaps identifiers for
+// placeholders such as [ACCOUNT_1]; the same value always gets the same
+// placeholder, so page 3 and the header agree. restore(value) walks the
+// model's answer and puts back only the masked form (XXXX6789), never the
+// original. audit() says what was hidden, without the values.
+import { findLabelled, findAddressLines, patternDetectors } from './detectors.js';
+
+// REDACTION_MODE: "standard" hides labelled identifiers, cards, PAN,
+// Aadhaar, phones, emails and personal UPI IDs; "strict" also hides every
+// UPI ID and long digit run (reference numbers included); "off" sends the
+// text unchanged. Account and card numbers in results are masked in every mode.
+export const REDACTION_MODES = ['standard', 'strict', 'off'];
+
+const PLACEHOLDER = /\[(NAME|ADDRESS|ACCOUNT|CARD|CUSTOMER_ID|PAN|AADHAAR|UPI|EMAIL|PHONE)_(\d+)\]/g;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Last four characters that identify the account, as banks print them
+export function maskIdentifier(value) {
+  if (value === null || value === undefined || value === '') return value ?? null;
+  const compact = String(value).replace(/[\s-]/g, '');
+  const digits = compact.replace(/\D/g, '');
+  // Short values (a masked "XX1234" or a bank's own label) are left alone
+  if (digits.length <= 4) return String(value);
+  return `XXXX${compact.slice(-4)}`;
+}
+
+function maskValue(type, value) {
+  switch (type) {
+    case 'NAME':
+      return value.split(' ').map(part => `${part[0]}${'*'.repeat(Math.max(part.length - 1, 1))}`).join(' ');
+    case 'ADDRESS':
+      return '[address]';
+    case 'EMAIL':
+    case 'UPI': {
+      const [local, domain] = value.split('@');
+      return `${local.slice(0, 2)}***@${domain}`;
+    }
+    case 'PAN':
+      return `XXXXXX${value.slice(-4).toUpperCase()}`;
+    case 'PHONE':
+      return `XXXXXX${value.replace(/\D/g, '').slice(-4)}`;
+    default:
+      return `XXXX${value.replace(/[\s-]/g, '').slice(-4)}`;
+  }
+}
+
+// Values that are the same identifier written differently share a key
+function valueKey(type, value) {
+  if (type === 'NAME' || type === 'EMAIL' || type === 'UPI' || type === 'ADDRESS') return value.toLowerCase().replace(/\s+/g, ' ');
+  if (type === 'PAN' || type === 'CUSTOMER_ID') return value.toUpperCase();
+  return value.replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Where a labelled value may appear again: names with any spacing and
+// case, numbers with or without separators
+function valuePattern(type, value) {
+  if (type === 'NAME') {
+    return new RegExp(`\\b${value.split(' ').map(escapeRegExp).join('\\s+')}\\b`, 'gi');
+  }
+  if (type === 'ADDRESS') return new RegExp(escapeRegExp(value), 'g');
+  const compact = value.replace(/[\s-]/g, '');
+  return new RegExp(`(?<![A-Za-z0-9])${compact.split('').map(escapeRegExp).join('[\\s-]?')}(?![A-Za-z0-9])`, 'gi');
+}
+
+export function createRedactor(mode = 'standard') {
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Unknown redaction mode "${mode}" (available: ${REDACTION_MODES.join(', ')})`);
+  }
+  if (mode === 'off') return null;
+
+  const strict = mode === 'strict';
+  const entries = new Map(); // valueKey -> { type, placeholder, masked, occurrences }
+  const byPlaceholder = new Map();
+  const counters = {};
+  const known = []; // labelled values, replaced wherever they appear
+
+  function register(type, value) {
+    const key = `${type}:${valueKey(type, value)}`;
+    let entry = entries.get(key);
+    if (!entry) {
+      counters[type] = (counters[type] || 0) + 1;
+      entry = { type, placeholder: `[${type}_${counters[type]}]`, masked: maskValue(type, value), occurrences: 0 };
+      entries.set(key, entry);
+      byPlaceholder.set(entry.placeholder, entry);
+    }
+    return entry;
+  }
+
+  function learn(type, value) {
+    const entry = register(type, value);
+    if (!known.some(item => item.entry === entry && item.value === value)) {
+      known.push({ entry, value, pattern: valuePattern(type, value) });
+      // Longest first, so "Rahul Kumar Sharma" goes before "Rahul Kumar"
+      known.sort((a, b) => b.value.length - a.value.length);
+    }
+  }
+
+  function nameParts() {
+    return known
+      .filter(item => item.entry.type === 'NAME')
+      .flatMap(item => item.value.split(' '))
+      .filter(part => part.length >= 4);
+  }
+
+  function nameTokens() {
+    return nameParts().map(part => part.toLowerCase());
+  }
+
+  // Read labelled identifiers (account number, customer ID, name, address)
+  // from a statement header so they are hidden wherever they appear later
+  function scan(text) {
+    if (!text) return;
+    for (const { type, value } of findLabelled(text)) learn(type, value);
+    for (const line of findAddressLines(text)) learn('ADDRESS', line);
+    if (strict) {
+      // The holder's name also appears in pieces ("SHARMA R", "RAHUL")
+      for (const part of nameParts()) {
+        if (part.length >= 5) learn('NAME', part);
+      }
+    }
+  }
+
+  function redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+
+    for (const { entry, pattern } of known) {
+      result = result.replace(pattern, () => {
+        entry.occurrences++;
+        return entry.placeholder;
+      });
+    }
+
+    for (const { type, pattern, accept } of patternDetectors({ strict, nameTokens: nameTokens() })) {
+      result = result.replace(pattern, (...args) => {
+        const match = args.slice(0, -2);
+        if (accept && !accept(match)) return match[0];
+        const entry = register(type, match[0]);
+        entry.occurrences++;
+        return entry.placeholder;
+      });
+    }
+
+    return result;
+  }
+
+  // Parsed table rows go to the model as text too
+  function redactRows(rows) {
+    return rows.map(row => ({
+      ...row,
+      narration: redact(row.narration),
+      reference: redact(row.reference)
+    }));
+  }
+
+  // Placeholders in the model's answer become masked forms
+  function restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, placeholder => byPlaceholder.get(placeholder)?.masked ?? placeholder);
+    }
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+    }
+    return value;
+  }
+
+  function audit() {
+    const items = [...entries.values()].filter(entry => entry.occurrences > 0);
+    const byType = {};
+    for (const entry of items) byType[entry.type] = (byType[entry.type] || 0) + entry.occurrences;
+    return {
+      mode,
+      total: items.reduce((sum, entry) => sum + entry.occurrences, 0),
+      byType,
+      items: items.map(({ type, placeholder, masked, occurrences }) => ({ type, placeholder, masked, occurrences }))
+    };
+  }
+
+  return { mode, scan, redact, redactRows, restore, audit };
+}
+
+// Account and card numbers in an analysis, masked whatever the model returned
+export function maskAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object') return analysis;
+  const masked = { ...analysis };
+  if (masked.accountInfo) {
+    masked.accountInfo = { ...masked.accountInfo, accountNumber: maskIdentifier(masked.accountInfo.accountNumber) };
+  }
+  if (masked.cardInfo) {
+    masked.cardInfo = { ...masked.cardInfo, cardNumber: maskIdentifier(masked.cardInfo.cardNumber) };
+  }
+  return masked;
+}
@@ -0,0 +1,204 @@
+// lib/remote-pdf.js - SSRF-safe, size-limited PDF download from storage buckets
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+
+const DEFAULT_ALLOWED_HOSTS = [
+  'firebasestorage.googleapis.com',
+  'storage.googleapis.com',
+  '*.storage.googleapis.com'
+];
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const PDF_CONTENT_TYPES = ['application/pdf', 'application/octet-stream', 'binary/octet-stream'];
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// documentation ranges. BlockList matches IPv4-mapped IPv6 addresses
+// against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Error codes map to HTTP statuses in downloadErrorStatus
+const ERROR_STATUS = {
+  INVALID_URL: 400,
+  URL_NOT_ALLOWED: 400,
+  PRIVATE_ADDRESS: 400,
+  TOO_MANY_REDIRECTS: 502,
+  HTTP_ERROR: 502,
+  NOT_PDF: 415,
+  TOO_LARGE: 413,
+  TIMEOUT: 504
+};
+
+function downloadError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+export function downloadErrorStatus(error) {
+  return ERROR_STATUS[error.code] || 500;
+}
+
+export function isBlockedAddress(address, family) {
+  const type = family === 6 || family === 'IPv6' || net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return BLOCKED_ADDRESSES.check(address, type);
+}
+
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith('*.')) return hostname.endsWith(pattern.slice(1));
+  return hostname === pattern;
+}
+
+// Firebase: /v0/b/<bucket>/o/..., GCS: /<bucket>/... or <bucket>.storage.googleapis.com
+function bucketOf(url) {
+  const firebase = url.pathname.match(/^\/v0\/b\/([^/]+)\//);
+  if (firebase) return decodeURIComponent(firebase[1]);
+  if (url.hostname.endsWith('.storage.googleapis.com')) {
+    return url.hostname.slice(0, -'.storage.googleapis.com'.length);
+  }
+  if (url.hostname === 'storage.googleapis.com') return decodeURIComponent(url.pathname.split('/')[1] || '');
+  return null;
+}
+
+function checkUrl(rawUrl, { allowedHosts, allowedBuckets }) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw downloadError('INVALID_URL', 'PDF URL is not a valid URL');
+  }
+
+  if (url.protocol !== 'https:') throw downloadError('URL_NOT_ALLOWED', 'Only https URLs are allowed');
+  if (url.username || url.password) throw downloadError('URL_NOT_ALLOWED', 'URLs with credentials are not allowed');
+
+  const hostname = url.hostname.toLowerCase();
+  if (!allowedHosts.some(pattern => hostMatches(hostname, pattern))) {
+    throw downloadError('URL_NOT_ALLOWED', `Host ${hostname} is not an allowed storage host`);
+  }
+  const literal = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(literal) && isBlockedAddress(literal)) {
+    throw downloadError('PRIVATE_ADDRESS', 'URL points to a private address');
+  }
+  if (allowedBuckets.length > 0 && !allowedBuckets.includes(bucketOf(url))) {
+    throw downloadError('URL_NOT_ALLOWED', 'Storage bucket is not allowed');
+  }
+
+  return url;
+}
+
+// Resolve and vet every address before connecting, so DNS answers that point
+// inside our network (including rebinding between hops) are refused
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(entry => isBlockedAddress(entry.address, entry.family))) {
+      return callback(downloadError('PRIVATE_ADDRESS', `${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function request(url, signal) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { lookup: safeLookup, signal, headers: { Accept: 'application/pdf' } }, resolve);
+    req.on('error', reject);
+  });
+}
+
+function readCapped(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    response.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        response.destroy();
+        reject(downloadError('TOO_LARGE', `PDF is larger than ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  });
+}
+
+// PDF files start with "%PDF-", possibly after a few junk bytes
+export function looksLikePdf(buffer) {
+  return buffer.subarray(0, 1024).includes('%PDF-');
+}
+
+export function remotePdfOptionsFromEnv(env = process.env) {
+  const list = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  return {
+    allowedHosts: list(env.PDF_URL_ALLOWED_HOSTS).length ? list(env.PDF_URL_ALLOWED_HOSTS) : DEFAULT_ALLOWED_HOSTS,
+    allowedBuckets: (env.PDF_URL_ALLOWED_BUCKETS || '').split(',').map(item => item.trim()).filter(Boolean),
+    timeoutMs: parseInt(env.PDF_URL_TIMEOUT_MS, 10) || 15000
+  };
+}
+
+export async function downloadPdf(rawUrl, {
+  allowedHosts = DEFAULT_ALLOWED_HOSTS,
+  allowedBuckets = [],
+  maxBytes,
+  timeoutMs = 15000,
+  maxRedirects = 3
+} = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const policy = { allowedHosts, allowedBuckets };
+
+  try {
+    let url = checkUrl(rawUrl, policy);
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      const response = await request(url, controller.signal);
+
+      if (REDIRECT_STATUSES.has(response.statusCode)) {
+        response.resume();
+        if (!response.headers.location) throw downloadError('HTTP_ERROR', 'Redirect without a location');
+        url = checkUrl(new URL(response.headers.location, url).href, policy);
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw downloadError('HTTP_ERROR', `Storage server answered ${response.statusCode}`);
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (contentType && !PDF_CONTENT_TYPES.includes(contentType)) {
+        response.resume();
+        throw downloadError('NOT_PDF', `Unexpected content type ${contentType}`);
+      }
+
+      const declaredLength = parseInt(response.headers['content-length'], 10);
+      if (declaredLength > maxBytes) {
+        response.destroy();
+        throw downloadError('TOO_LARGE', `PDF is larger than ${maxBytes} bytes`);
+      }
+
+      const buffer = await readCapped(response, maxBytes);
+      if (!looksLikePdf(buffer)) throw downloadError('NOT_PDF', 'Downloaded file is not a PDF');
+      return buffer;
+    }
+
+    throw downloadError('TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`);
+  } catch (error) {
+    if (controller.signal.aborted) throw downloadError('TIMEOUT', `Download took longer than ${timeoutMs}ms`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,997 @@
+// lib/reports/excel.js - ExcelJS workbooks for bank, credit card, tax and income reports
+//
+// Totals on the Summary and breakdown sheets are SUMIFS/COUNTIFS formulas
+// over the transaction sheet, so edits to a row (a corrected category, a
+// deleted duplicate) flow through. Each formula also carries its computed
+// result for viewers that do not recalculate.
+import { parseDate } from '../parsers/index.js';
+import { round2, toNumber, isCardCredit, computeTopTransactions } from '../analysis/aggregate.js';
+import { detectRecurring } from '../analysis/recurring.js';
+import { forecastCashFlow } from '../analysis/forecast.js';
+import { analyzeCard, GST_RATE } from '../analysis/card.js';
+import { maskIdentifier } from '../redact/index.js';
+
+const CURRENCY_FORMAT = '"₹"#,##0.00;[Red]-"₹"#,##0.00';
+const DATE_FORMAT = 'dd-mmm-yyyy';
+const MONTH_FORMAT = 'mmm yyyy';
+const PERCENT_FORMAT = '0.0%';
+const THRESHOLD_NAME = 'LargeTransactionThreshold';
+
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+const SECTION_FONT = { bold: true, size: 12 };
+const SECTION_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+const LARGE_FILL = { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFC7CE' } };
+const LARGE_FONT = { color: { argb: 'FF9C0006' } };
+
+// ===== Shared helpers =====
+
+// Real date cells sort and filter properly; unparseable dates stay as text
+function toDateCell(value) {
+  const date = parseDate(value);
+  if (!date) return value || null;
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function monthOf(value) {
+  const date = parseDate(value);
+  return date ? date.slice(0, 7) : '';
+}
+
+// Months are matched as first-of-month dates: SUMIFS would read a text
+// criterion like "2024-05" as a date anyway
+function monthCell(month) {
+  return month ? toDateCell(`${month}-01`) : null;
+}
+
+function amountOrNull(value) {
+  const amount = toNumber(value);
+  return amount ? amount : null;
+}
+
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// Absolute reference to a column's data rows on another sheet
+function rangeOf(sheetName, column, lastRow) {
+  return `'${sheetName}'!$${column}$2:$${column}$${Math.max(lastRow, 2)}`;
+}
+
+// Bold header row, frozen below it, with filters and per-column formats
+function addTable(sheet, columns, rows) {
+  sheet.columns = columns.map(({ format, ...column }) => (format ? { ...column, style: { numFmt: format } } : column));
+  rows.forEach(row => sheet.addRow(row));
+
+  const header = sheet.getRow(1);
+  header.font = HEADER_FONT;
+  header.fill = HEADER_FILL;
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+}
+
+function addTitle(sheet, title) {
+  const row = sheet.addRow([title]);
+  row.font = { bold: true, size: 14 };
+  sheet.addRow([]);
+}
+
+function addSection(sheet, title, headings = []) {
+  const row = sheet.addRow([title, ...headings]);
+  row.font = SECTION_FONT;
+  row.eachCell(cell => { cell.fill = SECTION_FILL; });
+  return row;
+}
+
+// A label/value line; format applies to the value cell
+function addField(sheet, label, value, format) {
+  const row = sheet.addRow([label, value ?? '']);
+  if (format) row.getCell(2).numFmt = format;
+  return row;
+}
+
+// Red rows where `condition` holds: a large amount, an overdue invoice
+function highlightLarge(sheet, columnCount, lastRow, condition) {
+  if (lastRow < 2) return;
+  sheet.addConditionalFormatting({
+    ref: `A2:${columnLetter(columnCount)}${lastRow}`,
+    rules: [{ type: 'expression', formulae: [condition], style: { fill: LARGE_FILL, font: LARGE_FONT } }]
+  });
+}
+
+// Five times the median outflow, at least ₹10,000 - editable in the workbook
+function largeThreshold(amounts) {
+  const sorted = amounts.filter(amount => amount > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return 10000;
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return Math.max(10000, Math.ceil((median * 5) / 1000) * 1000);
+}
+
+function addThreshold(workbook, sheet, amounts) {
+  const row = addField(sheet, 'Large Transaction Threshold', largeThreshold(amounts), CURRENCY_FORMAT);
+  workbook.definedNames.add(`'${sheet.name}'!$B$${row.number}`, THRESHOLD_NAME);
+}
+
+function sumBy(items, keyOf, valueOf) {
+  const totals = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    totals.set(key, (totals.get(key) || 0) + valueOf(item));
+  }
+  return totals;
+}
+
+// Category x month grid of outflows, with row and column totals.
+// criteria narrows the SUMIFS further (card sheets count charges only).
+function addCategoryBreakdown(sheet, { categories, months, items, sheetName, lastRow, columns, criteria = '', valueOf }) {
+  const amountRange = rangeOf(sheetName, columns.amount, lastRow);
+  const categoryRange = rangeOf(sheetName, columns.category, lastRow);
+  const monthRange = rangeOf(sheetName, columns.month, lastRow);
+
+  addTable(sheet, [
+    { header: 'Category', key: 'category', width: 22 },
+    ...months.map(month => ({ header: month, key: month, width: 14, format: CURRENCY_FORMAT })),
+    { header: 'Total', key: 'total', width: 16, format: CURRENCY_FORMAT }
+  ], []);
+  months.forEach((month, m) => {
+    const cell = sheet.getRow(1).getCell(m + 2);
+    cell.value = monthCell(month);
+    cell.numFmt = MONTH_FORMAT;
+  });
+
+  const columnTotals = new Array(months.length + 1).fill(0);
+  categories.forEach((category, i) => {
+    const r = i + 2;
+    const values = { category };
+    let rowTotal = 0;
+    months.forEach((month, m) => {
+      const result = round2(items
+        .filter(item => item.category === category && item.month === month)
+        .reduce((sum, item) => sum + valueOf(item), 0));
+      values[month] = {
+        formula: `SUMIFS(${amountRange},${categoryRange},$A${r},${monthRange},${columnLetter(m + 2)}$1${criteria})`,
+        result
+      };
+      rowTotal += result;
+      columnTotals[m] += result;
+    });
+    values.total = {
+      formula: months.length ? `SUM(B${r}:${columnLetter(months.length + 1)}${r})` : '0',
+      result: round2(rowTotal)
+    };
+    columnTotals[months.length] += rowTotal;
+    sheet.addRow(values);
+  });
+
+  const lastCategoryRow = Math.max(categories.length + 1, 2);
+  const totals = { category: 'Total' };
+  [...months, 'total'].forEach((key, m) => {
+    const column = columnLetter(m + 2);
+    totals[key] = { formula: `SUM(${column}2:${column}${lastCategoryRow})`, result: round2(columnTotals[m]) };
+  });
+  sheet.addRow(totals).font = { bold: true };
+}
+
+function addRecurringSheet(workbook, name, recurring, modelListed, modelLabel) {
+  const sheet = workbook.addWorksheet(name);
+  const detected = recurring.subscriptions.map(s => `${s.key} ${String(s.merchant).toLowerCase()}`);
+
+  const rows = recurring.subscriptions.map(s => ({
+    merchant: s.merchant,
+    amount: s.lastAmount,
+    frequency: s.frequency,
+    category: s.category,
+    confirmed: 'Yes',
+    status: s.status,
+    occurrences: s.occurrences,
+    lastCharge: toDateCell(s.lastCharge),
+    nextExpected: s.status === 'active' ? toDateCell(s.nextExpected) : null,
+    annualCost: s.annualCost,
+    confidence: s.confidence,
+    flags: s.flags.map(flag => flag.message).join('; ')
+  }));
+
+  // Whatever the model listed that the charges themselves could not confirm
+  (Array.isArray(modelListed) ? modelListed : [])
+    .filter(s => {
+      const name = String(s[modelLabel] || '').toLowerCase().split(/[\s.]/)[0];
+      return !name || !detected.some(entry => entry.includes(name));
+    })
+    .forEach(s => rows.push({
+      merchant: s[modelLabel],
+      amount: toNumber(s.amount),
+      frequency: s.frequency,
+      category: s.category,
+      confirmed: 'No',
+      status: 'unconfirmed'
+    }));
+
+  addTable(sheet, [
+    { header: 'Service', key: 'merchant', width: 30 },
+    { header: 'Amount', key: 'amount', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Frequency', key: 'frequency', width: 12 },
+    { header: 'Category', key: 'category', width: 20 },
+    { header: 'Confirmed', key: 'confirmed', width: 12 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Charges Seen', key: 'occurrences', width: 14 },
+    { header: 'Last Charge', key: 'lastCharge', width: 14, format: DATE_FORMAT },
+    { header: 'Next Expected', key: 'nextExpected', width: 14, format: DATE_FORMAT },
+    { header: 'Annual Cost', key: 'annualCost', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Confidence', key: 'confidence', width: 12, format: '0%' },
+    { header: 'Flags', key: 'flags', width: 60 }
+  ], rows);
+}
+
+function addTopTransactionsSheet(workbook, top, labelKey) {
+  const sheet = workbook.addWorksheet('Top Transactions');
+  addTable(sheet, [
+    { header: '#', key: 'rank', width: 6 },
+    { header: 'Date', key: 'date', width: 14, format: DATE_FORMAT },
+    { header: labelKey === 'merchant' ? 'Merchant' : 'Description', key: 'label', width: 45 },
+    { header: 'Amount', key: 'amount', width: 16, format: CURRENCY_FORMAT },
+    ...(labelKey === 'description' ? [{ header: 'Type', key: 'type', width: 10 }] : [])
+  ], top.map((t, i) => ({
+    rank: i + 1,
+    date: toDateCell(t.date),
+    label: t[labelKey],
+    amount: toNumber(t.amount),
+    type: t.type
+  })));
+}
+
+// Rule alerts first, then the model's and the recurring-payment flags. A
+// rule alert links to its first transaction row; rows sit in
+// analysis.transactions order below the header, so index i is row i + 2.
+function addAlertsSheet(workbook, statementAlerts, recurring, ruleAlerts, txName) {
+  const sheet = workbook.addWorksheet('Alerts');
+  const link = transactions => (transactions.length === 0 ? '' : {
+    text: transactions.map(t => `Row ${t.index + 2}`).join(', '),
+    hyperlink: `#'${txName}'!A${transactions[0].index + 2}`
+  });
+  const rows = [
+    ...(ruleAlerts?.items || []).map(item => ({
+      severity: item.severity,
+      rule: item.ruleId,
+      source: 'Rules',
+      alert: item.message,
+      amount: item.amount ?? null,
+      transactions: link(item.transactions)
+    })),
+    ...(Array.isArray(statementAlerts) ? statementAlerts : []).map(alert => ({ source: 'Statement', alert })),
+    ...recurring.subscriptions.flatMap(s => s.flags.map(flag => ({
+      source: 'Recurring',
+      alert: `${s.merchant}: ${flag.message}`
+    })))
+  ];
+
+  addTable(sheet, [
+    { header: '#', key: 'number', width: 6 },
+    { header: 'Severity', key: 'severity', width: 10 },
+    { header: 'Rule', key: 'rule', width: 22 },
+    { header: 'Source', key: 'source', width: 12 },
+    { header: 'Alert', key: 'alert', width: 90 },
+    { header: 'Amount', key: 'amount', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Transactions', key: 'transactions', width: 24 }
+  ], rows.map((row, i) => ({ number: i + 1, ...row })));
+
+  sheet.getColumn('transactions').eachCell((cell, rowNumber) => {
+    if (rowNumber > 1 && cell.value?.hyperlink) cell.font = { color: { argb: 'FF0563C1' }, underline: true };
+  });
+  sheet.getColumn('severity').eachCell((cell, rowNumber) => {
+    if (rowNumber > 1 && cell.value === 'high') cell.font = LARGE_FONT;
+  });
+}
+
+// Overview and horizons above a day-by-day projection. Balances are
+// running formulas from the starting balance, so editing a scheduled
+// amount or the threshold reflows the whole sheet.
+function addForecastSheet(workbook, forecast) {
+  const sheet = workbook.addWorksheet('Forecast');
+  sheet.columns = [{ width: 30 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 18 }, { width: 20 }, { width: 50 }];
+  addTitle(sheet, 'Cash-Flow Forecast');
+
+  if (forecast.status !== 'success') {
+    (forecast.warnings || []).forEach(warning => sheet.addRow([warning]));
+    return;
+  }
+
+  const { runway } = forecast;
+  addSection(sheet, 'Overview');
+  addField(sheet, 'As Of', toDateCell(forecast.asOf), DATE_FORMAT);
+  addField(sheet, 'Confidence', forecast.confidence === 'low' ? 'Low (short history)' : 'Normal');
+  const starting = addField(sheet, 'Starting Balance', forecast.startingBalance, CURRENCY_FORMAT);
+  const threshold = addField(sheet, 'Low-Balance Threshold', forecast.lowBalance.threshold, CURRENCY_FORMAT);
+  addField(sheet, 'Average Monthly Inflow', runway.monthlyInflow, CURRENCY_FORMAT);
+  addField(sheet, 'Average Monthly Outflow', runway.monthlyOutflow, CURRENCY_FORMAT);
+  addField(sheet, 'Monthly Net Burn', runway.monthlyNetBurn, CURRENCY_FORMAT);
+  addField(sheet, 'Runway at Current Burn (Months)', runway.months ?? 'Not burning cash', '0.0');
+  addField(sheet, 'Balance Runs Out On', runway.runsOutOn ? toDateCell(runway.runsOutOn) : null, DATE_FORMAT);
+  addField(sheet, 'Months Without Any Income', runway.monthsWithoutIncome, '0.0');
+  addField(sheet, 'First Low-Balance Date', forecast.lowBalance.firstDate ? toDateCell(forecast.lowBalance.firstDate) : 'None projected', DATE_FORMAT);
+  forecast.warnings.forEach(warning => addField(sheet, 'Note', warning));
+  sheet.addRow([]);
+
+  // Filled in once the daily rows exist
+  addSection(sheet, 'Horizon', ['End Date', 'Projected Balance', 'Conservative', 'Lowest Balance', 'Lowest On']);
+  const horizonRows = forecast.horizons.map(h => sheet.addRow([`${h.days} days`]));
+  sheet.addRow([]);
+
+  addSection(sheet, 'Recurring Item', ['Direction', 'Frequency', 'Amount', 'Next Date', 'Times in Period']);
+  forecast.recurring.forEach(item => {
+    const row = sheet.addRow([item.description, item.direction, item.frequency, item.amount, toDateCell(item.nextDate), item.occurrences]);
+    row.getCell(4).numFmt = CURRENCY_FORMAT;
+    row.getCell(5).numFmt = DATE_FORMAT;
+  });
+  sheet.addRow([]);
+
+  // Daily rows: A Date, B Scheduled In, C Scheduled Out, D Other In,
+  // E Other Out, F Projected Balance, G Conservative Balance, H Items
+  const header = sheet.addRow(['Date', 'Scheduled In', 'Scheduled Out', 'Other In', 'Other Out', 'Projected Balance', 'Conservative Balance', 'Scheduled Items']);
+  header.font = HEADER_FONT;
+  header.fill = HEADER_FILL;
+  sheet.views = [{ state: 'frozen', ySplit: header.number }];
+
+  const firstDay = header.number + 1;
+  forecast.daily.forEach((day, i) => {
+    const r = firstDay + i;
+    const previous = i === 0 ? `$B$${starting.number}` : `F${r - 1}`;
+    const previousConservative = i === 0 ? `$B$${starting.number}` : `G${r - 1}`;
+    const row = sheet.addRow([
+      toDateCell(day.date),
+      day.scheduledIn,
+      day.scheduledOut,
+      day.otherIn,
+      day.otherOut,
+      { formula: `${previous}+B${r}-C${r}+D${r}-E${r}`, result: day.balance },
+      { formula: `${previousConservative}+B${r}-C${r}-E${r}`, result: day.conservativeBalance },
+      day.items.join(', ')
+    ]);
+    row.getCell(1).numFmt = DATE_FORMAT;
+    for (let column = 2; column <= 7; column++) row.getCell(column).numFmt = CURRENCY_FORMAT;
+  });
+  const lastDay = firstDay + forecast.daily.length - 1;
+
+  forecast.horizons.forEach((h, i) => {
+    const end = firstDay + h.days - 1;
+    const row = horizonRows[i];
+    row.getCell(2).value = toDateCell(h.endDate);
+    row.getCell(3).value = { formula: `F${end}`, result: h.balance };
+    row.getCell(4).value = { formula: `G${end}`, result: h.conservativeBalance };
+    row.getCell(5).value = { formula: `MIN($B$${starting.number},F${firstDay}:F${end})`, result: h.lowestBalance };
+    row.getCell(6).value = toDateCell(h.lowestDate);
+    row.getCell(2).numFmt = DATE_FORMAT;
+    [3, 4, 5].forEach(column => { row.getCell(column).numFmt = CURRENCY_FORMAT; });
+    row.getCell(6).numFmt = DATE_FORMAT;
+  });
+
+  sheet.addConditionalFormatting({
+    ref: `A${firstDay}:H${lastDay}`,
+    rules: [{ type: 'expression', formulae: [`$F${firstDay}<$B$${threshold.number}`], style: { fill: LARGE_FILL, font: LARGE_FONT } }]
+  });
+}
+
+// ===== Bank statement workbook =====
+
+export function createBankStatementExcel(workbook, analysis) {
+  workbook.calcProperties.fullCalcOnLoad = true;
+  const transactions = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+  const info = analysis.accountInfo || {};
+  const items = transactions.map(t => ({
+    date: toDateCell(t.date),
+    description: t.description || '',
+    debit: amountOrNull(t.debit),
+    credit: amountOrNull(t.credit),
+    balance: t.balance === null || t.balance === undefined || t.balance === '' ? null : toNumber(t.balance),
+    category: t.category || 'Others',
+    month: monthOf(t.date),
+    monthStart: monthCell(monthOf(t.date))
+  }));
+  const lastRow = items.length + 1;
+  const txName = 'All Transactions';
+  const range = column => rangeOf(txName, column, lastRow);
+
+  // Sheet order: Summary first, then the rows everything else is built on
+  const summarySheet = workbook.addWorksheet('Summary');
+  const rawSheet = workbook.addWorksheet(txName);
+
+  // Transaction rows: A Date, B Description, C Debit, D Credit, E Balance, F Category, G Month
+  addTable(rawSheet, [
+    { header: 'Date', key: 'date', width: 14, format: DATE_FORMAT },
+    { header: 'Description', key: 'description', width: 50 },
+    { header: 'Debit', key: 'debit', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Credit', key: 'credit', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Balance', key: 'balance', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Category', key: 'category', width: 20 },
+    { header: 'Month', key: 'monthStart', width: 10, format: MONTH_FORMAT }
+  ], items);
+  highlightLarge(rawSheet, 7, lastRow, `$C2>=${THRESHOLD_NAME}`);
+
+  // Summary: account block, live totals, category summary
+  summarySheet.columns = [{ width: 32 }, { width: 20 }, { width: 18 }, { width: 18 }, { width: 16 }];
+  addTitle(summarySheet, 'Bank Statement Analysis');
+
+  addSection(summarySheet, 'Account Information');
+  addField(summarySheet, 'Bank', info.bankName);
+  addField(summarySheet, 'Account Number', maskIdentifier(info.accountNumber));
+  addField(summarySheet, 'Period', info.period);
+  addField(summarySheet, 'Opening Balance', info.openingBalance ?? null, CURRENCY_FORMAT);
+  addField(summarySheet, 'Closing Balance', info.closingBalance ?? null, CURRENCY_FORMAT);
+  summarySheet.addRow([]);
+
+  const totalDebits = round2(items.reduce((sum, item) => sum + (item.debit || 0), 0));
+  const totalCredits = round2(items.reduce((sum, item) => sum + (item.credit || 0), 0));
+  addSection(summarySheet, 'Summary');
+  const deposits = addField(summarySheet, 'Total Deposits', { formula: `SUM(${range('D')})`, result: totalCredits }, CURRENCY_FORMAT);
+  const withdrawals = addField(summarySheet, 'Total Withdrawals', { formula: `SUM(${range('C')})`, result: totalDebits }, CURRENCY_FORMAT);
+  addField(summarySheet, 'Net Flow', {
+    formula: `B${deposits.number}-B${withdrawals.number}`,
+    result: round2(totalCredits - totalDebits)
+  }, CURRENCY_FORMAT);
+  addField(summarySheet, 'Transaction Count', { formula: `COUNTA(${range('B')})`, result: items.length });
+  addField(summarySheet, 'Average Daily Spending', analysis.summary?.avgDailySpending ?? null, CURRENCY_FORMAT);
+  if (analysis.monthlyPatterns) {
+    addField(summarySheet, 'Highest Spending Month', analysis.monthlyPatterns.highestSpendingMonth);
+    addField(summarySheet, 'Lowest Spending Month', analysis.monthlyPatterns.lowestSpendingMonth);
+    addField(summarySheet, 'Average Monthly Spending', analysis.monthlyPatterns.averageMonthlySpending ?? null, CURRENCY_FORMAT);
+  }
+  addThreshold(workbook, summarySheet, items.map(item => item.debit || 0));
+  summarySheet.addRow([]);
+
+  const categories = [...new Set(items.map(item => item.category))].sort();
+  const debitsBy = sumBy(items, item => item.category, item => item.debit || 0);
+  const creditsBy = sumBy(items, item => item.category, item => item.credit || 0);
+  const countBy = sumBy(items, item => item.category, () => 1);
+
+  addSection(summarySheet, 'Category Summary', ['Transactions', 'Debits', 'Credits', 'Share of Debits']);
+  const firstCategoryRow = summarySheet.rowCount + 1;
+  const lastCategoryRow = firstCategoryRow + Math.max(categories.length, 1) - 1;
+  categories.forEach((category, i) => {
+    const r = firstCategoryRow + i;
+    const row = summarySheet.addRow([
+      category,
+      { formula: `COUNTIFS(${range('F')},$A${r})`, result: countBy.get(category) },
+      { formula: `SUMIFS(${range('C')},${range('F')},$A${r})`, result: round2(debitsBy.get(category)) },
+      { formula: `SUMIFS(${range('D')},${range('F')},$A${r})`, result: round2(creditsBy.get(category)) },
+      {
+        formula: `IF(SUM($C$${firstCategoryRow}:$C$${lastCategoryRow})=0,0,C${r}/SUM($C$${firstCategoryRow}:$C$${lastCategoryRow}))`,
+        result: totalDebits ? debitsBy.get(category) / totalDebits : 0
+      }
+    ]);
+    row.getCell(3).numFmt = CURRENCY_FORMAT;
+    row.getCell(4).numFmt = CURRENCY_FORMAT;
+    row.getCell(5).numFmt = PERCENT_FORMAT;
+  });
+
+  // Monthly breakdown: inflow, outflow, net and closing balance per month
+  const months = [...new Set(items.map(item => item.month).filter(Boolean))].sort();
+  const monthlySheet = workbook.addWorksheet('Monthly Breakdown');
+  addTable(monthlySheet, [
+    { header: 'Month', key: 'month', width: 12, format: MONTH_FORMAT },
+    { header: 'Inflow', key: 'inflow', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Outflow', key: 'outflow', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Net', key: 'net', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Closing Balance', key: 'closingBalance', width: 18, format: CURRENCY_FORMAT },
+    { header: 'Transactions', key: 'count', width: 14 }
+  ], months.map((month, i) => {
+    const r = i + 2;
+    const inMonth = items.filter(item => item.month === month);
+    const inflow = round2(inMonth.reduce((sum, item) => sum + (item.credit || 0), 0));
+    const outflow = round2(inMonth.reduce((sum, item) => sum + (item.debit || 0), 0));
+    const withBalance = inMonth.filter(item => item.balance !== null);
+    return {
+      month: monthCell(month),
+      inflow: { formula: `SUMIFS(${range('D')},${range('G')},$A${r})`, result: inflow },
+      outflow: { formula: `SUMIFS(${range('C')},${range('G')},$A${r})`, result: outflow },
+      net: { formula: `B${r}-C${r}`, result: round2(inflow - outflow) },
+      closingBalance: withBalance.length ? withBalance[withBalance.length - 1].balance : null,
+      count: { formula: `COUNTIFS(${range('G')},$A${r})`, result: inMonth.length }
+    };
+  }));
+
+  addCategoryBreakdown(workbook.addWorksheet('Category Breakdown'), {
+    categories,
+    months,
+    items,
+    sheetName: txName,
+    lastRow,
+    columns: { amount: 'C', category: 'F', month: 'G' },
+    valueOf: item => item.debit || 0
+  });
+
+  const recurring = analysis.recurring || detectRecurring(transactions, 'bank');
+  addRecurringSheet(workbook, 'Recurring Payments', recurring, analysis.recurringPayments, 'description');
+
+  const top = Array.isArray(analysis.topTransactions) && analysis.topTransactions.length
+    ? analysis.topTransactions
+    : computeTopTransactions(transactions, 'bank');
+  addTopTransactionsSheet(workbook, top, 'description');
+
+  addForecastSheet(workbook, analysis.forecast || forecastCashFlow(transactions, { balance: info.closingBalance }));
+
+  addAlertsSheet(workbook, analysis.alerts, recurring, analysis.ruleAlerts, txName);
+}
+
+// ===== Credit card workbook =====
+
+const CHARGE_KINDS = {
+  financeCharge: 'Finance Charge',
+  gst: 'GST',
+  lateFee: 'Late Fee',
+  forexMarkup: 'Forex Markup',
+  annualFee: 'Annual Fee',
+  otherFee: 'Other Fee',
+  reversal: 'Reversal'
+};
+
+// EMI plans with what is left to pay; remaining amount is instalment x
+// instalments left
+function addEmiSheet(workbook, emis) {
+  const sheet = workbook.addWorksheet('EMIs');
+  addTable(sheet, [
+    { header: 'Plan', key: 'description', width: 40 },
+    { header: 'Instalment', key: 'instalmentAmount', width: 14, format: CURRENCY_FORMAT },
+    { header: 'Principal', key: 'principal', width: 14, format: CURRENCY_FORMAT },
+    { header: 'Interest', key: 'interest', width: 14, format: CURRENCY_FORMAT },
+    { header: 'Paid', key: 'paidInstalments', width: 8 },
+    { header: 'Tenure', key: 'totalInstalments', width: 8 },
+    { header: 'Remaining', key: 'remainingInstalments', width: 11 },
+    { header: 'Remaining Amount', key: 'remainingAmount', width: 18, format: CURRENCY_FORMAT },
+    { header: 'Outstanding Principal', key: 'outstandingPrincipal', width: 20, format: CURRENCY_FORMAT },
+    { header: 'Rate % p.a.', key: 'interestRate', width: 11 },
+    { header: 'Source', key: 'source', width: 22 }
+  ], emis.plans.map((plan, i) => {
+    const r = i + 2;
+    const known = plan.totalInstalments !== null && plan.paidInstalments !== null;
+    return {
+      ...plan,
+      remainingInstalments: known ? { formula: `MAX(F${r}-E${r},0)`, result: plan.remainingInstalments } : null,
+      remainingAmount: known ? { formula: `B${r}*G${r}`, result: plan.remainingAmount } : null
+    };
+  }));
+}
+
+// Totals by kind above the charge rows they are summed from
+function addChargesSheet(workbook, charges, txName) {
+  const sheet = workbook.addWorksheet('Fees & Interest');
+  sheet.columns = [{ width: 28 }, { width: 50 }, { width: 16 }, { width: 16 }, { width: 14 }];
+  addTitle(sheet, 'Fees, Interest and GST');
+
+  addSection(sheet, 'Totals');
+  const kinds = Object.keys(CHARGE_KINDS);
+  // One row per kind, net cost, a blank row and the header come first
+  const firstItem = sheet.rowCount + kinds.length + 4;
+  const lastItem = firstItem + Math.max(charges.items.length, 1) - 1;
+  const amounts = `$D$${firstItem}:$D$${lastItem}`;
+  const kindRange = `$C$${firstItem}:$C$${lastItem}`;
+  const totalOf = { financeCharge: 'financeCharges', gst: 'gst', lateFee: 'lateFees', forexMarkup: 'forexMarkup', annualFee: 'annualFees', otherFee: 'otherFees', reversal: 'reversals' };
+
+  const totalRows = kinds.map(kind => addField(sheet, CHARGE_KINDS[kind], {
+    formula: `SUMIFS(${amounts},${kindRange},"${CHARGE_KINDS[kind]}")`,
+    result: charges[totalOf[kind]]
+  }, CURRENCY_FORMAT));
+  const first = totalRows[0].number;
+  const reversals = totalRows[totalRows.length - 1].number;
+  addField(sheet, 'Net Cost', { formula: `SUM(B${first}:B${reversals - 1})-B${reversals}`, result: charges.total }, CURRENCY_FORMAT);
+  sheet.addRow([]);
+
+  const header = sheet.addRow(['Date', 'Description', 'Kind', 'Amount', 'Transaction']);
+  header.font = HEADER_FONT;
+  header.fill = HEADER_FILL;
+  charges.items.forEach(item => {
+    const row = sheet.addRow([
+      toDateCell(item.date),
+      item.description,
+      CHARGE_KINDS[item.kind],
+      item.amount,
+      { text: `Row ${item.index + 2}`, hyperlink: `#'${txName}'!A${item.index + 2}` }
+    ]);
+    row.getCell(1).numFmt = DATE_FORMAT;
+    row.getCell(4).numFmt = CURRENCY_FORMAT;
+    row.getCell(5).font = { color: { argb: 'FF0563C1' }, underline: true };
+  });
+  if (charges.items.length === 0) sheet.addRow(['No fees or interest charged.']);
+}
+
+// Utilization and the cost of paying only the minimum due. The next-cycle
+// figures are formulas, so trying another rate or payment is one edit.
+function addPaymentPlannerSheet(workbook, utilization, minimumDue) {
+  const sheet = workbook.addWorksheet('Payment Planner');
+  sheet.columns = [{ width: 36 }, { width: 20 }, { width: 60 }];
+  addTitle(sheet, 'Payment Planner');
+
+  addSection(sheet, 'Credit Utilization');
+  if (utilization) {
+    const limit = addField(sheet, 'Credit Limit', utilization.creditLimit, CURRENCY_FORMAT);
+    addField(sheet, 'Available Credit', utilization.availableCredit, CURRENCY_FORMAT);
+    const used = addField(sheet, 'Used', utilization.used, CURRENCY_FORMAT);
+    addField(sheet, 'Utilization', { formula: `B${used.number}/B${limit.number}`, result: utilization.ratio }, PERCENT_FORMAT);
+    addField(sheet, 'Band', utilization.band);
+    addField(sheet, 'Pay to Get Below 30%', {
+      formula: `MAX(B${used.number}-B${limit.number}*0.3,0)`,
+      result: utilization.payToReach30
+    }, CURRENCY_FORMAT);
+  } else {
+    sheet.addRow(['Credit limit not found on the statement.']);
+  }
+  sheet.addRow([]);
+
+  addSection(sheet, 'Paying Only the Minimum Due');
+  if (!minimumDue) {
+    sheet.addRow(['No outstanding balance.']);
+    return;
+  }
+  const outstanding = addField(sheet, 'Outstanding Balance', minimumDue.outstandingBalance, CURRENCY_FORMAT);
+  const minimum = addField(sheet, 'Minimum Due', minimumDue.minimumDue, CURRENCY_FORMAT);
+  const rate = addField(sheet, `Monthly Interest Rate (${minimumDue.rateSource})`, minimumDue.monthlyRate / 100, '0.00%');
+  addField(sheet, 'Annual Rate', { formula: `B${rate.number}*12`, result: minimumDue.annualRate / 100 }, '0.00%');
+  const carried = addField(sheet, 'Balance Carried Forward', {
+    formula: `B${outstanding.number}-B${minimum.number}`,
+    result: minimumDue.nextCycle.carriedBalance
+  }, CURRENCY_FORMAT);
+  const interest = addField(sheet, 'Interest Next Cycle', {
+    formula: `B${carried.number}*B${rate.number}`,
+    result: minimumDue.nextCycle.interest
+  }, CURRENCY_FORMAT);
+  const gst = addField(sheet, `GST on Interest (${GST_RATE * 100}%)`, {
+    formula: `B${interest.number}*${GST_RATE}`,
+    result: minimumDue.nextCycle.gst
+  }, CURRENCY_FORMAT);
+  addField(sheet, 'Cost of Paying the Minimum Next Cycle', {
+    formula: `B${interest.number}+B${gst.number}`,
+    result: minimumDue.nextCycle.total
+  }, CURRENCY_FORMAT);
+  sheet.addRow([]);
+
+  addSection(sheet, 'Minimum Only, Every Month');
+  addField(sheet, 'Months to Clear', minimumDue.minimumOnly.paidOff ? minimumDue.minimumOnly.months : `Over ${minimumDue.minimumOnly.months}`);
+  addField(sheet, 'Total Interest and GST', minimumDue.minimumOnly.totalInterest, CURRENCY_FORMAT);
+  addField(sheet, 'Total Paid', minimumDue.minimumOnly.totalPaid, CURRENCY_FORMAT);
+  minimumDue.assumptions.forEach(assumption => addField(sheet, 'Assumption', assumption));
+}
+
+function addRewardPointsSheet(workbook, points) {
+  const sheet = workbook.addWorksheet('Reward Points');
+  sheet.columns = [{ width: 30 }, { width: 16 }];
+  addTitle(sheet, 'Reward Points');
+
+  if (!points) {
+    sheet.addRow(['No reward points summary found on the statement.']);
+    return;
+  }
+
+  const opening = addField(sheet, 'Opening Balance', points.opening, '#,##0');
+  const earned = addField(sheet, 'Earned', points.earned, '#,##0');
+  const bonus = addField(sheet, 'Bonus', points.bonus, '#,##0');
+  const redeemed = addField(sheet, 'Redeemed', points.redeemed, '#,##0');
+  const expired = addField(sheet, 'Expired', points.expired, '#,##0');
+  addField(sheet, 'Closing Balance (Statement)', points.closing, '#,##0');
+  addField(sheet, 'Closing Balance (Computed)', {
+    formula: `N(B${opening.number})+N(B${earned.number})+N(B${bonus.number})-N(B${redeemed.number})-N(B${expired.number})`,
+    result: (points.opening || 0) + (points.earned || 0) + (points.bonus || 0) - (points.redeemed || 0) - (points.expired || 0)
+  }, '#,##0');
+  addField(sheet, 'Expiring Soon', points.expiringSoon, '#,##0');
+  addField(sheet, 'Expiry Date', points.expiryDate ? toDateCell(points.expiryDate) : null, DATE_FORMAT);
+  if (points.balanced === false) addField(sheet, 'Note', 'The printed closing balance does not add up; check the figures against the statement.');
+}
+
+
+export function createCreditCardExcel(workbook, analysis) {
+  workbook.calcProperties.fullCalcOnLoad = true;
+  const transactions = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+  const info = analysis.cardInfo || {};
+  const summary = analysis.summary || {};
+  const items = transactions.map(t => ({
+    date: toDateCell(t.date),
+    merchant: t.merchant || t.description || '',
+    amount: Math.abs(toNumber(t.amount)),
+    type: isCardCredit(t) ? 'Payment' : 'Charge',
+    category: t.category || 'Others',
+    month: monthOf(t.date),
+    monthStart: monthCell(monthOf(t.date))
+  }));
+  const lastRow = items.length + 1;
+  const txName = 'Transactions';
+  const range = column => rangeOf(txName, column, lastRow);
+  const charges = items.filter(item => item.type === 'Charge');
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  const transSheet = workbook.addWorksheet(txName);
+
+  // Transaction rows: A Date, B Merchant, C Amount, D Type, E Category, F Month
+  addTable(transSheet, [
+    { header: 'Date', key: 'date', width: 14, format: DATE_FORMAT },
+    { header: 'Merchant', key: 'merchant', width: 40 },
+    { header: 'Amount', key: 'amount', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Type', key: 'type', width: 10 },
+    { header: 'Category', key: 'category', width: 20 },
+    { header: 'Month', key: 'monthStart', width: 10, format: MONTH_FORMAT }
+  ], items);
+  highlightLarge(transSheet, 6, lastRow, `AND($D2="Charge",$C2>=${THRESHOLD_NAME})`);
+
+  summarySheet.columns = [{ width: 32 }, { width: 20 }, { width: 18 }, { width: 16 }];
+  addTitle(summarySheet, 'Credit Card Statement Analysis');
+
+  addSection(summarySheet, 'Card Information');
+  addField(summarySheet, 'Bank', info.bankName);
+  addField(summarySheet, 'Card Number', maskIdentifier(info.cardNumber));
+  addField(summarySheet, 'Statement Period', info.statementPeriod);
+  const limitRow = addField(summarySheet, 'Credit Limit', info.creditLimit ?? null, CURRENCY_FORMAT);
+  addField(summarySheet, 'Available Credit', info.availableCredit ?? null, CURRENCY_FORMAT);
+  addField(summarySheet, 'Payment Due Date', summary.dueDate);
+  addField(summarySheet, 'Minimum Due', summary.minimumDue ?? null, CURRENCY_FORMAT);
+  summarySheet.addRow([]);
+
+  const totalSpent = round2(charges.reduce((sum, item) => sum + item.amount, 0));
+  const totalPaid = round2(items.filter(item => item.type === 'Payment').reduce((sum, item) => sum + item.amount, 0));
+  addSection(summarySheet, 'Summary');
+  addField(summarySheet, 'Total Spent', { formula: `SUMIFS(${range('C')},${range('D')},"Charge")`, result: totalSpent }, CURRENCY_FORMAT);
+  addField(summarySheet, 'Payments & Refunds', { formula: `SUMIFS(${range('C')},${range('D')},"Payment")`, result: totalPaid }, CURRENCY_FORMAT);
+  const outstandingRow = addField(summarySheet, 'Outstanding Balance', summary.outstandingBalance ?? null, CURRENCY_FORMAT);
+  if (toNumber(info.creditLimit) > 0 && summary.outstandingBalance !== null && summary.outstandingBalance !== undefined) {
+    addField(summarySheet, 'Credit Utilization', {
+      formula: `B${outstandingRow.number}/B${limitRow.number}`,
+      result: toNumber(summary.outstandingBalance) / toNumber(info.creditLimit)
+    }, PERCENT_FORMAT);
+  }
+  addField(summarySheet, 'Transaction Count', { formula: `COUNTA(${range('B')})`, result: items.length });
+  addThreshold(workbook, summarySheet, charges.map(item => item.amount));
+  summarySheet.addRow([]);
+
+  const categories = [...new Set(charges.map(item => item.category))].sort();
+  const spentBy = sumBy(charges, item => item.category, item => item.amount);
+  const countBy = sumBy(charges, item => item.category, () => 1);
+
+  addSection(summarySheet, 'Category Summary', ['Charges', 'Spent', 'Share of Spend']);
+  const firstCategoryRow = summarySheet.rowCount + 1;
+  const lastCategoryRow = firstCategoryRow + Math.max(categories.length, 1) - 1;
+  categories.forEach((category, i) => {
+    const r = firstCategoryRow + i;
+    const row = summarySheet.addRow([
+      category,
+      { formula: `COUNTIFS(${range('E')},$A${r},${range('D')},"Charge")`, result: countBy.get(category) },
+      { formula: `SUMIFS(${range('C')},${range('E')},$A${r},${range('D')},"Charge")`, result: round2(spentBy.get(category)) },
+      {
+        formula: `IF(SUM($C$${firstCategoryRow}:$C$${lastCategoryRow})=0,0,C${r}/SUM($C$${firstCategoryRow}:$C$${lastCategoryRow}))`,
+        result: totalSpent ? spentBy.get(category) / totalSpent : 0
+      }
+    ]);
+    row.getCell(3).numFmt = CURRENCY_FORMAT;
+    row.getCell(4).numFmt = PERCENT_FORMAT;
+  });
+
+  const months = [...new Set(items.map(item => item.month).filter(Boolean))].sort();
+  const monthlySheet = workbook.addWorksheet('Monthly Breakdown');
+  addTable(monthlySheet, [
+    { header: 'Month', key: 'month', width: 12, format: MONTH_FORMAT },
+    { header: 'Charges', key: 'charges', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Payments & Refunds', key: 'payments', width: 20, format: CURRENCY_FORMAT },
+    { header: 'Net', key: 'net', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Transactions', key: 'count', width: 14 }
+  ], months.map((month, i) => {
+    const r = i + 2;
+    const inMonth = items.filter(item => item.month === month);
+    const spent = round2(inMonth.filter(item => item.type === 'Charge').reduce((sum, item) => sum + item.amount, 0));
+    const paid = round2(inMonth.filter(item => item.type === 'Payment').reduce((sum, item) => sum + item.amount, 0));
+    return {
+      month: monthCell(month),
+      charges: { formula: `SUMIFS(${range('C')},${range('F')},$A${r},${range('D')},"Charge")`, result: spent },
+      payments: { formula: `SUMIFS(${range('C')},${range('F')},$A${r},${range('D')},"Payment")`, result: paid },
+      net: { formula: `B${r}-C${r}`, result: round2(spent - paid) },
+      count: { formula: `COUNTIFS(${range('F')},$A${r})`, result: inMonth.length }
+    };
+  }));
+
+  addCategoryBreakdown(workbook.addWorksheet('Category Breakdown'), {
+    categories,
+    months,
+    items: charges,
+    sheetName: txName,
+    lastRow,
+    columns: { amount: 'C', category: 'E', month: 'F' },
+    criteria: `,${range('D')},"Charge"`,
+    valueOf: item => item.amount
+  });
+
+  const recurring = analysis.recurring || detectRecurring(transactions, 'credit');
+  addRecurringSheet(workbook, 'Subscriptions', recurring, analysis.subscriptions, 'merchant');
+
+  const top = Array.isArray(analysis.expensiveTransactions) && analysis.expensiveTransactions.length
+    ? analysis.expensiveTransactions
+    : computeTopTransactions(transactions, 'credit');
+  addTopTransactionsSheet(workbook, top, 'merchant');
+
+  const card = analysis.card || analyzeCard(analysis);
+  addEmiSheet(workbook, card.emis);
+  addChargesSheet(workbook, card.charges, txName);
+  addPaymentPlannerSheet(workbook, card.utilization, card.minimumDue);
+  addRewardPointsSheet(workbook, card.rewardPoints);
+
+  addAlertsSheet(workbook, analysis.alerts, recurring, analysis.ruleAlerts, txName);
+}
+
+// ===== Tax workbook =====
+
+export function createTaxExcel(workbook, report) {
+  const summarySheet = workbook.addWorksheet('Tax Summary');
+  summarySheet.columns = [{ width: 40 }, { width: 22 }];
+  addTitle(summarySheet, `Tax Report FY ${report.financialYear}`);
+
+  addSection(summarySheet, 'Income & Expenses');
+  addField(summarySheet, 'Scheme', report.scheme === '44ADA' ? 'Presumptive (44ADA)' : 'Actual profit');
+  addField(summarySheet, 'Business Receipts', report.totals.businessReceipts, CURRENCY_FORMAT);
+  addField(summarySheet, 'Business Expenses', report.totals.businessExpenses, CURRENCY_FORMAT);
+  addField(summarySheet, 'Net Profit', report.totals.netProfit, CURRENCY_FORMAT);
+  addField(summarySheet, 'Taxable Profit', report.totals.taxableProfit, CURRENCY_FORMAT);
+  addField(summarySheet, `Estimated Tax (${report.taxRate}%)`, report.totals.estimatedTax, CURRENCY_FORMAT);
+  summarySheet.addRow([]);
+
+  addSection(summarySheet, 'GST');
+  addField(summarySheet, 'GST Paid to Vendors', report.gst.totalPaid, CURRENCY_FORMAT);
+  addField(summarySheet, 'GST Input Credit (vendors with GSTIN)', report.gst.claimable, CURRENCY_FORMAT);
+  addField(summarySheet, 'GST Remitted', report.taxPayments.gst, CURRENCY_FORMAT);
+  summarySheet.addRow([]);
+
+  addSection(summarySheet, 'Tax Payments');
+  addField(summarySheet, 'Income Tax (advance and self-assessment)', report.taxPayments.incomeTax, CURRENCY_FORMAT);
+  addField(summarySheet, 'TDS Deposited', report.taxPayments.tds, CURRENCY_FORMAT);
+  addField(summarySheet, 'Other Tax Payments', report.taxPayments.other, CURRENCY_FORMAT);
+  summarySheet.addRow([]);
+
+  addSection(summarySheet, 'Not in the Business Figures');
+  addField(summarySheet, 'Personal Expenses', report.totals.personalExpenses, CURRENCY_FORMAT);
+  addField(summarySheet, 'Untagged Expenses', report.totals.untaggedExpenses, CURRENCY_FORMAT);
+  addField(summarySheet, 'Untagged Receipts', report.totals.untaggedReceipts, CURRENCY_FORMAT);
+
+  addTable(workbook.addWorksheet('Expense Heads'), [
+    { header: 'Expense Head', key: 'head', width: 35 },
+    { header: 'Total', key: 'total', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Transactions', key: 'count', width: 14 },
+    { header: 'GST Paid', key: 'gstPaid', width: 15, format: CURRENCY_FORMAT },
+    { header: 'GST Claimable', key: 'gstClaimable', width: 15, format: CURRENCY_FORMAT }
+  ], report.expenseHeads);
+
+  addTable(workbook.addWorksheet('GST Input Credit'), [
+    { header: 'Vendor', key: 'name', width: 30 },
+    { header: 'GSTIN', key: 'gstin', width: 20 },
+    { header: 'GST Rate %', key: 'gstRate', width: 12 },
+    { header: 'Payments', key: 'count', width: 12 },
+    { header: 'Amount Paid', key: 'amountPaid', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Taxable Value', key: 'taxableValue', width: 16, format: CURRENCY_FORMAT },
+    { header: 'GST', key: 'gst', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Claimable', key: 'claimable', width: 16 }
+  ], report.gst.vendors.map(vendor => ({ ...vendor, claimable: vendor.claimable ? 'Yes' : 'No (no GSTIN)' })));
+
+  addTable(workbook.addWorksheet('Advance Tax'), [
+    { header: 'Quarter', key: 'quarter', width: 10 },
+    { header: 'Due Date', key: 'dueDate', width: 14, format: DATE_FORMAT },
+    { header: 'Cumulative %', key: 'cumulativePercent', width: 14 },
+    { header: 'Receipts', key: 'receipts', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Expenses', key: 'expenses', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Profit', key: 'profit', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Cumulative Profit', key: 'cumulativeProfit', width: 18, format: CURRENCY_FORMAT },
+    { header: 'Tax Paid', key: 'taxPaid', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Due by Date (cumulative)', key: 'dueCumulative', width: 24, format: CURRENCY_FORMAT },
+    { header: 'Shortfall', key: 'shortfall', width: 15, format: CURRENCY_FORMAT }
+  ], report.advanceTax.map(quarter => ({ ...quarter, dueDate: toDateCell(quarter.dueDate) })));
+
+  addTable(workbook.addWorksheet('Tagged Transactions'), [
+    { header: 'Date', key: 'date', width: 14, format: DATE_FORMAT },
+    { header: 'Description', key: 'description', width: 40 },
+    { header: 'Out', key: 'out', width: 14, format: CURRENCY_FORMAT },
+    { header: 'In', key: 'in', width: 14, format: CURRENCY_FORMAT },
+    { header: 'Category', key: 'category', width: 18 },
+    { header: 'Scope', key: 'scope', width: 12 },
+    { header: 'Tax Head', key: 'taxHead', width: 30 },
+    { header: 'Vendor', key: 'vendor', width: 25 },
+    { header: 'GSTIN', key: 'gstin', width: 20 }
+  ], report.transactions.map(t => ({
+    date: toDateCell(t.date),
+    description: t.description || t.merchant || t.narration,
+    out: t.out || null,
+    in: t.in || null,
+    category: t.category,
+    scope: t.scope || 'untagged',
+    taxHead: t.scope === 'business' ? t.taxHead : '',
+    vendor: t.vendor?.name || '',
+    gstin: t.vendor?.gstin || ''
+  })));
+}
+
+// ===== Income workbook =====
+
+const INVOICE_STATUS_LABELS = {
+  paid: 'Paid',
+  partially_paid: 'Partially paid',
+  overdue: 'Overdue',
+  outstanding: 'Not yet due'
+};
+
+export function createIncomeExcel(workbook, report) {
+  const summarySheet = workbook.addWorksheet('Income Summary');
+  summarySheet.columns = [{ width: 40 }, { width: 22 }];
+  addTitle(summarySheet, 'Client Income');
+
+  addSection(summarySheet, 'Payments Received');
+  addField(summarySheet, 'From', report.period ? toDateCell(report.period.from) : null, DATE_FORMAT);
+  addField(summarySheet, 'To', report.period ? toDateCell(report.period.to) : null, DATE_FORMAT);
+  addField(summarySheet, 'Client Income', report.totals.clientIncome, CURRENCY_FORMAT);
+  addField(summarySheet, 'Other Credits (interest, refunds, transfers)', report.totals.otherCredits, CURRENCY_FORMAT);
+  addField(summarySheet, 'Payers', report.totals.payers);
+  addField(summarySheet, 'Largest Payer Share', report.concentration.topPayerShare, PERCENT_FORMAT);
+  addField(summarySheet, 'Top Three Payers Share', report.concentration.topThreeShare, PERCENT_FORMAT);
+
+  if (report.invoices) {
+    const { summary } = report.invoices;
+    summarySheet.addRow([]);
+    addSection(summarySheet, 'Invoices');
+    addField(summarySheet, 'As Of', toDateCell(report.invoices.asOf), DATE_FORMAT);
+    addField(summarySheet, 'Invoices', summary.invoices);
+    addField(summarySheet, 'Paid', summary.paid);
+    addField(summarySheet, 'Partially Paid', summary.partiallyPaid);
+    addField(summarySheet, 'Overdue', summary.overdue);
+    addField(summarySheet, 'Invoiced', summary.amountInvoiced, CURRENCY_FORMAT);
+    addField(summarySheet, 'Received', summary.amountReceived, CURRENCY_FORMAT);
+    addField(summarySheet, 'TDS Deducted by Clients', summary.tdsDeducted, CURRENCY_FORMAT);
+    addField(summarySheet, 'Outstanding', summary.amountOutstanding, CURRENCY_FORMAT);
+    addField(summarySheet, 'Of Which Overdue', summary.amountOverdue, CURRENCY_FORMAT);
+  }
+
+  addTable(workbook.addWorksheet('Payers'), [
+    { header: 'Payer', key: 'name', width: 32 },
+    { header: 'Total', key: 'total', width: 16, format: CURRENCY_FORMAT },
+    { header: 'Share', key: 'share', width: 10, format: PERCENT_FORMAT },
+    { header: 'Payments', key: 'payments', width: 11 },
+    { header: 'Average', key: 'average', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Frequency', key: 'frequency', width: 13 },
+    { header: 'First Payment', key: 'firstPayment', width: 14, format: DATE_FORMAT },
+    { header: 'Last Payment', key: 'lastPayment', width: 14, format: DATE_FORMAT },
+    { header: 'Channels', key: 'channels', width: 16 },
+    { header: 'UPI IDs', key: 'vpas', width: 30 }
+  ], report.payers.map(payer => ({
+    ...payer,
+    firstPayment: toDateCell(payer.firstPayment),
+    lastPayment: toDateCell(payer.lastPayment),
+    channels: payer.channels.join(', '),
+    vpas: payer.vpas.join(', ')
+  })));
+
+  if (!report.invoices) return;
+
+  const invoiceSheet = workbook.addWorksheet('Invoices');
+  addTable(invoiceSheet, [
+    { header: 'Invoice', key: 'invoiceNumber', width: 16 },
+    { header: 'Client', key: 'client', width: 28 },
+    { header: 'Date', key: 'date', width: 14, format: DATE_FORMAT },
+    { header: 'Due Date', key: 'dueDate', width: 14, format: DATE_FORMAT },
+    { header: 'Amount', key: 'amount', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Status', key: 'status', width: 15 },
+    { header: 'Received', key: 'received', width: 15, format: CURRENCY_FORMAT },
+    { header: 'TDS Deducted', key: 'tdsDeducted', width: 14, format: CURRENCY_FORMAT },
+    { header: 'Outstanding', key: 'outstanding', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Days Overdue', key: 'daysOverdue', width: 13 },
+    { header: 'Paid On', key: 'paidOn', width: 14, format: DATE_FORMAT },
+    { header: 'Payments', key: 'payments', width: 60 }
+  ], report.invoices.items.map(item => ({
+    ...item,
+    date: toDateCell(item.date),
+    dueDate: toDateCell(item.dueDate),
+    status: INVOICE_STATUS_LABELS[item.status] || item.status,
+    daysOverdue: item.daysOverdue || null,
+    paidOn: item.paidOn ? toDateCell(item.paidOn) : null,
+    payments: item.payments.map(p => `${p.date} ${p.amount}${p.tdsRate ? ` (less ${p.tdsRate}% TDS)` : ''}`).join('; ')
+  })));
+  highlightLarge(invoiceSheet, 12, report.invoices.items.length + 1, '$J2>0');
+
+  addTable(workbook.addWorksheet('Unmatched Credits'), [
+    { header: 'Date', key: 'date', width: 14, format: DATE_FORMAT },
+    { header: 'Payer', key: 'payer', width: 30 },
+    { header: 'Amount', key: 'amount', width: 15, format: CURRENCY_FORMAT },
+    { header: 'Channel', key: 'channel', width: 10 },
+    { header: 'Description', key: 'description', width: 60 }
+  ], report.unmatchedCredits.map(credit => ({ ...credit, date: toDateCell(credit.date) })));
+}
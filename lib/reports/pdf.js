@@ -0,0 +1,449 @@
+// lib/reports/pdf.js - Shareable PDF summary of a bank or credit card statement
+//
+// Built with @cantoo/pdf-lib and an embedded DejaVu Sans (the standard PDF
+// fonts cannot encode ₹), so rendering needs no network access.
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import { PDFDocument, rgb } from '@cantoo/pdf-lib';
+import fontkit from '@cantoo/fontkit';
+import { round2, toNumber, isCardCredit, computeTopTransactions } from '../analysis/aggregate.js';
+import { detectRecurring } from '../analysis/recurring.js';
+
+const require = createRequire(import.meta.url);
+
+const PAGE = { width: 595.28, height: 841.89 }; // A4 in points
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE.width - MARGIN * 2;
+
+const COLORS = {
+  brand: rgb(0.12, 0.31, 0.47),
+  text: rgb(0.13, 0.13, 0.13),
+  muted: rgb(0.42, 0.42, 0.42),
+  rule: rgb(0.85, 0.87, 0.9),
+  panel: rgb(0.95, 0.96, 0.98),
+  bar: rgb(0.27, 0.51, 0.71),
+  alert: rgb(0.61, 0, 0.02),
+  white: rgb(1, 1, 1)
+};
+
+const MAX_CATEGORIES = 10;
+const MAX_ROWS = 10;
+
+let fontBytes = null;
+
+async function loadFonts() {
+  if (!fontBytes) {
+    const [regular, bold] = await Promise.all([
+      fs.readFile(require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf')),
+      fs.readFile(require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'))
+    ]);
+    fontBytes = { regular, bold };
+  }
+  return fontBytes;
+}
+
+const rupees = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' });
+
+export function formatRupees(value) {
+  return value === null || value === undefined || value === '' ? '-' : rupees.format(toNumber(value));
+}
+
+// Everything but the last four characters: "XXXX XXXX XXXX 1234"
+export function maskNumber(value) {
+  const compact = String(value || '').replace(/[\s-]/g, '');
+  if (!compact) return '-';
+  const masked = 'X'.repeat(Math.max(compact.length - 4, 0)) + compact.slice(-4);
+  return masked.replace(/(?!^)(?=(?:.{4})+$)/g, ' ');
+}
+
+function clean(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Cursor-based page writer: sections call ensure() before drawing so a
+// block never straddles a page break
+function createWriter(pdf, fonts, title) {
+  let page;
+  let y;
+
+  function addPage() {
+    page = pdf.addPage([PAGE.width, PAGE.height]);
+    y = PAGE.height - MARGIN;
+  }
+
+  function fit(text, font, size, width) {
+    let value = clean(text);
+    if (font.widthOfTextAtSize(value, size) <= width) return value;
+    while (value.length > 1 && font.widthOfTextAtSize(`${value}…`, size) > width) value = value.slice(0, -1);
+    return `${value}…`;
+  }
+
+  function text(value, x, { size = 10, bold = false, color = COLORS.text, width, align = 'left', at = y } = {}) {
+    const font = bold ? fonts.bold : fonts.regular;
+    const content = width ? fit(value, font, size, width) : clean(value);
+    const textWidth = font.widthOfTextAtSize(content, size);
+    const left = align === 'right' ? x + (width || 0) - textWidth : x;
+    page.drawText(content, { x: left, y: at, size, font, color });
+  }
+
+  function ensure(height) {
+    if (y - height < MARGIN + 24) addPage();
+  }
+
+  function heading(label) {
+    ensure(40);
+    y -= 14;
+    text(label, MARGIN, { size: 13, bold: true, color: COLORS.brand });
+    y -= 6;
+    page.drawLine({
+      start: { x: MARGIN, y },
+      end: { x: PAGE.width - MARGIN, y },
+      thickness: 0.75,
+      color: COLORS.rule
+    });
+    y -= 16;
+  }
+
+  // columns: [{ label, width, align }]; rows: arrays of strings
+  function table(columns, rows) {
+    const draw = (cells, options) => {
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        text(cell, x + 4, { ...options, width: columns[i].width - 8, align: columns[i].align });
+        x += columns[i].width;
+      });
+    };
+
+    ensure(36);
+    page.drawRectangle({ x: MARGIN, y: y - 5, width: CONTENT_WIDTH, height: 18, color: COLORS.panel });
+    draw(columns.map(column => column.label), { size: 9, bold: true, color: COLORS.muted });
+    y -= 18;
+
+    rows.forEach(row => {
+      ensure(16);
+      draw(row, { size: 9 });
+      y -= 16;
+    });
+  }
+
+  // Word-wrapped text that advances the cursor line by line
+  function paragraph(value, x, { size = 9, width = CONTENT_WIDTH, color = COLORS.text } = {}) {
+    const font = fonts.regular;
+    const lines = [];
+    let line = '';
+    for (const word of clean(value).split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+
+    lines.forEach(content => {
+      ensure(size + 6);
+      text(content, x, { size, color, width });
+      y -= size + 4;
+    });
+  }
+
+  function note(value) {
+    ensure(16);
+    text(value, MARGIN, { size: 9, color: COLORS.muted, width: CONTENT_WIDTH });
+    y -= 16;
+  }
+
+  function footer() {
+    const pages = pdf.getPages();
+    pages.forEach((p, i) => {
+      p.drawText(`${title} · Page ${i + 1} of ${pages.length}`, {
+        x: MARGIN,
+        y: MARGIN / 2,
+        size: 8,
+        font: fonts.regular,
+        color: COLORS.muted
+      });
+    });
+  }
+
+  addPage();
+  return {
+    get page() { return page; },
+    get y() { return y; },
+    set y(value) { y = value; },
+    addPage,
+    text,
+    ensure,
+    heading,
+    table,
+    paragraph,
+    note,
+    footer
+  };
+}
+
+// ===== Sections =====
+
+function drawBanner(w, { brand, title, generatedAt }) {
+  const height = 64;
+  w.page.drawRectangle({ x: 0, y: PAGE.height - height, width: PAGE.width, height, color: COLORS.brand });
+  w.text(brand, MARGIN, { size: 18, bold: true, color: COLORS.white, at: PAGE.height - 34 });
+  w.text(title, MARGIN, { size: 10, color: COLORS.white, at: PAGE.height - 52 });
+  w.text(`Generated ${generatedAt.toISOString().slice(0, 10)}`, MARGIN, {
+    size: 9,
+    color: COLORS.white,
+    width: CONTENT_WIDTH,
+    align: 'right',
+    at: PAGE.height - 52
+  });
+  w.y = PAGE.height - height - 24;
+}
+
+// Label/value pairs in two columns
+function drawFields(w, fields) {
+  const columnWidth = CONTENT_WIDTH / 2;
+  for (let i = 0; i < fields.length; i += 2) {
+    w.ensure(28);
+    fields.slice(i, i + 2).forEach(([label, value], j) => {
+      const x = MARGIN + j * columnWidth;
+      w.text(label, x, { size: 8, color: COLORS.muted });
+      w.text(value, x, { size: 11, width: columnWidth - 12, at: w.y - 13 });
+    });
+    w.y -= 30;
+  }
+}
+
+// Metric tiles, three per row
+function drawMetrics(w, metrics) {
+  const gap = 10;
+  const tileWidth = (CONTENT_WIDTH - gap * 2) / 3;
+  const tileHeight = 46;
+
+  for (let i = 0; i < metrics.length; i += 3) {
+    w.ensure(tileHeight + gap);
+    metrics.slice(i, i + 3).forEach(([label, value], j) => {
+      const x = MARGIN + j * (tileWidth + gap);
+      w.page.drawRectangle({ x, y: w.y - tileHeight + 12, width: tileWidth, height: tileHeight, color: COLORS.panel });
+      w.text(label, x + 10, { size: 8, color: COLORS.muted, width: tileWidth - 20 });
+      w.text(value, x + 10, { size: 13, bold: true, width: tileWidth - 20, at: w.y - 20 });
+    });
+    w.y -= tileHeight + gap;
+  }
+}
+
+// Horizontal bars scaled to the largest category; shares are of grandTotal
+function drawCategoryBars(w, categories, grandTotal) {
+  const labelWidth = 130;
+  const valueWidth = 120;
+  const barWidth = CONTENT_WIDTH - labelWidth - valueWidth - 12;
+  const max = Math.max(...categories.map(c => c.total), 0);
+
+  for (const category of categories) {
+    w.ensure(20);
+    const width = max > 0 ? Math.max((category.total / max) * barWidth, 1) : 0;
+    w.text(category.name, MARGIN, { size: 9, width: labelWidth - 8 });
+    w.page.drawRectangle({ x: MARGIN + labelWidth, y: w.y - 2, width: barWidth, height: 10, color: COLORS.panel });
+    w.page.drawRectangle({ x: MARGIN + labelWidth, y: w.y - 2, width, height: 10, color: COLORS.bar });
+    const share = grandTotal > 0 ? ` (${((category.total / grandTotal) * 100).toFixed(1)}%)` : '';
+    w.text(`${formatRupees(category.total)}${share}`, MARGIN + labelWidth + barWidth + 12, {
+      size: 9,
+      width: valueWidth,
+      align: 'right'
+    });
+    w.y -= 18;
+  }
+}
+
+// ===== Data =====
+
+// Spending by category label: bank debits, card charges
+function categoryTotals(analysis, documentType) {
+  const transactions = Array.isArray(analysis.transactions) ? analysis.transactions : [];
+  const totals = new Map();
+
+  for (const t of transactions) {
+    const amount = documentType === 'bank'
+      ? toNumber(t.debit)
+      : (isCardCredit(t) ? 0 : Math.abs(toNumber(t.amount)));
+    if (amount <= 0) continue;
+    const name = t.category || 'Others';
+    totals.set(name, (totals.get(name) || 0) + amount);
+  }
+
+  // Analyses posted without transactions still carry the model's totals
+  if (totals.size === 0 && analysis.categories) {
+    for (const [key, data] of Object.entries(analysis.categories)) {
+      const name = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, c => c.toUpperCase());
+      totals.set(name, toNumber(data.total));
+    }
+  }
+
+  return [...totals.entries()]
+    .map(([name, total]) => ({ name, total: round2(total) }))
+    .filter(c => c.total > 0)
+    .sort((a, b) => b.total - a.total);
+}
+
+function bankSections(analysis) {
+  const info = analysis.accountInfo || {};
+  const summary = analysis.summary || {};
+  return {
+    title: 'Bank Statement Summary',
+    fields: [
+      ['Bank', clean(info.bankName) || '-'],
+      ['Account Number', maskNumber(info.accountNumber)],
+      ['Statement Period', clean(info.period) || '-'],
+      ['Opening / Closing Balance', `${formatRupees(info.openingBalance)} / ${formatRupees(info.closingBalance)}`]
+    ],
+    metrics: [
+      ['Total Deposits', formatRupees(summary.totalDeposits)],
+      ['Total Withdrawals', formatRupees(summary.totalWithdrawals)],
+      ['Net Flow', formatRupees(summary.netFlow)],
+      ['Transactions', String(summary.transactionCount ?? (analysis.transactions || []).length)],
+      ['Average Daily Spending', formatRupees(summary.avgDailySpending)],
+      ['Highest Spending Month', clean(analysis.monthlyPatterns?.highestSpendingMonth) || '-']
+    ],
+    top: Array.isArray(analysis.topTransactions) && analysis.topTransactions.length
+      ? analysis.topTransactions
+      : computeTopTransactions(analysis.transactions || [], 'bank'),
+    listed: (analysis.recurringPayments || []).map(p => ({ name: p.description, amount: p.amount, frequency: p.frequency }))
+  };
+}
+
+function cardSections(analysis) {
+  const info = analysis.cardInfo || {};
+  const summary = analysis.summary || {};
+  const limit = toNumber(info.creditLimit);
+  const outstanding = summary.outstandingBalance;
+  return {
+    title: 'Credit Card Statement Summary',
+    fields: [
+      ['Bank', clean(info.bankName) || '-'],
+      ['Card Number', maskNumber(info.cardNumber)],
+      ['Statement Period', clean(info.statementPeriod) || '-'],
+      ['Payment Due Date', clean(summary.dueDate) || '-']
+    ],
+    metrics: [
+      ['Total Spent', formatRupees(summary.totalSpent)],
+      ['Payments & Refunds', formatRupees(summary.paymentMade)],
+      ['Outstanding Balance', formatRupees(outstanding)],
+      ['Minimum Due', formatRupees(summary.minimumDue)],
+      ['Credit Limit', formatRupees(info.creditLimit)],
+      ['Credit Utilization', limit > 0 && outstanding !== null && outstanding !== undefined
+        ? `${((toNumber(outstanding) / limit) * 100).toFixed(1)}%`
+        : '-']
+    ],
+    top: Array.isArray(analysis.expensiveTransactions) && analysis.expensiveTransactions.length
+      ? analysis.expensiveTransactions
+      : computeTopTransactions(analysis.transactions || [], 'credit'),
+    listed: (analysis.subscriptions || []).map(s => ({ name: s.merchant, amount: s.amount, frequency: s.frequency }))
+  };
+}
+
+// analysis: a stored or posted analysis, optionally with `recurring` from
+// detectRecurring over the user's history. Returns the PDF bytes.
+export async function createPdfReport(analysis, documentType, { brand = 'SoloPay', generatedAt = new Date() } = {}) {
+  const type = documentType === 'bank' ? 'bank' : 'credit';
+  const sections = type === 'bank' ? bankSections(analysis) : cardSections(analysis);
+  const recurring = analysis.recurring || detectRecurring(analysis.transactions, type);
+
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const bytes = await loadFonts();
+  const fonts = {
+    regular: await pdf.embedFont(bytes.regular, { subset: true }),
+    bold: await pdf.embedFont(bytes.bold, { subset: true })
+  };
+  pdf.setTitle(`${brand} - ${sections.title}`);
+  pdf.setProducer(brand);
+  pdf.setCreationDate(generatedAt);
+
+  const w = createWriter(pdf, fonts, `${brand} ${sections.title}`);
+  drawBanner(w, { brand, title: sections.title, generatedAt });
+
+  w.heading(type === 'bank' ? 'Account' : 'Card');
+  drawFields(w, sections.fields);
+
+  w.heading('Summary');
+  drawMetrics(w, sections.metrics);
+
+  const categories = categoryTotals(analysis, type);
+  w.heading(type === 'bank' ? 'Spending by Category' : 'Charges by Category');
+  if (categories.length === 0) {
+    w.note('No spending in this statement.');
+  } else {
+    const total = categories.reduce((sum, c) => sum + c.total, 0);
+    drawCategoryBars(w, categories.slice(0, MAX_CATEGORIES), total);
+    if (categories.length > MAX_CATEGORIES) {
+      w.note(`${categories.length - MAX_CATEGORIES} smaller categories not shown.`);
+    }
+  }
+
+  w.heading('Top Transactions');
+  if (sections.top.length === 0) {
+    w.note('No transactions.');
+  } else {
+    w.table([
+      { label: 'Date', width: 80 },
+      { label: type === 'bank' ? 'Description' : 'Merchant', width: CONTENT_WIDTH - 80 - 60 - 110 },
+      { label: 'Type', width: 60 },
+      { label: 'Amount', width: 110, align: 'right' }
+    ], sections.top.slice(0, MAX_ROWS).map(t => [
+      clean(t.date),
+      clean(t.description || t.merchant),
+      clean(t.type) || 'charge',
+      formatRupees(t.amount)
+    ]));
+  }
+
+  // Detected from the charges first, then what the model listed on its own
+  const detected = recurring.subscriptions.map(s => [
+    clean(s.merchant),
+    s.frequency,
+    s.status,
+    formatRupees(s.lastAmount),
+    formatRupees(s.annualCost)
+  ]);
+  const names = recurring.subscriptions.map(s => String(s.merchant).toLowerCase());
+  const unconfirmed = sections.listed
+    .filter(item => {
+      const name = String(item.name || '').toLowerCase().split(/[\s.]/)[0];
+      return name && !names.some(known => known.includes(name));
+    })
+    .map(item => [clean(item.name), clean(item.frequency) || '-', 'unconfirmed', formatRupees(item.amount), '-']);
+
+  w.heading(type === 'bank' ? 'Recurring Payments' : 'Subscriptions');
+  if (detected.length + unconfirmed.length === 0) {
+    w.note('No recurring payments found.');
+  } else {
+    w.table([
+      { label: 'Service', width: CONTENT_WIDTH - 80 - 80 - 90 - 100 },
+      { label: 'Frequency', width: 80 },
+      { label: 'Status', width: 80 },
+      { label: 'Amount', width: 90, align: 'right' },
+      { label: 'Per Year', width: 100, align: 'right' }
+    ], [...detected, ...unconfirmed]);
+  }
+
+  const alerts = [
+    ...(analysis.ruleAlerts?.items || []).map(item => `[${item.severity.toUpperCase()}] ${item.message}`),
+    ...(Array.isArray(analysis.alerts) ? analysis.alerts : []),
+    ...recurring.alerts
+  ];
+  w.heading('Alerts');
+  if (alerts.length === 0) {
+    w.note('No alerts.');
+  } else {
+    alerts.forEach(alert => {
+      w.ensure(16);
+      w.page.drawCircle({ x: MARGIN + 3, y: w.y + 3, size: 2, color: COLORS.alert });
+      w.paragraph(alert, MARGIN + 12, { width: CONTENT_WIDTH - 12 });
+      w.y -= 4;
+    });
+  }
+
+  w.footer();
+  return pdf.save();
+}
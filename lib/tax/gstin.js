@@ -0,0 +1,29 @@
+// lib/tax/gstin.js - GSTIN format and check-digit validation
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// 2-digit state code, PAN, entity number, "Z", check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export function normalizeGstin(gstin) {
+  return String(gstin || '').replace(/\s/g, '').toUpperCase();
+}
+
+// Luhn mod 36 over the first 14 characters, as published by GSTN
+function checkCharacter(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const product = CHARSET.indexOf(body[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHARSET[(36 - (sum % 36)) % 36];
+}
+
+export function isValidGstin(gstin) {
+  const value = normalizeGstin(gstin);
+  if (!GSTIN_PATTERN.test(value)) return false;
+  return checkCharacter(value.slice(0, 14)) === value[14];
+}
+
+export function stateCodeOf(gstin) {
+  return normalizeGstin(gstin).slice(0, 2);
+}
@@ -0,0 +1,301 @@
+// lib/tax/index.js - Business/personal tagging, GST input credit and advance tax
+//
+// Figures are working numbers for a solopreneur and their accountant, not a
+// return: GST is backed out of the amount paid at the vendor's rate, and
+// advance tax uses a flat rate on the year's profit.
+import { parseDate } from '../parsers/index.js';
+import { merchantKey, compileUserRegex } from '../categorize/index.js';
+import { round2, toNumber, isCardCredit, transactionKey } from '../analysis/aggregate.js';
+import { isValidGstin, normalizeGstin } from './gstin.js';
+
+export { isValidGstin, normalizeGstin };
+
+export const SCOPES = ['business', 'personal'];
+export const TAX_RULE_MATCH_TYPES = ['category', 'contains', 'regex', 'merchant'];
+
+// Expense heads of a business profit & loss account, by category
+export const TAX_HEADS = {
+  Software: 'Software & Subscriptions',
+  Utilities: 'Internet, Phone & Utilities',
+  Travel: 'Travel & Conveyance',
+  Fuel: 'Travel & Conveyance',
+  Rent: 'Rent',
+  'Bank Charges': 'Bank Charges',
+  Insurance: 'Insurance',
+  Education: 'Training & Education',
+  Dining: 'Meals & Entertainment',
+  Entertainment: 'Meals & Entertainment',
+  Shopping: 'Office Supplies & Equipment',
+  Health: 'Other Business Expenses'
+};
+const DEFAULT_HEAD = 'Other Business Expenses';
+const DEFAULT_GST_RATE = 18;
+
+// Money moving between the user's own accounts is neither income nor expense
+const NOT_EXPENSES = ['Credit Card', 'Transfers', 'Tax', 'Investments'];
+const NOT_RECEIPTS = ['Refunds', 'Transfers', 'Interest', 'Credit Card'];
+
+// Advance tax instalments: cumulative share of the year's tax due by each date
+const ADVANCE_TAX_SCHEDULE = [
+  { quarter: 'Q1', months: [4, 5, 6], due: '06-15', percent: 15 },
+  { quarter: 'Q2', months: [7, 8, 9], due: '09-15', percent: 45 },
+  { quarter: 'Q3', months: [10, 11, 12], due: '12-15', percent: 75 },
+  { quarter: 'Q4', months: [1, 2, 3], due: '03-15', percent: 100 }
+];
+
+// 'Tax' rows also carry GST remittances and TDS deposits; only income tax
+// (advance or self-assessment, challan 280) counts towards the instalments.
+// A row tagged with the ADVANCE_TAX_HEAD tax head counts whatever it says.
+export const ADVANCE_TAX_HEAD = 'Advance Tax';
+const GST_PAYMENT = /\bGST|\bGSTN\b/i;
+const TDS_PAYMENT = /\bTDS\b|\b(?:ITNS|CHALLAN)\s*281\b/i;
+const INCOME_TAX_PAYMENT = /\bADVANCE\s*TAX\b|\bSELF[\s-]*ASSESS|\bINCOME\s*TAX\b|\bCBDT\b|\b(?:ITNS|CHALLAN)\s*280\b/i;
+
+// "2024-25" -> 1 April 2024 to 31 March 2025; no argument -> the year of `today`
+export function financialYear(label, today = new Date()) {
+  let startYear;
+  const match = String(label || '').match(/^(?:FY\s*)?(\d{4})(?:\s*-\s*(\d{2,4}))?$/i);
+  if (match) {
+    startYear = parseInt(match[1], 10);
+  } else {
+    startYear = today.getUTCMonth() >= 3 ? today.getUTCFullYear() : today.getUTCFullYear() - 1;
+  }
+
+  return {
+    label: `${startYear}-${String(startYear + 1).slice(2)}`,
+    start: `${startYear}-04-01`,
+    end: `${startYear + 1}-03-31`,
+    startYear
+  };
+}
+
+function narrationOf(t) {
+  return String(t.description || t.merchant || t.narration || '');
+}
+
+function taxPaymentKind(t, taxHead) {
+  if (taxHead === ADVANCE_TAX_HEAD) return 'incomeTax';
+  const narration = narrationOf(t);
+  if (GST_PAYMENT.test(narration)) return 'gst';
+  if (TDS_PAYMENT.test(narration)) return 'tds';
+  if (INCOME_TAX_PAYMENT.test(narration)) return 'incomeTax';
+  return 'other';
+}
+
+function compileMatcher({ matchType, pattern }) {
+  if (matchType === 'category') {
+    const wanted = String(pattern).toLowerCase();
+    return t => String(t.category || '').toLowerCase() === wanted;
+  }
+  if (matchType === 'merchant') return t => merchantKey(narrationOf(t)) === pattern;
+  if (matchType === 'regex') {
+    try {
+      const regex = compileUserRegex(pattern);
+      return t => regex.test(narrationOf(t));
+    } catch (error) {
+      return null;
+    }
+  }
+  const needle = String(pattern).toLowerCase();
+  return t => narrationOf(t).toLowerCase().includes(needle);
+}
+
+// rules: [{ matchType, pattern, scope, taxHead }], vendors: [{ name, matchType,
+// pattern, gstin, gstRate, scope, taxHead }] as stored by the repository.
+// A tag set on the row itself (t.scope) wins over every rule.
+export function createTaxTagger({ rules = [], vendors = [] } = {}) {
+  const compiledVendors = vendors
+    .map(vendor => ({ vendor, matches: compileMatcher(vendor) }))
+    .filter(entry => entry.matches);
+  // Merchant and text rules are more specific than whole-category rules
+  const compiledRules = [...rules]
+    .sort((a, b) => (a.matchType === 'category') - (b.matchType === 'category'))
+    .map(rule => ({ rule, matches: compileMatcher(rule) }))
+    .filter(entry => entry.matches);
+
+  function tag(t) {
+    const vendor = compiledVendors.find(entry => entry.matches(t))?.vendor || null;
+    const rule = compiledRules.find(entry => entry.matches(t))?.rule || null;
+
+    let scope = null;
+    let source = null;
+    if (SCOPES.includes(t.scope)) {
+      scope = t.scope;
+      source = 'user';
+    } else if (vendor?.scope) {
+      scope = vendor.scope;
+      source = 'vendor';
+    } else if (rule) {
+      scope = rule.scope;
+      source = 'rule';
+    }
+
+    const taxHead = t.taxHead || vendor?.taxHead || rule?.taxHead || TAX_HEADS[t.category] || DEFAULT_HEAD;
+
+    return {
+      scope,
+      scopeSource: source,
+      taxHead,
+      vendor: vendor
+        ? { name: vendor.name, gstin: vendor.gstin || null, gstRate: vendor.gstRate ?? DEFAULT_GST_RATE }
+        : null
+    };
+  }
+
+  return { tag };
+}
+
+// Bank rows: debit out, credit in. Card rows: positive amounts out,
+// payments and refunds in.
+function flows(t) {
+  if (t.documentType === 'bank') return { out: toNumber(t.debit), in: toNumber(t.credit) };
+  const amount = Math.abs(toNumber(t.amount));
+  return isCardCredit(t) ? { out: 0, in: amount } : { out: amount, in: 0 };
+}
+
+function gstIncluded(amount, rate) {
+  return round2((amount * rate) / (100 + rate));
+}
+
+// history: rows tagged with their statement's documentType (see
+// loadTransactionHistory). scheme 'actual' taxes receipts minus business
+// expenses; '44ADA' taxes half the receipts and is due in one instalment.
+export function buildTaxReport(history, { tagger = createTaxTagger(), fy, taxRate = 30, scheme = 'actual' } = {}) {
+  const year = financialYear(fy);
+  const heads = new Map();
+  const gstVendors = new Map();
+  const quarters = ADVANCE_TAX_SCHEDULE.map(entry => ({ ...entry, receipts: 0, expenses: 0, taxPaid: 0 }));
+  const totals = { businessReceipts: 0, businessExpenses: 0, personalExpenses: 0, untaggedExpenses: 0, untaggedReceipts: 0 };
+  const gst = { totalPaid: 0, claimable: 0, withoutGstin: 0 };
+  const taxPayments = { incomeTax: 0, gst: 0, tds: 0, other: 0 };
+  const transactions = [];
+  // Overlapping or re-uploaded statements repeat rows; count each once
+  const seen = new Set();
+
+  for (const t of Array.isArray(history) ? history : []) {
+    const date = parseDate(t.date);
+    if (!date || date < year.start || date > year.end) continue;
+    const rowKey = `${t.documentType}|${transactionKey(t)}`;
+    if (seen.has(rowKey)) continue;
+    seen.add(rowKey);
+
+    const tagged = tagger.tag(t);
+    const { out, in: incoming } = flows(t);
+    const quarter = quarters.find(q => q.months.includes(parseInt(date.slice(5, 7), 10)));
+    transactions.push({ ...t, date, ...tagged, out: round2(out), in: round2(incoming) });
+
+    if (out > 0 && (t.category === 'Tax' || tagged.taxHead === ADVANCE_TAX_HEAD)) {
+      const kind = taxPaymentKind(t, tagged.taxHead);
+      taxPayments[kind] += out;
+      if (kind === 'incomeTax') quarter.taxPaid += out;
+      continue;
+    }
+
+    if (incoming > 0 && !NOT_RECEIPTS.includes(t.category) && t.documentType === 'bank') {
+      if (tagged.scope === 'business') {
+        totals.businessReceipts += incoming;
+        quarter.receipts += incoming;
+      } else if (!tagged.scope) {
+        totals.untaggedReceipts += incoming;
+      }
+    }
+
+    if (out <= 0 || NOT_EXPENSES.includes(t.category)) continue;
+
+    if (tagged.scope === 'personal') {
+      totals.personalExpenses += out;
+      continue;
+    }
+    if (tagged.scope !== 'business') {
+      totals.untaggedExpenses += out;
+      continue;
+    }
+
+    totals.businessExpenses += out;
+    quarter.expenses += out;
+
+    const head = heads.get(tagged.taxHead) || { head: tagged.taxHead, total: 0, count: 0, gstPaid: 0, gstClaimable: 0 };
+    head.total += out;
+    head.count++;
+
+    if (tagged.vendor) {
+      const tax = gstIncluded(out, tagged.vendor.gstRate);
+      const claimable = isValidGstin(tagged.vendor.gstin);
+      head.gstPaid += tax;
+      gst.totalPaid += tax;
+      if (claimable) {
+        head.gstClaimable += tax;
+        gst.claimable += tax;
+      } else {
+        gst.withoutGstin += tax;
+      }
+
+      const key = tagged.vendor.gstin || tagged.vendor.name;
+      const entry = gstVendors.get(key) || {
+        name: tagged.vendor.name,
+        gstin: tagged.vendor.gstin,
+        gstRate: tagged.vendor.gstRate,
+        claimable,
+        count: 0,
+        amountPaid: 0,
+        taxableValue: 0,
+        gst: 0
+      };
+      entry.count++;
+      entry.amountPaid += out;
+      entry.taxableValue += out - tax;
+      entry.gst += tax;
+      gstVendors.set(key, entry);
+    }
+
+    heads.set(tagged.taxHead, head);
+  }
+
+  const netProfit = totals.businessReceipts - totals.businessExpenses;
+  const taxableProfit = scheme === '44ADA' ? totals.businessReceipts * 0.5 : Math.max(0, netProfit);
+  const estimatedTax = taxableProfit * (taxRate / 100);
+
+  let cumulativeProfit = 0;
+  let cumulativePaid = 0;
+  const advanceTax = quarters.map(q => {
+    const dueYear = q.quarter === 'Q4' ? year.startYear + 1 : year.startYear;
+    const percent = scheme === '44ADA' ? (q.quarter === 'Q4' ? 100 : 0) : q.percent;
+    const profit = q.receipts - q.expenses;
+    cumulativeProfit += profit;
+    cumulativePaid += q.taxPaid;
+    const dueCumulative = estimatedTax * (percent / 100);
+
+    return {
+      quarter: q.quarter,
+      dueDate: `${dueYear}-${q.due}`,
+      cumulativePercent: percent,
+      receipts: round2(q.receipts),
+      expenses: round2(q.expenses),
+      profit: round2(profit),
+      cumulativeProfit: round2(cumulativeProfit),
+      taxPaid: round2(q.taxPaid),
+      dueCumulative: round2(dueCumulative),
+      shortfall: round2(Math.max(0, dueCumulative - cumulativePaid))
+    };
+  });
+
+  const roundAll = object => Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key, typeof value === 'number' ? round2(value) : value])
+  );
+
+  return {
+    financialYear: year.label,
+    period: { start: year.start, end: year.end },
+    scheme,
+    taxRate,
+    totals: roundAll({ ...totals, netProfit, taxableProfit, estimatedTax }),
+    expenseHeads: [...heads.values()].map(roundAll).sort((a, b) => b.total - a.total),
+    gst: {
+      ...roundAll(gst),
+      vendors: [...gstVendors.values()].map(roundAll).sort((a, b) => b.gst - a.gst)
+    },
+    taxPayments: roundAll(taxPayments),
+    advanceTax,
+    transactions
+  };
+}
@@ -0,0 +1,30 @@
+// lib/temp-store/cipher.js - AES-256-GCM sealing for temp files
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// The key lives only in this process: files left behind by a crash or a
+// previous run cannot be read by anyone, including us
+export function createProcessKey() {
+  return randomBytes(32);
+}
+
+// Layout: iv | auth tag | ciphertext. `context` (session and owner) is
+// authenticated, so a file copied to another session fails to open.
+export function seal(key, plaintext, context) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+export function open(key, sealed, context) {
+  const iv = sealed.subarray(0, IV_BYTES);
+  const tag = sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const decipher = createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
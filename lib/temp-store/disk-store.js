@@ -0,0 +1,93 @@
+// lib/temp-store/disk-store.js - Encrypted temp files on local disk
+import fs from 'fs/promises';
+import path from 'path';
+import { createProcessKey, seal, open } from './cipher.js';
+
+// Every store backend exposes the same async methods (save, get, delete,
+// sweep). Callers validate session IDs before they reach a file path.
+export function createDiskTempStore({ dir, ttl, sweepInterval }) {
+  const key = createProcessKey();
+
+  const paths = sessionId => ({
+    dataPath: path.join(dir, `${sessionId}.bin`),
+    metaPath: path.join(dir, `${sessionId}.json`)
+  });
+  const context = (sessionId, owner) => `${sessionId}|${owner}`;
+
+  async function remove(sessionId) {
+    const { dataPath, metaPath } = paths(sessionId);
+    const results = await Promise.allSettled([fs.unlink(dataPath), fs.unlink(metaPath)]);
+    return results.some(result => result.status === 'fulfilled');
+  }
+
+  async function save(sessionId, buffer, { owner, ttl: sessionTtl = ttl }) {
+    const { dataPath, metaPath } = paths(sessionId);
+    const now = Date.now();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(metaPath, JSON.stringify({
+      owner,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + sessionTtl).toISOString()
+    }), { mode: 0o600 });
+    await fs.writeFile(dataPath, seal(key, buffer, context(sessionId, owner)), { mode: 0o600 });
+  }
+
+  // null for unknown, expired or foreign sessions
+  async function get(sessionId, owner) {
+    const { dataPath, metaPath } = paths(sessionId);
+    let meta;
+    try {
+      meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (Date.parse(meta.expiresAt) <= Date.now()) {
+      await remove(sessionId);
+      return null;
+    }
+    if (meta.owner !== owner) return null;
+
+    try {
+      return open(key, await fs.readFile(dataPath), context(sessionId, owner));
+    } catch (error) {
+      console.error('Temp file unreadable:', sessionId, error.message);
+      return null;
+    }
+  }
+
+  // Without `now` everything goes: used at startup, when no file in the
+  // directory can be decrypted with this process's key anyway
+  async function sweep(now) {
+    const files = await fs.readdir(dir).catch(() => []);
+    let removed = 0;
+
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      let expired = true;
+
+      if (now !== undefined && file.endsWith('.json')) {
+        const meta = await fs.readFile(filePath, 'utf8').then(JSON.parse).catch(() => null);
+        expired = !meta || Date.parse(meta.expiresAt) <= now;
+      } else if (now !== undefined && file.endsWith('.bin')) {
+        // Metadata is written first, so data without it is orphaned
+        expired = await fs.access(filePath.replace(/\.bin$/, '.json')).then(() => false, () => true);
+      }
+
+      if (!expired) continue;
+      if (file.endsWith('.json')) await remove(file.slice(0, -'.json'.length));
+      else await fs.unlink(filePath).catch(() => {});
+      removed++;
+    }
+
+    return removed;
+  }
+
+  fs.mkdir(dir, { recursive: true, mode: 0o700 })
+    .then(() => sweep())
+    .then(removed => removed > 0 && console.log(`Removed ${removed} temp file(s) left by a previous run`))
+    .catch(console.error);
+  setInterval(() => sweep(Date.now()).catch(console.error), sweepInterval).unref();
+
+  return { save, get, delete: remove, sweep };
+}
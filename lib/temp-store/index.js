@@ -0,0 +1,24 @@
+// lib/temp-store/index.js - Short-lived storage for uploaded statements
+//
+// Every backend exposes the same async methods:
+//   save(sessionId, buffer, { owner, ttl }), get(sessionId, owner) -> Buffer | null,
+//   delete(sessionId), sweep(now) -> number removed (no `now`: remove everything)
+import { createDiskTempStore } from './disk-store.js';
+import { createMemoryTempStore } from './memory-store.js';
+
+const DEFAULT_TTL = 30 * 60 * 1000;
+const SWEEP_INTERVAL = 60 * 1000;
+
+const backends = {
+  disk: createDiskTempStore,
+  memory: createMemoryTempStore
+};
+
+// TEMP_STORE picks the backend: "disk" (encrypted files) or "memory"
+export function createTempStore(backend = 'disk', { dir, ttl = DEFAULT_TTL, sweepInterval = SWEEP_INTERVAL } = {}) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Unknown temp store backend "${backend}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory({ dir, ttl, sweepInterval: Math.min(sweepInterval, ttl) });
+}
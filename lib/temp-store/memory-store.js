@@ -0,0 +1,45 @@
+// lib/temp-store/memory-store.js - Temp files kept in process memory
+// (deployments without a writable or persistent disk)
+
+export function createMemoryTempStore({ ttl, sweepInterval }) {
+  const entries = new Map();
+
+  // Overwrite the bytes so a statement does not linger in freed memory
+  async function remove(sessionId) {
+    const entry = entries.get(sessionId);
+    if (!entry) return false;
+    entry.data.fill(0);
+    entries.delete(sessionId);
+    return true;
+  }
+
+  async function save(sessionId, buffer, { owner, ttl: sessionTtl = ttl }) {
+    await remove(sessionId);
+    entries.set(sessionId, { owner, data: Buffer.from(buffer), expiresAt: Date.now() + sessionTtl });
+  }
+
+  async function get(sessionId, owner) {
+    const entry = entries.get(sessionId);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      await remove(sessionId);
+      return null;
+    }
+    return entry.owner === owner ? Buffer.from(entry.data) : null;
+  }
+
+  async function sweep(now) {
+    let removed = 0;
+    for (const [sessionId, entry] of entries) {
+      if (now === undefined || entry.expiresAt <= now) {
+        await remove(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  setInterval(() => sweep(Date.now()).catch(console.error), sweepInterval).unref();
+
+  return { save, get, delete: remove, sweep };
+}
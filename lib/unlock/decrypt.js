@@ -0,0 +1,46 @@
+// lib/unlock/decrypt.js - Open password-protected statements
+//
+// pdf-lib 1.x cannot decrypt: it ignores the password option and throws
+// for every encrypted file. The @cantoo fork reads RC4 and AES encrypted
+// documents; its pages are copied into a fresh document so the
+// result carries no leftover encryption dictionary.
+import { PDFDocument } from '@cantoo/pdf-lib';
+
+export function invalidPasswordError() {
+  const error = new Error('Incorrect password');
+  error.code = 'INVALID_PASSWORD';
+  return error;
+}
+
+// Resolves to the decrypted PDF; rejects with code INVALID_PASSWORD when the
+// password does not open it
+export async function decryptPdf(pdfBuffer, password) {
+  let source;
+  try {
+    source = await PDFDocument.load(pdfBuffer, { password: String(password) });
+  } catch (error) {
+    if (/password/i.test(error.message || '')) throw invalidPasswordError();
+    throw error;
+  }
+
+  const unlocked = await PDFDocument.create();
+  const pages = await unlocked.copyPages(source, source.getPageIndices());
+  pages.forEach(page => unlocked.addPage(page));
+  return Buffer.from(await unlocked.save());
+}
+
+// Try candidates ({ password, rule }) in order; resolves to
+// { buffer, candidate, tried } for the first that opens the file, or
+// { buffer: null, candidate: null, tried } when none does
+export async function tryPasswords(pdfBuffer, candidates) {
+  let tried = 0;
+  for (const candidate of candidates) {
+    tried++;
+    try {
+      return { buffer: await decryptPdf(pdfBuffer, candidate.password), candidate, tried };
+    } catch (error) {
+      if (error.code !== 'INVALID_PASSWORD') throw error;
+    }
+  }
+  return { buffer: null, candidate: null, tried };
+}
@@ -0,0 +1,29 @@
+// lib/unlock/index.js - Statement unlocking: password hints, candidates, attempt limits
+import { createHash } from 'crypto';
+import { seal, open } from '../temp-store/cipher.js';
+
+export { decryptPdf, tryPasswords } from './decrypt.js';
+export { createAttemptLimiter } from './limiter.js';
+export { normalizeHints, describeHints, candidatePasswords, listPasswordRules, PASSWORD_RULES } from './passwords.js';
+
+// Hints are personal data (name, date of birth, PAN), so they are stored
+// sealed with a key derived from `secret` and bound to the user ID. Changing
+// the secret makes stored hints unreadable; users then enter them again.
+// Returns null without a secret: hints are not stored in the clear.
+export function createHintVault(secret) {
+  if (!secret) return null;
+  const key = createHash('sha256').update(`solopay-password-hints:${secret}`).digest();
+
+  return {
+    seal(userId, hints) {
+      return seal(key, Buffer.from(JSON.stringify(hints)), `password-hints:${userId}`);
+    },
+    open(userId, sealed) {
+      try {
+        return JSON.parse(open(key, Buffer.from(sealed), `password-hints:${userId}`).toString('utf8'));
+      } catch {
+        return null;
+      }
+    }
+  };
+}
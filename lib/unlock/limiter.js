@@ -0,0 +1,80 @@
+// lib/unlock/limiter.js - Request rate limit and failed-attempt lockout per key
+//
+// Kept in process memory: limits reset on restart and are per instance,
+// which is enough to stop an unlock endpoint being used to guess passwords.
+const MINUTE = 60 * 1000;
+const PRUNE_AT = 1000;
+
+export function createAttemptLimiter({
+  maxRequests = 10,
+  requestWindow = MINUTE,
+  maxFailures = 5,
+  failureWindow = 15 * MINUTE,
+  lockout = 15 * MINUTE,
+  now = () => Date.now()
+} = {}) {
+  const entries = new Map();
+
+  function entryFor(key) {
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = { requests: [], failures: [], lockedUntil: 0 };
+      entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  function prune(time) {
+    for (const [key, entry] of entries) {
+      const idle = entry.lockedUntil <= time &&
+        entry.requests.every(at => at <= time - requestWindow) &&
+        entry.failures.every(at => at <= time - failureWindow);
+      if (idle) entries.delete(key);
+    }
+  }
+
+  // Counts the request. Resolves to { allowed: true, failuresLeft } or
+  // { allowed: false, reason: 'locked' | 'rate_limited', retryAfter } with
+  // retryAfter in seconds.
+  function check(key) {
+    const time = now();
+    if (entries.size > PRUNE_AT) prune(time);
+
+    const entry = entryFor(key);
+    if (entry.lockedUntil > time) {
+      return { allowed: false, reason: 'locked', retryAfter: Math.ceil((entry.lockedUntil - time) / 1000) };
+    }
+
+    entry.requests = entry.requests.filter(at => at > time - requestWindow);
+    if (entry.requests.length >= maxRequests) {
+      return { allowed: false, reason: 'rate_limited', retryAfter: Math.ceil((entry.requests[0] + requestWindow - time) / 1000) };
+    }
+    entry.requests.push(time);
+
+    entry.failures = entry.failures.filter(at => at > time - failureWindow);
+    return { allowed: true, failuresLeft: maxFailures - entry.failures.length };
+  }
+
+  // Record a wrong password; the key is locked once maxFailures fall within
+  // failureWindow. Returns { failuresLeft, locked, retryAfter }.
+  function fail(key) {
+    const time = now();
+    const entry = entryFor(key);
+    entry.failures = entry.failures.filter(at => at > time - failureWindow);
+    entry.failures.push(time);
+
+    if (entry.failures.length >= maxFailures) {
+      entry.lockedUntil = time + lockout;
+      entry.failures = [];
+      return { failuresLeft: 0, locked: true, retryAfter: Math.ceil(lockout / 1000) };
+    }
+    return { failuresLeft: maxFailures - entry.failures.length, locked: false, retryAfter: null };
+  }
+
+  function succeed(key) {
+    const entry = entries.get(key);
+    if (entry) entry.failures = [];
+  }
+
+  return { check, fail, succeed };
+}
@@ -0,0 +1,210 @@
+// lib/unlock/passwords.js - Candidate statement passwords from stored hints
+import { parseDate } from '../parsers/index.js';
+
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const MAX_LIST = 5;
+
+// Normalize what a user types into the inputs the rules need. Card numbers
+// are reduced to their last four digits before anything is stored.
+export function normalizeHints(input = {}) {
+  const errors = [];
+  const hints = {};
+
+  if (input.name !== undefined && input.name !== null && input.name !== '') {
+    const letters = String(input.name).replace(/[^A-Za-z]/g, '');
+    if (letters.length < 4) errors.push('name needs at least 4 letters');
+    else hints.name = String(input.name).trim().replace(/\s+/g, ' ').slice(0, 80);
+  }
+
+  if (input.dateOfBirth) {
+    const date = parseDate(input.dateOfBirth);
+    if (!date) errors.push('dateOfBirth must be a date such as 1990-04-15');
+    else hints.dateOfBirth = date;
+  }
+
+  if (input.mobile) {
+    const digits = String(input.mobile).replace(/\D/g, '').replace(/^(?:91|0)(?=\d{10}$)/, '');
+    if (!/^\d{10}$/.test(digits)) errors.push('mobile must be a 10-digit number');
+    else hints.mobile = digits;
+  }
+
+  if (input.pan) {
+    const pan = String(input.pan).replace(/\s/g, '').toUpperCase();
+    if (!PAN_PATTERN.test(pan)) errors.push('pan must look like ABCDE1234F');
+    else hints.pan = pan;
+  }
+
+  const list = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  const customerIds = list(input.customerIds).map(id => String(id).replace(/\s/g, '')).filter(Boolean);
+  if (customerIds.some(id => !/^[A-Za-z0-9]{4,20}$/.test(id))) errors.push('customerIds must be 4-20 letters or digits each');
+  else if (customerIds.length) hints.customerIds = [...new Set(customerIds)].slice(0, MAX_LIST);
+
+  const cards = list(input.cardNumbers).map(card => String(card).replace(/\D/g, ''));
+  if (cards.some(card => card.length < 4)) errors.push('cardNumbers need at least the last 4 digits each');
+  else if (cards.length) hints.cardLast4 = [...new Set(cards.map(card => card.slice(-4)))].slice(0, MAX_LIST);
+
+  if (errors.length === 0 && Object.keys(hints).length === 0) {
+    errors.push('Provide at least one of name, dateOfBirth, mobile, pan, customerIds, cardNumbers');
+  }
+
+  return { hints, errors };
+}
+
+// Which inputs are stored, without their values
+export function describeHints(hints) {
+  return Object.keys(hints || {}).map(field => (field === 'cardLast4' ? 'cardNumbers' : field));
+}
+
+function namePrefix(hints) {
+  return hints.name ? hints.name.replace(/[^A-Za-z]/g, '').slice(0, 4) : null;
+}
+
+function dob(hints, format) {
+  if (!hints.dateOfBirth) return null;
+  const [year, month, day] = hints.dateOfBirth.split('-');
+  return { DDMM: day + month, DDMMYY: day + month + year.slice(2), DDMMYYYY: day + month + year }[format];
+}
+
+function join(...parts) {
+  return parts.every(Boolean) ? parts.join('') : null;
+}
+
+const upperName = hints => namePrefix(hints)?.toUpperCase();
+const lowerName = hints => namePrefix(hints)?.toLowerCase();
+
+// Published e-statement password formats of Indian banks and card issuers.
+// `parser` is the statement parser id (lib/parsers) the format belongs to;
+// rules without one are formats several issuers share.
+export const PASSWORD_RULES = [
+  {
+    id: 'hdfc-customer-id',
+    parser: 'hdfc',
+    description: 'HDFC Bank account: customer ID',
+    build: hints => hints.customerIds || []
+  },
+  {
+    id: 'hdfc-card-name-card',
+    parser: 'hdfc-card',
+    description: 'HDFC Bank card: first 4 letters of the name in capitals + last 4 card digits',
+    build: hints => (hints.cardLast4 || []).map(last4 => join(upperName(hints), last4))
+  },
+  {
+    id: 'hdfc-card-name-dob',
+    parser: 'hdfc-card',
+    description: 'HDFC Bank card: first 4 letters of the name in capitals + DDMM of birth',
+    build: hints => [join(upperName(hints), dob(hints, 'DDMM'))]
+  },
+  {
+    id: 'icici-name-dob',
+    parser: 'icici',
+    description: 'ICICI Bank account: first 4 letters of the name in lower case + DDMM of birth',
+    build: hints => [join(lowerName(hints), dob(hints, 'DDMM'))]
+  },
+  {
+    id: 'icici-card-name-dob',
+    parser: 'icici-card',
+    description: 'ICICI Bank card: first 4 letters of the name in lower case + DDMM of birth',
+    build: hints => [join(lowerName(hints), dob(hints, 'DDMM'))]
+  },
+  {
+    id: 'sbi-mobile-dob',
+    parser: 'sbi',
+    description: 'SBI account: last 5 digits of the registered mobile + DDMMYY of birth',
+    build: hints => [join(hints.mobile?.slice(-5), dob(hints, 'DDMMYY'))]
+  },
+  {
+    id: 'sbi-card-dob-card',
+    parser: 'sbi-card',
+    description: 'SBI Card: DDMM of birth + last 4 card digits',
+    build: hints => (hints.cardLast4 || []).map(last4 => join(dob(hints, 'DDMM'), last4))
+  },
+  {
+    id: 'axis-name-dob',
+    parser: 'axis',
+    description: 'Axis Bank account: first 4 letters of the name in capitals + DDMM of birth',
+    build: hints => [join(upperName(hints), dob(hints, 'DDMM'))]
+  },
+  {
+    id: 'axis-card-name-dob',
+    parser: 'axis-card',
+    description: 'Axis Bank card: first 4 letters of the name in capitals + DDMM of birth',
+    build: hints => [join(upperName(hints), dob(hints, 'DDMM'))]
+  },
+  {
+    id: 'kotak-crn',
+    parser: 'kotak',
+    description: 'Kotak Mahindra Bank account: CRN (customer ID)',
+    build: hints => hints.customerIds || []
+  },
+  {
+    id: 'kotak-card-name-dob',
+    parser: 'kotak-card',
+    description: 'Kotak Mahindra Bank card: first 4 letters of the name in lower case + DDMM of birth',
+    build: hints => [join(lowerName(hints), dob(hints, 'DDMM'))]
+  },
+  {
+    id: 'pan-dob',
+    parser: null,
+    description: 'PAN in capitals + DDMMYYYY of birth (consolidated account statements)',
+    build: hints => [join(hints.pan, dob(hints, 'DDMMYYYY'))]
+  },
+  {
+    id: 'pan',
+    parser: null,
+    description: 'PAN in capitals',
+    build: hints => [hints.pan]
+  },
+  {
+    id: 'dob-ddmmyyyy',
+    parser: null,
+    description: 'Date of birth as DDMMYYYY',
+    build: hints => [dob(hints, 'DDMMYYYY')]
+  },
+  {
+    id: 'customer-id',
+    parser: null,
+    description: 'Customer ID',
+    build: hints => hints.customerIds || []
+  },
+  {
+    id: 'mobile',
+    parser: null,
+    description: 'Registered mobile number',
+    build: hints => [hints.mobile]
+  }
+];
+
+export function listPasswordRules() {
+  return PASSWORD_RULES.map(({ id, parser, description }) => ({ id, parser, description }));
+}
+
+// Candidates in the order they are tried: rules of the named parser (and
+// of the same bank's other statement type), then shared formats, then every
+// other bank. A password several rules produce is tried once, credited to
+// the first rule.
+export function candidatePasswords(hints, { bank } = {}) {
+  const family = bank ? bank.replace(/-card$/, '') : null;
+  const rank = rule => {
+    if (bank && rule.parser === bank) return 0;
+    if (family && rule.parser && rule.parser.replace(/-card$/, '') === family) return 1;
+    if (!rule.parser) return 2;
+    return 3;
+  };
+
+  const seen = new Set();
+  const candidates = [];
+  const ordered = PASSWORD_RULES
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => rank(a.rule) - rank(b.rule) || a.index - b.index);
+
+  for (const { rule } of ordered) {
+    for (const password of rule.build(hints)) {
+      if (!password || seen.has(password)) continue;
+      seen.add(password);
+      candidates.push({ password, rule: { id: rule.id, parser: rule.parser, description: rule.description } });
+    }
+  }
+
+  return candidates;
+}